@@ -6,7 +6,7 @@
 // 4) Add auth + multi-user history
 // 5) Optimize mobile UX
 
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import ReactMarkdown from "react-markdown";
 import iconRestaurant from "./assets/icon-restaurant.svg";
 import iconTools from "./assets/icon-tools.svg";
@@ -14,8 +14,49 @@ import iconNotes from "./assets/icon-notes.svg";
 import iconCamera from "./assets/icon-camera.svg";
 import iconInspectAI from "./assets/icon-inspectai.svg";
 import PhotoGallery from "./PhotoGallery.jsx";
+import { followJob, cancelJob, PENDING_JOB_STATUSES } from "./jobs.js";
 import { openProposalPreview } from "./ProposalPreview.jsx";
-import { DRAFT_KEY, DEFAULT_RATES, writeDraft, readDraft, mergeDraft, normalizeRepairs, normalizeAdditionalItems } from "./proposalDraft.js";
+import { mergeDraft, normalizeRepairs, normalizeAdditionalItems } from "./proposalDraft.js";
+import {
+  saveProposal,
+  getProposal,
+  listProposals,
+  onProposalSaved,
+  isProposalLocked,
+  unsignedCopy,
+} from "./proposals.js";
+import {
+  authFetch,
+  companyRates,
+  companyStorageKey,
+  getSession,
+  hasPermission,
+  signOut,
+} from "./auth.js";
+import { ROLE_LABELS, availableTransitions, reportEditBlocker } from "./permissions.js";
+import { STATUS_LABELS, isShareableStatus, reportStatus } from "./reportStatus.js";
+import Settings from "./Settings.jsx";
+import ReportRevisions from "./ReportRevisions.jsx";
+import LocationPicker from "./LocationPicker.jsx";
+import {
+  CONVERTED_FORMATS,
+  PHOTO_ACCEPT,
+  conversionLabel,
+  convertedPhotoFormat,
+  isAcceptedPhoto,
+} from "./photoFormats.js";
+import LocationTrend from "./LocationTrend.jsx";
+import EquipmentInventory from "./EquipmentInventory.jsx";
+import ConditionBadge from "./ConditionBadge.jsx";
+import { inventoryCounts, normalizeInventory, resizeInventory } from "./equipment.js";
+import { createCustomerWithLocation } from "./customers.js";
+import { REPORT_TYPES, REPORT_TYPE_LABELS } from "./serviceReport.js";
+import {
+  missingSections,
+  parseReportSections,
+  reportTemplate,
+  withNextStepsSection,
+} from "./reportTemplates.js";
 
 const Icon = ({ src, alt = "" }) => (
   <span className="inline-flex items-center justify-center" aria-hidden>
@@ -40,117 +81,56 @@ function Section({ step, title, icon, children }) {
   );
 }
 
-const REPORT_ICONS = {
-  summary: "📋",
-  overview: "🧰",
-  findings: "🔍",
-  "why-it-matters": "⚠️",
-  "next-steps": "🛠",
-  other: "📄",
+// Approval workflow state (reportStatus.js); the title shows the last step's author and time
+const STATUS_STYLES = {
+  draft: "border-white/20 bg-white/5 text-white/70",
+  in_review: "border-amber-400/30 bg-amber-500/10 text-amber-200",
+  approved: "border-emerald-400/30 bg-emerald-500/10 text-emerald-200",
+  sent: "border-sky-400/30 bg-sky-500/10 text-sky-200",
+  archived: "border-white/10 bg-white/5 text-white/40",
 };
 
-const REPORT_CARD_ACCENT = {
-  summary: "border-l-white/20",
-  overview: "border-l-white/15",
-  findings: "border-l-amber-500/60",
-  "why-it-matters": "border-l-red-400/60",
-  "next-steps": "border-l-blue-400/60",
-  other: "border-l-white/20",
-};
-
-function classifySection(heading) {
-  const h = heading.toLowerCase().replace(/\*+/g, "").trim();
-  if (/inspection\s*summary|^summary\s*$/.test(h))
-    return { type: "summary", heading: "Inspection Summary" };
-  if (/system\s*overview|^overview\s*$/.test(h))
-    return { type: "overview", heading: "System Overview" };
-  if (/key\s*findings|^findings\s*$/.test(h))
-    return { type: "findings", heading: "Key Findings" };
-  if (/why\s*it\s*matters/.test(h))
-    return { type: "why-it-matters", heading: "Why It Matters" };
-  if (/recommended|next\s*steps/.test(h))
-    return { type: "next-steps", heading: "Recommended Next Steps" };
-  return { type: "other", heading: heading.replace(/\*+/g, "").trim() };
+function StatusBadge({ report, className = "" }) {
+  if (!report?.reportId) return null;
+  const status = reportStatus(report);
+  const last = report.statusHistory?.at(-1);
+  return (
+    <span
+      className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status]} ${className}`}
+      title={last ? `${last.by?.name || "Someone"} · ${new Date(last.at).toLocaleString()}` : undefined}
+    >
+      {STATUS_LABELS[status]}
+    </span>
+  );
 }
 
-function isSectionHeader(line) {
-  const t = line.trim();
-  if (!t) return null;
-  let m = t.match(/^#{1,3}\s+(.+)$/);
-  if (m) return classifySection(m[1]);
-  m = t.match(/^\*\*(.+?)\*\*:?\s*$/);
-  if (m) return classifySection(m[1]);
-  m = t.match(/^\*\*(.+?)\*\*:?\s/);
-  if (m) return classifySection(m[1]);
-  if (
-    /^(inspection\s*summary|summary|system\s*overview|overview|key\s*findings|findings|why\s*it\s*matters|recommended\s*next\s*steps|next\s*steps)$/i.test(
-      t
-    )
-  )
-    return classifySection(t);
-  return null;
+// Shown on history items whose proposal the customer has signed (proposal.html)
+function AcceptedBadge({ acceptance, className = "" }) {
+  if (!acceptance) return null;
+  const signedAt = acceptance.signedAt ? new Date(acceptance.signedAt).toLocaleString() : "";
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 rounded-full border border-emerald-400/30 bg-emerald-500/10 px-2 py-0.5 text-xs font-medium text-emerald-200 ${className}`}
+      title={`Signed by ${acceptance.name}${signedAt ? ` on ${signedAt}` : ""}`}
+    >
+      ✓ Accepted
+    </span>
+  );
 }
 
-function extractReportSections(text) {
-  if (!text?.trim()) return [];
-  const parts = [];
-  const lines = text.split("\n");
-  let current = { type: "summary", heading: "Inspection Summary", content: "" };
-  for (let i = 0; i < lines.length; i++) {
-    const parsed = isSectionHeader(lines[i]);
-    if (parsed) {
-      if (current.content.trim()) parts.push(current);
-      current = { type: parsed.type, heading: parsed.heading, content: "" };
-    } else {
-      current.content += (current.content ? "\n" : "") + lines[i];
-    }
-  }
-  if (current.content.trim()) parts.push(current);
-  if (parts.length === 0 && text.trim()) {
-    parts.push({ type: "summary", heading: "Inspection Summary", content: text });
-  }
-  if (parts.length === 1 && text.includes("System Overview")) {
-    const fallback = [];
-    const regex =
-      /(?:\n|^)\s*(System Overview|Key Findings|Why It Matters|Recommended Next Steps|Next Steps)\s*\n/gi;
-    let lastIdx = 0;
-    let lastType = "summary";
-    let lastHeading = "Inspection Summary";
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-      const chunk = text.slice(lastIdx, match.index).trim();
-      if (chunk) fallback.push({ type: lastType, heading: lastHeading, content: chunk });
-      const h = match[1].toLowerCase();
-      if (/system\s*overview/.test(h)) {
-        lastType = "overview";
-        lastHeading = "System Overview";
-      } else if (/key\s*findings|findings/.test(h)) {
-        lastType = "findings";
-        lastHeading = "Key Findings";
-      } else if (/why\s*it\s*matters/.test(h)) {
-        lastType = "why-it-matters";
-        lastHeading = "Why It Matters";
-      } else if (/recommended|next\s*steps/.test(h)) {
-        lastType = "next-steps";
-        lastHeading = "Recommended Next Steps";
-      }
-      lastIdx = regex.lastIndex;
-    }
-    if (lastIdx < text.length) {
-      const tail = text.slice(lastIdx).trim();
-      if (tail) fallback.push({ type: lastType, heading: lastHeading, content: tail });
-    }
-    if (fallback.length > 1) return fallback;
-  }
-  return parts;
-}
+const HISTORY_STATUS_LABELS = {
+  queued: "Queued…",
+  running: "Generating…",
+  failed: "Generation failed",
+  cancelled: "Cancelled",
+};
 
-function ReportCard({ type, heading, content }) {
-  const icon = REPORT_ICONS[type] || REPORT_ICONS.other;
-  const accent = REPORT_CARD_ACCENT[type] || REPORT_CARD_ACCENT.other;
+// One report section; icon and accent colour come from the report's template
+function ReportCard({ icon, accent, heading, content, children }) {
   return (
     <div
-      className={`rounded-xl border border-white/12 bg-white/[0.08] p-4 shadow-[0_4px_20px_rgba(0,0,0,0.4)] border-l-4 ${accent}`}
+      className="rounded-xl border border-white/12 bg-white/[0.08] p-4 shadow-[0_4px_20px_rgba(0,0,0,0.4)] border-l-4"
+      style={{ borderLeftColor: `${accent}99` }}
     >
       <div className="flex items-center gap-2 font-semibold text-white/95 mb-3">
         <span>{icon}</span>
@@ -159,10 +139,41 @@ function ReportCard({ type, heading, content }) {
       <div className="text-sm text-white/85 leading-relaxed [&_h1]:text-base [&_h1]:font-bold [&_h1]:mt-2 [&_h1]:mb-1 [&_h2]:text-sm [&_h2]:font-semibold [&_h2]:mt-2 [&_h2]:mb-1 [&_p]:mb-2 [&_ul]:list-disc [&_ul]:pl-5 [&_ul]:mb-2 [&_ol]:list-decimal [&_ol]:pl-5 [&_ol]:mb-2 [&_li]:mb-1 [&_strong]:font-semibold [&_strong]:text-white/90">
         <ReactMarkdown>{content || "_No content._"}</ReactMarkdown>
       </div>
+      {children}
     </div>
   );
 }
 
+// NFPA 96 Table 11.4 cooking operation types (keys match server/frequency.js)
+const COOKING_VOLUME_OPTIONS = [
+  { value: "solid-fuel", label: "Solid fuel cooking" },
+  { value: "high-volume", label: "High volume (24-hour, charbroil, wok)" },
+  { value: "moderate-volume", label: "Moderate volume" },
+  { value: "low-volume", label: "Low volume (church, seasonal, senior center)" },
+];
+
+// Recommended cleaning frequency callout (shown in the Recommended Next Steps card)
+function FrequencyRecommendation({ recommendation }) {
+  if (!recommendation?.frequency) return null;
+  return (
+    <div className="mt-3 rounded-lg border border-blue-400/20 bg-blue-500/10 px-3 py-2 text-xs text-white/80">
+      <div className="font-semibold text-blue-200">
+        Recommended cleaning frequency: {recommendation.frequency}
+      </div>
+      <ul className="mt-1 list-disc pl-4 space-y-0.5">
+        {(recommendation.reasons || []).map((r, i) => (
+          <li key={i}>{r}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Photos are tagged to equipment by file, since the list can be reordered by removals
+function photoKey(file) {
+  return `${file.name}-${file.lastModified}`;
+}
+
 function Input(props) {
   return (
     <input
@@ -185,62 +196,97 @@ function Textarea({ className, ...props }) {
 }
 
 export default function App() {
-  const toInt = (v) => {
-    const n = Number.parseInt(v, 10);
-    return Number.isFinite(n) ? n : 0;
-  };
+  // Role and company defaults; RequireSession remounts the app when the role changes
+  const user = getSession()?.user;
+  const rates = companyRates();
+  const canCreateReports = hasPermission("reports:create");
+  const canEditProposals = hasPermission("proposals:edit");
+  const canLockReports = hasPermission("reports:lock");
+  const canOpenSettings =
+    hasPermission("users:manage") || hasPermission("rates:edit") || hasPermission("templates:edit");
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
 
   const [restaurantName, setRestaurantName] = useState("");
+  // Registry location this inspection is for (customers.js), or null for a one-off
+  const [location, setLocation] = useState(null);
+  // Location whose inspections-over-time view is open (LocationTrend)
+  const [trendLocationId, setTrendLocationId] = useState(null);
   const [address, setAddress] = useState("");
-  const [hoods, setHoods] = useState(1);
-  const [fans, setFans] = useState(1);
-  const [filters, setFilters] = useState(0);
+  // Per-hood / per-fan records (equipment.js); the counts are derived from it
+  const [inventory, setInventory] = useState(() => normalizeInventory());
+  const {
+    hoods,
+    fans,
+    filters,
+    stdFilterQty: inventoryStdFilterQty,
+    nonStdFilterQty: inventoryNonStdFilterQty,
+  } = inventoryCounts(inventory);
   const [notes, setNotes] = useState("");
+  const [cookingVolume, setCookingVolume] = useState("");
 
   const [proposalDate, setProposalDate] = useState("");
   const [cleaningFrequency, setCleaningFrequency] = useState("");
-  const [baseRate, setBaseRate] = useState(String(DEFAULT_RATES.baseRate));
+  const [frequencyRecommendation, setFrequencyRecommendation] = useState(null);
+  // Server-side proposal for the current inspection (see proposals.js)
+  const [proposalId, setProposalId] = useState(null);
+  const proposalRef = useRef(null);
+  // Form state when a signed proposal was loaded; edits after that become a new proposal
+  const signedBaselineRef = useRef(null);
+  // Customer acceptances by proposal id (and by report id) for the history list
+  const [acceptances, setAcceptances] = useState({});
+  const [baseRate, setBaseRate] = useState(String(rates.baseRate));
   const [additionalItems, setAdditionalItems] = useState(() => [
-    { description: "Additional Hood", qty: 0, rate: DEFAULT_RATES.additionalHoodRate, frequency: "" },
-    { description: "Additional Fan", qty: 0, rate: DEFAULT_RATES.additionalFanRate, frequency: "" },
+    { description: "Additional Hood", qty: 0, rate: rates.additionalHoodRate, frequency: "" },
+    { description: "Additional Fan", qty: 0, rate: rates.additionalFanRate, frequency: "" },
   ]);
   const [repairs, setRepairs] = useState(() => [{ description: "", amount: 0 }]);
   const [stdFilterQty, setStdFilterQty] = useState(0);
   const [stdFilterRate, setStdFilterRate] = useState(
-    String(DEFAULT_RATES.stdFilterRate)
+    String(rates.stdFilterRate)
   );
   const [nonStdFilterQty, setNonStdFilterQty] = useState(0);
   const [nonStdFilterRate, setNonStdFilterRate] = useState(
-    String(DEFAULT_RATES.nonStdFilterRate)
+    String(rates.nonStdFilterRate)
   );
   const [fuelSurcharge, setFuelSurcharge] = useState(
-    String(DEFAULT_RATES.fuelSurcharge)
+    String(rates.fuelSurcharge)
   );
   const [filterExchangeQty, setFilterExchangeQty] = useState(0);
   const [filterExchangeUnitRate, setFilterExchangeUnitRate] = useState("");
   const [filterExchangeFrequency, setFilterExchangeFrequency] = useState("");
   const [pricingTouched, setPricingTouched] = useState(false);
   const [photos, setPhotos] = useState([]);
+  // photoKey(file) → id of the hood / fan it shows
+  const [photoEquipment, setPhotoEquipment] = useState({});
+  // "inspection", or "service" for a before/after Service Completion Report
+  const [reportType, setReportType] = useState("inspection");
+  // photoKey(file) → "before:2" / "after:2" (phase and pair number) on service reports
+  const [photoPhases, setPhotoPhases] = useState({});
   const [isDragging, setIsDragging] = useState(false);
   const [lightboxIndex, setLightboxIndex] = useState(null);
 
   const [isGenerating, setIsGenerating] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState(null);
   const [apiError, setApiError] = useState("");
   const [latestReport, setLatestReport] = useState(null);
   const [isReportEditing, setIsReportEditing] = useState(false);
+  const [isRevisionsOpen, setIsRevisionsOpen] = useState(false);
   const [editedReportText, setEditedReportText] = useState("");
   const [analyzeAllPhotos, setAnalyzeAllPhotos] = useState(false);
+  // Stored photos lose their EXIF data (GPS included) unless this is on; see server/images.js
+  const [keepPhotoGps, setKeepPhotoGps] = useState(false);
   const [history, setHistory] = useState(() => {
     try {
-      return JSON.parse(localStorage.getItem("inspectai_history") || "[]");
+      return JSON.parse(localStorage.getItem(companyStorageKey("inspectai_history")) || "[]");
     } catch {
       return [];
     }
   });
 
-  // Auto-update proposal quantities from equipment
-  // Enforced rule: base rate includes 1 hood + 1 fan, so "additional" is always (total - 1).
-  // Users can still edit rates/frequency/other line items; but these two quantities stay derived.
+  // Auto-update proposal quantities from the equipment inventory
+  // Enforced rule: base rate includes 1 hood + 1 fan, so "additional" is always (total - 1),
+  // and standard / non-standard filters are counted from each hood's filter size.
+  // Users can still edit rates/frequency/other line items; but these quantities stay derived.
   useEffect(() => {
     setAdditionalItems((prev) => {
       const items = normalizeAdditionalItems({ additionalItems: prev, cleaningFrequency });
@@ -261,12 +307,19 @@ export default function App() {
       return items;
     });
 
-    // Keep filter-related quantities in sync until the user customizes pricing.
-    if (!pricingTouched) {
-      setStdFilterQty(filters);
-      setFilterExchangeQty(filters);
-    }
-  }, [hoods, fans, filters, pricingTouched, cleaningFrequency]);
+    setStdFilterQty(inventoryStdFilterQty);
+    setNonStdFilterQty(inventoryNonStdFilterQty);
+    // Keep the filter exchange quantity in sync until the user customizes pricing.
+    if (!pricingTouched) setFilterExchangeQty(filters);
+  }, [
+    hoods,
+    fans,
+    filters,
+    inventoryStdFilterQty,
+    inventoryNonStdFilterQty,
+    pricingTouched,
+    cleaningFrequency,
+  ]);
 
   function buildDraftFromState() {
     const num = (v) => {
@@ -276,22 +329,24 @@ export default function App() {
     return {
       restaurantName,
       address,
+      locationId: location?.id ?? null,
       proposalDate,
       cleaningFrequency,
+      frequencyRecommendation,
       initialHoodQty: 1,
       initialFanQty: 1,
       filters,
-      baseRate: num(baseRate) ?? DEFAULT_RATES.baseRate,
+      baseRate: num(baseRate) ?? rates.baseRate,
       additionalItems: Array.isArray(additionalItems) && additionalItems.length > 0
         ? additionalItems.map((a) => ({
             description: String(a?.description ?? ""),
             qty: num(a?.qty) ?? 0,
-            rate: num(a?.rate) ?? DEFAULT_RATES.additionalHoodRate,
+            rate: num(a?.rate) ?? rates.additionalHoodRate,
             frequency: String(a?.frequency ?? ""),
           }))
         : [
-            { description: "Additional Hood", qty: 0, rate: DEFAULT_RATES.additionalHoodRate, frequency: "" },
-            { description: "Additional Fan", qty: 0, rate: DEFAULT_RATES.additionalFanRate, frequency: "" },
+            { description: "Additional Hood", qty: 0, rate: rates.additionalHoodRate, frequency: "" },
+            { description: "Additional Fan", qty: 0, rate: rates.additionalFanRate, frequency: "" },
           ],
       repairs: Array.isArray(repairs) && repairs.length > 0
         ? repairs.map((r) => ({
@@ -300,23 +355,69 @@ export default function App() {
           }))
         : [{ description: "", amount: 0 }],
       stdFilterQty,
-      stdFilterRate: num(stdFilterRate) ?? DEFAULT_RATES.stdFilterRate,
+      stdFilterRate: num(stdFilterRate) ?? rates.stdFilterRate,
       nonStdFilterQty,
-      nonStdFilterRate: num(nonStdFilterRate) ?? DEFAULT_RATES.nonStdFilterRate,
-      fuelSurcharge: num(fuelSurcharge) ?? DEFAULT_RATES.fuelSurcharge,
+      nonStdFilterRate: num(nonStdFilterRate) ?? rates.nonStdFilterRate,
+      fuelSurcharge: num(fuelSurcharge) ?? rates.fuelSurcharge,
       filterExchangeQty,
-      filterExchangeUnitRate: num(filterExchangeUnitRate) ?? DEFAULT_RATES.stdFilterRate,
+      filterExchangeUnitRate: num(filterExchangeUnitRate) ?? rates.stdFilterRate,
       filterExchangeFrequency,
     };
   }
 
+  // Draft to save: form state over the last server copy (keeps fields only the preview edits)
+  function currentProposalDraft() {
+    return mergeDraft(proposalRef.current, buildDraftFromState());
+  }
+
+  // Signed proposals can't change: save the edited pricing as a new proposal instead
+  function saveAsNewProposal(draft) {
+    const next = unsignedCopy({ ...draft, reportId: proposalRef.current?.reportId ?? null });
+    return saveProposal(null, next).then((id) => {
+      proposalRef.current = next;
+      signedBaselineRef.current = null;
+      setProposalId(id);
+      setApiError("The customer already signed this proposal — your changes were saved as a new proposal.");
+      return id;
+    });
+  }
+
+  // Keep the open proposal in sync with the pricing form (debounced); read-only
+  // for roles that don't price proposals
   useEffect(() => {
-    writeDraft(mergeDraft(readDraft(), buildDraftFromState()));
+    if (!proposalId || !canEditProposals) return;
+    const signed = Boolean(proposalRef.current?.acceptance);
+    if (signed) {
+      const formState = JSON.stringify(buildDraftFromState());
+      if (signedBaselineRef.current === null) signedBaselineRef.current = formState;
+      if (signedBaselineRef.current === formState) return;
+    }
+    const timer = setTimeout(() => {
+      const draft = currentProposalDraft();
+      const save = signed
+        ? saveAsNewProposal(draft)
+        : saveProposal(proposalId, draft)
+            .then((id) => {
+              proposalRef.current = { ...draft, reportId: proposalRef.current?.reportId ?? null };
+              if (id !== proposalId) setProposalId(id);
+            })
+            .catch((err) => {
+              // Signed by the customer since it was loaded
+              if (isProposalLocked(err)) return saveAsNewProposal(draft);
+              throw err;
+            });
+      save.catch((err) => console.warn("Proposal sync failed:", err?.message));
+    }, 600);
+    return () => clearTimeout(timer);
   }, [
+    proposalId,
+    canEditProposals,
     restaurantName,
     address,
+    location,
     proposalDate,
     cleaningFrequency,
+    frequencyRecommendation,
     hoods,
     fans,
     filters,
@@ -333,101 +434,290 @@ export default function App() {
     filterExchangeFrequency,
   ]);
 
-  useEffect(() => {
-    function onStorage(e) {
-      if (e.key !== DRAFT_KEY) return;
-      let incoming = {};
-      try {
-        incoming = e.newValue ? JSON.parse(e.newValue) : {};
-      } catch {
-        incoming = {};
-      }
+  // Load a saved proposal into the pricing form; `pricingOnly` applies just the
+  // pricing (a location's last-used pricing) without opening it as the proposal
+  function applyProposalToState(incoming, { pricingOnly = false } = {}) {
+    if (!incoming) return;
+    if (!pricingOnly) {
+      proposalRef.current = incoming;
+      signedBaselineRef.current = null;
 
       if (incoming.restaurantName !== undefined) setRestaurantName(incoming.restaurantName);
       if (incoming.address !== undefined) setAddress(incoming.address);
       if (incoming.proposalDate !== undefined) setProposalDate(incoming.proposalDate);
-      if (incoming.cleaningFrequency !== undefined)
-        setCleaningFrequency(incoming.cleaningFrequency);
+    }
+    if (incoming.cleaningFrequency !== undefined)
+      setCleaningFrequency(incoming.cleaningFrequency);
+
+    if (incoming.baseRate !== undefined) setBaseRate(incoming.baseRate);
+    if (incoming.additionalItems !== undefined && Array.isArray(incoming.additionalItems)) {
+      const normalized = normalizeAdditionalItems({
+        additionalItems: incoming.additionalItems,
+        cleaningFrequency: incoming.cleaningFrequency,
+      });
+      setAdditionalItems(normalized);
 
-      if (incoming.filters !== undefined)
-        setFilters(Number(incoming.filters) || 0);
+      const hood = normalized.find(
+        (x) => String(x.description || "").trim().toLowerCase() === "additional hood"
+      );
+      const fan = normalized.find(
+        (x) => String(x.description || "").trim().toLowerCase() === "additional fan"
+      );
 
-      if (incoming.baseRate !== undefined) setBaseRate(incoming.baseRate);
-      if (incoming.additionalItems !== undefined && Array.isArray(incoming.additionalItems)) {
-        const normalized = normalizeAdditionalItems({
-          additionalItems: incoming.additionalItems,
-          cleaningFrequency: incoming.cleaningFrequency,
-        });
-        setAdditionalItems(normalized);
-
-        const hood = normalized.find(
-          (x) => String(x.description || "").trim().toLowerCase() === "additional hood"
-        );
-        const fan = normalized.find(
-          (x) => String(x.description || "").trim().toLowerCase() === "additional fan"
-        );
-
-        const addHood = Number(hood?.qty) || 0;
-        const addFan = Number(fan?.qty) || 0;
-        setHoods(1 + addHood);
-        setFans(1 + addFan);
-      } else if (
-        incoming.additionalHoodQty != null ||
-        incoming.additionalFanQty != null ||
-        incoming.additionalHoodRate != null ||
-        incoming.additionalFanRate != null
-      ) {
-        setAdditionalItems(normalizeAdditionalItems(incoming));
-        const addH = Number(incoming.additionalHoodQty) || 0;
-        const addF = Number(incoming.additionalFanQty) || 0;
-        setHoods(1 + addH);
-        setFans(1 + addF);
-      }
+      const addHood = Number(hood?.qty) || 0;
+      const addFan = Number(fan?.qty) || 0;
+      setInventory((inv) => resizeInventory(inv, { hoods: 1 + addHood, fans: 1 + addFan }));
+    } else if (
+      incoming.additionalHoodQty != null ||
+      incoming.additionalFanQty != null ||
+      incoming.additionalHoodRate != null ||
+      incoming.additionalFanRate != null
+    ) {
+      setAdditionalItems(normalizeAdditionalItems(incoming));
+      const addH = Number(incoming.additionalHoodQty) || 0;
+      const addF = Number(incoming.additionalFanQty) || 0;
+      setInventory((inv) => resizeInventory(inv, { hoods: 1 + addH, fans: 1 + addF }));
+    }
 
-      if (incoming.repairs !== undefined && Array.isArray(incoming.repairs)) {
-        setRepairs(incoming.repairs);
-      } else if (
-        incoming.repairDescription !== undefined ||
-        incoming.repairRate !== undefined
-      ) {
-        setRepairs(
-          normalizeRepairs({
-            repairDescription: incoming.repairDescription,
-            repairRate: incoming.repairRate,
-          })
-        );
-      }
+    if (incoming.repairs !== undefined && Array.isArray(incoming.repairs)) {
+      setRepairs(incoming.repairs);
+    } else if (
+      incoming.repairDescription !== undefined ||
+      incoming.repairRate !== undefined
+    ) {
+      setRepairs(
+        normalizeRepairs({
+          repairDescription: incoming.repairDescription,
+          repairRate: incoming.repairRate,
+        })
+      );
+    }
+
+    if (incoming.stdFilterQty !== undefined)
+      setStdFilterQty(incoming.stdFilterQty);
+    if (incoming.stdFilterRate !== undefined)
+      setStdFilterRate(incoming.stdFilterRate);
+    if (incoming.nonStdFilterQty !== undefined)
+      setNonStdFilterQty(incoming.nonStdFilterQty);
+    if (incoming.nonStdFilterRate !== undefined)
+      setNonStdFilterRate(incoming.nonStdFilterRate);
+
+    if (incoming.fuelSurcharge !== undefined)
+      setFuelSurcharge(incoming.fuelSurcharge);
+
+    if (incoming.filterExchangeQty !== undefined)
+      setFilterExchangeQty(incoming.filterExchangeQty);
+    if (incoming.filterExchangeUnitRate !== undefined)
+      setFilterExchangeUnitRate(incoming.filterExchangeUnitRate);
+    if (incoming.filterExchangeFrequency !== undefined)
+      setFilterExchangeFrequency(incoming.filterExchangeFrequency);
+
+    if (incoming.frequencyRecommendation !== undefined)
+      setFrequencyRecommendation(incoming.frequencyRecommendation);
+
+    setPricingTouched(true);
+  }
 
-      if (incoming.stdFilterQty !== undefined)
-        setStdFilterQty(incoming.stdFilterQty);
-      if (incoming.stdFilterRate !== undefined)
-        setStdFilterRate(incoming.stdFilterRate);
-      if (incoming.nonStdFilterQty !== undefined)
-        setNonStdFilterQty(incoming.nonStdFilterQty);
-      if (incoming.nonStdFilterRate !== undefined)
-        setNonStdFilterRate(incoming.nonStdFilterRate);
-
-      if (incoming.fuelSurcharge !== undefined)
-        setFuelSurcharge(incoming.fuelSurcharge);
-
-      if (incoming.filterExchangeQty !== undefined)
-        setFilterExchangeQty(incoming.filterExchangeQty);
-      if (incoming.filterExchangeUnitRate !== undefined)
-        setFilterExchangeUnitRate(incoming.filterExchangeUnitRate);
-      if (incoming.filterExchangeFrequency !== undefined)
-        setFilterExchangeFrequency(incoming.filterExchangeFrequency);
-
-      setPricingTouched(true);
+  // Pre-fill the inspection from a registry location: address, equipment as last
+  // found on site and the pricing of its last proposal
+  function applyLocation(next) {
+    setLocation(next);
+    setRestaurantName(next.customer?.name || next.name || "");
+    setAddress(next.address || "");
+    if (next.cookingVolume) setCookingVolume(next.cookingVolume);
+    if (next.lastPricing && Object.keys(next.lastPricing).length > 0) {
+      applyProposalToState(next.lastPricing, { pricingOnly: true });
     }
+    // Locations saved before the inventory existed only have counts
+    setInventory(
+      next.inventory ? normalizeInventory(next.inventory) : resizeInventory(null, next.equipment)
+    );
+  }
 
-    window.addEventListener("storage", onStorage);
-    return () => window.removeEventListener("storage", onStorage);
+  async function saveLocationAsCustomer() {
+    const created = await createCustomerWithLocation({
+      name: restaurantName.trim(),
+      address: address.trim(),
+      inventory: normalizeInventory(inventory),
+      cookingVolume,
+    });
+    setLocation(created);
+  }
+
+  // Customers sign on their own device, so refresh acceptances when the app regains focus
+  useEffect(() => {
+    let cancelled = false;
+    function loadAcceptances() {
+      listProposals()
+        .then((list) => {
+          if (cancelled) return;
+          const next = {};
+          list.forEach((p) => {
+            if (!p.acceptance) return;
+            next[p.id] = p.acceptance;
+            if (p.reportId) next[`report:${p.reportId}`] = p.acceptance;
+          });
+          setAcceptances(next);
+        })
+        .catch((err) => console.warn("Proposal acceptances load failed:", err?.message));
+    }
+    loadAcceptances();
+    window.addEventListener("focus", loadAcceptances);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("focus", loadAcceptances);
+    };
   }, []);
 
+  function acceptanceFor(h) {
+    const reportId = h.report?.reportId ?? h.reportId;
+    return (
+      (h.proposalId && acceptances[h.proposalId]) ||
+      (reportId && acceptances[`report:${reportId}`]) ||
+      null
+    );
+  }
+
+  // Pick up edits saved from the Proposal Preview tab
+  useEffect(() => {
+    if (!proposalId) return;
+    return onProposalSaved((id) => {
+      if (id !== proposalId) return;
+      getProposal(id)
+        .then(applyProposalToState)
+        .catch((err) => console.warn("Proposal reload failed:", err?.message));
+    });
+  }, [proposalId]);
+
+  // Switch to a history item's proposal: the server copy (linked by reportId)
+  // replaces the local snapshot once it loads
+  function openHistoryProposal(h) {
+    setProposalId(null);
+    proposalRef.current = h.snapshot?.proposalDraft ?? null;
+    const reportId = h.reportId ?? h.report?.reportId;
+    const lookup = h.proposalId
+      ? getProposal(h.proposalId)
+      : reportId
+        ? listProposals({ reportId }).then((list) => list[0] ?? null)
+        : Promise.resolve(null);
+    lookup
+      .then((proposal) => {
+        if (!proposal) return;
+        applyProposalToState(proposal);
+        setProposalId(proposal.id);
+      })
+      .catch((err) => console.warn("Proposal load failed:", err?.message));
+  }
+
+  // Save the current pricing as this inspection's proposal; resolves with its id
+  async function ensureProposal() {
+    // Signed and unchanged: open it as is (edits are forked by the sync effect)
+    if (proposalId && proposalRef.current?.acceptance) return proposalId;
+    // Roles that don't price proposals can only open an existing one
+    if (!canEditProposals) {
+      if (proposalId) return proposalId;
+      const reportId = latestReport?.reportId;
+      const existing = reportId ? (await listProposals({ reportId }))[0] : null;
+      if (!existing) throw new Error("The office hasn't priced a proposal for this inspection yet.");
+      return existing.id;
+    }
+    const draft = currentProposalDraft();
+    if (!draft.reportId && latestReport?.reportId) draft.reportId = latestReport.reportId;
+    const id = await saveProposal(proposalId, draft);
+    proposalRef.current = draft;
+    setProposalId(id);
+    return id;
+  }
+
+  // Open the public share page. Reports saved before share links existed get
+  // their token from the server first (the tab opens now so it isn't popup-blocked).
+  async function openReportShare(report) {
+    const shareUrl = (token) =>
+      `${window.location.origin}/report.html?t=${encodeURIComponent(token)}`;
+    if (report.shareToken) {
+      window.open(shareUrl(report.shareToken), "_blank", "noopener,noreferrer");
+      return;
+    }
+    const tab = window.open("", "_blank");
+    try {
+      const res = await authFetch(`/api/reports/${encodeURIComponent(report.reportId)}`);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok || !body?.report?.shareToken) {
+        throw new Error(body?.error || "Could not create the share link.");
+      }
+      setLatestReport((prev) =>
+        prev?.reportId === report.reportId ? { ...prev, shareToken: body.report.shareToken } : prev
+      );
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = shareUrl(body.report.shareToken);
+      }
+    } catch (err) {
+      tab?.close();
+      throw err;
+    }
+  }
+
+  // Managers lock a finished report so nobody edits it (and unlock it again)
+  async function toggleReportLock(report) {
+    const res = await authFetch(`/api/reports/${encodeURIComponent(report.reportId)}/lock`, {
+      method: report.locked ? "DELETE" : "POST",
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body?.ok) throw new Error(body?.error || "Could not change the lock.");
+    const locked = body.locked || null;
+    setLatestReport((prev) => (prev?.reportId === report.reportId ? { ...prev, locked } : prev));
+    setHistory((prev) =>
+      prev.map((h) =>
+        h.report?.reportId === report.reportId ? { ...h, report: { ...h.report, locked } } : h
+      )
+    );
+    if (locked) setIsReportEditing(false);
+  }
+
+  // Move the report through the approval workflow (submit, approve, send, …)
+  async function runReportTransition(report, action) {
+    const res = await authFetch(`/api/reports/${encodeURIComponent(report.reportId)}/status`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ action }),
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || !body?.ok) throw new Error(body?.error || "Could not update the report status.");
+    const update = { status: body.status, statusHistory: body.statusHistory };
+    setLatestReport((prev) => (prev?.reportId === report.reportId ? { ...prev, ...update } : prev));
+    setHistory((prev) =>
+      prev.map((h) =>
+        h.report?.reportId === report.reportId ? { ...h, report: { ...h.report, ...update } } : h
+      )
+    );
+    if (!["draft", "in_review"].includes(body.status)) {
+      setIsReportEditing(false);
+    }
+  }
+
+  // Show a restored revision's text (GET /api/reports/:id/revisions) in place of the current one
+  function applyRestoredVersion(reportId, version) {
+    const text = { reportText: version.reportText, summary: version.summary };
+    setLatestReport((prev) => (prev?.reportId === reportId ? { ...prev, ...text } : prev));
+    setHistory((prev) =>
+      prev.map((h) =>
+        h.report?.reportId === reportId
+          ? {
+              ...h,
+              restaurantName: version.restaurantName ?? h.restaurantName,
+              address: version.address ?? h.address,
+              report: { ...h.report, ...text },
+            }
+          : h
+      )
+    );
+  }
+
   // Keep history persisted in localStorage (fallback)
   useEffect(() => {
     try {
-      localStorage.setItem("inspectai_history", JSON.stringify(history));
+      localStorage.setItem(companyStorageKey("inspectai_history"), JSON.stringify(history));
     } catch {
       // ignore storage errors
     }
@@ -435,7 +725,7 @@ export default function App() {
 
   // Fetch history from server (30-day retention) on mount
   useEffect(() => {
-    fetch("/api/reports")
+    authFetch("/api/reports")
       .then((r) => r.ok ? r.json() : null)
       .then((body) => {
         if (body?.ok && Array.isArray(body.reports) && body.reports.length > 0) {
@@ -449,14 +739,28 @@ export default function App() {
               hoods: Number(r.hoods) || 0,
               fans: Number(r.fans) || 0,
               filters: Number(r.filters) || 0,
+              inventory: r.inventory || null,
               notes: r.notes || "",
+              cookingVolume: r.cookingVolume || "",
+              reportType: r.reportType || "inspection",
               photoCount: (r.photoAnalysis || []).length,
             },
             report: {
               reportText: r.reportText || r.summary,
               summary: r.summary,
               photos: r.photoAnalysis || [],
+              condition: r.condition || null,
+              frequencyRecommendation: r.frequencyRecommendation || null,
+              reportType: r.reportType || "inspection",
+              serviceCompletion: r.serviceCompletion || null,
+              template: r.template || null,
               reportId: r.id,
+              locationId: r.locationId || null,
+              shareToken: r.shareToken || null,
+              createdBy: r.createdBy || null,
+              locked: r.locked || null,
+              status: r.status || null,
+              statusHistory: r.statusHistory || [],
             },
           }));
           setHistory((prev) => {
@@ -504,12 +808,167 @@ export default function App() {
     }));
   }, [latestReport?.photos, latestReport?.photoAnalysis, thumbUrls]);
 
+  // Latest report split into its template's sections
+  const latestTemplate = reportTemplate(latestReport);
+  const parsedSections = parseReportSections(
+    latestReport?.reportText || latestReport?.summary || "",
+    latestTemplate
+  );
+  const missingReportSections = missingSections(parsedSections, latestTemplate);
+  const reportSections = withNextStepsSection(
+    parsedSections,
+    latestTemplate,
+    latestReport?.frequencyRecommendation
+  );
+
+  // Photos completed so far in the running generate job (in upload order)
+  const progressPhotos = useMemo(
+    () =>
+      (generationProgress?.photoResults ?? [])
+        .filter(Boolean)
+        .map((p) => ({
+          ...p,
+          // Not for HEIC / DNG: most browsers can't show the local file
+          localUrl:
+            !p.publicUrl && !p.conversion && thumbUrls[p.index] ? thumbUrls[p.index] : undefined,
+        })),
+    [generationProgress?.photoResults, thumbUrls]
+  );
+
+  // Apply a streamed job event to the live progress panel
+  function applyJobEvent(event, payload) {
+    if (event === "snapshot") {
+      setGenerationProgress((prev) => ({
+        ...prev,
+        jobId: payload.id,
+        total: payload.totalPhotos ?? prev?.total ?? 0,
+        photoResults: Array.isArray(payload.photoResults) ? payload.photoResults : [],
+        stage: "photos",
+      }));
+    } else if (event === "start") {
+      setGenerationProgress((prev) => ({
+        ...prev,
+        total: payload.totalPhotos ?? prev.total,
+        toAnalyze: payload.photosToAnalyze ?? prev.toAnalyze,
+      }));
+    } else if (event === "photo") {
+      setGenerationProgress((prev) => {
+        const photoResults = [...(prev?.photoResults ?? [])];
+        photoResults[payload.index] = payload;
+        return { ...prev, photoResults };
+      });
+    } else if (event === "summary") {
+      setGenerationProgress((prev) => ({ ...prev, stage: "saving" }));
+    }
+  }
+
+  // Record a finished job on its history item; show it as the latest report when asked
+  function finishJob(jobId, outcome, { showReport = false } = {}) {
+    const data = outcome.status === "completed" ? outcome.result || {} : null;
+    const reportData = data
+      ? {
+          ...data,
+          reportText: data.reportText || data.summary,
+          photos: data.photoAnalysis || [],
+          reportId: data.reportId || null,
+        }
+      : null;
+
+    setHistory((prev) =>
+      prev.map((h) =>
+        h.jobId === jobId
+          ? {
+              ...h,
+              id: reportData?.reportId || h.id,
+              reportId: reportData?.reportId || null,
+              proposalId: data?.proposalId || h.proposalId || null,
+              status: outcome.status,
+              error: outcome.error || undefined,
+              report: reportData,
+            }
+          : h
+      )
+    );
+    if (showReport && reportData) {
+      setLatestReport(reportData);
+      if (data.proposalId) {
+        // A signed proposal is never replaced; the server priced this run as a new one
+        proposalRef.current = {
+          ...(proposalRef.current?.acceptance ? unsignedCopy(proposalRef.current) : proposalRef.current),
+          reportId: reportData.reportId,
+          frequencyRecommendation: reportData.frequencyRecommendation,
+        };
+        setProposalId(data.proposalId);
+      }
+      applyFrequencyRecommendation(reportData.frequencyRecommendation);
+    }
+    return reportData;
+  }
+
+  // Pre-fill the proposal's cleaning frequency from the NFPA 96 recommendation
+  function applyFrequencyRecommendation(rec) {
+    if (!rec?.frequency) return;
+    setFrequencyRecommendation(rec);
+    setCleaningFrequency(rec.frequency);
+  }
+
+  // Follow a job in the foreground: live progress panel + Latest Report on completion
+  async function trackJob(jobId) {
+    setIsGenerating(true);
+    setGenerationProgress((prev) =>
+      prev?.jobId === jobId
+        ? prev
+        : { jobId, total: 0, toAnalyze: 0, photoResults: [], stage: "photos" }
+    );
+    try {
+      const outcome = await followJob(jobId, { onEvent: applyJobEvent });
+      finishJob(jobId, outcome, { showReport: true });
+      if (outcome.status === "failed") setApiError(outcome.error);
+      return outcome;
+    } finally {
+      setIsGenerating(false);
+      setGenerationProgress(null);
+    }
+  }
+
+  // Reattach to jobs that were still in flight when the page was closed/reloaded.
+  // Only on mount (later jobs are tracked by handleGenerate), with the history as loaded
+  const reattachJobsRef = useRef(() => {
+    const pending = history.filter(
+      (h) => h.jobId && PENDING_JOB_STATUSES.includes(h.status)
+    );
+    if (pending.length === 0) return;
+    const [foreground, ...background] = pending;
+    trackJob(foreground.jobId);
+    background.forEach((h) =>
+      followJob(h.jobId).then((outcome) => finishJob(h.jobId, outcome))
+    );
+  });
+  useEffect(() => reattachJobsRef.current(), []);
+
+  async function handleCancelGenerate() {
+    const jobId = generationProgress?.jobId;
+    if (!jobId) return;
+    try {
+      await cancelJob(jobId);
+    } catch (err) {
+      setApiError(err?.message || "Could not cancel the report job.");
+    }
+  }
+
   async function handleGenerate() {
     if (!canGenerate || isGenerating) return;
 
     try {
       setApiError("");
       setIsGenerating(true);
+      setGenerationProgress({
+        jobId: null,
+        total: photos.length,
+        toAnalyze: photos.length,
+        photoResults: [],
+        stage: "photos",
+      });
 
       // Send everything to the backend as multipart/form-data
       // Field name "photos" must match server upload.array("photos", 20)
@@ -519,11 +978,31 @@ export default function App() {
       form.append("hoods", String(hoods));
       form.append("fans", String(fans));
       form.append("filters", String(filters));
+      form.append("inventory", JSON.stringify(normalizeInventory(inventory)));
+      form.append("photoEquipment", JSON.stringify(photos.map((p) => photoEquipment[photoKey(p)] || "")));
+      form.append("reportType", reportType);
+      if (reportType === "service") {
+        const tags = photos.map((p) => {
+          const [phase, pair] = (photoPhases[photoKey(p)] || "").split(":");
+          return { phase: phase || null, pair: Number(pair) || null };
+        });
+        form.append("photoPhases", JSON.stringify(tags));
+      }
       form.append("notes", notes.trim());
+      form.append("cookingVolume", cookingVolume);
+      if (location) form.append("locationId", location.id);
+      // Saved server-side as this report's proposal (linked by reportId) when the role prices proposals
+      const proposalDraft = currentProposalDraft();
+      if (canEditProposals) {
+        form.append("proposal", JSON.stringify(proposalDraft));
+        if (proposalId) form.append("proposalId", proposalId);
+      }
       form.append("analyzeAll", analyzeAllPhotos ? "true" : "false");
+      form.append("keepGps", keepPhotoGps ? "true" : "false");
       photos.forEach((p) => form.append("photos", p));
 
-      const res = await fetch("/api/generate", {
+      // Server queues a background job and answers with its id right away
+      const res = await authFetch("/api/generate", {
         method: "POST",
         body: form,
       });
@@ -539,19 +1018,16 @@ export default function App() {
         }
       }
 
-      const data = await res.json();
-      const reportData = {
-        ...data,
-        reportText: data.reportText || data.summary,
-        photos: data.photoAnalysis || [],
-        reportId: data.reportId || null,
-      };
-      setLatestReport(reportData);
+      const { jobId } = await res.json();
+      setGenerationProgress((prev) => ({ ...prev, jobId }));
 
-      // Save to Recent History (persisted server-side for 30 days when reportId present)
+      // Save to Recent History right away so a reload can reattach to the job
+      // (persisted server-side for 30 days once the report has a reportId)
       const item = {
-        id: data.reportId || crypto.randomUUID(),
-        reportId: data.reportId || null,
+        id: jobId,
+        jobId,
+        status: "running",
+        reportId: null,
         restaurantName: restaurantName.trim(),
         address: address.trim(),
         createdAt: new Date().toISOString(),
@@ -559,26 +1035,30 @@ export default function App() {
           hoods,
           fans,
           filters,
+          inventory: normalizeInventory(inventory),
           notes: notes.trim(),
+          cookingVolume,
+          location,
+          reportType,
           photoCount: photos.length,
           analyzeAllPhotos,
+          keepPhotoGps,
           pricingTouched,
-          proposalDraft: buildDraftFromState(),
-        },
-        report: {
-          ...reportData,
-          reportText: data.reportText || data.summary,
-          photos: data.photoAnalysis || [],
+          proposalDraft,
         },
+        report: null,
       };
 
       setHistory((prev) => [item, ...prev].slice(0, 50));
 
-      alert("Report generated ✅\n(Next: we’ll replace this alert with an in-app preview.)");
+      const outcome = await trackJob(jobId);
+      if (outcome.status === "completed") {
+        alert("Report generated ✅\n(Next: we’ll replace this alert with an in-app preview.)");
+      }
     } catch (err) {
       setApiError(err?.message || "Something went wrong calling /api/generate");
-    } finally {
       setIsGenerating(false);
+      setGenerationProgress(null);
     }
   }
 
@@ -595,16 +1075,50 @@ export default function App() {
             </div>
           </div>
 
-          <button
-            type="button"
-            onClick={() => openProposalPreview(buildDraftFromState())}
-            className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
-          >
-            Proposal Preview ↗
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() =>
+                openProposalPreview(ensureProposal()).catch((err) =>
+                  setApiError(err?.message || "Could not open the proposal.")
+                )
+              }
+              className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+            >
+              Proposal Preview ↗
+            </button>
+            {canOpenSettings && (
+              <button
+                type="button"
+                onClick={() => setIsSettingsOpen(true)}
+                className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+              >
+                Settings
+              </button>
+            )}
+            <div className="hidden sm:block text-right text-xs leading-tight">
+              <div className="text-white/80">{getSession()?.company?.name}</div>
+              <div className="text-white/40">
+                {user?.email}
+                {user?.role && ` · ${ROLE_LABELS[user.role] || user.role}`}
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={signOut}
+              className="text-sm px-3 py-1.5 rounded-lg text-white/60 hover:text-white/90 transition"
+            >
+              Sign out
+            </button>
+          </div>
         </div>
       </header>
 
+      {isSettingsOpen && <Settings onClose={() => setIsSettingsOpen(false)} />}
+      {trendLocationId && (
+        <LocationTrend locationId={trendLocationId} onClose={() => setTrendLocationId(null)} />
+      )}
+
       {/* Main */}
       <main className="mx-auto max-w-6xl px-6 py-8 grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Left */}
@@ -620,16 +1134,22 @@ export default function App() {
               type="button"
               onClick={() => {
                 setRestaurantName("");
+                setLocation(null);
                 setAddress("");
-                setHoods(1);
-                setFans(1);
-                setFilters(0);
+                setInventory(normalizeInventory());
                 setNotes("");
+                setCookingVolume("");
                 setPhotos([]);
+                setPhotoEquipment({});
+                setReportType("inspection");
+                setPhotoPhases({});
                 setLatestReport(null);
                 setApiError("");
                 setIsReportEditing(false);
+                setIsRevisionsOpen(false);
                 setEditedReportText("");
+                setProposalId(null);
+                proposalRef.current = null;
               }}
               className="shrink-0 px-4 py-2.5 rounded-xl border border-white/20 bg-white/5 hover:bg-white/10 text-white font-medium text-sm transition"
             >
@@ -639,49 +1159,38 @@ export default function App() {
 
           <Section step="1" title="Restaurant Details" icon={<Icon src={iconRestaurant} />}>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <Input
-                placeholder="Restaurant name"
+              <LocationPicker
                 value={restaurantName}
-                onChange={(e) => setRestaurantName(e.target.value)}
+                onChange={setRestaurantName}
+                location={location}
+                onSelect={applyLocation}
+                onUnlink={() => setLocation(null)}
+                onShowTrend={() => setTrendLocationId(location.id)}
+                onSaveNew={saveLocationAsCustomer}
+                canSaveNew={Boolean(restaurantName.trim() && address.trim())}
               />
               <Input
                 placeholder="Address"
                 value={address}
                 onChange={(e) => setAddress(e.target.value)}
               />
+              <select
+                value={cookingVolume}
+                onChange={(e) => setCookingVolume(e.target.value)}
+                className="sm:col-span-2 w-full rounded-xl border border-white/10 bg-black/30 px-4 py-3 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/40 [&>option]:bg-gray-900"
+              >
+                <option value="">Cooking operation (sets NFPA 96 cleaning frequency)</option>
+                {COOKING_VOLUME_OPTIONS.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.label}
+                  </option>
+                ))}
+              </select>
             </div>
           </Section>
 
           <Section step="2" title="Equipment Inventory" icon={<Icon src={iconTools} />}>
-            <div className="grid grid-cols-3 gap-4">
-              <div>
-                <div className="text-sm font-medium text-white/80 mb-2">Hoods</div>
-                <Input
-                  type="number"
-                  value={hoods}
-                  min={1}
-                  onChange={(e) => setHoods(Math.max(1, toInt(e.target.value)))}
-                />
-              </div>
-              <div>
-                <div className="text-sm font-medium text-white/80 mb-2">Fans</div>
-                <Input
-                  type="number"
-                  value={fans}
-                  min={1}
-                  onChange={(e) => setFans(Math.max(1, toInt(e.target.value)))}
-                />
-              </div>
-              <div>
-                <div className="text-sm font-medium text-white/80 mb-2">Filters</div>
-                <Input
-                  type="number"
-                  value={filters}
-                  min={0}
-                  onChange={(e) => setFilters(toInt(e.target.value))}
-                />
-              </div>
-            </div>
+            <EquipmentInventory inventory={inventory} onChange={setInventory} />
           </Section>
 
           <Section step="3" title="Inspection Notes" icon={<Icon src={iconNotes} />}>
@@ -696,6 +1205,29 @@ export default function App() {
           </Section>
 
           <Section step="4" title="Photos" icon={<Icon src={iconCamera} />}>
+            <div className="mb-3 flex flex-wrap gap-2" role="group" aria-label="Report type">
+              {REPORT_TYPES.map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => setReportType(type)}
+                  aria-pressed={reportType === type}
+                  className={`text-sm px-3 py-1.5 rounded-lg border transition ${
+                    reportType === type
+                      ? "border-blue-500/60 bg-blue-500/20 text-white"
+                      : "border-white/20 bg-white/5 hover:bg-white/10 text-white/70"
+                  }`}
+                >
+                  {REPORT_TYPE_LABELS[type]}
+                </button>
+              ))}
+            </div>
+            {reportType === "service" && (
+              <p className="mb-3 text-xs text-white/50">
+                Tag each photo Before or After cleaning. A before and an after photo with the same
+                number are shown side by side; after photos are checked for cleaning completeness.
+              </p>
+            )}
             <label
               htmlFor="photo-upload"
               onDragOver={(e) => {
@@ -712,9 +1244,7 @@ export default function App() {
                 e.preventDefault();
                 e.stopPropagation();
                 setIsDragging(false);
-                const files = Array.from(e.dataTransfer.files).filter((f) =>
-                  f.type.startsWith("image/")
-                );
+                const files = Array.from(e.dataTransfer.files).filter(isAcceptedPhoto);
                 if (files.length > 0) {
                   setPhotos((prev) => [...prev, ...files].slice(0, 20));
                 }
@@ -731,18 +1261,18 @@ export default function App() {
                   Click to upload photos
                 </span>
                 <p className="text-xs text-white/50 mt-1">
-                  or drag and drop • up to 20 images
+                  or drag and drop • up to 20 images • HEIC and DNG are converted to JPEG
                 </p>
               </div>
               <input
                 id="photo-upload"
                 type="file"
                 multiple
-                accept="image/*"
+                accept={PHOTO_ACCEPT}
                 className="sr-only"
                 onChange={(e) =>
                   setPhotos((prev) =>
-                    [...prev, ...Array.from(e.target.files || [])].slice(0, 20)
+                    [...prev, ...Array.from(e.target.files || []).filter(isAcceptedPhoto)].slice(0, 20)
                   )
                 }
               />
@@ -753,38 +1283,84 @@ export default function App() {
                 <p className="text-sm font-medium text-white/80 mb-3">
                   {photos.length} photo{photos.length !== 1 ? "s" : ""} selected
                 </p>
-                <div className="grid grid-cols-4 sm:grid-cols-5 gap-2 max-h-48 overflow-y-auto">
+                <div className="grid grid-cols-4 sm:grid-cols-5 gap-2 max-h-60 overflow-y-auto">
                   {photos.map((f, i) => (
-                    <div
-                      key={`${f.name}-${f.lastModified}`}
-                      className="relative group aspect-square rounded-lg overflow-hidden bg-black/40 border border-white/10"
-                    >
-                      <button
-                        type="button"
-                        onClick={() => setLightboxIndex(i)}
-                        className="absolute inset-0 w-full h-full cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500/40 focus:ring-inset rounded-lg"
-                      >
-                        {thumbUrls[i] && (
-                          <img
-                            src={thumbUrls[i]}
-                            alt={f.name}
-                            className="w-full h-full object-cover"
-                          />
-                        )}
-                      </button>
-                      <button
-                        type="button"
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          setPhotos((prev) => prev.filter((_, idx) => idx !== i));
-                          if (lightboxIndex === i) setLightboxIndex(null);
-                          else if (lightboxIndex > i) setLightboxIndex(lightboxIndex - 1);
-                        }}
-                        className="absolute top-1 right-1 w-6 h-6 flex items-center justify-center rounded-full bg-red-500/90 text-white text-xs font-bold opacity-0 group-hover:opacity-100 transition hover:bg-red-500 focus:opacity-100 focus:outline-none focus:ring-2 focus:ring-white"
-                        aria-label={`Remove ${f.name}`}
+                    <div key={photoKey(f)} className="space-y-1">
+                      <div className="relative group aspect-square rounded-lg overflow-hidden bg-black/40 border border-white/10">
+                        <button
+                          type="button"
+                          onClick={() => setLightboxIndex(i)}
+                          className="absolute inset-0 w-full h-full cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500/40 focus:ring-inset rounded-lg"
+                        >
+                          {convertedPhotoFormat(f) ? (
+                            <span className="flex h-full w-full flex-col items-center justify-center gap-1 px-1 text-center">
+                              <span className="text-[11px] font-semibold text-white/80">
+                                {CONVERTED_FORMATS[convertedPhotoFormat(f)].label} → JPEG
+                              </span>
+                              <span className="w-full truncate text-[10px] text-white/40">{f.name}</span>
+                            </span>
+                          ) : (
+                            thumbUrls[i] && (
+                              <img
+                                src={thumbUrls[i]}
+                                alt={f.name}
+                                className="w-full h-full object-cover"
+                              />
+                            )
+                          )}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setPhotos((prev) => prev.filter((_, idx) => idx !== i));
+                            if (lightboxIndex === i) setLightboxIndex(null);
+                            else if (lightboxIndex > i) setLightboxIndex(lightboxIndex - 1);
+                          }}
+                          className="absolute top-1 right-1 w-6 h-6 flex items-center justify-center rounded-full bg-red-500/90 text-white text-xs font-bold opacity-0 group-hover:opacity-100 transition hover:bg-red-500 focus:opacity-100 focus:outline-none focus:ring-2 focus:ring-white"
+                          aria-label={`Remove ${f.name}`}
+                        >
+                          ×
+                        </button>
+                      </div>
+                      <select
+                        value={photoEquipment[photoKey(f)] || ""}
+                        onChange={(e) =>
+                          setPhotoEquipment((prev) => ({ ...prev, [photoKey(f)]: e.target.value }))
+                        }
+                        aria-label={`Equipment shown in ${f.name}`}
+                        className="w-full rounded-md border border-white/10 bg-black/30 px-1 py-0.5 text-[11px] text-white/70 focus:outline-none focus:ring-1 focus:ring-blue-500/40 [&>option]:bg-gray-900"
                       >
-                        ×
-                      </button>
+                        <option value="">Untagged</option>
+                        {inventory.hoods.map((h, n) => (
+                          <option key={h.id} value={h.id}>
+                            Hood {n + 1}
+                          </option>
+                        ))}
+                        {inventory.fans.map((fan, n) => (
+                          <option key={fan.id} value={fan.id}>
+                            Fan {n + 1}
+                          </option>
+                        ))}
+                      </select>
+                      {reportType === "service" && (
+                        <select
+                          value={photoPhases[photoKey(f)] || ""}
+                          onChange={(e) =>
+                            setPhotoPhases((prev) => ({ ...prev, [photoKey(f)]: e.target.value }))
+                          }
+                          aria-label={`Before or after cleaning for ${f.name}`}
+                          className="w-full rounded-md border border-white/10 bg-black/30 px-1 py-0.5 text-[11px] text-white/70 focus:outline-none focus:ring-1 focus:ring-blue-500/40 [&>option]:bg-gray-900"
+                        >
+                          <option value="">Not tagged</option>
+                          {Array.from({ length: Math.ceil(photos.length / 2) }, (_, n) => (
+                            <optgroup key={n} label={`Pair ${n + 1}`}>
+                              <option value={`before:${n + 1}`}>Before #{n + 1}</option>
+                              <option value={`after:${n + 1}`}>After #{n + 1}</option>
+                            </optgroup>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -839,79 +1415,240 @@ export default function App() {
             </label>
           )}
 
-          <button
-            disabled={!canGenerate || isGenerating}
-            onClick={handleGenerate}
-            className={`w-full rounded-2xl py-4 font-semibold transition ${
-              canGenerate && !isGenerating
-                ? "bg-blue-500 hover:bg-blue-400 text-black"
-                : "bg-white/10 text-white/40 cursor-not-allowed"
-            }`}
-          >
-            {isGenerating ? "Generating…" : "Generate Inspection Report"}
-          </button>
+          {photos.length > 0 && (
+            <label className="flex items-start gap-2 text-sm text-white/70 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={keepPhotoGps}
+                onChange={(e) => setKeepPhotoGps(e.target.checked)}
+                className="mt-0.5 rounded border-white/30 bg-black/30 text-blue-500 focus:ring-blue-500/40"
+              />
+              <span>
+                Keep GPS location and camera data in the stored photos
+                <span className="block text-xs text-white/40">
+                  Off: shared photos carry no location. The evidence check uses it either way.
+                </span>
+              </span>
+            </label>
+          )}
+
+          {canCreateReports ? (
+            <button
+              disabled={!canGenerate || isGenerating}
+              onClick={handleGenerate}
+              className={`w-full rounded-2xl py-4 font-semibold transition ${
+                canGenerate && !isGenerating
+                  ? "bg-blue-500 hover:bg-blue-400 text-black"
+                  : "bg-white/10 text-white/40 cursor-not-allowed"
+              }`}
+            >
+              {isGenerating ? "Generating…" : "Generate Inspection Report"}
+            </button>
+          ) : (
+            <div className="rounded-2xl border border-white/10 bg-white/5 py-4 text-center text-sm text-white/50">
+              Technicians and managers generate inspection reports.
+            </div>
+          )}
 
         </div>
 
         {/* Right */}
         <aside className="space-y-5">
+          {generationProgress && (
+            <div className="space-y-4">
+              <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-semibold">Generating Report…</div>
+                  <div className="flex items-center gap-2">
+                    <div className="text-xs text-white/60">
+                      {generationProgress.stage === "saving"
+                        ? "Writing summary"
+                        : `${progressPhotos.length} / ${generationProgress.total} photos`}
+                    </div>
+                    {generationProgress.jobId && (
+                      <button
+                        type="button"
+                        onClick={handleCancelGenerate}
+                        className="text-xs px-2 py-1 rounded-lg border border-white/20 bg-white/5 hover:bg-red-500/20 text-white/80 transition"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="mt-3 h-1.5 w-full rounded-full bg-white/10 overflow-hidden">
+                  <div
+                    className="h-full bg-blue-500 transition-all duration-300"
+                    style={{
+                      width: `${
+                        generationProgress.stage === "saving" || generationProgress.total === 0
+                          ? 100
+                          : Math.round((progressPhotos.length / generationProgress.total) * 100)
+                      }%`,
+                    }}
+                  />
+                </div>
+                {progressPhotos.length > 0 && (
+                  <ul className="mt-3 space-y-1 max-h-48 overflow-y-auto text-xs text-white/70">
+                    {progressPhotos.map((p) => (
+                      <li key={p.index} className="truncate">
+                        <span className="text-white/40">#{p.index + 1}</span>{" "}
+                        {p.conversion?.status === "failed" ? p.filename : p.caption || p.filename}
+                        {p.conversion && (
+                          <span
+                            className={
+                              p.conversion.status === "failed" ? "text-red-300" : "text-white/40"
+                            }
+                          >
+                            {" "}
+                            · {conversionLabel(p.conversion)}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              {progressPhotos.length > 0 && <PhotoGallery photos={progressPhotos} />}
+            </div>
+          )}
+
           {(latestReport?.reportText || latestReport?.summary) && (
             <div className="space-y-4">
               <div className="flex items-center justify-between gap-2">
-                <div className="font-semibold">Latest Report</div>
                 <div className="flex items-center gap-2">
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setIsReportEditing(true);
-                      setEditedReportText(
-                        latestReport.reportText || latestReport.summary || ""
-                      );
-                    }}
-                    className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => {
-                      const reportId = latestReport.reportId;
-                      if (reportId) {
-                        // Use persisted share link (saved for 30 days)
-                        window.open(
-                          `${window.location.origin}/report.html?id=${reportId}`,
-                          "_blank",
-                          "noopener,noreferrer"
-                        );
-                      } else {
-                        // Fallback: embed data in URL hash (legacy)
-                        const payload = {
-                          reportText:
-                            latestReport.reportText || latestReport.summary,
-                          photos: galleryPhotos.map((p) => ({
-                            filename: p.filename,
-                            caption: p.caption || p.analysis,
-                            publicUrl: p.publicUrl || undefined,
-                            localUrl: p.localUrl || undefined,
-                          })),
-                        };
-                        const b64 = btoa(
-                          unescape(encodeURIComponent(JSON.stringify(payload)))
-                        );
-                        window.open(
-                          `${window.location.origin}/report.html#${b64}`,
-                          "_blank",
-                          "noopener,noreferrer"
+                  <div className="font-semibold">
+                    {latestReport.reportType === "service"
+                      ? REPORT_TYPE_LABELS.service
+                      : "Latest Report"}
+                  </div>
+                  <ConditionBadge condition={latestReport.condition} />
+                  <StatusBadge report={latestReport} />
+                  {latestReport.locked && (
+                    <span
+                      className="text-xs px-2 py-0.5 rounded-full border border-white/20 bg-white/10 text-white/70"
+                      title={`Locked by ${latestReport.locked.by || "a manager"}`}
+                    >
+                      🔒 Locked
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  {latestReport.locationId && (
+                    <button
+                      type="button"
+                      onClick={() => setTrendLocationId(latestReport.locationId)}
+                      className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      Over time
+                    </button>
+                  )}
+                  {latestReport.reportId && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setIsRevisionsOpen((open) => !open);
+                        setIsReportEditing(false);
+                      }}
+                      className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      {isRevisionsOpen ? "Hide history" : "History"}
+                    </button>
+                  )}
+                  {!reportEditBlocker(user, latestReport) && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setIsRevisionsOpen(false);
+                        setIsReportEditing(true);
+                        setEditedReportText(
+                          latestReport.reportText || latestReport.summary || ""
                         );
+                      }}
+                      className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {canLockReports && latestReport.reportId && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        toggleReportLock(latestReport).catch((err) =>
+                          setApiError(err?.message || "Could not change the lock.")
+                        )
                       }
-                    }}
-                    className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                      className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      {latestReport.locked ? "Unlock" : "Lock"}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    disabled={!latestReport.reportId || !isShareableStatus(latestReport)}
+                    title={
+                      isShareableStatus(latestReport)
+                        ? undefined
+                        : "Customers can open the report once it's approved"
+                    }
+                    onClick={() =>
+                      openReportShare(latestReport).catch((err) =>
+                        setApiError(err?.message || "Could not create the share link.")
+                      )
+                    }
+                    className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition disabled:opacity-40 disabled:cursor-not-allowed"
                   >
                     Share ↗
                   </button>
+                  {latestReport.shareToken && isShareableStatus(latestReport) && (
+                    <a
+                      href={`/api/share/reports/${encodeURIComponent(latestReport.shareToken)}/pdf`}
+                      className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      PDF ↓
+                    </a>
+                  )}
                 </div>
               </div>
-              {isReportEditing ? (
+              {latestReport.reportId && (
+                <div className="flex flex-wrap items-center gap-2 text-xs text-white/50">
+                  <span>
+                    {isShareableStatus(latestReport)
+                      ? "Approved — ready to share with the customer."
+                      : "Share is available once a manager approves the report."}
+                  </span>
+                  {availableTransitions(user, latestReport).map((t) => (
+                    <button
+                      key={t.action}
+                      type="button"
+                      onClick={() =>
+                        runReportTransition(latestReport, t.action).catch((err) =>
+                          setApiError(err?.message || "Could not update the report status.")
+                        )
+                      }
+                      className="px-2.5 py-1 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+                    >
+                      {t.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {latestReport.condition?.reasons?.length > 0 && (
+                <ul className="rounded-xl border border-white/10 bg-black/20 px-4 py-3 space-y-1 text-xs text-white/70 list-disc list-inside">
+                  {latestReport.condition.reasons.map((reason, i) => (
+                    <li key={i}>{reason}</li>
+                  ))}
+                </ul>
+              )}
+              {isRevisionsOpen && latestReport.reportId && (
+                <ReportRevisions
+                  key={latestReport.reportId}
+                  reportId={latestReport.reportId}
+                  canRestore={!reportEditBlocker(user, latestReport)}
+                  onRestored={(version) => applyRestoredVersion(latestReport.reportId, version)}
+                />
+              )}
+              {isReportEditing && !reportEditBlocker(user, latestReport) ? (
                 <div className="space-y-3">
                   <Textarea
                     value={editedReportText}
@@ -946,10 +1683,10 @@ export default function App() {
                           )
                         );
                         setIsReportEditing(false);
-                        // Persist edit so shared page (report.html?id=...) shows updated content
+                        // Persist edit so shared page (report.html?t=...) shows updated content
                         if (latestReport.reportId) {
                           try {
-                            const r = await fetch(
+                            const r = await authFetch(
                               `/api/reports/${encodeURIComponent(latestReport.reportId)}`,
                               {
                                 method: "PATCH",
@@ -986,15 +1723,25 @@ export default function App() {
                 </div>
               ) : (
                 <div className="space-y-3 max-h-[50vh] overflow-y-auto">
-                  {extractReportSections(
-                    latestReport.reportText || latestReport.summary
-                  ).map((s, i) => (
+                  {missingReportSections.length > 0 && (
+                    <div className="rounded-lg border border-amber-400/30 bg-amber-500/10 px-3 py-2 text-xs text-amber-100/90">
+                      Missing required sections: {missingReportSections.join(", ")}
+                    </div>
+                  )}
+                  {reportSections.map((s, i) => (
                     <ReportCard
                       key={i}
-                      type={s.type}
+                      icon={s.icon}
+                      accent={s.accent}
                       heading={s.heading}
                       content={s.content}
-                    />
+                    >
+                      {s.type === "next-steps" && (
+                        <FrequencyRecommendation
+                          recommendation={latestReport.frequencyRecommendation}
+                        />
+                      )}
+                    </ReportCard>
                   ))}
                 </div>
               )}
@@ -1023,17 +1770,23 @@ export default function App() {
                     className="w-full text-left rounded-xl border border-white/10 bg-black/20 p-3 hover:bg-black/30 transition"
                     onClick={() => {
                       setRestaurantName(h.restaurantName || "");
+                      setLocation(h.snapshot?.location ?? null);
                       setAddress(h.address || "");
-                      setHoods(h.snapshot?.hoods ?? 0);
-                      setFans(h.snapshot?.fans ?? 0);
-                      setFilters(h.snapshot?.filters ?? 0);
+                      setInventory(
+                        h.snapshot?.inventory
+                          ? normalizeInventory(h.snapshot.inventory)
+                          : resizeInventory(null, h.snapshot)
+                      );
                       setNotes(h.snapshot?.notes ?? "");
+                      setCookingVolume(h.snapshot?.cookingVolume ?? "");
+                      setReportType(h.snapshot?.reportType ?? "inspection");
                       // Rehydrate proposal/pricing tab state when present
                       const draft = h.snapshot?.proposalDraft;
                       if (draft) {
                         setProposalDate(draft.proposalDate ?? "");
                         setCleaningFrequency(draft.cleaningFrequency ?? "");
-                        setBaseRate(String(draft.baseRate ?? DEFAULT_RATES.baseRate));
+                        setFrequencyRecommendation(draft.frequencyRecommendation ?? null);
+                        setBaseRate(String(draft.baseRate ?? rates.baseRate));
                         setAdditionalItems(
                           normalizeAdditionalItems({
                             additionalItems: draft.additionalItems,
@@ -1046,24 +1799,26 @@ export default function App() {
                             : [{ description: "", amount: 0 }]
                         );
                         setStdFilterQty(draft.stdFilterQty ?? 0);
-                        setStdFilterRate(String(draft.stdFilterRate ?? DEFAULT_RATES.stdFilterRate));
+                        setStdFilterRate(String(draft.stdFilterRate ?? rates.stdFilterRate));
                         setNonStdFilterQty(draft.nonStdFilterQty ?? 0);
-                        setNonStdFilterRate(String(draft.nonStdFilterRate ?? DEFAULT_RATES.nonStdFilterRate));
-                        setFuelSurcharge(String(draft.fuelSurcharge ?? DEFAULT_RATES.fuelSurcharge));
+                        setNonStdFilterRate(String(draft.nonStdFilterRate ?? rates.nonStdFilterRate));
+                        setFuelSurcharge(String(draft.fuelSurcharge ?? rates.fuelSurcharge));
                         setFilterExchangeQty(draft.filterExchangeQty ?? 0);
                         setFilterExchangeUnitRate(
-                          String(draft.filterExchangeUnitRate ?? DEFAULT_RATES.stdFilterRate)
+                          String(draft.filterExchangeUnitRate ?? rates.stdFilterRate)
                         );
                         setFilterExchangeFrequency(draft.filterExchangeFrequency ?? "");
-                        // keep localStorage draft in sync for Proposal Preview
-                        writeDraft(mergeDraft(readDraft(), draft));
                       }
+                      openHistoryProposal(h);
                       if (typeof h.snapshot?.pricingTouched === "boolean") {
                         setPricingTouched(h.snapshot.pricingTouched);
                       }
                       if (typeof h.snapshot?.analyzeAllPhotos === "boolean") {
                         setAnalyzeAllPhotos(h.snapshot.analyzeAllPhotos);
                       }
+                      if (typeof h.snapshot?.keepPhotoGps === "boolean") {
+                        setKeepPhotoGps(h.snapshot.keepPhotoGps);
+                      }
                       const r = h.report ?? null;
                       setLatestReport(
                         r
@@ -1077,8 +1832,15 @@ export default function App() {
                       );
                     }}
                   >
-                    <div className="font-semibold">
-                      {h.restaurantName || "Untitled"}
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="font-semibold">
+                        {h.restaurantName || "Untitled"}
+                      </div>
+                      <div className="flex shrink-0 items-center gap-1.5">
+                        <AcceptedBadge acceptance={acceptanceFor(h)} />
+                        <StatusBadge report={h.report} />
+                        <ConditionBadge condition={h.report?.condition} />
+                      </div>
                     </div>
                     <div className="text-xs text-white/60">
                       {h.address || ""}
@@ -1087,6 +1849,15 @@ export default function App() {
                       {h.snapshot?.photoCount ?? 0} photos •{" "}
                       {new Date(h.createdAt).toLocaleString()}
                     </div>
+                    {h.status && h.status !== "completed" && (
+                      <div
+                        className={`mt-1 text-xs ${
+                          h.status === "failed" ? "text-red-300/90" : "text-amber-300/90"
+                        }`}
+                      >
+                        {HISTORY_STATUS_LABELS[h.status] || h.status}
+                      </div>
+                    )}
                   </button>
                 ))}
               </div>
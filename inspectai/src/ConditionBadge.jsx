@@ -0,0 +1,22 @@
+// src/ConditionBadge.jsx
+// Condition rating badge (rating computed server-side in scoring.js)
+const CONDITION_STYLES = {
+  Compliant: "border-emerald-400/30 bg-emerald-500/10 text-emerald-300",
+  Monitor: "border-sky-400/30 bg-sky-500/10 text-sky-300",
+  Attention: "border-amber-400/30 bg-amber-500/10 text-amber-300",
+  Critical: "border-red-400/30 bg-red-500/10 text-red-300",
+};
+
+export default function ConditionBadge({ condition, className = "" }) {
+  if (!condition?.rating) return null;
+  const style = CONDITION_STYLES[condition.rating] || CONDITION_STYLES.Monitor;
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 rounded-full border px-2 py-0.5 text-xs font-medium ${style} ${className}`}
+      title={(condition.reasons || []).join("\n")}
+    >
+      <span className="h-1.5 w-1.5 rounded-full bg-current" aria-hidden />
+      {condition.rating}
+    </span>
+  );
+}
@@ -0,0 +1,183 @@
+// src/EquipmentInventory.jsx
+// Equipment Inventory section: one row per hood (length, filters, duct run) and
+// per fan (type, belt, hinge kit). Counts and filter pricing are derived from it
+// (see equipment.js).
+import {
+  FAN_TYPES,
+  FAN_TYPE_LABELS,
+  STANDARD_FILTER_SIZES,
+  inventoryCounts,
+  newFan,
+  newHood,
+} from "./equipment.js";
+
+const inputClass =
+  "w-full rounded-lg border border-white/10 bg-black/30 px-2.5 py-2 text-sm text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500/40";
+const labelClass = "space-y-1 text-xs text-white/60";
+
+function RemoveButton({ label, disabled, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      aria-label={label}
+      className="self-end h-9 w-9 shrink-0 rounded-lg border border-white/10 text-white/50 hover:text-red-300 hover:border-red-400/40 transition disabled:opacity-30 disabled:hover:text-white/50 disabled:hover:border-white/10"
+    >
+      ×
+    </button>
+  );
+}
+
+/**
+ * props:
+ * - inventory: { hoods, fans } (fields may hold raw input strings while typing)
+ * - onChange(inventory)
+ */
+export default function EquipmentInventory({ inventory, onChange }) {
+  const counts = inventoryCounts(inventory);
+
+  const update = (kind, id, field, value) =>
+    onChange({
+      ...inventory,
+      [kind]: inventory[kind].map((item) => (item.id === id ? { ...item, [field]: value } : item)),
+    });
+  const add = (kind, make) => onChange({ ...inventory, [kind]: [...inventory[kind], make()] });
+  const remove = (kind, id) =>
+    onChange({ ...inventory, [kind]: inventory[kind].filter((item) => item.id !== id) });
+
+  return (
+    <div className="space-y-5">
+      <datalist id="standard-filter-sizes">
+        {STANDARD_FILTER_SIZES.map((size) => (
+          <option key={size} value={size} />
+        ))}
+      </datalist>
+
+      <div className="space-y-2">
+        {inventory.hoods.map((hood, i) => (
+          <div key={hood.id} className="flex gap-2 rounded-xl border border-white/10 bg-black/20 p-3">
+            <div className="w-16 shrink-0 self-center text-sm font-medium text-white/80">Hood {i + 1}</div>
+            <div className="grid flex-1 grid-cols-2 sm:grid-cols-4 gap-2">
+              <label className={labelClass}>
+                <span>Length (ft)</span>
+                <input
+                  className={inputClass}
+                  type="number"
+                  min={0}
+                  step="0.5"
+                  value={hood.lengthFt ?? ""}
+                  onChange={(e) => update("hoods", hood.id, "lengthFt", e.target.value)}
+                />
+              </label>
+              <label className={labelClass}>
+                <span>Filters</span>
+                <input
+                  className={inputClass}
+                  type="number"
+                  min={0}
+                  value={hood.filterCount ?? ""}
+                  onChange={(e) => update("hoods", hood.id, "filterCount", e.target.value)}
+                />
+              </label>
+              <label className={labelClass}>
+                <span>Filter size (in)</span>
+                <input
+                  className={inputClass}
+                  list="standard-filter-sizes"
+                  placeholder="20x20"
+                  value={hood.filterSize ?? ""}
+                  onChange={(e) => update("hoods", hood.id, "filterSize", e.target.value)}
+                />
+              </label>
+              <label className={labelClass}>
+                <span>Duct run (ft)</span>
+                <input
+                  className={inputClass}
+                  type="number"
+                  min={0}
+                  step="0.5"
+                  value={hood.ductRunFt ?? ""}
+                  onChange={(e) => update("hoods", hood.id, "ductRunFt", e.target.value)}
+                />
+              </label>
+            </div>
+            <RemoveButton
+              label={`Remove hood ${i + 1}`}
+              disabled={inventory.hoods.length <= 1}
+              onClick={() => remove("hoods", hood.id)}
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => add("hoods", newHood)}
+          className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+        >
+          + Add hood
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {inventory.fans.map((fan, i) => (
+          <div key={fan.id} className="flex gap-2 rounded-xl border border-white/10 bg-black/20 p-3">
+            <div className="w-16 shrink-0 self-center text-sm font-medium text-white/80">Fan {i + 1}</div>
+            <div className="grid flex-1 grid-cols-2 sm:grid-cols-3 gap-2">
+              <label className={labelClass}>
+                <span>Type</span>
+                <select
+                  className={`${inputClass} [&>option]:bg-gray-900`}
+                  value={fan.type}
+                  onChange={(e) => update("fans", fan.id, "type", e.target.value)}
+                >
+                  {FAN_TYPES.map((type) => (
+                    <option key={type} value={type}>
+                      {FAN_TYPE_LABELS[type]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className={labelClass}>
+                <span>Belt size</span>
+                <input
+                  className={inputClass}
+                  placeholder="e.g. A42"
+                  value={fan.beltSize ?? ""}
+                  onChange={(e) => update("fans", fan.id, "beltSize", e.target.value)}
+                />
+              </label>
+              <label className="col-span-2 sm:col-span-1 flex items-center gap-2 self-end pb-2 text-sm text-white/80">
+                <input
+                  type="checkbox"
+                  checked={Boolean(fan.hingeKit)}
+                  onChange={(e) => update("fans", fan.id, "hingeKit", e.target.checked)}
+                  className="h-4 w-4 rounded border-white/20 bg-black/30 text-blue-500 focus:ring-blue-500/40"
+                />
+                Hinge kit
+              </label>
+            </div>
+            <RemoveButton
+              label={`Remove fan ${i + 1}`}
+              disabled={inventory.fans.length <= 1}
+              onClick={() => remove("fans", fan.id)}
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => add("fans", newFan)}
+          className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+        >
+          + Add fan
+        </button>
+      </div>
+
+      <div className="text-sm text-white/60">
+        {counts.hoods} hood{counts.hoods !== 1 ? "s" : ""} · {counts.fans} fan
+        {counts.fans !== 1 ? "s" : ""} · {counts.filters} filter{counts.filters !== 1 ? "s" : ""}
+        {counts.nonStdFilterQty > 0 &&
+          ` (${counts.stdFilterQty} standard, ${counts.nonStdFilterQty} non-standard)`}
+      </div>
+    </div>
+  );
+}
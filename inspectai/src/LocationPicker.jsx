@@ -0,0 +1,185 @@
+// src/LocationPicker.jsx
+// Restaurant name field with autocomplete from the customer registry: picking a
+// location pre-fills the inspection; a new restaurant can be saved as a customer.
+import { useEffect, useState } from "react";
+import { searchLocations } from "./customers.js";
+
+const inputClass =
+  "w-full rounded-xl border border-white/10 bg-black/30 px-4 py-3 text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500/40";
+
+function locationLabel(location) {
+  return [location.customer?.name, location.name].filter(Boolean).join(" — ");
+}
+
+/**
+ * props:
+ * - value / onChange(text): the restaurant name typed in the form
+ * - location: the linked registry location, or null
+ * - onSelect(location): a suggestion was picked
+ * - onUnlink(): stop linking this inspection to `location`
+ * - onShowTrend(): open the linked location's inspections over time
+ * - onSaveNew(): save the typed restaurant as a new customer (resolves when saved)
+ * - canSaveNew: whether the form has enough to save (name and address)
+ */
+export default function LocationPicker({
+  value,
+  onChange,
+  location,
+  onSelect,
+  onUnlink,
+  onShowTrend,
+  onSaveNew,
+  canSaveNew,
+}) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Search as the name is typed (debounced); nothing to suggest once a location is linked
+  useEffect(() => {
+    const q = value.trim();
+    if (location || q.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchLocations(q)
+        .then((list) => {
+          if (cancelled) return;
+          setSuggestions(list);
+          setActiveIndex(-1);
+        })
+        .catch((err) => console.warn("Location search failed:", err?.message));
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, location]);
+
+  function pick(next) {
+    setIsOpen(false);
+    setSuggestions([]);
+    onSelect(next);
+  }
+
+  function handleKeyDown(e) {
+    if (!isOpen || suggestions.length === 0) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      e.preventDefault();
+      pick(suggestions[activeIndex]);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+    }
+  }
+
+  async function handleSaveNew() {
+    setError("");
+    setIsSaving(true);
+    try {
+      await onSaveNew();
+    } catch (err) {
+      setError(err?.message || "Could not save the customer.");
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <div className="relative space-y-2">
+      <input
+        className={inputClass}
+        placeholder="Restaurant name"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={isOpen && suggestions.length > 0}
+        aria-autocomplete="list"
+      />
+
+      {isOpen && suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute left-0 right-0 top-full z-20 mt-1 max-h-72 overflow-y-auto rounded-xl border border-white/10 bg-[#0a1020] py-1 shadow-xl"
+        >
+          {suggestions.map((s, i) => (
+            <li
+              key={s.id}
+              role="option"
+              aria-selected={i === activeIndex}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(s);
+              }}
+              className={`cursor-pointer px-4 py-2 text-sm ${
+                i === activeIndex ? "bg-blue-500/20" : "hover:bg-white/5"
+              }`}
+            >
+              <div className="text-white/90">{locationLabel(s)}</div>
+              <div className="text-xs text-white/50">
+                {s.address} · {s.equipment?.hoods ?? 1} hoods, {s.equipment?.fans ?? 1} fans,{" "}
+                {s.equipment?.filters ?? 0} filters
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {location ? (
+        <div className="flex items-center justify-between gap-2 text-xs text-white/60">
+          <span className="truncate">
+            Customer: <span className="text-white/80">{locationLabel(location)}</span>
+            {location.lastInspectedAt &&
+              ` · last inspected ${new Date(location.lastInspectedAt).toLocaleDateString()}`}
+          </span>
+          <span className="flex shrink-0 gap-3">
+            {location.lastInspectedAt && (
+              <button
+                type="button"
+                onClick={onShowTrend}
+                className="text-blue-300 hover:text-blue-200 transition"
+              >
+                Compare over time
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onUnlink}
+              className="text-white/50 hover:text-white/90 transition"
+            >
+              Unlink
+            </button>
+          </span>
+        </div>
+      ) : (
+        canSaveNew && (
+          <button
+            type="button"
+            onClick={handleSaveNew}
+            disabled={isSaving}
+            className="text-xs text-blue-300 hover:text-blue-200 transition disabled:opacity-50"
+          >
+            {isSaving ? "Saving…" : "Save as new customer"}
+          </button>
+        )
+      )}
+      {error && <div className="text-xs text-red-300">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+// src/LocationTrend.jsx
+// Inspection-over-time view for one location: the condition rating per visit,
+// the worst finding per component and before/after photos of the same equipment.
+import { useEffect, useState } from "react";
+import ConditionBadge from "./ConditionBadge.jsx";
+import { getLocationTrend } from "./customers.js";
+
+const DEPTH_STYLES = {
+  none: "text-emerald-300",
+  light: "text-emerald-200",
+  moderate: "text-sky-300",
+  heavy: "text-amber-300",
+  severe: "text-red-300",
+};
+
+const CHANGE_STYLES = {
+  worse: "text-red-300",
+  better: "text-emerald-300",
+  same: "text-white/50",
+  new: "text-white/50",
+  "not documented": "text-white/40",
+};
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : "—";
+}
+
+function Finding({ finding }) {
+  if (!finding) return <span className="text-white/30">—</span>;
+  return (
+    <span className={DEPTH_STYLES[finding.greaseDepth] || "text-white/70"}>
+      {finding.greaseDepth} · {finding.severity}
+      {finding.codeViolation && " ⚠"}
+    </span>
+  );
+}
+
+function PairPhoto({ photo, label }) {
+  return (
+    <figure className="space-y-1">
+      <img
+        src={photo.url}
+        {...(photo.srcset && { srcSet: photo.srcset, sizes: "(min-width: 768px) 25vw, 50vw" })}
+        alt={photo.caption || label}
+        className="h-36 w-full rounded-lg border border-white/10 object-cover"
+        loading="lazy"
+      />
+      <figcaption className="text-[11px] text-white/50">
+        {label}
+        {photo.greaseDepth && ` · ${photo.greaseDepth} grease`}
+      </figcaption>
+    </figure>
+  );
+}
+
+function Comparison({ comparison }) {
+  const { rating, components, photoPairs } = comparison;
+  return (
+    <div className="space-y-3 rounded-xl border border-white/10 bg-black/20 p-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-semibold text-white/90">
+          {formatDate(comparison.from)} → {formatDate(comparison.to)}
+        </span>
+        <span className="text-white/60">
+          {rating.before} → {rating.after}
+        </span>
+        <span className={CHANGE_STYLES[rating.change]}>({rating.change})</span>
+      </div>
+      {components.length > 0 && (
+        <ul className="space-y-0.5 text-xs">
+          {components.map((c) => (
+            <li key={c.component} className="flex flex-wrap gap-x-2">
+              <span className="w-24 capitalize text-white/70">{c.component}</span>
+              <Finding finding={c.before} />
+              <span className="text-white/30">→</span>
+              <Finding finding={c.after} />
+              <span className={CHANGE_STYLES[c.change]}>{c.change}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {photoPairs.map((pair) => (
+        <div key={pair.key} className="space-y-1">
+          <div className="text-xs font-medium capitalize text-white/70">{pair.label}</div>
+          <div className="grid grid-cols-2 gap-2">
+            <PairPhoto photo={pair.before} label={`Before · ${formatDate(comparison.from)}`} />
+            <PairPhoto photo={pair.after} label={`After · ${formatDate(comparison.to)}`} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * props:
+ * - locationId
+ * - onClose()
+ */
+export default function LocationTrend({ locationId, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    getLocationTrend(locationId)
+      .then((body) => !cancelled && setData(body))
+      .catch((err) => !cancelled && setError(err?.message || "Could not load the inspection history."));
+    return () => {
+      cancelled = true;
+    };
+  }, [locationId]);
+
+  useEffect(() => {
+    const handler = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [onClose]);
+
+  const inspections = data?.trend.inspections || [];
+  const components = [
+    ...new Set(inspections.flatMap((point) => Object.keys(point.components))),
+  ];
+  const title = [data?.location.customer?.name, data?.location.name, data?.location.address]
+    .filter(Boolean)
+    .join(" — ");
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center overflow-y-auto bg-black/80 backdrop-blur-sm px-4 py-10"
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Inspections over time"
+    >
+      <div
+        className="w-full max-w-4xl rounded-2xl border border-white/10 bg-[#0a1020] p-6 space-y-6 text-white"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold">Inspections over time</h2>
+            {title && <p className="text-sm text-white/60">{title}</p>}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-sm px-3 py-1.5 rounded-lg text-white/60 hover:text-white/90 transition"
+          >
+            Close
+          </button>
+        </div>
+
+        {error && <div className="text-sm text-red-300">{error}</div>}
+        {!data && !error && <div className="text-sm text-white/50">Loading…</div>}
+        {data && inspections.length === 0 && (
+          <div className="text-sm text-white/50">No inspections recorded for this location yet.</div>
+        )}
+
+        {inspections.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs">
+              <thead>
+                <tr className="text-white/50">
+                  <th className="py-2 pr-3 font-medium">Visit</th>
+                  {inspections.map((point) => (
+                    <th key={point.reportId} className="py-2 pr-3 font-medium whitespace-nowrap">
+                      {formatDate(point.createdAt)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/5">
+                <tr>
+                  <td className="py-2 pr-3 text-white/70">Condition</td>
+                  {inspections.map((point) => (
+                    <td key={point.reportId} className="py-2 pr-3">
+                      <ConditionBadge condition={{ rating: point.rating, reasons: point.reasons }} />
+                    </td>
+                  ))}
+                </tr>
+                {components.map((component) => (
+                  <tr key={component}>
+                    <td className="py-2 pr-3 capitalize text-white/70">{component}</td>
+                    {inspections.map((point) => (
+                      <td key={point.reportId} className="py-2 pr-3 whitespace-nowrap">
+                        <Finding finding={point.components[component]} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {data?.trend.comparisons.length > 0 && (
+          <div className="space-y-3">
+            <div className="font-semibold">Compared with the previous inspection</div>
+            {[...data.trend.comparisons].reverse().map((comparison) => (
+              <Comparison key={comparison.toReportId} comparison={comparison} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,146 @@
 import { useEffect, useMemo, useState } from "react";
+import {
+  COMPLETENESS_LABELS,
+  photoPairs,
+  photoPhaseLabel,
+  serviceCompletion,
+} from "./serviceReport.js";
+import { CONVERTED_FORMATS, conversionLabel } from "./photoFormats.js";
+
+const SEVERITY_TEXT = {
+  low: "text-emerald-300/90",
+  moderate: "text-amber-300/90",
+  high: "text-orange-300/90",
+  critical: "text-red-300/90",
+};
+
+// src / srcSet for a photo: the server's sizes (thumb, display, vision) when it has them,
+// so the browser picks by how wide the image is drawn (`sizes`)
+function imageSources(p, sizes) {
+  return {
+    src: p.publicUrl || p.localUrl,
+    ...(p.srcset && { srcSet: p.srcset, sizes }),
+  };
+}
+
+// HEIC / DNG photos the server couldn't convert: nothing to show but the reason (and the upload)
+function ConversionFailures({ photos }) {
+  const failed = photos.filter((p) => p?.conversion?.status === "failed");
+  if (failed.length === 0) return null;
+  return (
+    <ul className="mt-4 space-y-1 rounded-xl border border-red-500/20 bg-red-500/10 p-3 text-xs text-red-200">
+      {failed.map((p, i) => (
+        <li key={`${p.filename || "photo"}-${i}`} className="truncate">
+          {p.filename || "Photo"}: {conversionLabel(p.conversion)}
+          {p.originalUrl && (
+            <>
+              {" "}
+              <a href={p.originalUrl} download={p.filename || true} className="underline hover:text-red-100">
+                Download original
+              </a>
+            </>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// One-line summary of a photo's structured findings (component · grease · severity)
+function FindingsLine({ findings }) {
+  if (!findings) return null;
+  return (
+    <div className="text-[11px] text-white/50 truncate">
+      <span className="capitalize">{findings.component}</span> · {findings.greaseDepth} grease ·{" "}
+      <span className={SEVERITY_TEXT[findings.severity] || ""}>{findings.severity}</span>
+      {findings.codeViolation ? " · code issue" : ""}
+    </div>
+  );
+}
+
+const COMPLETENESS_TEXT = {
+  complete: "text-emerald-300/90",
+  partial: "text-amber-300/90",
+  incomplete: "text-red-300/90",
+};
+
+// Cleaning assessment of an "after" photo (completeness · residual grease)
+function CleaningLine({ cleaning }) {
+  if (!cleaning) return null;
+  return (
+    <div className="text-[11px] text-white/50 truncate">
+      <span className={COMPLETENESS_TEXT[cleaning.completeness] || ""}>
+        {COMPLETENESS_LABELS[cleaning.completeness] || cleaning.completeness}
+      </span>{" "}
+      · {cleaning.residualGrease} residual grease
+    </div>
+  );
+}
+
+// Photo evidence the server flagged: taken long before / after the inspection, or away from the site
+function EvidenceLine({ evidence }) {
+  const flags = ["time", "location"]
+    .map((check) => evidence?.checks?.[check])
+    .filter((check) => check?.status === "flagged");
+  if (flags.length === 0) return null;
+  return (
+    <div className="text-[11px] text-amber-300/90 truncate" title={flags.map((f) => f.message).join("\n")}>
+      ⚠ {flags.map((f) => f.message).join(" · ")}
+    </div>
+  );
+}
+
+// Drag the handle to wipe between the before and after photo of the same spot
+function BeforeAfterSlider({ pair }) {
+  const [position, setPosition] = useState(50);
+  const sizes = "(min-width: 640px) 50vw, 100vw";
+  return (
+    <div className="space-y-1.5">
+      <div className="relative aspect-[4/3] overflow-hidden rounded-xl border border-white/10 bg-black select-none">
+        <img
+          {...imageSources(pair.before, sizes)}
+          alt={`Before cleaning, pair ${pair.pair}`}
+          className="absolute inset-0 h-full w-full object-cover"
+          draggable={false}
+        />
+        <img
+          {...imageSources(pair.after, sizes)}
+          alt={`After cleaning, pair ${pair.pair}`}
+          className="absolute inset-0 h-full w-full object-cover"
+          style={{ clipPath: `inset(0 0 0 ${position}%)` }}
+          draggable={false}
+        />
+        <div
+          className="pointer-events-none absolute inset-y-0 w-0.5 bg-white/90 shadow"
+          style={{ left: `${position}%` }}
+        />
+        <span className="absolute left-2 top-2 rounded bg-black/60 px-1.5 py-0.5 text-[11px] text-white/90">
+          Before
+        </span>
+        <span className="absolute right-2 top-2 rounded bg-black/60 px-1.5 py-0.5 text-[11px] text-white/90">
+          After
+        </span>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={position}
+          onChange={(e) => setPosition(Number(e.target.value))}
+          aria-label={`Compare before and after, pair ${pair.pair}`}
+          className="absolute inset-0 h-full w-full cursor-ew-resize opacity-0"
+        />
+      </div>
+      <div className="px-1">
+        <div className="text-xs text-white/80 truncate">
+          Pair {pair.pair}
+          {(pair.after.equipment || pair.before.equipment) &&
+            ` · ${pair.after.equipment || pair.before.equipment}`}
+        </div>
+        <CleaningLine cleaning={pair.after.cleaning} />
+      </div>
+    </div>
+  );
+}
 
 export default function PhotoGallery({ photos = [] }) {
   const usable = (photos || []).filter(
@@ -36,12 +178,39 @@ export default function PhotoGallery({ photos = [] }) {
       <div className="mt-6 text-sm text-white/60">
         No photos available to display. If Firebase isn't configured, stored
         photo URLs may be missing.
+        <ConversionFailures photos={photos || []} />
       </div>
     );
   }
 
+  const pairs = photoPairs(usable);
+  const completion = pairs.length > 0 ? serviceCompletion(photos) : null;
+
   return (
     <div className="mt-6">
+      {pairs.length > 0 && (
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold">Before / After</h3>
+          <p className="text-sm text-white/60 mb-3">
+            {completion?.status ? (
+              <>
+                Cleaning result:{" "}
+                <span className={COMPLETENESS_TEXT[completion.status]}>
+                  {COMPLETENESS_LABELS[completion.status]}
+                </span>{" "}
+                ({completion.complete} of {completion.assessed} after photos clean).{" "}
+              </>
+            ) : null}
+            Drag across a photo to compare.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {pairs.map((pair) => (
+              <BeforeAfterSlider key={pair.pair} pair={pair} />
+            ))}
+          </div>
+        </div>
+      )}
+
       <h3 className="text-lg font-semibold">Attached Photos</h3>
       <p className="text-sm text-white/60 mb-3">Click any photo to expand.</p>
 
@@ -55,20 +224,30 @@ export default function PhotoGallery({ photos = [] }) {
             title="Click to expand"
           >
             <img
-              src={p.publicUrl || p.localUrl}
+              {...imageSources(p, "(min-width: 768px) 33vw, (min-width: 640px) 50vw, 100vw")}
               alt={p.caption || p.filename || `Photo ${i + 1}`}
               className="h-40 w-full object-cover transition-transform duration-200 group-hover:scale-[1.02]"
               loading="lazy"
             />
             <div className="px-3 py-2">
               <div className="text-xs text-white/80 truncate">
+                {p.phase && <span className="text-white/60">{photoPhaseLabel(p)} · </span>}
+                {p.equipment && <span className="text-blue-200">{p.equipment} · </span>}
                 {p.caption || p.filename || `Photo ${i + 1}`}
               </div>
+              <FindingsLine findings={p.findings} />
+              <CleaningLine cleaning={p.cleaning} />
+              <EvidenceLine evidence={p.evidence} />
+              {p.conversion && (
+                <div className="text-[11px] text-white/40">{conversionLabel(p.conversion)}</div>
+              )}
             </div>
           </button>
         ))}
       </div>
 
+      <ConversionFailures photos={photos} />
+
       {open && active ? (
         <div
           className="fixed inset-0 z-50 bg-black/80 backdrop-blur-sm flex items-center justify-center p-4"
@@ -90,10 +269,19 @@ export default function PhotoGallery({ photos = [] }) {
 
             <div className="relative overflow-hidden rounded-2xl border border-white/10 bg-black">
               <img
-                src={active.publicUrl || active.localUrl}
+                {...imageSources(active, "(min-width: 1024px) 1024px, 100vw")}
                 alt={active.caption || active.filename || "Expanded photo"}
                 className="w-full max-h-[80vh] object-contain"
               />
+              {active.originalUrl && (
+                <a
+                  href={active.originalUrl}
+                  download={active.filename || true}
+                  className="absolute bottom-2 right-2 rounded-lg bg-black/70 px-2 py-1 text-xs text-white/80 hover:text-white"
+                >
+                  Download original ({CONVERTED_FORMATS[active.conversion?.from]?.label || "file"})
+                </a>
+              )}
             </div>
 
             <div className="mt-3 flex items-center justify-between text-sm text-white/70">
@@ -107,6 +295,8 @@ export default function PhotoGallery({ photos = [] }) {
 
               <div className="truncate px-3">
                 {idx + 1} / {usable.length}
+                {active.phase ? ` • ${photoPhaseLabel(active)}` : ""}
+                {active.equipment ? ` • ${active.equipment}` : ""}
                 {active.caption
                   ? ` • ${active.caption}`
                   : active.filename
@@ -1,22 +1,42 @@
 // src/ProposalPreview.jsx
 import { useEffect, useMemo, useState } from "react";
+import { useParams } from "react-router-dom";
 import iconInspectAI from "./assets/icon-inspectai.svg";
 import {
-  DRAFT_KEY,
-  DEFAULT_RATES,
   computeTotals,
-  readDraft,
-  writeDraft,
   safeNum,
   applyDefaults,
   normalizeRepairs,
   normalizeAdditionalItems,
+  proposalLineItems,
+  proposalFrequencies,
 } from "./proposalDraft";
-
-// Open preview in a new tab
-export function openProposalPreview(draft) {
-  writeDraft(draft || {});
-  window.open("/proposal-preview", "_blank", "noopener,noreferrer");
+import {
+  getProposal,
+  updateProposal,
+  onProposalSaved,
+  proposalPdfUrl,
+  proposalPreviewPath,
+  proposalShareUrl,
+} from "./proposals";
+import { companyRates, hasPermission } from "./auth";
+
+// Open a saved proposal in a new tab. Takes the id or a promise for it (while
+// the proposal is still being saved) — the tab opens first so it isn't popup-blocked.
+export async function openProposalPreview(proposalIdOrPromise) {
+  const tab = window.open("", "_blank");
+  try {
+    const url = proposalPreviewPath(await proposalIdOrPromise);
+    if (tab) {
+      tab.opener = null;
+      tab.location.href = url;
+    } else {
+      window.open(url, "_blank", "noopener,noreferrer");
+    }
+  } catch (err) {
+    tab?.close();
+    throw err;
+  }
 }
 
 function money(v) {
@@ -32,6 +52,9 @@ function formatDateMMDDYY(d = new Date()) {
   return `${mm}/${dd}/${yy}`;
 }
 
+// Stand-in while the proposal loads (hooks below need a draft)
+const EMPTY_DRAFT = {};
+
 const FREQUENCY_OPTIONS = ["Monthly", "Quarterly", "Semi-annually", "Annually"];
 
 // Theme-matching frequency dropdown
@@ -161,11 +184,12 @@ function BodyCell({ children, className = "" }) {
 }
 
 export default function ProposalPreviewPage() {
-  const [draft, setDraft] = useState(() => {
-    const d = readDraft();
-    return { ...d, proposalDate: d.proposalDate || formatDateMMDDYY() };
-  });
+  const { id: proposalId } = useParams();
+  const [draft, setDraft] = useState(null);
+  const [loadError, setLoadError] = useState("");
 
+  // Pricing is edited by office staff and managers; everyone else sees it read-only
+  const canEdit = hasPermission("proposals:edit");
   const [isEditing, setIsEditing] = useState(false);
   const [editDraft, setEditDraft] = useState(draft);
   const [activeTab, setActiveTab] = useState("config");
@@ -175,27 +199,33 @@ export default function ProposalPreviewPage() {
   }, [draft, isEditing]);
 
   useEffect(() => {
-    function onStorage(e) {
-      if (e.key !== DRAFT_KEY) return;
+    if (!proposalId) return;
+    let cancelled = false;
+    async function load() {
       try {
-        const incoming = e.newValue ? JSON.parse(e.newValue) : {};
-        const inc = applyDefaults(incoming || {});
-        setDraft({
-          ...inc,
-          proposalDate: inc.proposalDate || formatDateMMDDYY(),
-        });
-      } catch {
-        setDraft((prev) => ({
-          ...prev,
-          proposalDate: formatDateMMDDYY(),
-        }));
+        const d = applyDefaults(await getProposal(proposalId), companyRates());
+        if (cancelled) return;
+        setDraft({ ...d, proposalDate: d.proposalDate || formatDateMMDDYY() });
+        setLoadError("");
+      } catch (err) {
+        if (cancelled) return;
+        setLoadError(
+          err?.status === 404 ? "Proposal not found." : err?.message || "Could not load the proposal."
+        );
       }
     }
-    window.addEventListener("storage", onStorage);
-    return () => window.removeEventListener("storage", onStorage);
-  }, []);
+    load();
+    // Pick up pricing changes saved from the app tab
+    const unsubscribe = onProposalSaved((id) => id === proposalId && load());
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [proposalId]);
 
-  const active = isEditing ? editDraft : draft;
+  const active = (isEditing ? editDraft : draft) || EMPTY_DRAFT;
+  // Signed on proposal.html — read-only from here on
+  const acceptance = draft?.acceptance || null;
   const totals = useMemo(() => computeTotals(active), [active]);
 
   function startEdit() {
@@ -203,15 +233,27 @@ export default function ProposalPreviewPage() {
     setIsEditing(true);
   }
   function cancelEdit() {
-    setEditDraft(readDraft());
+    setEditDraft(draft);
     setIsEditing(false);
+    setSaveError("");
   }
-  function saveEdit() {
-    writeDraft(editDraft);
-    setDraft(editDraft);
-    setIsEditing(false);
+  async function saveEdit() {
+    setIsSaving(true);
+    setSaveError("");
+    try {
+      await updateProposal(proposalId, editDraft);
+      setDraft(editDraft);
+      setIsEditing(false);
+    } catch (err) {
+      setSaveError(err?.message || "Could not save the proposal.");
+    } finally {
+      setIsSaving(false);
+    }
   }
 
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+
   const set = (key) => (val) => setEditDraft((p) => ({ ...p, [key]: val }));
 
   const repairs = normalizeRepairs(active);
@@ -241,7 +283,7 @@ export default function ProposalPreviewPage() {
       ...p,
       additionalItems: [
         ...normalizeAdditionalItems(p),
-        { description: "Additional Hood", qty: 0, rate: DEFAULT_RATES.additionalHoodRate, frequency: active.cleaningFrequency ?? "" },
+        { description: "Additional Hood", qty: 0, rate: companyRates().additionalHoodRate, frequency: active.cleaningFrequency ?? "" },
       ],
     }));
   };
@@ -256,19 +298,12 @@ export default function ProposalPreviewPage() {
   const removeAdditionalItem = (idx) => {
     setEditDraft((p) => {
       const list = normalizeAdditionalItems(p).filter((_, i) => i !== idx);
-      return { ...p, additionalItems: list.length ? list : [{ description: "Additional Hood", qty: 0, rate: DEFAULT_RATES.additionalHoodRate, frequency: active.cleaningFrequency ?? "" }] };
+      return { ...p, additionalItems: list.length ? list : [{ description: "Additional Hood", qty: 0, rate: companyRates().additionalHoodRate, frequency: active.cleaningFrequency ?? "" }] };
     });
   };
 
-  const allFrequencies = useMemo(() => {
-    const set = new Set();
-    const add = (f) => f && String(f).trim() && set.add(String(f).trim());
-    add(active.cleaningFrequency);
-    additionalItems.forEach((a) => add(a.frequency));
-    add(active.filterExchangeFrequency);
-    add(active.fuelFrequency || active.cleaningFrequency);
-    return [...set].filter(Boolean).join(" & ") || "—";
-  }, [active, additionalItems]);
+  const allFrequencies = useMemo(() => proposalFrequencies(active), [active]);
+  const lineItems = useMemo(() => proposalLineItems(active, totals), [active, totals]);
 async function copyProposalToClipboard() {
     const escapeHtml = (v) =>
       String(v ?? "")
@@ -533,6 +568,22 @@ async function copyProposalToClipboard() {
     
 }
 
+  if (!draft) {
+    const message = !proposalId
+      ? "No proposal selected. Open Proposal Preview from an inspection in the app."
+      : loadError || "Loading proposal…";
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-[#0a1020] via-[#070b14] to-black text-white flex items-center justify-center px-6">
+        <div className="text-center space-y-3">
+          <p className="text-white/60">{message}</p>
+          <a href="/" className="text-sm text-blue-300 hover:text-blue-200">
+            ← Back to InspectAI
+          </a>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-[#0a1020] via-[#070b14] to-black text-white">
       <header className="border-b border-white/10 bg-black/40 backdrop-blur">
@@ -550,8 +601,31 @@ async function copyProposalToClipboard() {
             </div>
           </div>
 
-          {isEditing && (
+          {!isEditing && draft?.shareToken && (
             <div className="flex items-center gap-2">
+              {!acceptance && (
+                <a
+                  href={proposalShareUrl(draft)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  title="Customer-facing page to review and sign this proposal"
+                  className="text-sm px-3 py-1.5 rounded-lg border border-emerald-400/30 bg-emerald-500/10 hover:bg-emerald-500/20 text-emerald-100 transition"
+                >
+                  Share for signature ↗
+                </a>
+              )}
+              <a
+                href={proposalPdfUrl(draft)}
+                className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition"
+              >
+                Download PDF
+              </a>
+            </div>
+          )}
+
+          {isEditing && canEdit && (
+            <div className="flex items-center gap-2">
+              {saveError && <span className="text-xs text-red-300">{saveError}</span>}
               <button
                 type="button"
                 onClick={cancelEdit}
@@ -562,9 +636,10 @@ async function copyProposalToClipboard() {
               <button
                 type="button"
                 onClick={saveEdit}
-                className="text-sm px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-400 text-black font-semibold transition"
+                disabled={isSaving}
+                className="text-sm px-3 py-1.5 rounded-lg bg-blue-500 hover:bg-blue-400 text-black font-semibold transition disabled:opacity-50"
               >
-                Save
+                {isSaving ? "Saving…" : "Save"}
               </button>
             </div>
           )}
@@ -597,7 +672,7 @@ async function copyProposalToClipboard() {
             Proposal Preview
           </button>
           
-          {activeTab === "config" && !isEditing && (
+          {activeTab === "config" && canEdit && !isEditing && !acceptance && (
             <button
               type="button"
               onClick={startEdit}
@@ -611,6 +686,13 @@ async function copyProposalToClipboard() {
 
       <main className="mx-auto max-w-6xl px-6 py-8">
         <div className="space-y-6">
+          {acceptance && (
+            <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 px-4 py-3 text-sm text-emerald-100">
+              Accepted by <span className="font-semibold">{acceptance.name}</span>
+              {acceptance.signedAt && ` on ${new Date(acceptance.signedAt).toLocaleString()}`}. Signed
+              proposals can no longer be edited.
+            </div>
+          )}
           {activeTab === "config" && (
           <Paper>
             <div className="space-y-6">
@@ -638,7 +720,10 @@ async function copyProposalToClipboard() {
               <Divider />
 
               {/* Cleaning Frequency */}
-              <FieldGroup label="Cleaning Frequency">
+              <FieldGroup
+                label="Cleaning Frequency"
+                helper={active.frequencyRecommendation?.rationale}
+              >
                 {isEditing ? (
                   <FrequencySelect
                     value={active.cleaningFrequency ?? ""}
@@ -992,64 +1077,15 @@ async function copyProposalToClipboard() {
                     </tr>
                   </thead>
                   <tbody>
-                    <tr className="border-b border-white/10">
-                      <td className="px-4 py-3 text-white/85">
-                        Base rate — Initial hood: 1, Initial fan: 1
-                        {active.cleaningFrequency ? ` (${active.cleaningFrequency})` : ""}
-                      </td>
-                      <td className="px-4 py-3 text-right text-white/90 font-medium">{money(active.baseRate)}</td>
-                    </tr>
-                    {additionalItems
-                      .map((item) => ({
-                        item,
-                        lineTotal: (item.qty || 0) * (item.rate || 0),
-                      }))
-                      .filter(({ lineTotal }) => lineTotal > 0)
-                      .map(({ item, lineTotal }, idx) => {
-                        const desc = item.description || "—";
-                        const detail = `${item.qty ?? 0} × ${money(item.rate)}${item.frequency ? ` (${item.frequency})` : ""}`;
-                        return (
-                          <tr key={idx} className="border-b border-white/10">
-                            <td className="px-4 py-3 text-white/85">{desc} — {detail}</td>
-                            <td className="px-4 py-3 text-right text-white/90 font-medium">{money(lineTotal)}</td>
-                          </tr>
-                        );
-                      })}
-                    {safeNum(active.stdFilterQty) * safeNum(active.stdFilterRate) > 0 && (
-                      <tr className="border-b border-white/10">
-                        <td className="px-4 py-3 text-white/85">
-                          Standard Filters — {active.stdFilterQty ?? 0} × {money(active.stdFilterRate)}
-                          {active.filterExchangeFrequency ? ` (${active.filterExchangeFrequency})` : ""}
-                        </td>
-                        <td className="px-4 py-3 text-right text-white/90 font-medium">
-                          {money(safeNum(active.stdFilterQty) * safeNum(active.stdFilterRate))}
-                        </td>
-                      </tr>
-                    )}
-                    {safeNum(active.nonStdFilterQty) * safeNum(active.nonStdFilterRate) > 0 && (
-                      <tr className="border-b border-white/10">
-                        <td className="px-4 py-3 text-white/85">
-                          Non-Standard Filters — {active.nonStdFilterQty ?? 0} × {money(active.nonStdFilterRate)}
-                        </td>
-                        <td className="px-4 py-3 text-right text-white/90 font-medium">
-                          {money(safeNum(active.nonStdFilterQty) * safeNum(active.nonStdFilterRate))}
-                        </td>
-                      </tr>
-                    )}
-                    {repairs.filter((r) => (r.description || r.amount) && Number(r.amount) > 0).map((repair, idx) => (
-                      <tr key={idx} className="border-b border-white/10">
-                        <td className="px-4 py-3 text-white/85">{repair.description || "—"}</td>
-                        <td className="px-4 py-3 text-right text-white/90 font-medium">{money(repair.amount)}</td>
+                    {lineItems.map((line, idx) => (
+                      <tr
+                        key={idx}
+                        className={idx < lineItems.length - 1 ? "border-b border-white/10" : ""}
+                      >
+                        <td className="px-4 py-3 text-white/85">{line.description}</td>
+                        <td className="px-4 py-3 text-right text-white/90 font-medium">{money(line.amount)}</td>
                       </tr>
                     ))}
-                    {totals.fuelSubtotal > 0 && (
-                      <tr>
-                        <td className="px-4 py-3 text-white/85">
-                          Fuel surcharge{active.fuelFrequency || active.cleaningFrequency ? ` (${active.fuelFrequency || active.cleaningFrequency})` : ""}
-                        </td>
-                        <td className="px-4 py-3 text-right text-white/90 font-medium">{money(totals.fuelSubtotal)}</td>
-                      </tr>
-                    )}
                   </tbody>
                 </table>
               </div>
@@ -0,0 +1,183 @@
+// src/ReportRevisions.jsx
+// Edit history for the Latest Report panel: every saved revision, an inline diff
+// against the AI original, and restoring an earlier version.
+import { useEffect, useMemo, useState } from "react";
+import { authFetch } from "./auth.js";
+import { diffWords } from "./textDiff.js";
+
+const FIELD_LABELS = {
+  reportText: "report text",
+  summary: "summary",
+  photoAnalysis: "photo findings",
+  photos: "photos",
+  restaurantName: "restaurant name",
+  address: "address",
+  notes: "notes",
+};
+
+async function request(url, options) {
+  const res = await authFetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) throw new Error(body?.error || `Request failed (${res.status})`);
+  return body;
+}
+
+function revisionsUrl(reportId) {
+  return `/api/reports/${encodeURIComponent(reportId)}/revisions`;
+}
+
+// Report text as of each revision: the original, then each revision's changes on top
+function versionsOf(original, revisions) {
+  const versions = { original: original.reportText || original.summary || "" };
+  let text = versions.original;
+  revisions.forEach((rev) => {
+    text = rev.after?.reportText ?? rev.after?.summary ?? text;
+    versions[rev.id] = text;
+  });
+  return versions;
+}
+
+function describeChanges(rev) {
+  const fields = (rev.changed || [])
+    .filter((key) => !(key === "summary" && rev.changed.includes("reportText")))
+    .filter((key) => !(key === "photos" && rev.changed.includes("photoAnalysis")))
+    .map((key) => FIELD_LABELS[key] || key);
+  return fields.join(", ") || "no changes";
+}
+
+function Diff({ before, after }) {
+  const segments = useMemo(() => diffWords(before, after), [before, after]);
+  if (before === after) {
+    return <div className="text-sm text-white/50">Same text as the AI original.</div>;
+  }
+  return (
+    <div className="max-h-[40vh] overflow-y-auto whitespace-pre-wrap rounded-xl border border-white/10 bg-black/30 p-3 text-sm leading-relaxed text-white/80">
+      {segments.map((seg, i) =>
+        seg.type === "same" ? (
+          <span key={i}>{seg.text}</span>
+        ) : seg.type === "added" ? (
+          <ins key={i} className="no-underline bg-emerald-500/20 text-emerald-100">
+            {seg.text}
+          </ins>
+        ) : (
+          <del key={i} className="bg-red-500/20 text-red-200/80">
+            {seg.text}
+          </del>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * props:
+ * - reportId
+ * - canRestore: whether this user may edit the report (role, owner, lock)
+ * - onRestored(version): called with the restored text fields
+ */
+export default function ReportRevisions({ reportId, canRestore, onRestored }) {
+  const [data, setData] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState("");
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    request(revisionsUrl(reportId))
+      .then((body) => {
+        if (cancelled) return;
+        setData({ original: body.original || {}, revisions: body.revisions || [] });
+        setSelectedId((prev) => prev ?? body.revisions?.at(-1)?.id ?? "original");
+      })
+      .catch((err) => !cancelled && setError(err?.message || "Could not load the edit history."));
+    return () => {
+      cancelled = true;
+    };
+  }, [reportId, reloadKey]);
+
+  const versions = useMemo(
+    () => (data ? versionsOf(data.original, data.revisions) : {}),
+    [data]
+  );
+
+  async function handleRestore() {
+    setError("");
+    setIsRestoring(true);
+    try {
+      const body = await request(
+        `${revisionsUrl(reportId)}/${encodeURIComponent(selectedId)}/restore`,
+        { method: "POST" }
+      );
+      onRestored?.(body.report);
+      setSelectedId(null);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err?.message || "Could not restore this version.");
+    } finally {
+      setIsRestoring(false);
+    }
+  }
+
+  if (error && !data) return <div className="text-sm text-red-300">{error}</div>;
+  if (!data) return <div className="text-sm text-white/50">Loading edit history…</div>;
+
+  const latestId = data.revisions.at(-1)?.id ?? "original";
+  const revisionLabel = (id) => {
+    if (id === "original") return "AI original";
+    const index = data.revisions.findIndex((rev) => rev.id === id);
+    return index >= 0 ? `Revision ${index + 1}` : "an earlier version";
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1.5">
+        {[{ id: "original", createdAt: null }, ...data.revisions].map((rev) => (
+          <button
+            key={rev.id}
+            type="button"
+            onClick={() => setSelectedId(rev.id)}
+            className={`w-full text-left rounded-xl border px-3 py-2 text-xs transition ${
+              selectedId === rev.id
+                ? "border-blue-400/40 bg-blue-500/10"
+                : "border-white/10 bg-black/20 hover:bg-black/30"
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-semibold text-white/90">{revisionLabel(rev.id)}</span>
+              {rev.createdAt && (
+                <span className="text-white/40">{new Date(rev.createdAt).toLocaleString()}</span>
+              )}
+            </div>
+            {rev.id !== "original" && (
+              <div className="text-white/60">
+                {rev.author?.name || "Someone"} changed {describeChanges(rev)}
+                {rev.restoredFrom && ` (restored ${revisionLabel(rev.restoredFrom)})`}
+              </div>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {selectedId && versions[selectedId] !== undefined && (
+        <>
+          <div className="text-xs text-white/50">
+            Changes from the AI original to {revisionLabel(selectedId)}
+          </div>
+          <Diff before={versions.original} after={versions[selectedId]} />
+          {canRestore && selectedId !== latestId && (
+            <button
+              type="button"
+              onClick={handleRestore}
+              disabled={isRestoring}
+              className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition disabled:opacity-50"
+            >
+              {isRestoring ? "Restoring…" : `Restore ${revisionLabel(selectedId)}`}
+            </button>
+          )}
+        </>
+      )}
+      {error && <div className="text-sm text-red-300">{error}</div>}
+    </div>
+  );
+}
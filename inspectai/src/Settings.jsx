@@ -0,0 +1,439 @@
+// src/Settings.jsx
+// Manager settings: the team (add users, change roles), the company's default rates
+// and the report templates (sections of generated reports).
+import { useEffect, useState } from "react";
+import { ROLES, ROLE_LABELS } from "./permissions.js";
+import { companyRates, getSession, hasPermission } from "./auth.js";
+import {
+  listTeam,
+  addTeamMember,
+  setTeamMemberRole,
+  saveCompanyRates,
+  getCompanyTemplates,
+  saveCompanyTemplate,
+  resetCompanyTemplate,
+} from "./team.js";
+import { REPORT_TYPES, REPORT_TYPE_LABELS } from "./serviceReport.js";
+import { MAX_TEMPLATE_SECTIONS, OTHER_SECTION } from "./reportTemplates.js";
+
+const inputClass =
+  "w-full rounded-xl border border-white/10 bg-black/30 px-3 py-2 text-sm text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500/40";
+const selectClass = `${inputClass} [&>option]:bg-gray-900`;
+
+const RATE_FIELDS = [
+  ["baseRate", "Base rate"],
+  ["additionalHoodRate", "Additional hood"],
+  ["additionalFanRate", "Additional fan"],
+  ["stdFilterRate", "Standard filter"],
+  ["nonStdFilterRate", "Non-standard filter"],
+  ["fuelSurcharge", "Fuel surcharge"],
+];
+
+const EMPTY_MEMBER = { name: "", email: "", password: "", role: "technician" };
+
+function TeamSettings() {
+  const [team, setTeam] = useState([]);
+  const [member, setMember] = useState(EMPTY_MEMBER);
+  const [error, setError] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const selfId = getSession()?.user?.id;
+
+  useEffect(() => {
+    listTeam()
+      .then(setTeam)
+      .catch((err) => setError(err?.message || "Could not load the team."));
+  }, []);
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    setError("");
+    setIsSaving(true);
+    try {
+      const user = await addTeamMember(member);
+      setTeam((prev) => [...prev, user]);
+      setMember(EMPTY_MEMBER);
+    } catch (err) {
+      setError(err?.message || "Could not add the user.");
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleRole(userId, role) {
+    setError("");
+    try {
+      const user = await setTeamMemberRole(userId, role);
+      setTeam((prev) => prev.map((u) => (u.id === user.id ? user : u)));
+    } catch (err) {
+      setError(err?.message || "Could not change the role.");
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="font-semibold">Team</div>
+      <div className="space-y-2">
+        {team.map((u) => (
+          <div key={u.id} className="flex items-center justify-between gap-3 rounded-xl border border-white/10 bg-black/20 px-3 py-2">
+            <div className="min-w-0 text-sm">
+              <div className="truncate text-white/90">{u.name || u.email}</div>
+              <div className="truncate text-xs text-white/40">{u.email}</div>
+            </div>
+            <select
+              value={u.role}
+              disabled={u.id === selfId}
+              onChange={(e) => handleRole(u.id, e.target.value)}
+              className={`${selectClass} w-36 shrink-0 disabled:opacity-50`}
+            >
+              {ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input
+          className={inputClass}
+          placeholder="Name"
+          value={member.name}
+          onChange={(e) => setMember((m) => ({ ...m, name: e.target.value }))}
+        />
+        <input
+          className={inputClass}
+          type="email"
+          placeholder="Email"
+          value={member.email}
+          onChange={(e) => setMember((m) => ({ ...m, email: e.target.value }))}
+          required
+        />
+        <input
+          className={inputClass}
+          type="password"
+          placeholder="Temporary password (8+ characters)"
+          value={member.password}
+          onChange={(e) => setMember((m) => ({ ...m, password: e.target.value }))}
+          autoComplete="new-password"
+          minLength={8}
+          required
+        />
+        <select
+          className={selectClass}
+          value={member.role}
+          onChange={(e) => setMember((m) => ({ ...m, role: e.target.value }))}
+        >
+          {ROLES.map((role) => (
+            <option key={role} value={role}>
+              {ROLE_LABELS[role]}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="sm:col-span-2 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-black font-medium text-sm transition disabled:opacity-50"
+        >
+          {isSaving ? "Adding…" : "Add user"}
+        </button>
+      </form>
+      {error && <div className="text-sm text-red-300">{error}</div>}
+    </div>
+  );
+}
+
+function RateSettings() {
+  const [rates, setRates] = useState(() =>
+    Object.fromEntries(Object.entries(companyRates()).map(([k, v]) => [k, String(v)]))
+  );
+  const [status, setStatus] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  async function handleSave(e) {
+    e.preventDefault();
+    setStatus("");
+    setIsSaving(true);
+    try {
+      await saveCompanyRates(rates);
+      setStatus("Saved — new proposals start from these rates.");
+    } catch (err) {
+      setStatus(err?.message || "Could not save the rates.");
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-3">
+      <div className="font-semibold">Default rates</div>
+      <div className="grid grid-cols-2 gap-2">
+        {RATE_FIELDS.map(([key, label]) => (
+          <label key={key} className="text-xs text-white/60 space-y-1">
+            <span>{label}</span>
+            <input
+              className={inputClass}
+              type="number"
+              min={0}
+              step="0.01"
+              value={rates[key] ?? ""}
+              onChange={(e) => setRates((r) => ({ ...r, [key]: e.target.value }))}
+              required
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="w-full px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-black font-medium text-sm transition disabled:opacity-50"
+      >
+        {isSaving ? "Saving…" : "Save rates"}
+      </button>
+      {status && <div className="text-sm text-white/70">{status}</div>}
+    </form>
+  );
+}
+
+// Aliases are edited as one comma-separated string (the server splits it)
+function toEditable(template) {
+  return template.sections.map((s) => ({ ...s, aliases: (s.aliases || []).join(", ") }));
+}
+
+const EMPTY_SECTION = {
+  heading: "",
+  aliases: "",
+  icon: OTHER_SECTION.icon,
+  accent: OTHER_SECTION.accent,
+  required: false,
+  guidance: "",
+};
+
+function TemplateSettings() {
+  const [reportType, setReportType] = useState(REPORT_TYPES[0]);
+  const [templates, setTemplates] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [status, setStatus] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    getCompanyTemplates()
+      .then((loaded) => {
+        setTemplates(loaded);
+        setSections(toEditable(loaded[REPORT_TYPES[0]]));
+      })
+      .catch((err) => setStatus(err?.message || "Could not load the report templates."));
+  }, []);
+
+  function switchType(type) {
+    setReportType(type);
+    setSections(toEditable(templates[type]));
+    setStatus("");
+  }
+
+  const update = (i, field, value) =>
+    setSections((prev) => prev.map((s, n) => (n === i ? { ...s, [field]: value } : s)));
+  const move = (i, by) =>
+    setSections((prev) => {
+      const next = [...prev];
+      [next[i], next[i + by]] = [next[i + by], next[i]];
+      return next;
+    });
+
+  async function run(action, done) {
+    setStatus("");
+    setIsSaving(true);
+    try {
+      const template = await action();
+      setTemplates((prev) => ({ ...prev, [reportType]: template }));
+      setSections(toEditable(template));
+      setStatus(done);
+    } catch (err) {
+      setStatus(err?.message || "Could not save the template.");
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    run(
+      () => saveCompanyTemplate(reportType, { ...templates[reportType], sections }),
+      "Saved — new reports use these sections."
+    );
+  }
+
+  if (!templates) {
+    return (
+      <div className="space-y-3">
+        <div className="font-semibold">Report templates</div>
+        <div className="text-sm text-white/50">{status || "Loading…"}</div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div className="font-semibold">Report templates</div>
+        <select
+          value={reportType}
+          onChange={(e) => switchType(e.target.value)}
+          className={`${selectClass} w-56`}
+        >
+          {REPORT_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {REPORT_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-white/50">
+        The sections the AI writes, in this order. Headings in a report are matched to a section by
+        its heading or any of its other names.
+      </p>
+      <div className="space-y-2">
+        {sections.map((section, i) => (
+          <div key={i} className="space-y-2 rounded-xl border border-white/10 bg-black/20 p-3">
+            <div className="flex items-center gap-2">
+              <input
+                className={`${inputClass} w-14 text-center`}
+                value={section.icon}
+                onChange={(e) => update(i, "icon", e.target.value)}
+                aria-label="Icon"
+              />
+              <input
+                className={inputClass}
+                placeholder="Heading"
+                value={section.heading}
+                onChange={(e) => update(i, "heading", e.target.value)}
+                required
+              />
+              <input
+                type="color"
+                value={section.accent}
+                onChange={(e) => update(i, "accent", e.target.value)}
+                aria-label="Accent colour"
+                className="h-9 w-10 shrink-0 cursor-pointer rounded-lg border border-white/10 bg-black/30"
+              />
+            </div>
+            <input
+              className={inputClass}
+              placeholder="Other names, comma-separated (e.g. Findings, Deficiencies)"
+              value={section.aliases}
+              onChange={(e) => update(i, "aliases", e.target.value)}
+            />
+            <input
+              className={inputClass}
+              placeholder="What this section should contain"
+              value={section.guidance}
+              onChange={(e) => update(i, "guidance", e.target.value)}
+            />
+            <div className="flex items-center justify-between gap-2 text-xs">
+              <label className="flex items-center gap-2 text-white/70">
+                <input
+                  type="checkbox"
+                  checked={section.required}
+                  onChange={(e) => update(i, "required", e.target.checked)}
+                />
+                Required
+              </label>
+              <div className="flex gap-1">
+                <button
+                  type="button"
+                  onClick={() => move(i, -1)}
+                  disabled={i === 0}
+                  className="px-2 py-1 rounded-md border border-white/10 text-white/60 hover:text-white/90 disabled:opacity-30"
+                  aria-label={`Move ${section.heading || "section"} up`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => move(i, 1)}
+                  disabled={i === sections.length - 1}
+                  className="px-2 py-1 rounded-md border border-white/10 text-white/60 hover:text-white/90 disabled:opacity-30"
+                  aria-label={`Move ${section.heading || "section"} down`}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSections((prev) => prev.filter((_, n) => n !== i))}
+                  disabled={sections.length <= 1}
+                  className="px-2 py-1 rounded-md border border-white/10 text-white/60 hover:text-red-300 disabled:opacity-30"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => setSections((prev) => [...prev, { ...EMPTY_SECTION }])}
+        disabled={sections.length >= MAX_TEMPLATE_SECTIONS}
+        className="text-sm px-3 py-1.5 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 transition disabled:opacity-50"
+      >
+        + Add section
+      </button>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex-1 px-4 py-2 rounded-lg bg-blue-500 hover:bg-blue-400 text-black font-medium text-sm transition disabled:opacity-50"
+        >
+          {isSaving ? "Saving…" : "Save template"}
+        </button>
+        <button
+          type="button"
+          disabled={isSaving}
+          onClick={() => run(() => resetCompanyTemplate(reportType), "Restored the built-in template.")}
+          className="px-4 py-2 rounded-lg border border-white/20 bg-white/5 hover:bg-white/10 text-white/90 text-sm transition disabled:opacity-50"
+        >
+          Reset to default
+        </button>
+      </div>
+      {status && <div className="text-sm text-white/70">{status}</div>}
+    </form>
+  );
+}
+
+export default function Settings({ onClose }) {
+  useEffect(() => {
+    const handler = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center overflow-y-auto bg-black/80 backdrop-blur-sm px-4 py-10"
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Settings"
+    >
+      <div
+        className="w-full max-w-xl rounded-2xl border border-white/10 bg-[#0a1020] p-6 space-y-6 text-white"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-bold">Settings</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-sm px-3 py-1.5 rounded-lg text-white/60 hover:text-white/90 transition"
+          >
+            Close
+          </button>
+        </div>
+        {hasPermission("users:manage") && <TeamSettings />}
+        {hasPermission("rates:edit") && <RateSettings />}
+        {hasPermission("templates:edit") && <TemplateSettings />}
+      </div>
+    </div>
+  );
+}
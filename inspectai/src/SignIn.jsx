@@ -0,0 +1,129 @@
+// src/SignIn.jsx
+import { useEffect, useState } from "react";
+import iconInspectAI from "./assets/icon-inspectai.svg";
+import { getSession, onSessionChange, refreshSession, login, register } from "./auth";
+
+const inputClass =
+  "w-full rounded-xl border border-white/10 bg-black/30 px-4 py-3 text-white placeholder:text-white/40 focus:outline-none focus:ring-2 focus:ring-blue-500/40";
+
+function SignInForm() {
+  const [mode, setMode] = useState("login");
+  const [companyName, setCompanyName] = useState("");
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isRegister = mode === "register";
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+    try {
+      if (isRegister) await register({ companyName, name, email, password });
+      else await login({ email, password });
+    } catch (err) {
+      setError(err?.message || "Could not sign in.");
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-[#0a1020] via-[#070b14] to-black text-white flex items-center justify-center px-6">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm rounded-2xl border border-white/10 bg-white/5 p-6 space-y-4"
+      >
+        <div className="flex items-center gap-3">
+          <img src={iconInspectAI} alt="" className="h-8 w-8 object-contain" aria-hidden />
+          <div>
+            <h1 className="text-xl font-bold">InspectAI</h1>
+            <p className="text-xs text-white/50">
+              {isRegister ? "Create your company account" : "Sign in to your company account"}
+            </p>
+          </div>
+        </div>
+
+        {isRegister && (
+          <>
+            <input
+              className={inputClass}
+              placeholder="Company name"
+              value={companyName}
+              onChange={(e) => setCompanyName(e.target.value)}
+              autoComplete="organization"
+              required
+            />
+            <input
+              className={inputClass}
+              placeholder="Your name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="name"
+            />
+          </>
+        )}
+        <input
+          className={inputClass}
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="email"
+          required
+        />
+        <input
+          className={inputClass}
+          type="password"
+          placeholder={isRegister ? "Password (8+ characters)" : "Password"}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete={isRegister ? "new-password" : "current-password"}
+          minLength={isRegister ? 8 : undefined}
+          required
+        />
+
+        {error && <div className="text-sm text-red-300">{error}</div>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full rounded-xl bg-blue-500 hover:bg-blue-400 px-4 py-3 font-semibold text-black transition disabled:opacity-50"
+        >
+          {isSubmitting ? "Please wait…" : isRegister ? "Create account" : "Sign in"}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setMode(isRegister ? "login" : "register");
+            setError("");
+          }}
+          className="w-full text-sm text-white/60 hover:text-white/90 transition"
+        >
+          {isRegister ? "Already have an account? Sign in" : "New company? Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Renders children only while signed in, otherwise the sign-in form. Keyed by
+ * company and role so switching accounts (or a role change picked up on load)
+ * starts the app from a clean state.
+ */
+export default function RequireSession({ children }) {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => onSessionChange(() => setSession(getSession())), []);
+
+  useEffect(() => {
+    refreshSession().catch((err) => console.warn("Session refresh failed:", err?.message));
+  }, []);
+
+  if (!session) return <SignInForm />;
+  return (
+    <div key={`${session.company?.id || session.user?.id}:${session.user?.role}`}>{children}</div>
+  );
+}
@@ -0,0 +1,100 @@
+// src/auth.js
+// Signed-in session (token + user + company) kept in localStorage so every tab
+// (app, Proposal Preview) shares it. All /api calls go through authFetch.
+import { can } from "./permissions.js";
+import { DEFAULT_RATES } from "./proposalMath.js";
+
+const SESSION_KEY = "inspectai_session";
+const SESSION_EVENT = "inspectai:session";
+
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    return session?.token ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+function setSession(session) {
+  try {
+    if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  window.dispatchEvent(new Event(SESSION_EVENT));
+}
+
+export function signOut() {
+  setSession(null);
+}
+
+/** callback() when this or another tab signs in or out. Returns an unsubscribe fn. */
+export function onSessionChange(callback) {
+  const onStorage = (e) => e.key === SESSION_KEY && callback();
+  window.addEventListener(SESSION_EVENT, callback);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(SESSION_EVENT, callback);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/** Whether the signed-in user's role allows `permission` (see permissions.js). */
+export function hasPermission(permission) {
+  return can(getSession()?.user?.role, permission);
+}
+
+/** The company's default rates for new proposals (set by managers). */
+export function companyRates() {
+  return { ...DEFAULT_RATES, ...(getSession()?.company?.rates || {}) };
+}
+
+/** Per-company localStorage key, so accounts sharing a browser don't see each other's data. */
+export function companyStorageKey(key) {
+  const companyId = getSession()?.company?.id;
+  return companyId ? `${key}:${companyId}` : key;
+}
+
+/** fetch() with the session token; a 401 ends the session (back to sign-in). */
+export async function authFetch(url, options = {}) {
+  const token = getSession()?.token;
+  const headers = new Headers(options.headers || {});
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401 && token) signOut();
+  return res;
+}
+
+async function authRequest(path, payload) {
+  const res = await fetch(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) throw new Error(body?.error || `Request failed (${res.status})`);
+  setSession({ token: body.token, user: body.user, company: body.company });
+  return body;
+}
+
+export function login({ email, password }) {
+  return authRequest("/api/auth/login", { email, password });
+}
+
+export function register({ companyName, name, email, password }) {
+  return authRequest("/api/auth/register", { companyName, name, email, password });
+}
+
+/** Re-read the user and company from the server (a manager may have changed the role or rates). */
+export async function refreshSession() {
+  const session = getSession();
+  if (!session) return null;
+  const res = await authFetch("/api/auth/me");
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) return getSession();
+  const next = { ...session, user: body.user, company: body.company };
+  setSession(next);
+  return next;
+}
@@ -0,0 +1,51 @@
+// src/customers.js
+// Client for the customer / location registry (/api/customers, /api/locations).
+import { authFetch } from "./auth.js";
+
+async function request(url, options) {
+  const res = await authFetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) {
+    throw new Error(body?.error || `Request failed (${res.status})`);
+  }
+  return body;
+}
+
+function withJson(method, payload) {
+  return {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  };
+}
+
+/** Locations matching `q` (customer name, location name or address), each with `customer: { id, name }`. */
+export async function searchLocations(q, { limit = 8 } = {}) {
+  const params = new URLSearchParams({ q, limit: String(limit) });
+  const body = await request(`/api/locations?${params}`);
+  return Array.isArray(body.locations) ? body.locations : [];
+}
+
+export async function createCustomer(customer) {
+  const body = await request("/api/customers", withJson("POST", customer));
+  return body.customer;
+}
+
+/** Add a location ({ customerId, name, address, equipment, cookingVolume }); resolves with it. */
+export async function createLocation(location) {
+  const body = await request("/api/locations", withJson("POST", location));
+  return body.location;
+}
+
+/** Save a new customer and its first location in one step. */
+export async function createCustomerWithLocation({ name, ...location }) {
+  const customer = await createCustomer({ name });
+  const created = await createLocation({ ...location, customerId: customer.id });
+  return { ...created, customer: { id: customer.id, name: customer.name } };
+}
+
+/** The location's inspections over time ({ inspections, comparisons }, see server/trend.js). */
+export async function getLocationTrend(locationId) {
+  const body = await request(`/api/locations/${encodeURIComponent(locationId)}/trend`);
+  return { location: body.location, trend: body.trend };
+}
@@ -0,0 +1,197 @@
+// src/equipment.js
+/**
+ * Per-location equipment inventory, shared by the app (Equipment Inventory
+ * section, photo tags) and the server (report + location records). Keep it
+ * free of browser APIs.
+ *
+ *   { hoods: [{ id, lengthFt, filterCount, filterSize, ductRunFt }],
+ *     fans:  [{ id, type, beltSize, hingeKit }] }
+ *
+ * The hood / fan / filter counts, the proposal's Additional Hood / Fan rows and
+ * its standard / non-standard filter quantities are all derived from it.
+ */
+import { normalizeAdditionalItems } from "./proposalMath.js";
+
+export const FAN_TYPES = ["upblast", "utility", "inline", "wall"];
+
+export const FAN_TYPE_LABELS = {
+  upblast: "Upblast",
+  utility: "Utility set",
+  inline: "Inline",
+  wall: "Wall",
+};
+
+// Stock grease filter sizes (inches); anything else is priced as non-standard
+export const STANDARD_FILTER_SIZES = ["16x16", "16x20", "16x25", "20x20", "20x25"];
+
+function newId(prefix) {
+  return `${prefix}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function count(value) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function measure(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 10) / 10 : null;
+}
+
+/** "20 x 16", "20X16in" → "16x20" (smaller side first) so sizes compare equal. */
+export function normalizeFilterSize(size) {
+  const sides = String(size ?? "").match(/\d+(\.\d+)?/g);
+  if (!sides || sides.length < 2) return String(size ?? "").trim();
+  const [a, b] = sides.slice(0, 2).map(Number).sort((x, y) => x - y);
+  return `${a}x${b}`;
+}
+
+export function isStandardFilterSize(size) {
+  return STANDARD_FILTER_SIZES.includes(normalizeFilterSize(size));
+}
+
+export function newHood(fields = {}) {
+  return {
+    id: newId("hood"),
+    lengthFt: measure(fields.lengthFt),
+    filterCount: count(fields.filterCount),
+    filterSize: normalizeFilterSize(fields.filterSize) || STANDARD_FILTER_SIZES[3],
+    ductRunFt: measure(fields.ductRunFt),
+  };
+}
+
+export function newFan(fields = {}) {
+  return {
+    id: newId("fan"),
+    type: FAN_TYPES.includes(fields.type) ? fields.type : FAN_TYPES[0],
+    beltSize: String(fields.beltSize ?? "").trim().slice(0, 40),
+    hingeKit: Boolean(fields.hingeKit),
+  };
+}
+
+/**
+ * Clean up an inventory from the client or storage. Base service covers one
+ * hood and one fan, so there is always at least one of each.
+ */
+export function normalizeInventory(raw) {
+  const keepId = (record, fresh) => ({
+    ...fresh,
+    id: typeof record?.id === "string" && record.id ? record.id.slice(0, 40) : fresh.id,
+  });
+  const hoods = (Array.isArray(raw?.hoods) ? raw.hoods : [])
+    .filter((h) => h && typeof h === "object")
+    .slice(0, 50)
+    .map((h) => keepId(h, newHood(h)));
+  const fans = (Array.isArray(raw?.fans) ? raw.fans : [])
+    .filter((f) => f && typeof f === "object")
+    .slice(0, 50)
+    .map((f) => keepId(f, newFan(f)));
+  return {
+    hoods: hoods.length > 0 ? hoods : [newHood()],
+    fans: fans.length > 0 ? fans : [newFan()],
+  };
+}
+
+/** Counts the form, report and proposal use. */
+export function inventoryCounts(inventory) {
+  const hoods = inventory?.hoods || [];
+  let stdFilterQty = 0;
+  let nonStdFilterQty = 0;
+  hoods.forEach((h) => {
+    // A blank size (still being typed) counts as standard, like a new hood's default
+    const standard = !String(h.filterSize ?? "").trim() || isStandardFilterSize(h.filterSize);
+    if (standard) stdFilterQty += count(h.filterCount);
+    else nonStdFilterQty += count(h.filterCount);
+  });
+  return {
+    hoods: Math.max(hoods.length, 1),
+    fans: Math.max(inventory?.fans?.length || 0, 1),
+    filters: stdFilterQty + nonStdFilterQty,
+    stdFilterQty,
+    nonStdFilterQty,
+  };
+}
+
+/**
+ * Resize an inventory to match plain counts (reports and locations saved before
+ * the inventory existed, or a proposal's Additional Hood / Fan rows). Existing
+ * records are kept; the filter count goes on the first hood when it changes.
+ */
+export function resizeInventory(inventory, { hoods, fans, filters } = {}) {
+  const current = normalizeInventory(inventory);
+  const resize = (list, n, make) => {
+    const want = Math.max(1, count(n) || list.length);
+    return list.length >= want
+      ? list.slice(0, want)
+      : [...list, ...Array.from({ length: want - list.length }, () => make())];
+  };
+  const next = {
+    hoods: resize(current.hoods, hoods, newHood),
+    fans: resize(current.fans, fans, newFan),
+  };
+  if (filters !== undefined && count(filters) !== inventoryCounts(next).filters) {
+    next.hoods = next.hoods.map((h, i) => ({ ...h, filterCount: i === 0 ? count(filters) : 0 }));
+  }
+  return next;
+}
+
+/** Proposal quantities derived from the inventory (base rate includes one hood and one fan). */
+export function inventoryProposalQuantities(inventory) {
+  const counts = inventoryCounts(inventory);
+  return {
+    additionalHoodQty: counts.hoods - 1,
+    additionalFanQty: counts.fans - 1,
+    stdFilterQty: counts.stdFilterQty,
+    nonStdFilterQty: counts.nonStdFilterQty,
+  };
+}
+
+/** `draft` (a proposal) with its hood / fan / filter quantities taken from the inventory. */
+export function applyInventoryToDraft(draft, inventory) {
+  const quantities = inventoryProposalQuantities(inventory);
+  const qtyFor = {
+    "additional hood": quantities.additionalHoodQty,
+    "additional fan": quantities.additionalFanQty,
+  };
+  const additionalItems = normalizeAdditionalItems(draft).map((item) => {
+    const key = String(item.description || "").trim().toLowerCase();
+    return key in qtyFor ? { ...item, qty: qtyFor[key] } : item;
+  });
+  return {
+    ...draft,
+    additionalItems,
+    filters: quantities.stdFilterQty + quantities.nonStdFilterQty,
+    stdFilterQty: quantities.stdFilterQty,
+    nonStdFilterQty: quantities.nonStdFilterQty,
+  };
+}
+
+/** "Hood 2" / "Fan 1" for an equipment id (photo tags), or "" if it's not in the inventory. */
+export function equipmentLabel(inventory, id) {
+  const hood = (inventory?.hoods || []).findIndex((h) => h.id === id);
+  if (hood >= 0) return `Hood ${hood + 1}`;
+  const fan = (inventory?.fans || []).findIndex((f) => f.id === id);
+  if (fan >= 0) return `Fan ${fan + 1}`;
+  return "";
+}
+
+/** One line per hood / fan ("Hood 1: 8 ft, 6 × 16x20 filters, 12 ft duct run") for reports. */
+export function describeInventory(inventory) {
+  const hoods = (inventory?.hoods || []).map((h, i) => {
+    const parts = [
+      h.lengthFt ? `${h.lengthFt} ft` : "",
+      count(h.filterCount) ? `${count(h.filterCount)} × ${h.filterSize || "?"} filters` : "no filters",
+      h.ductRunFt ? `${h.ductRunFt} ft duct run` : "",
+    ];
+    return `Hood ${i + 1}: ${parts.filter(Boolean).join(", ")}`;
+  });
+  const fans = (inventory?.fans || []).map((f, i) => {
+    const parts = [
+      FAN_TYPE_LABELS[f.type] || f.type,
+      f.beltSize ? `belt ${f.beltSize}` : "",
+      f.hingeKit ? "hinge kit" : "no hinge kit",
+    ];
+    return `Fan ${i + 1}: ${parts.filter(Boolean).join(", ")}`;
+  });
+  return [...hoods, ...fans];
+}
@@ -0,0 +1,42 @@
+// src/eventStream.js
+
+/**
+ * Read a Server-Sent Events response body (from fetch) and call
+ * onEvent(event, data) for each message. `data` is JSON-parsed when possible.
+ * Resolves when the stream ends.
+ */
+export async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    const dataLines = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (dataLines.length === 0) return;
+    const raw = dataLines.join("\n");
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // keep raw text
+    }
+    onEvent(event, data);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) >= 0) {
+      dispatch(buffer.slice(0, sep));
+      buffer = buffer.slice(sep + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
@@ -0,0 +1,57 @@
+// src/jobs.js
+import { readEventStream } from "./eventStream.js";
+import { authFetch } from "./auth.js";
+
+export const PENDING_JOB_STATUSES = ["queued", "running"];
+
+/**
+ * Follow a report-generation job until it finishes, reconnecting to the
+ * /api/jobs/:id/events stream if the connection drops (the job keeps running
+ * on the server). onEvent(event, data) receives every streamed event,
+ * including the initial "snapshot" of the job.
+ *
+ * Resolves with { status: "completed", result } | { status: "failed", error }
+ * | { status: "cancelled" }. Only network drops and server errors are retried.
+ */
+export async function followJob(jobId, { onEvent = () => {}, maxReconnects = 30 } = {}) {
+  const url = `/api/jobs/${encodeURIComponent(jobId)}/events`;
+
+  for (let attempt = 0; attempt <= maxReconnects; attempt++) {
+    let outcome = null;
+    try {
+      const res = await authFetch(url);
+      if (res.status === 404) {
+        return { status: "failed", error: "Report job not found (it may have expired)." };
+      }
+      // Any other client error (4xx): reconnecting won't change it
+      if (res.status >= 400 && res.status < 500) {
+        const body = await res.json().catch(() => ({}));
+        return { status: "failed", error: body?.error || `Couldn't follow the report job (${res.status}).` };
+      }
+      if (res.ok) {
+        await readEventStream(res, (event, data) => {
+          onEvent(event, data);
+          if (event === "done") outcome = { status: "completed", result: data };
+          else if (event === "error")
+            outcome = { status: "failed", error: data?.error || "Report generation failed" };
+          else if (event === "cancelled") outcome = { status: "cancelled" };
+        });
+      }
+    } catch {
+      // network drop — retry below
+    }
+    if (outcome) return outcome;
+    await new Promise((r) => setTimeout(r, 2000));
+  }
+
+  return { status: "failed", error: "Lost connection to the report job." };
+}
+
+export async function cancelJob(jobId) {
+  const res = await authFetch(`/api/jobs/${encodeURIComponent(jobId)}`, {
+    method: "DELETE",
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body?.error || `Cancel failed (${res.status})`);
+  return body.job;
+}
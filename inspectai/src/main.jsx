@@ -3,15 +3,19 @@ import ReactDOM from "react-dom/client";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import App from "./App.jsx";
 import ProposalPreviewPage from "./ProposalPreview.jsx";
+import RequireSession from "./SignIn.jsx";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/proposal-preview" element={<ProposalPreviewPage />} />
-      </Routes>
+      <RequireSession>
+        <Routes>
+          <Route path="/" element={<App />} />
+          <Route path="/proposal-preview" element={<ProposalPreviewPage />} />
+          <Route path="/proposal-preview/:id" element={<ProposalPreviewPage />} />
+        </Routes>
+      </RequireSession>
     </BrowserRouter>
   </React.StrictMode>
 );
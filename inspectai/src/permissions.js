@@ -0,0 +1,79 @@
+// src/permissions.js
+/**
+ * What each role may do. Shared by the app (to hide controls) and the server
+ * (server/auth.js enforces it), so both always agree. Keep it free of browser APIs.
+ *
+ * - technician: creates inspections and edits their own unlocked reports
+ * - office: edits proposal pricing (Proposal Preview)
+ * - manager: everything, plus approving and locking reports, default rates, report
+ *   templates, the team and viewing the prompt library
+ *
+ * Anyone on the team may add and update customers and locations; only managers delete them.
+ */
+import { REPORT_TRANSITIONS, STATUS_LABELS, isEditableStatus, reportStatus } from "./reportStatus.js";
+
+export const ROLES = ["technician", "office", "manager"];
+
+export const ROLE_LABELS = {
+  technician: "Technician",
+  office: "Office staff",
+  manager: "Manager",
+};
+
+const PERMISSIONS = {
+  "reports:create": ["technician", "manager"],
+  "reports:edit": ["technician", "manager"],
+  "reports:lock": ["manager"],
+  "reports:approve": ["manager"],
+  "reports:send": ["office", "manager"],
+  "proposals:edit": ["office", "manager"],
+  "customers:delete": ["manager"],
+  "rates:edit": ["manager"],
+  "templates:edit": ["manager"],
+  "prompts:view": ["manager"],
+  "users:manage": ["manager"],
+};
+
+export function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Why `user` ({ id, role }) may not edit `report`, or null if they may.
+ * Locked reports are read-only for everyone until a manager unlocks them, and
+ * approved reports until they are reopened.
+ */
+export function reportEditBlocker(user, report) {
+  if (report?.locked) return "This report is locked by a manager.";
+  if (!isEditableStatus(report)) {
+    return `This report is ${STATUS_LABELS[reportStatus(report)].toLowerCase()} — reopen it to edit.`;
+  }
+  if (!can(user?.role, "reports:edit")) return "Your role can't edit reports.";
+  if (user.role === "technician" && report?.createdBy !== user.id) {
+    return "Technicians can only edit their own reports.";
+  }
+  return null;
+}
+
+/**
+ * Why `user` may not run workflow `action` (see reportStatus.js) on `report`,
+ * or null if they may. Technicians can only submit their own reports.
+ */
+export function transitionBlocker(user, report, action) {
+  const transition = REPORT_TRANSITIONS.find((t) => t.action === action);
+  if (!transition) return "Unknown action.";
+  const status = reportStatus(report);
+  if (!transition.from.includes(status)) {
+    return `Not allowed while the report is ${STATUS_LABELS[status].toLowerCase()}.`;
+  }
+  if (!can(user?.role, transition.permission)) return "Your role can't do this.";
+  if (user.role === "technician" && report?.createdBy !== user.id) {
+    return "Technicians can only submit their own reports.";
+  }
+  return null;
+}
+
+/** Workflow transitions `user` may run on `report` right now (for the action buttons). */
+export function availableTransitions(user, report) {
+  return REPORT_TRANSITIONS.filter((t) => !transitionBlocker(user, report, t.action));
+}
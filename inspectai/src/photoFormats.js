@@ -0,0 +1,55 @@
+// src/photoFormats.js
+/**
+ * Which photo files an upload takes, shared by the app (file picker, drop zone,
+ * conversion badges) and the server (multer filter, conversion step). Keep it
+ * free of browser APIs.
+ *
+ * JPEG, PNG, GIF and WebP are used as uploaded. iPhone HEIC/HEIF photos and DNG
+ * raw files can't be shown in most browsers or sent to the vision model, so the
+ * server converts them to JPEG and keeps the original for audit. Browsers often
+ * send these with an empty or generic type, so the file extension counts too.
+ * Each converted photo records { from, status: "converted" | "failed", error }.
+ */
+
+const DIRECT_TYPES = /^image\/(jpeg|jpg|png|gif|webp)$/i;
+
+export const CONVERTED_FORMATS = {
+  heic: {
+    label: "HEIC",
+    types: /^image\/(heic|heif)(-sequence)?$/i,
+    extensions: /\.(heic|heif)$/i,
+  },
+  dng: {
+    label: "DNG",
+    types: /^image\/(x-adobe-dng|dng|x-dng)$/i,
+    extensions: /\.dng$/i,
+  },
+};
+
+/** For <input type="file" accept>: image/* alone hides .dng files in some pickers. */
+export const PHOTO_ACCEPT = "image/*,.heic,.heif,.dng";
+
+/** "heic" | "dng" for a file the server converts to JPEG, else null. `file` is { name, type }. */
+export function convertedPhotoFormat(file) {
+  const name = String(file?.name || "");
+  const type = String(file?.type || "");
+  const match = Object.entries(CONVERTED_FORMATS).find(
+    ([, format]) => format.types.test(type) || format.extensions.test(name)
+  );
+  return match ? match[0] : null;
+}
+
+/** Whether an upload takes this file, as is or converted. */
+export function isAcceptedPhoto(file) {
+  return DIRECT_TYPES.test(String(file?.type || "")) || Boolean(convertedPhotoFormat(file));
+}
+
+/** "Converted from HEIC" / "HEIC conversion failed: …" for a photo's conversion record. */
+export function conversionLabel(conversion) {
+  if (!conversion) return "";
+  const label = CONVERTED_FORMATS[conversion.from]?.label || String(conversion.from).toUpperCase();
+  if (conversion.status === "failed") {
+    return `${label} conversion failed${conversion.error ? `: ${conversion.error}` : ""}`;
+  }
+  return `Converted from ${label}`;
+}
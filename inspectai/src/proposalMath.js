@@ -0,0 +1,249 @@
+// src/proposalMath.js
+/**
+ * Proposal pricing shared by the app and the server (server/pdf.js imports
+ * this file), so the on-screen preview and the proposal PDF always show the
+ * same line items and totals. Keep it free of browser APIs.
+ */
+
+/** Default unit rates used when not specified */
+export const DEFAULT_RATES = {
+  baseRate: 723,
+  additionalHoodRate: 203,
+  additionalFanRate: 203,
+  stdFilterRate: 8,
+  nonStdFilterRate: 13.5,
+  fuelSurcharge: 46,
+};
+
+export function safeNum(v) {
+  const x = Number(v);
+  return Number.isFinite(x) ? x : 0;
+}
+
+/** Normalize additional items (hoods/fans) to array of { description, qty, rate, frequency } */
+export function normalizeAdditionalItems(draft, rates = DEFAULT_RATES) {
+  const defaultFreq = String(draft?.cleaningFrequency ?? "");
+
+  const raw = Array.isArray(draft?.additionalItems) ? draft.additionalItems : [];
+
+  const norm = raw
+    .filter(Boolean)
+    .map((a) => ({
+      description: String(a?.description ?? ""),
+      qty: Number(a?.qty) || 0,
+      rate: Number(a?.rate) || 0,
+      frequency: String(a?.frequency ?? ""),
+    }));
+
+  const findByDesc = (name) =>
+    norm.find((x) => String(x.description || "").trim().toLowerCase() === name.toLowerCase());
+
+  const hoodExisting = findByDesc("Additional Hood");
+  const fanExisting = findByDesc("Additional Fan");
+
+  const hoodRow = {
+    description: "Additional Hood",
+    qty: hoodExisting?.qty ?? 0,
+    rate: Number.isFinite(hoodExisting?.rate) ? hoodExisting.rate : rates.additionalHoodRate,
+    frequency: (hoodExisting?.frequency ?? defaultFreq) || "",
+  };
+
+  const fanRow = {
+    description: "Additional Fan",
+    qty: fanExisting?.qty ?? 0,
+    rate: Number.isFinite(fanExisting?.rate) ? fanExisting.rate : rates.additionalFanRate,
+    frequency: (fanExisting?.frequency ?? defaultFreq) || "",
+  };
+
+  // Preserve any other add-ons the user may have added (exclude hood/fan canonical rows)
+  const others = norm.filter((x) => {
+    const d = String(x.description || "").trim().toLowerCase();
+    return d && d !== "additional hood" && d !== "additional fan";
+  });
+
+  return [hoodRow, fanRow, ...others];
+}
+
+function orDefault(val, def) {
+  const n = Number(val);
+  return Number.isFinite(n) ? n : def;
+}
+
+/** Normalize repairs to array of { description, amount } */
+export function normalizeRepairs(draft) {
+  if (Array.isArray(draft.repairs) && draft.repairs.length > 0) {
+    return draft.repairs.map((r) => ({
+      description: String(r?.description ?? ""),
+      amount: safeNum(r?.amount),
+    }));
+  }
+  if (draft.repairDescription != null || draft.repairRate != null) {
+    return [
+      {
+        description: String(draft.repairDescription ?? ""),
+        amount: safeNum(draft.repairRate),
+      },
+    ];
+  }
+  return [{ description: "", amount: 0 }];
+}
+
+/**
+ * Apply default rates to a draft when values are missing. `rates` are the
+ * company's default rates (managers can change them), DEFAULT_RATES otherwise.
+ */
+export function applyDefaults(draft, rates = DEFAULT_RATES) {
+  if (!draft || typeof draft !== "object") return { ...rates };
+  const d = { ...draft };
+  if (d.baseRate == null || d.baseRate === "")
+    d.baseRate = rates.baseRate;
+  if (d.additionalHoodRate == null || d.additionalHoodRate === "")
+    d.additionalHoodRate = rates.additionalHoodRate;
+  if (d.additionalFanRate == null || d.additionalFanRate === "")
+    d.additionalFanRate = rates.additionalFanRate;
+  if (d.stdFilterRate == null || d.stdFilterRate === "")
+    d.stdFilterRate = rates.stdFilterRate;
+  if (d.nonStdFilterRate == null || d.nonStdFilterRate === "")
+    d.nonStdFilterRate = rates.nonStdFilterRate;
+  if (d.fuelSurcharge == null || d.fuelSurcharge === "")
+    d.fuelSurcharge = rates.fuelSurcharge;
+  d.repairs = normalizeRepairs(d);
+  d.additionalItems = normalizeAdditionalItems(d, rates);
+  if (d.initialHoodQty == null || d.initialHoodQty < 1)
+    d.initialHoodQty = 1;
+  if (d.initialFanQty == null || d.initialFanQty < 1)
+    d.initialFanQty = 1;
+  return d;
+}
+
+// computeTotals and proposalLineItems must read the same rows
+function additionalItemsOf(draft) {
+  return Array.isArray(draft?.additionalItems)
+    ? draft.additionalItems
+    : normalizeAdditionalItems(draft || {});
+}
+
+function additionalLineTotal(a) {
+  return safeNum(a?.qty) * orDefault(a?.rate, DEFAULT_RATES.additionalHoodRate);
+}
+
+function repairsOf(draft) {
+  return Array.isArray(draft?.repairs) ? draft.repairs : normalizeRepairs(draft || {});
+}
+
+export function computeTotals(draft) {
+  const baseRate = orDefault(draft?.baseRate, DEFAULT_RATES.baseRate);
+  const stdRate = orDefault(draft?.stdFilterRate, DEFAULT_RATES.stdFilterRate);
+  const nonStdRate = orDefault(
+    draft?.nonStdFilterRate,
+    DEFAULT_RATES.nonStdFilterRate
+  );
+  const fuelRate = orDefault(
+    draft?.fuelSurcharge,
+    DEFAULT_RATES.fuelSurcharge
+  );
+
+  const additionalSubtotal = additionalItemsOf(draft).reduce(
+    (sum, a) => sum + additionalLineTotal(a),
+    0
+  );
+
+  const mainServiceSubtotal = baseRate + additionalSubtotal;
+
+  const repairs = repairsOf(draft);
+  const repairsSubtotal = repairs.reduce((sum, r) => sum + safeNum(r.amount), 0);
+
+  const filtersSubtotal =
+    safeNum(draft.stdFilterQty) * stdRate +
+    safeNum(draft.nonStdFilterQty) * nonStdRate;
+
+  const fuelSubtotal = fuelRate;
+
+  const totalPerService =
+    mainServiceSubtotal + repairsSubtotal + filtersSubtotal + fuelSubtotal;
+
+  return {
+    baseRate,
+    addHood: additionalSubtotal,
+    addFan: 0,
+    mainServiceSubtotal,
+    repairsSubtotal,
+    filtersSubtotal,
+    fuelSubtotal,
+    totalPerService,
+  };
+}
+
+function money(v) {
+  const x = Number(v);
+  if (!Number.isFinite(x)) return "$";
+  return x.toLocaleString("en-US", { style: "currency", currency: "USD" });
+}
+
+/**
+ * Priced line items as shown on the proposal: the base rate, then every
+ * non-zero add-on, filter, repair and the fuel surcharge.
+ * @returns {{ description: string, amount: number }[]}
+ */
+export function proposalLineItems(draft, totals = computeTotals(draft)) {
+  const d = draft || {};
+  const items = [];
+  items.push({
+    description: `Base rate — Initial hood: 1, Initial fan: 1${d.cleaningFrequency ? ` (${d.cleaningFrequency})` : ""}`,
+    amount: totals.baseRate,
+  });
+
+  additionalItemsOf(d)
+    .filter(Boolean)
+    .map((item) => ({ item, lineTotal: additionalLineTotal(item) }))
+    .filter(({ lineTotal }) => lineTotal !== 0)
+    .forEach(({ item, lineTotal }) => {
+      const rate = orDefault(item.rate, DEFAULT_RATES.additionalHoodRate);
+      const detail = `${item.qty ?? 0} × ${money(rate)}${item.frequency ? ` (${item.frequency})` : ""}`;
+      items.push({ description: `${item.description || "—"} — ${detail}`, amount: lineTotal });
+    });
+
+  const stdRate = orDefault(d.stdFilterRate, DEFAULT_RATES.stdFilterRate);
+  const stdTotal = safeNum(d.stdFilterQty) * stdRate;
+  if (stdTotal !== 0) {
+    items.push({
+      description: `Standard Filters — ${d.stdFilterQty ?? 0} × ${money(stdRate)}${d.filterExchangeFrequency ? ` (${d.filterExchangeFrequency})` : ""}`,
+      amount: stdTotal,
+    });
+  }
+
+  const nonStdRate = orDefault(d.nonStdFilterRate, DEFAULT_RATES.nonStdFilterRate);
+  const nonStdTotal = safeNum(d.nonStdFilterQty) * nonStdRate;
+  if (nonStdTotal !== 0) {
+    items.push({
+      description: `Non-Standard Filters — ${d.nonStdFilterQty ?? 0} × ${money(nonStdRate)}`,
+      amount: nonStdTotal,
+    });
+  }
+
+  repairsOf(d)
+    .filter((r) => r && safeNum(r.amount) !== 0)
+    .forEach((r) => items.push({ description: r.description || "—", amount: safeNum(r.amount) }));
+
+  if (totals.fuelSubtotal !== 0) {
+    const fuelFrequency = d.fuelFrequency || d.cleaningFrequency;
+    items.push({
+      description: `Fuel surcharge${fuelFrequency ? ` (${fuelFrequency})` : ""}`,
+      amount: totals.fuelSubtotal,
+    });
+  }
+
+  return items;
+}
+
+/** All service frequencies on the proposal, e.g. "Quarterly & Monthly" */
+export function proposalFrequencies(draft) {
+  const d = draft || {};
+  const set = new Set();
+  const add = (f) => f && String(f).trim() && set.add(String(f).trim());
+  add(d.cleaningFrequency);
+  normalizeAdditionalItems(d).forEach((a) => add(a.frequency));
+  add(d.filterExchangeFrequency);
+  add(d.fuelFrequency || d.cleaningFrequency);
+  return [...set].filter(Boolean).join(" & ") || "—";
+}
@@ -0,0 +1,134 @@
+// src/proposals.js
+// Client for the server-side proposals (/api/proposals). Each proposal is a
+// proposal draft (see proposalDraft.js) plus the reportId it was priced from.
+import { authFetch } from "./auth.js";
+
+async function request(url, options) {
+  const res = await authFetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) {
+    const err = new Error(body?.error || `Request failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return body;
+}
+
+function withJson(method, payload) {
+  return {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  };
+}
+
+// Server-managed fields never go back in the body
+const SERVER_FIELDS = [
+  "id",
+  "proposalId",
+  "createdAt",
+  "updatedAt",
+  "acceptance",
+  "status",
+  "pricing",
+  "companyId",
+  "shareToken",
+];
+
+// Copy of a signed proposal to keep editing as a new, unsigned one
+export function unsignedCopy(proposal) {
+  const copy = { ...(proposal || {}) };
+  ["acceptance", "status", "pricing", "shareToken"].forEach((k) => delete copy[k]);
+  return copy;
+}
+
+function toBody(draft) {
+  const proposal = { ...(draft || {}) };
+  SERVER_FIELDS.forEach((k) => delete proposal[k]);
+  return { proposal };
+}
+
+export async function createProposal(draft) {
+  const body = await request("/api/proposals", withJson("POST", toBody(draft)));
+  notifyProposalSaved(body.proposalId);
+  return body.proposalId;
+}
+
+export async function updateProposal(proposalId, draft) {
+  const body = await request(
+    `/api/proposals/${encodeURIComponent(proposalId)}`,
+    withJson("PUT", toBody(draft))
+  );
+  notifyProposalSaved(body.proposalId);
+  return body.proposalId;
+}
+
+/**
+ * Update the proposal, or create it when there is no id yet or the saved one
+ * is gone (e.g. server restarted without Firebase). Resolves with the id.
+ */
+export async function saveProposal(proposalId, draft) {
+  if (proposalId) {
+    try {
+      return await updateProposal(proposalId, draft);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  return createProposal(draft);
+}
+
+export async function getProposal(proposalId) {
+  const body = await request(`/api/proposals/${encodeURIComponent(proposalId)}`);
+  return body.proposal;
+}
+
+export async function listProposals({ reportId } = {}) {
+  const qs = reportId ? `?reportId=${encodeURIComponent(reportId)}` : "";
+  const body = await request(`/api/proposals${qs}`);
+  return body.proposals || [];
+}
+
+export async function deleteProposal(proposalId) {
+  await request(`/api/proposals/${encodeURIComponent(proposalId)}`, { method: "DELETE" });
+}
+
+export function proposalPreviewPath(proposalId) {
+  return `/proposal-preview/${encodeURIComponent(proposalId)}`;
+}
+
+// Links use the proposal's shareToken: plain <a> downloads can't send the session header
+export function proposalPdfUrl(proposal) {
+  return `/api/share/proposals/${encodeURIComponent(proposal.shareToken)}/pdf`;
+}
+
+// Customer-facing page where the proposal is reviewed and signed
+export function proposalShareUrl(proposal) {
+  return `${window.location.origin}/proposal.html?t=${encodeURIComponent(proposal.shareToken)}`;
+}
+
+/** Saving a signed proposal fails with 409 — it can no longer change. */
+export function isProposalLocked(err) {
+  return err?.status === 409;
+}
+
+// Tell other tabs (app ↔ Proposal Preview) that a proposal was saved
+const CHANNEL = "inspectai_proposals";
+const TAB_ID = Math.random().toString(36).slice(2);
+
+function notifyProposalSaved(proposalId) {
+  if (typeof BroadcastChannel === "undefined") return;
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.postMessage({ proposalId, source: TAB_ID });
+  channel.close();
+}
+
+/** callback(proposalId) when another tab saves a proposal. Returns an unsubscribe fn. */
+export function onProposalSaved(callback) {
+  if (typeof BroadcastChannel === "undefined") return () => {};
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.onmessage = (e) => {
+    if (e.data?.proposalId && e.data.source !== TAB_ID) callback(e.data.proposalId);
+  };
+  return () => channel.close();
+}
@@ -0,0 +1,46 @@
+// src/reportStatus.js
+/**
+ * Report approval workflow, shared by the app (status badges, action buttons)
+ * and the server (transition routes, share-link guard). Keep it free of browser APIs.
+ *
+ *   draft → in review → approved → sent → archived
+ *
+ * Reviewers can send a report back to draft, and managers can reopen an
+ * approved or sent report to edit it again. Only approved (and later) reports
+ * can be shared with customers. Who may run each transition is checked by
+ * transitionBlocker() in permissions.js.
+ */
+
+export const REPORT_STATUSES = ["draft", "in_review", "approved", "sent", "archived"];
+
+export const STATUS_LABELS = {
+  draft: "Draft",
+  in_review: "In review",
+  approved: "Approved",
+  sent: "Sent",
+  archived: "Archived",
+};
+
+export const REPORT_TRANSITIONS = [
+  { action: "submit", label: "Submit for review", from: ["draft"], to: "in_review", permission: "reports:edit" },
+  { action: "approve", label: "Approve", from: ["in_review"], to: "approved", permission: "reports:approve" },
+  { action: "reject", label: "Send back", from: ["in_review"], to: "draft", permission: "reports:approve" },
+  { action: "send", label: "Mark as sent", from: ["approved"], to: "sent", permission: "reports:send" },
+  { action: "reopen", label: "Reopen", from: ["approved", "sent"], to: "draft", permission: "reports:approve" },
+  { action: "archive", label: "Archive", from: ["sent"], to: "archived", permission: "reports:approve" },
+];
+
+// Reports saved before the workflow existed were already shared, so they count as approved
+export function reportStatus(report) {
+  return REPORT_STATUSES.includes(report?.status) ? report.status : "approved";
+}
+
+/** Text edits are only allowed before approval (reopen an approved report to edit it). */
+export function isEditableStatus(report) {
+  return ["draft", "in_review"].includes(reportStatus(report));
+}
+
+/** Customers may open the share link / PDF once the report is approved. */
+export function isShareableStatus(report) {
+  return ["approved", "sent", "archived"].includes(reportStatus(report));
+}
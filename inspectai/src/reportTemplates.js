@@ -0,0 +1,320 @@
+// src/reportTemplates.js
+/**
+ * Report templates: which sections a generated report has, in what order, and
+ * how each is shown (icon, accent colour) — shared by the app, the server (the
+ * summary prompt variables, PDF, share page payload) and validation of the
+ * company's own templates (Settings). Keep it free of browser APIs.
+ *
+ *   { reportType: "inspection" | "service", name,
+ *     sections: [{ type, heading, aliases, icon, accent, required, guidance }] }
+ *
+ * parseReportSections() is the one parser that splits generated report text
+ * into those sections. A report keeps the template it was generated with, so
+ * later template edits don't change how existing reports are split.
+ */
+import { REPORT_TYPES } from "./serviceReport.js";
+
+export const MAX_TEMPLATE_SECTIONS = 12;
+
+// Accent for sections outside the template (and the default for new ones)
+export const OTHER_SECTION = { type: "other", icon: "📄", accent: "#9ca3af" };
+
+export const DEFAULT_TEMPLATES = {
+  inspection: {
+    reportType: "inspection",
+    name: "Inspection Report",
+    sections: [
+      {
+        type: "summary",
+        heading: "Inspection Summary",
+        aliases: ["summary"],
+        icon: "📋",
+        accent: "#9ca3af",
+        required: true,
+        guidance: "Two or three sentences on the overall condition of the exhaust system.",
+      },
+      {
+        type: "overview",
+        heading: "System Overview",
+        aliases: ["overview"],
+        icon: "🧰",
+        accent: "#9ca3af",
+        required: false,
+        guidance: "The hoods, filters, ducts and fans on site.",
+      },
+      {
+        type: "findings",
+        heading: "Key Findings",
+        aliases: ["findings"],
+        icon: "🔍",
+        accent: "#f59e0b",
+        required: true,
+        guidance: "One bullet per observed condition, referencing the photos.",
+      },
+      {
+        type: "why-it-matters",
+        heading: "Why It Matters",
+        aliases: [],
+        icon: "⚠️",
+        accent: "#f87171",
+        required: false,
+        guidance: "Fire risk and NFPA 96 compliance in plain language.",
+      },
+      {
+        type: "next-steps",
+        heading: "Recommended Next Steps",
+        aliases: ["recommended", "next steps"],
+        icon: "🛠",
+        accent: "#60a5fa",
+        required: true,
+        guidance: "Concrete actions and when to take them.",
+      },
+    ],
+  },
+  service: {
+    reportType: "service",
+    name: "Service Completion Report",
+    sections: [
+      {
+        type: "summary",
+        heading: "Service Summary",
+        aliases: ["summary", "inspection summary"],
+        icon: "📋",
+        accent: "#9ca3af",
+        required: true,
+        guidance: "What was cleaned and the overall result.",
+      },
+      {
+        type: "work-performed",
+        heading: "Work Performed",
+        aliases: ["work completed", "cleaning performed", "services performed"],
+        icon: "🧽",
+        accent: "#34d399",
+        required: true,
+        guidance: "The components cleaned, referencing the before/after photo pairs.",
+      },
+      {
+        type: "findings",
+        heading: "Areas Needing Attention",
+        aliases: ["key findings", "findings", "deficiencies"],
+        icon: "🔍",
+        accent: "#f59e0b",
+        required: false,
+        guidance: "Residue or areas that could not be cleaned, and why.",
+      },
+      {
+        type: "next-steps",
+        heading: "Recommended Next Steps",
+        aliases: ["recommended", "next steps"],
+        icon: "🛠",
+        accent: "#60a5fa",
+        required: true,
+        guidance: "Repairs and when the next cleaning is due.",
+      },
+    ],
+  },
+};
+
+/** The built-in template for a report type. */
+export function defaultTemplate(reportType) {
+  return DEFAULT_TEMPLATES[reportType] || DEFAULT_TEMPLATES.inspection;
+}
+
+function text(value, max) {
+  return String(value ?? "").trim().slice(0, max);
+}
+
+function slug(value) {
+  return text(value, 60)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Clean up a template from the client or storage.
+ * @returns {{ template: object|null, errors: string[] }}
+ */
+export function normalizeTemplate(raw, reportType = raw?.reportType) {
+  const errors = [];
+  if (!REPORT_TYPES.includes(reportType)) {
+    errors.push(`reportType must be one of ${REPORT_TYPES.join(", ")}`);
+  }
+  const rawSections = Array.isArray(raw?.sections) ? raw.sections : [];
+  if (rawSections.length === 0) errors.push("A template needs at least one section");
+  if (rawSections.length > MAX_TEMPLATE_SECTIONS) {
+    errors.push(`A template can have at most ${MAX_TEMPLATE_SECTIONS} sections`);
+  }
+  const seen = new Set();
+  const sections = rawSections.slice(0, MAX_TEMPLATE_SECTIONS).map((s, i) => {
+    const heading = text(s?.heading, 60);
+    if (!heading) errors.push(`Section ${i + 1} needs a heading`);
+    const type = slug(s?.type) || slug(heading);
+    if (type && (seen.has(type) || type === OTHER_SECTION.type)) {
+      errors.push(`Section ${i + 1} ("${heading}") repeats another section`);
+    }
+    seen.add(type);
+    const accent = text(s?.accent, 7);
+    return {
+      type,
+      heading,
+      aliases: (Array.isArray(s?.aliases) ? s.aliases : String(s?.aliases ?? "").split(","))
+        .map((a) => text(a, 60))
+        .filter(Boolean)
+        .slice(0, 8),
+      icon: text(s?.icon, 8) || OTHER_SECTION.icon,
+      accent: /^#[0-9a-f]{6}$/i.test(accent) ? accent.toLowerCase() : OTHER_SECTION.accent,
+      required: Boolean(s?.required),
+      guidance: text(s?.guidance, 300),
+    };
+  });
+  if (errors.length) return { template: null, errors };
+  return {
+    template: {
+      reportType,
+      name: text(raw?.name, 80) || defaultTemplate(reportType).name,
+      sections,
+    },
+    errors,
+  };
+}
+
+// "**Key Findings:**" → "key findings"
+function headingKey(value) {
+  return String(value ?? "")
+    .replace(/\*+/g, "")
+    .replace(/:\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * The template section a heading names, or null. Exact heading / alias matches
+ * win over headings that merely contain one ("Recommended Next Steps for …");
+ * `exact` allows only those.
+ */
+function matchSection(heading, template, { exact = false } = {}) {
+  const key = headingKey(heading);
+  if (!key) return null;
+  const names = (s) => [s.heading, ...(s.aliases || [])].map(headingKey).filter(Boolean);
+  const exactMatch = template.sections.find((s) => names(s).includes(key));
+  if (exactMatch || exact) return exactMatch || null;
+  return template.sections.find((s) => names(s).some((name) => key.includes(name))) || null;
+}
+
+// A line that starts a section: "## Heading", "**Heading**", "**Heading:** text"
+// or a bare line that is exactly a section heading. Returns { section, heading, rest } or null.
+function sectionHeader(line, template) {
+  const t = line.trim();
+  if (!t) return null;
+  let m = t.match(/^#{1,3}\s+(.+)$/) || t.match(/^\*\*(.+?)\*\*:?\s*$/);
+  if (m) return { section: matchSection(m[1], template), heading: m[1], rest: "" };
+  m = t.match(/^\*\*(.+?)\*\*:?\s+(.+)$/);
+  if (m) {
+    // Inline bold labels ("**Note:** …") only start a section when they name one
+    const section = matchSection(m[1], template);
+    return section ? { section, heading: m[1], rest: m[2] } : null;
+  }
+  const section = matchSection(t, template, { exact: true });
+  return section ? { section, heading: t, rest: "" } : null;
+}
+
+function toSection(definition, heading) {
+  if (definition) {
+    const { type, heading: name, icon, accent } = definition;
+    return { type, heading: name, icon, accent, content: "" };
+  }
+  const { type, icon, accent } = OTHER_SECTION;
+  return { type, heading: String(heading).replace(/\*+/g, "").replace(/:\s*$/, "").trim(), icon, accent, content: "" };
+}
+
+/**
+ * Split generated report text into the template's sections, in template order
+ * (headings the template doesn't know come last, as "other" sections). Text
+ * before the first heading belongs to the first section.
+ * @returns {{ type, heading, icon, accent, content }[]}
+ */
+export function parseReportSections(reportText, template = DEFAULT_TEMPLATES.inspection) {
+  if (!reportText?.trim()) return [];
+  const parts = [];
+  let current = toSection(template.sections[0], "");
+  for (const line of reportText.split(/\r?\n/)) {
+    const header = sectionHeader(line, template);
+    if (header) {
+      if (current.content.trim()) parts.push(current);
+      current = toSection(header.section, header.heading);
+      if (header.rest) current.content = header.rest;
+    } else {
+      current.content += (current.content ? "\n" : "") + line;
+    }
+  }
+  if (current.content.trim()) parts.push(current);
+
+  // A template section named twice (or the intro before its heading) is one card
+  const merged = [];
+  for (const part of parts) {
+    const same = part.type !== OTHER_SECTION.type && merged.find((m) => m.type === part.type);
+    if (same) same.content = `${same.content.trim()}\n\n${part.content.trim()}`;
+    else merged.push({ ...part });
+  }
+
+  const order = (s) => {
+    const i = template.sections.findIndex((d) => d.type === s.type);
+    return i < 0 ? template.sections.length : i;
+  };
+  return merged
+    .map((s) => ({ ...s, content: s.content.trim() }))
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => order(a.s) - order(b.s) || a.i - b.i)
+    .map(({ s }) => s);
+}
+
+/** The template a report was generated with (built-in for reports from before templates). */
+export function reportTemplate(report) {
+  return report?.template?.sections?.length ? report.template : defaultTemplate(report?.reportType);
+}
+
+/**
+ * `sections` plus a Recommended Next Steps section to hold the recommended
+ * cleaning frequency when the report has none.
+ */
+export function withNextStepsSection(sections, template, recommendation) {
+  if (!recommendation?.frequency || sections.some((s) => s.type === "next-steps")) {
+    return sections;
+  }
+  const definition = template.sections.find((s) => s.type === "next-steps");
+  return [
+    ...sections,
+    {
+      ...OTHER_SECTION,
+      ...(definition && { icon: definition.icon, accent: definition.accent }),
+      type: "next-steps",
+      heading: definition?.heading || "Recommended Next Steps",
+      content: recommendation.rationale || "",
+    },
+  ];
+}
+
+/** Headings of required template sections the parsed report is missing. */
+export function missingSections(sections, template) {
+  const present = new Set(sections.filter((s) => s.content).map((s) => s.type));
+  return template.sections.filter((s) => s.required && !present.has(s.type)).map((s) => s.heading);
+}
+
+/**
+ * Summary prompt variables for a template: reportSections (the headings, in
+ * order) and reportTemplate (one line per section with its guidance).
+ */
+export function templatePromptVariables(template) {
+  return {
+    reportSections: template.sections.map((s) => s.heading).join(", "),
+    reportTemplate: template.sections
+      .map(
+        (s, i) =>
+          `${i + 1}. ## ${s.heading}${s.required ? " (required)" : " (optional — omit when there is nothing to say)"}` +
+          (s.guidance ? ` — ${s.guidance}` : "")
+      )
+      .join("\n"),
+  };
+}
@@ -0,0 +1,98 @@
+// src/serviceReport.js
+/**
+ * Report types and before/after photo sets, shared by the app (upload tags,
+ * gallery sliders) and the server (vision step, summary, PDF). Keep it free of
+ * browser APIs.
+ *
+ * An "inspection" documents the system before cleaning. A "service" report
+ * (Service Completion Report) is proof of service: each photo is tagged
+ * { phase: "before" | "after", pair: 1..n } and a before and an after photo
+ * with the same pair number show the same spot. "After" photos get a cleaning
+ * completeness assessment instead of grease findings.
+ */
+
+export const REPORT_TYPES = ["inspection", "service"];
+
+export const REPORT_TYPE_LABELS = {
+  inspection: "Inspection Report",
+  service: "Service Completion Report",
+};
+
+export const PHOTO_PHASES = ["before", "after"];
+
+// Cleaning completeness of an "after" photo, best first
+export const COMPLETENESS = ["complete", "partial", "incomplete"];
+
+export const COMPLETENESS_LABELS = {
+  complete: "Clean",
+  partial: "Partially cleaned",
+  incomplete: "Not cleaned",
+};
+
+export function normalizeReportType(value) {
+  return REPORT_TYPES.includes(value) ? value : REPORT_TYPES[0];
+}
+
+/** One { phase, pair } per photo (untagged photos get { phase: null, pair: null }). */
+export function normalizePhotoPhases(raw, photoCount) {
+  const list = Array.isArray(raw) ? raw : [];
+  return Array.from({ length: photoCount }, (_, i) => {
+    const tag = list[i] && typeof list[i] === "object" ? list[i] : {};
+    const phase = PHOTO_PHASES.includes(tag.phase) ? tag.phase : null;
+    const pair = Math.floor(Number(tag.pair));
+    return { phase, pair: phase && pair > 0 && pair <= 50 ? pair : null };
+  });
+}
+
+/** "Before #2" / "After" / "" for a photo's tag. */
+export function photoPhaseLabel(photo) {
+  if (!PHOTO_PHASES.includes(photo?.phase)) return "";
+  const phase = photo.phase === "before" ? "Before" : "After";
+  return photo.pair ? `${phase} #${photo.pair}` : phase;
+}
+
+/**
+ * Before/after pairs in pair-number order:
+ * [{ pair, before, after, beforeIndex, afterIndex }]. The first photo of each
+ * phase wins when a pair number was used twice.
+ */
+export function photoPairs(photos) {
+  const byPair = new Map();
+  (photos || []).forEach((photo, index) => {
+    if (!photo?.pair || !PHOTO_PHASES.includes(photo.phase)) return;
+    const entry = byPair.get(photo.pair) || { pair: photo.pair };
+    if (!entry[photo.phase]) {
+      entry[photo.phase] = photo;
+      entry[`${photo.phase}Index`] = index;
+    }
+    byPair.set(photo.pair, entry);
+  });
+  return [...byPair.values()]
+    .filter((entry) => entry.before && entry.after)
+    .sort((a, b) => a.pair - b.pair);
+}
+
+/**
+ * Overall cleaning result from the "after" photos' assessments:
+ * { status (worst completeness, null when nothing was assessed), assessed,
+ *   complete, partial, incomplete, pairs, unpairedBefore }
+ */
+export function serviceCompletion(photos) {
+  const list = (photos || []).filter(Boolean);
+  const assessments = list
+    .filter((p) => p.phase === "after" && COMPLETENESS.includes(p.cleaning?.completeness))
+    .map((p) => p.cleaning.completeness);
+  const tally = Object.fromEntries(
+    COMPLETENESS.map((c) => [c, assessments.filter((a) => a === c).length])
+  );
+  const pairs = photoPairs(list);
+  const paired = new Set(pairs.map((p) => p.beforeIndex));
+  const worst = Math.max(-1, ...assessments.map((a) => COMPLETENESS.indexOf(a)));
+  return {
+    status: worst >= 0 ? COMPLETENESS[worst] : null,
+    assessed: assessments.length,
+    ...tally,
+    pairs: pairs.length,
+    unpairedBefore: list.filter((p, i) => p.phase === "before" && !paired.has(i)).length,
+  };
+}
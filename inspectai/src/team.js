@@ -0,0 +1,67 @@
+// src/team.js
+// Client for team and company settings (/api/users, /api/company/rates,
+// /api/company/templates) — managers only.
+import { authFetch, refreshSession } from "./auth.js";
+
+async function request(url, options) {
+  const res = await authFetch(url, options);
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok || !body?.ok) {
+    throw new Error(body?.error || `Request failed (${res.status})`);
+  }
+  return body;
+}
+
+function withJson(method, payload) {
+  return {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  };
+}
+
+export async function listTeam() {
+  const body = await request("/api/users");
+  return Array.isArray(body.users) ? body.users : [];
+}
+
+/** Add a teammate ({ email, name, password, role }); resolves with the new user. */
+export async function addTeamMember(member) {
+  const body = await request("/api/users", withJson("POST", member));
+  return body.user;
+}
+
+export async function setTeamMemberRole(userId, role) {
+  const body = await request(`/api/users/${encodeURIComponent(userId)}`, withJson("PATCH", { role }));
+  return body.user;
+}
+
+/** Save the company's default rates; the session picks them up for new proposals. */
+export async function saveCompanyRates(rates) {
+  const body = await request("/api/company/rates", withJson("PUT", { rates }));
+  await refreshSession();
+  return body.rates;
+}
+
+/** The company's report template per report type ({ inspection, service }). */
+export async function getCompanyTemplates() {
+  const body = await request("/api/company/templates");
+  return body.templates;
+}
+
+/** Save the template new reports of `reportType` are generated with; resolves with it cleaned up. */
+export async function saveCompanyTemplate(reportType, template) {
+  const body = await request(
+    `/api/company/templates/${encodeURIComponent(reportType)}`,
+    withJson("PUT", { template })
+  );
+  return body.template;
+}
+
+/** Go back to the built-in template; resolves with it. */
+export async function resetCompanyTemplate(reportType) {
+  const body = await request(`/api/company/templates/${encodeURIComponent(reportType)}`, {
+    method: "DELETE",
+  });
+  return body.template;
+}
@@ -0,0 +1,62 @@
+// src/textDiff.js
+// Word-level diff for the report revision view (LCS over words and whitespace).
+
+// Above this many LCS cells, diff by line instead so long reports stay fast
+const MAX_WORD_CELLS = 4_000_000;
+
+function tokenize(text, byLine) {
+  return String(text || "").split(byLine ? /(\n)/ : /(\s+)/).filter(Boolean);
+}
+
+function mergeSegments(segments) {
+  const merged = [];
+  segments.forEach((seg) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === seg.type) last.text += seg.text;
+    else merged.push({ ...seg });
+  });
+  return merged;
+}
+
+/**
+ * Diff `before` against `after`.
+ * @returns {{ type: "same" | "added" | "removed", text: string }[]}
+ */
+export function diffWords(before, after) {
+  let a = tokenize(before, false);
+  let b = tokenize(after, false);
+  if (a.length * b.length > MAX_WORD_CELLS) {
+    a = tokenize(before, true);
+    b = tokenize(after, true);
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const segments = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      segments.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      segments.push({ type: "removed", text: a[i++] });
+    } else {
+      segments.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) segments.push({ type: "removed", text: a[i++] });
+  while (j < b.length) segments.push({ type: "added", text: b[j++] });
+  return mergeSegments(segments);
+}
@@ -0,0 +1,360 @@
+/**
+ * Accounts, sessions and tenant scoping.
+ *
+ * Every user belongs to one company (the tenant); reports, proposals and jobs
+ * carry the creating user's companyId and are only visible inside that company.
+ * Each user has a role (technician / office / manager); what a role may do is
+ * defined in inspectai/src/permissions.js and enforced by requirePermission().
+ * Whoever registers the company is its first manager and adds the rest of the team.
+ * Passwords are hashed with scrypt. Sessions are stateless bearer tokens signed
+ * with HMAC-SHA256, so any server instance sharing AUTH_SECRET can verify them.
+ *
+ * Accounts are stored with the reports: Firestore, or the local SQLite database
+ * (see storage.js).
+ *
+ * Optional env vars:
+ *   AUTH_SECRET - signs session tokens. Set it in production; without it a
+ *                 random secret is generated per process and sessions end on restart.
+ *   AUTH_TOKEN_TTL_HOURS - session lifetime (default 168 = 7 days)
+ *   PHOTO_URL_TTL_HOURS - how long a photo URL in a report response works (default 24; see issuePhotoToken)
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+import {
+  createCompanyWithUser,
+  createUser,
+  getUserByEmail,
+  getUserById,
+  listUsers,
+  updateUser,
+  getCompanyById,
+  updateCompany,
+} from "./storage.js";
+import { ROLES, can } from "../inspectai/src/permissions.js";
+import { DEFAULT_RATES } from "../inspectai/src/proposalMath.js";
+import { defaultTemplate, normalizeTemplate } from "../inspectai/src/reportTemplates.js";
+import { REPORT_TYPES } from "../inspectai/src/serviceReport.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Env is read when a token is signed, not at import: index.js loads server/.env after its imports
+let randomSecret = null;
+function authSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!randomSecret) {
+    randomSecret = crypto.randomBytes(32).toString("hex");
+    console.warn("AUTH_SECRET is not set — using a random secret; sessions end when the server restarts.");
+  }
+  return randomSecret;
+}
+
+function tokenTtlMs() {
+  return Number(process.env.AUTH_TOKEN_TTL_HOURS || 168) * 60 * 60 * 1000;
+}
+
+function photoUrlTtlMs() {
+  return Number(process.env.PHOTO_URL_TTL_HOURS || 24) * 60 * 60 * 1000;
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/** 400/401/403/404/409 errors the routes pass straight to the client. */
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ----- Passwords -----
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ----- Signed tokens: base64url(JSON payload) + "." + HMAC -----
+function sign(data) {
+  return crypto.createHmac("sha256", authSecret()).update(data).digest("base64url");
+}
+
+function signedToken(claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+// The claims of a token we signed that hasn't expired, else null
+function verifiedClaims(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return Date.now() > claims.exp ? null : claims;
+  } catch {
+    return null;
+  }
+}
+
+export function issueToken(user) {
+  return signedToken({
+    sub: user.id,
+    cid: user.companyId,
+    email: user.email,
+    name: user.name || "",
+    exp: Date.now() + tokenTtlMs(),
+  });
+}
+
+/** Returns { id, companyId, email, name } for a valid, unexpired token, else null. */
+export function verifyToken(token) {
+  const claims = verifiedClaims(token);
+  if (!claims?.sub || !claims.cid) return null;
+  return { id: claims.sub, companyId: claims.cid, email: claims.email, name: claims.name };
+}
+
+/**
+ * Token for one stored photo's URL (GET /api/photos/:id?t=), handed out with
+ * the report to whoever may see it — or, while a generate job is still running,
+ * with the job's progress (owner { jobId }). Tokens issued in the same
+ * PHOTO_URL_TTL_HOURS window are identical, so browsers keep the photo cached
+ * across page loads; each stays valid for one to two windows.
+ * @param {string} photoId
+ * @param {{ reportId?: string, jobId?: string }} owner - what the photo must still belong to
+ */
+export function issuePhotoToken(photoId, { reportId, jobId }) {
+  const ttl = photoUrlTtlMs();
+  const period = Math.floor(Date.now() / ttl);
+  const owner = reportId ? { rid: reportId } : { jid: jobId };
+  return signedToken({ typ: "photo", pid: photoId, ...owner, exp: (period + 2) * ttl });
+}
+
+/**
+ * Returns { photoId, reportId, jobId, expiresAt } (one of reportId / jobId set)
+ * for a valid, unexpired photo token, else null.
+ */
+export function verifyPhotoToken(token) {
+  const claims = verifiedClaims(token);
+  if (claims?.typ !== "photo" || !claims.pid || !(claims.rid || claims.jid)) return null;
+  return { photoId: claims.pid, reportId: claims.rid || null, jobId: claims.jid || null, expiresAt: claims.exp };
+}
+
+/** Unguessable token for public share links (report.html?t=, proposal.html?t=). */
+export function createShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// ----- Accounts -----
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function isEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function checkPassword(password) {
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    throw authError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name || "", role: user.role };
+}
+
+/** The company's default rates, falling back to DEFAULT_RATES per field. */
+function companyRates(company) {
+  return { ...DEFAULT_RATES, ...(company?.rates || {}) };
+}
+
+function publicAccount(user, company) {
+  return {
+    user: publicUser(user),
+    company: {
+      id: company?.id || user.companyId,
+      name: company?.name || "",
+      rates: companyRates(company),
+    },
+  };
+}
+
+/**
+ * Sign up: creates the company (tenant) and its first user.
+ * Resolves with { token, user, company }; throws err.status 400/409 on bad input.
+ */
+export async function registerAccount({ companyName, name, email, password }) {
+  const company = { name: String(companyName || "").trim() };
+  const user = {
+    email: normalizeEmail(email),
+    name: String(name || "").trim(),
+    role: "manager",
+  };
+  if (!company.name) throw authError(400, "Company name is required");
+  if (!isEmail(user.email)) throw authError(400, "A valid email is required");
+  checkPassword(password);
+  user.passwordHash = await hashPassword(String(password));
+
+  const ids = await createCompanyWithUser(company, user);
+  if (!ids) throw authError(409, "An account with this email already exists");
+
+  const stored = { ...user, id: ids.userId, companyId: ids.companyId };
+  return { token: issueToken(stored), ...publicAccount(stored, { id: ids.companyId, ...company }) };
+}
+
+/** Sign in. Resolves with { token, user, company }; throws err.status 401 on bad credentials. */
+export async function login({ email, password }) {
+  const user = await getUserByEmail(normalizeEmail(email));
+  if (!user || !(await verifyPassword(String(password || ""), user.passwordHash))) {
+    throw authError(401, "Incorrect email or password");
+  }
+  return { token: issueToken(user), ...publicAccount(user, await getCompanyById(user.companyId)) };
+}
+
+/** The signed-in user's account (for GET /api/auth/me). */
+export async function getAccount(sessionUser) {
+  return publicAccount(sessionUser, await getCompanyById(sessionUser.companyId));
+}
+
+/**
+ * The signed-in user behind the request's `Authorization: Bearer <token>`, as
+ * { id, companyId, email, name, role }, or null. The user is re-read on each
+ * request so role changes (and removed users) apply immediately.
+ */
+export async function sessionUser(req) {
+  const header = req.get("authorization") || "";
+  const session = header.startsWith("Bearer ") ? verifyToken(header.slice(7).trim()) : null;
+  const user = session ? await getUserById(session.id) : null;
+  if (!user || user.companyId !== session.companyId) return null;
+  return { ...publicUser(user), companyId: user.companyId };
+}
+
+/** Express middleware: sets req.user (see sessionUser) or responds 401. */
+export async function requireAuth(req, res, next) {
+  try {
+    req.user = await sessionUser(req);
+    if (!req.user) {
+      return res.status(401).json({ ok: false, error: "Sign in required" });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** Express middleware: 403 unless req.user's role has `permission` (see permissions.js). */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user?.role, permission)) return next();
+    res.status(403).json({ ok: false, error: "Your role doesn't allow this" });
+  };
+}
+
+// ----- Team (managers add users and change roles) -----
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw authError(400, `Role must be one of: ${ROLES.join(", ")}`);
+}
+
+export async function listTeam(companyId) {
+  return (await listUsers(companyId))
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(publicUser);
+}
+
+/** Add a user to the company. Resolves with the public user; throws err.status 400/409. */
+export async function addTeamMember(companyId, { email, name, password, role }) {
+  const user = {
+    email: normalizeEmail(email),
+    name: String(name || "").trim(),
+    role,
+    companyId,
+  };
+  if (!isEmail(user.email)) throw authError(400, "A valid email is required");
+  checkRole(role);
+  checkPassword(password);
+  user.passwordHash = await hashPassword(String(password));
+
+  const id = await createUser(user);
+  if (!id) throw authError(409, "An account with this email already exists");
+  return publicUser({ ...user, id });
+}
+
+/** Change a teammate's role. Managers can't change their own (so a company keeps one). */
+export async function setTeamMemberRole(actingUser, userId, role) {
+  checkRole(role);
+  if (userId === actingUser.id) throw authError(400, "You can't change your own role");
+  const user = await getUserById(userId);
+  if (!user || user.companyId !== actingUser.companyId) throw authError(404, "User not found");
+  await updateUser(userId, { role });
+  return publicUser({ ...user, role });
+}
+
+// ----- Company default rates (prefill new proposals; see proposalMath.js) -----
+export async function getCompanyRates(companyId) {
+  return companyRates(await getCompanyById(companyId));
+}
+
+/** Replace the company's default rates; every DEFAULT_RATES key must be a number ≥ 0. */
+export async function setCompanyRates(companyId, input) {
+  const rates = {};
+  for (const key of Object.keys(DEFAULT_RATES)) {
+    const value = Number(input?.[key]);
+    if (input?.[key] === "" || input?.[key] == null || !Number.isFinite(value) || value < 0) {
+      throw authError(400, `${key} must be a number of 0 or more`);
+    }
+    rates[key] = value;
+  }
+  const company = await getCompanyById(companyId);
+  if (!company) throw authError(404, "Company not found");
+  await updateCompany(companyId, { rates });
+  return rates;
+}
+
+// ----- Company report templates (sections of generated reports; see reportTemplates.js) -----
+function companyTemplates(company) {
+  return Object.fromEntries(
+    REPORT_TYPES.map((type) => [type, company?.reportTemplates?.[type] || defaultTemplate(type)])
+  );
+}
+
+/** The company's template per report type ({ inspection, service }), built-in unless customized. */
+export async function getCompanyTemplates(companyId) {
+  return companyTemplates(await getCompanyById(companyId));
+}
+
+export async function getCompanyTemplate(companyId, reportType) {
+  return (await getCompanyTemplates(companyId))[reportType] || defaultTemplate(reportType);
+}
+
+/**
+ * Replace the company's template for a report type; `input` null restores the
+ * built-in one. Resolves with the template now in use; throws err.status 400.
+ */
+export async function setCompanyTemplate(companyId, reportType, input) {
+  if (!REPORT_TYPES.includes(reportType)) {
+    throw authError(400, `Report type must be one of: ${REPORT_TYPES.join(", ")}`);
+  }
+  let template = null;
+  if (input) {
+    const { template: normalized, errors } = normalizeTemplate(input, reportType);
+    if (!normalized) throw authError(400, errors.join("; "));
+    template = normalized;
+  }
+  const company = await getCompanyById(companyId);
+  if (!company) throw authError(404, "Company not found");
+  const reportTemplates = { ...(company.reportTemplates || {}) };
+  if (template) reportTemplates[reportType] = template;
+  else delete reportTemplates[reportType];
+  await updateCompany(companyId, { reportTemplates });
+  return template || defaultTemplate(reportType);
+}
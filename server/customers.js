@@ -0,0 +1,227 @@
+/**
+ * Customer and location registry.
+ *
+ * A customer (the restaurant business) has one or more locations. Each location
+ * keeps its address, equipment inventory (per-hood / per-fan records, see
+ * inspectai/src/equipment.js, plus the derived counts), cooking volume
+ * and the pricing last used on a proposal for it, so a new inspection is picked
+ * from the registry instead of re-typed. Reports and proposals carry customerId /
+ * locationId so history can be grouped by customer.
+ *
+ * Records belong to one company (companyId) like reports, and are stored with
+ * them: Firestore, or the local SQLite database (see storage.js).
+ */
+
+import { inventoryCounts, normalizeInventory } from "../inspectai/src/equipment.js";
+import {
+  saveCustomer,
+  updateCustomer as updateCustomerDoc,
+  getCustomerById,
+  deleteCustomer as deleteCustomerDoc,
+  listCustomers as listCustomerDocs,
+  saveLocation,
+  updateLocation as updateLocationDoc,
+  getLocationById,
+  deleteLocation as deleteLocationDoc,
+  listLocations as listLocationDocs,
+} from "./storage.js";
+
+/** 400/404 errors the routes pass straight to the client. */
+function registryError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function text(value, max = 200) {
+  return String(value ?? "").trim().slice(0, max);
+}
+
+function count(value, min) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.max(min, n) : min;
+}
+
+// Another company's records are reported as not found
+function owned(record, companyId) {
+  return record && record.companyId === companyId ? record : null;
+}
+
+/** Customer fields from client input; `partial` keeps only the keys that were sent. */
+function toCustomer(input, { partial = false } = {}) {
+  const customer = {};
+  for (const key of ["name", "contactName", "email", "phone", "notes"]) {
+    if (partial && input?.[key] === undefined) continue;
+    customer[key] = text(input?.[key], key === "notes" ? 2000 : 200);
+  }
+  if ((!partial || "name" in customer) && !customer.name) {
+    throw registryError(400, "Customer name is required");
+  }
+  return customer;
+}
+
+/** Equipment inventory; base service covers one hood and one fan, so both are at least 1. */
+function toEquipment(input) {
+  return {
+    hoods: count(input?.hoods, 1),
+    fans: count(input?.fans, 1),
+    filters: count(input?.filters, 0),
+  };
+}
+
+// The counts follow the inventory when there is one
+function withInventory(location, inventory) {
+  const normalized = normalizeInventory(inventory);
+  const { hoods, fans, filters } = inventoryCounts(normalized);
+  return { ...location, inventory: normalized, equipment: { hoods, fans, filters } };
+}
+
+function toLocation(input, { partial = false } = {}) {
+  let location = {};
+  for (const key of ["name", "address", "cookingVolume"]) {
+    if (partial && input?.[key] === undefined) continue;
+    location[key] = text(input?.[key], key === "address" ? 300 : 200);
+  }
+  if (!partial || input?.equipment !== undefined) location.equipment = toEquipment(input?.equipment);
+  if (input?.inventory) location = withInventory(location, input.inventory);
+  if ((!partial || "address" in location) && !location.address) {
+    throw registryError(400, "Location address is required");
+  }
+  return location;
+}
+
+// Proposal fields remembered per location ("last-used pricing"); repairs are job-specific
+const PRICING_FIELDS = [
+  "cleaningFrequency",
+  "baseRate",
+  "additionalHoodRate",
+  "additionalFanRate",
+  "additionalItems",
+  "stdFilterQty",
+  "stdFilterRate",
+  "nonStdFilterQty",
+  "nonStdFilterRate",
+  "fuelSurcharge",
+  "fuelFrequency",
+  "filterExchangeQty",
+  "filterExchangeUnitRate",
+  "filterExchangeFrequency",
+];
+
+function pricingFrom(draft) {
+  const pricing = {};
+  for (const key of PRICING_FIELDS) {
+    if (draft?.[key] !== undefined) pricing[key] = draft[key];
+  }
+  return pricing;
+}
+
+function matches(query, ...values) {
+  const q = query.toLowerCase();
+  return values.some((v) => String(v || "").toLowerCase().includes(q));
+}
+
+// ----- Customers -----
+export async function getCustomer(companyId, id) {
+  return owned(await getCustomerById(id), companyId);
+}
+
+/** The company's customers by name; `q` filters by name or contact. */
+export async function listCustomers(companyId, { q } = {}) {
+  return (await listCustomerDocs(companyId))
+    .filter((c) => !q || matches(q, c.name, c.contactName, c.email))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function createCustomer(companyId, input) {
+  const customer = { ...toCustomer(input), companyId };
+  return getCustomer(companyId, await saveCustomer(customer));
+}
+
+export async function updateCustomer(companyId, id, input) {
+  if (!(await getCustomer(companyId, id))) throw registryError(404, "Customer not found");
+  const updates = toCustomer(input, { partial: true });
+  await updateCustomerDoc(id, updates);
+  return getCustomer(companyId, id);
+}
+
+/** Deletes the customer and its locations (reports keep their copied name and address). */
+export async function deleteCustomer(companyId, id) {
+  if (!(await getCustomer(companyId, id))) throw registryError(404, "Customer not found");
+  for (const location of await listLocations(companyId, { customerId: id })) {
+    await deleteLocation(companyId, location.id);
+  }
+  await deleteCustomerDoc(id);
+}
+
+// ----- Locations -----
+export async function getLocation(companyId, id) {
+  return owned(await getLocationById(id), companyId);
+}
+
+/**
+ * The company's locations (optionally one customer's), each with its
+ * customer's { id, name }. `q` matches customer name, location name or address.
+ */
+export async function listLocations(companyId, { customerId, q } = {}) {
+  const customers = new Map((await listCustomers(companyId)).map((c) => [c.id, c]));
+  return (await listLocationDocs({ companyId, customerId }))
+    .map((l) => ({ ...l, customer: { id: l.customerId, name: customers.get(l.customerId)?.name || "" } }))
+    .filter((l) => !q || matches(q, l.customer.name, l.name, l.address))
+    .sort(
+      (a, b) =>
+        a.customer.name.localeCompare(b.customer.name) || a.address.localeCompare(b.address)
+    );
+}
+
+export async function createLocation(companyId, input) {
+  const customerId = text(input?.customerId);
+  if (!customerId || !(await getCustomer(companyId, customerId))) {
+    throw registryError(400, "customerId must be one of your customers");
+  }
+  const location = { ...toLocation(input), customerId, companyId };
+  return getLocation(companyId, await saveLocation(location));
+}
+
+async function patchLocation(companyId, id, updates) {
+  if (!(await getLocation(companyId, id))) throw registryError(404, "Location not found");
+  await updateLocationDoc(id, updates);
+  return getLocation(companyId, id);
+}
+
+export async function updateLocation(companyId, id, input) {
+  const updates = toLocation(input, { partial: true });
+  if (input?.customerId !== undefined) {
+    if (!(await getCustomer(companyId, String(input.customerId)))) {
+      throw registryError(400, "customerId must be one of your customers");
+    }
+    updates.customerId = String(input.customerId);
+  }
+  return patchLocation(companyId, id, updates);
+}
+
+export async function deleteLocation(companyId, id) {
+  if (!(await getLocation(companyId, id))) throw registryError(404, "Location not found");
+  await deleteLocationDoc(id);
+}
+
+/** After an inspection: the location's equipment and cooking volume as found on site. */
+export async function recordLocationInspection(
+  companyId,
+  id,
+  { equipment, inventory, cookingVolume, reportId }
+) {
+  let updates = {
+    equipment: toEquipment(equipment),
+    lastReportId: reportId || null,
+    lastInspectedAt: new Date().toISOString(),
+  };
+  if (inventory) updates = withInventory(updates, inventory);
+  if (cookingVolume) updates.cookingVolume = text(cookingVolume);
+  return patchLocation(companyId, id, updates);
+}
+
+/** After a proposal is saved for the location: remember its pricing for next time. */
+export async function recordLocationPricing(companyId, id, draft) {
+  return patchLocation(companyId, id, { lastPricing: pricingFrom(draft) });
+}
@@ -0,0 +1,244 @@
+/**
+ * Photo evidence: when, where and on what each upload was taken, read from its
+ * EXIF data before images.js strips it, and checked against the inspection, for
+ * insurance and fire-marshal disputes. Each photoAnalysis entry keeps
+ *
+ *   evidence: {
+ *     capturedAt  "2026-10-18T14:03:11-05:00", without the offset when the camera
+ *                 didn't record its time zone, or null
+ *     device      "Apple iPhone 15 Pro", or null
+ *     software    camera firmware / OS version, or null
+ *     gps         { latitude, longitude, accuracyM }, or null
+ *     checks      { time, location }: each { status: "ok" | "flagged" | "unknown", message },
+ *                 location also distanceKm (from the site)
+ *   }
+ *
+ * A photo is flagged when it was taken after the inspection or more than
+ * EVIDENCE_MAX_AGE_HOURS before it, or more than EVIDENCE_MAX_DISTANCE_KM from
+ * the site. The site is the inspection address geocoded by GEOCODER_URL when
+ * that is set; otherwise, with three or more located photos, where most of
+ * them were taken (so a stray photo from another job still stands out). The
+ * report records it as `evidenceSite`.
+ *
+ * Evidence is only ever what the server read from the upload: report edits
+ * can't change it (index.js keeps the stored one).
+ *
+ * Optional env vars:
+ *   EVIDENCE_MAX_AGE_HOURS - default 48
+ *   EVIDENCE_MAX_DISTANCE_KM - default 1
+ *   GEOCODER_URL - a Nominatim-compatible search endpoint, e.g.
+ *                  https://nominatim.openstreetmap.org/search (sends the address there)
+ */
+
+import exifr from "exifr";
+
+const DEFAULT_MAX_AGE_HOURS = 48;
+const DEFAULT_MAX_DISTANCE_KM = 1;
+const GEOCODE_TIMEOUT_MS = 5000;
+const HOUR_MS = 3600 * 1000;
+// Without a recorded offset the camera's clock could be in any time zone
+const UNKNOWN_ZONE_SLACK_MS = 14 * HOUR_MS;
+// Phone clocks drift a little from the server's
+const CLOCK_SLACK_MS = 15 * 60 * 1000;
+
+const EXIF_OPTIONS = {
+  tiff: true,
+  exif: true,
+  gps: true,
+  ifd1: false,
+  interop: false,
+  xmp: false,
+  icc: false,
+  iptc: false,
+  // Raw values: dates as written ("2026:10:18 14:03:11"), not in the server's time zone
+  reviveValues: false,
+};
+
+const NO_EVIDENCE = { capturedAt: null, device: null, software: null, gps: null };
+
+function text(value) {
+  const s = typeof value === "string" ? value.replace(/\0/g, "").trim() : "";
+  return s || null;
+}
+
+// "2026:10:18 14:03:11" + "-05:00" → "2026-10-18T14:03:11-05:00"
+function exifTime(value, offset) {
+  const match = text(value)?.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === "0000") return null;
+  const [, y, mo, d, h, mi, s] = match;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(text(offset) || "") ? text(offset) : "";
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`;
+}
+
+// "Apple" + "iPhone 15 Pro"; many cameras repeat the make in the model
+function deviceName(make, model) {
+  const m = text(make);
+  const d = text(model);
+  if (!d) return m;
+  return m && !d.toLowerCase().startsWith(m.toLowerCase()) ? `${m} ${d}` : d;
+}
+
+function coordinate(value, limit) {
+  return Number.isFinite(value) && Math.abs(value) <= limit && value !== 0 ? value : null;
+}
+
+/**
+ * What an upload's EXIF data says about when, where and on what it was taken
+ * (JPEG, HEIC, DNG/TIFF, PNG, WebP). Every field is null when there is none.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ capturedAt: string|null, device: string|null, software: string|null, gps: { latitude: number, longitude: number, accuracyM: number|null }|null }>}
+ */
+export async function readPhotoEvidence(buffer) {
+  let exif;
+  try {
+    exif = await exifr.parse(buffer, EXIF_OPTIONS);
+  } catch (err) {
+    console.warn("EXIF read failed:", err?.message);
+    return { ...NO_EVIDENCE };
+  }
+  if (!exif) return { ...NO_EVIDENCE };
+
+  const latitude = coordinate(exif.latitude, 90);
+  const longitude = coordinate(exif.longitude, 180);
+  return {
+    capturedAt:
+      exifTime(exif.DateTimeOriginal, exif.OffsetTimeOriginal) ||
+      exifTime(exif.CreateDate, exif.OffsetTimeDigitized) ||
+      null,
+    device: deviceName(exif.Make, exif.Model),
+    software: text(exif.Software),
+    gps:
+      latitude !== null && longitude !== null
+        ? {
+            latitude,
+            longitude,
+            accuracyM: Number.isFinite(exif.GPSHPositioningError) ? exif.GPSHPositioningError : null,
+          }
+        : null,
+  };
+}
+
+/**
+ * The inspection address's coordinates from GEOCODER_URL, or null when it
+ * isn't set or finds nothing (never throws: the checks then fall back).
+ * @returns {Promise<{ latitude: number, longitude: number }|null>}
+ */
+export async function geocodeAddress(address, { signal } = {}) {
+  const endpoint = process.env.GEOCODER_URL;
+  const query = String(address || "").trim();
+  if (!endpoint || !query) return null;
+  try {
+    const url = new URL(endpoint);
+    url.searchParams.set("q", query);
+    url.searchParams.set("format", "json");
+    url.searchParams.set("limit", "1");
+    const timeout = AbortSignal.timeout(GEOCODE_TIMEOUT_MS);
+    const res = await fetch(url, {
+      headers: { "User-Agent": "InspectAI photo evidence check", Accept: "application/json" },
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const [place] = await res.json();
+    const latitude = coordinate(Number(place?.lat), 90);
+    const longitude = coordinate(Number(place?.lon), 180);
+    return latitude !== null && longitude !== null ? { latitude, longitude } : null;
+  } catch (err) {
+    console.warn("Geocoding the inspection address failed:", err?.message);
+    return null;
+  }
+}
+
+/** Great-circle distance between two { latitude, longitude } points, in km. */
+export function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Where the photos are checked against: the geocoded address, else (three or
+ * more located photos) the median of their positions, else null.
+ * @returns {{ latitude: number, longitude: number, source: "address" | "photos" }|null}
+ */
+export function evidenceSite(evidence, addressCoordinates) {
+  if (addressCoordinates) return { ...addressCoordinates, source: "address" };
+  const located = evidence.map((e) => e?.gps).filter(Boolean);
+  if (located.length < 3) return null;
+  return {
+    latitude: median(located.map((g) => g.latitude)),
+    longitude: median(located.map((g) => g.longitude)),
+    source: "photos",
+  };
+}
+
+// "40 minutes", "5 hours", "3 days"
+function duration(ms) {
+  const minutes = Math.round(Math.abs(ms) / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? "" : "s"}`;
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+}
+
+function checkTime(capturedAt, inspectedAt, maxAgeMs) {
+  if (!capturedAt) return { status: "unknown", message: "No capture time in the photo" };
+  const zoned = /[+-]\d{2}:\d{2}$/.test(capturedAt);
+  // Unzoned times are read as UTC, then given the widest time zone difference either way
+  const taken = Date.parse(zoned ? capturedAt : `${capturedAt}Z`);
+  if (Number.isNaN(taken)) return { status: "unknown", message: "Unreadable capture time" };
+  const slack = zoned ? CLOCK_SLACK_MS : UNKNOWN_ZONE_SLACK_MS;
+  const before = inspectedAt - taken;
+  if (before < -slack) {
+    return { status: "flagged", message: `Timestamp is ${duration(before)} after the inspection` };
+  }
+  if (before > maxAgeMs + slack) {
+    return { status: "flagged", message: `Taken ${duration(before)} before the inspection` };
+  }
+  return { status: "ok", message: "Taken at the time of the inspection" };
+}
+
+function checkLocation(gps, site, maxDistanceKm) {
+  if (!gps) return { status: "unknown", message: "No GPS location in the photo", distanceKm: null };
+  if (!site) {
+    return { status: "unknown", message: "No inspection site location to compare with", distanceKm: null };
+  }
+  const km = Math.round(distanceKm(gps, site) * 100) / 100;
+  const from = site.source === "address" ? "the inspection address" : "where the other photos were taken";
+  return {
+    status: km > maxDistanceKm ? "flagged" : "ok",
+    message: km > maxDistanceKm ? `${km} km from ${from}` : `Within ${maxDistanceKm} km of ${from}`,
+    distanceKm: km,
+  };
+}
+
+/**
+ * Each photo's evidence with its time and location checks.
+ * @param {Array<object|null>} evidence - readPhotoEvidence() results, in photo order
+ * @param {{ inspectedAt?: Date|string, site?: object|null }} options - site from evidenceSite()
+ */
+export function checkPhotoEvidence(evidence, { inspectedAt = new Date(), site = null } = {}) {
+  const maxAgeMs = Number(process.env.EVIDENCE_MAX_AGE_HOURS || DEFAULT_MAX_AGE_HOURS) * HOUR_MS;
+  const maxDistanceKm = Number(process.env.EVIDENCE_MAX_DISTANCE_KM || DEFAULT_MAX_DISTANCE_KM);
+  const inspected = new Date(inspectedAt).getTime();
+  return evidence.map((e) => {
+    const found = { ...NO_EVIDENCE, ...e };
+    return {
+      ...found,
+      checks: {
+        time: checkTime(found.capturedAt, inspected, maxAgeMs),
+        location: checkLocation(found.gps, site, maxDistanceKm),
+      },
+    };
+  });
+}
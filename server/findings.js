@@ -0,0 +1,282 @@
+/**
+ * Structured findings for the photo vision step.
+ *
+ * The vision prompt (prompts/photo-findings.v<N>.md, see prompts.js) asks for a
+ * JSON object (enforced with a JSON schema response format); parseFindings() extracts it from the model output, repairs
+ * common near-misses (synonyms, "85%" confidences, notes as an array) and
+ * validates it. When validation still fails the caller re-prompts once with
+ * findingsRepairInstruction(). The prompt spells out the allowed values below,
+ * so changing them needs a new prompt version too.
+ *
+ * Shape:
+ *   {
+ *     component: "hood" | "duct" | "fan" | "filter" | "access panel" | "other",
+ *     greaseDepth: "none" | "light" | "moderate" | "heavy" | "severe",
+ *     severity: "low" | "moderate" | "high" | "critical",
+ *     confidence: number 0–1,
+ *     codeViolation: boolean,
+ *     notes: string (concise "- " bullet lines)
+ *   }
+ *
+ * "After" photos of a service report (see serviceReport.js) get a cleaning
+ * assessment instead, parsed the same way with parseCleaning():
+ *   {
+ *     component, residualGrease (a greaseDepth),
+ *     completeness: "complete" | "partial" | "incomplete",
+ *     confidence: number 0–1,
+ *     notes: string (what was missed, "- " bullet lines)
+ *   }
+ */
+
+import { COMPLETENESS } from "../inspectai/src/serviceReport.js";
+
+export const COMPONENTS = ["hood", "duct", "fan", "filter", "access panel", "other"];
+
+// Grease depth classes, keyed to NFPA 96 depth-gauge thresholds
+export const GREASE_DEPTHS = ["none", "light", "moderate", "heavy", "severe"];
+
+export const SEVERITIES = ["low", "moderate", "high", "critical"];
+
+/** Responses API `text.format` so the model returns schema-shaped JSON */
+export const FINDINGS_TEXT_FORMAT = {
+  type: "json_schema",
+  name: "photo_findings",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["component", "greaseDepth", "severity", "confidence", "codeViolation", "notes"],
+    properties: {
+      component: { type: "string", enum: COMPONENTS },
+      greaseDepth: { type: "string", enum: GREASE_DEPTHS },
+      severity: { type: "string", enum: SEVERITIES },
+      confidence: { type: "number" },
+      codeViolation: { type: "boolean" },
+      notes: { type: "string" },
+    },
+  },
+};
+
+const COMPONENT_SYNONYMS = [
+  [/access|clean\s*out|door|panel/, "access panel"],
+  [/filter|baffle/, "filter"],
+  [/fan|blower|upblast|motor|belt/, "fan"],
+  [/duct|flue|riser|plenum/, "duct"],
+  [/hood|canopy/, "hood"],
+];
+
+const DEPTH_SYNONYMS = [
+  [/none|clean|bare/, "none"],
+  [/light|trace|minimal|thin|film/, "light"],
+  [/moderate|medium/, "moderate"],
+  [/severe|extreme|hazard|pool|drip/, "severe"],
+  [/heavy|thick|excess/, "heavy"],
+];
+
+const SEVERITY_SYNONYMS = [
+  [/low|minor|none|ok/, "low"],
+  [/moderate|medium/, "moderate"],
+  [/critical|severe|urgent|immediate|hazard/, "critical"],
+  [/high|major|significant/, "high"],
+];
+
+function matchSynonym(value, allowed, synonyms) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (allowed.includes(v)) return v;
+  for (const [re, canonical] of synonyms) {
+    if (re.test(v)) return canonical;
+  }
+  return v;
+}
+
+/** Pull the first JSON object out of model output (handles ```json fences and prose around it). */
+function extractJsonObject(text) {
+  const raw = String(text ?? "").trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : raw;
+  const start = candidate.indexOf("{");
+  const end = candidate.lastIndexOf("}");
+  if (start < 0 || end <= start) return null;
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeConfidence(value) {
+  let confidence = value;
+  if (typeof confidence === "string") confidence = parseFloat(confidence);
+  if (Number.isFinite(confidence) && confidence > 1 && confidence <= 100) confidence /= 100;
+  return confidence;
+}
+
+function normalizeNotes(value) {
+  let notes = value ?? "";
+  if (Array.isArray(notes)) {
+    notes = notes
+      .map((n) => String(n ?? "").trim())
+      .filter(Boolean)
+      .map((n) => (n.startsWith("-") ? n : `- ${n}`))
+      .join("\n");
+  }
+  return String(notes).trim();
+}
+
+/** Coerce a near-miss object into the findings shape (does not validate). */
+export function normalizeFindings(obj) {
+  if (!obj || typeof obj !== "object") return obj;
+
+  let codeViolation = obj.codeViolation ?? obj.code_violation;
+  if (typeof codeViolation === "string") {
+    codeViolation = /^(true|yes|y|1)$/i.test(codeViolation.trim());
+  }
+
+  return {
+    component: matchSynonym(obj.component, COMPONENTS, COMPONENT_SYNONYMS),
+    greaseDepth: matchSynonym(obj.greaseDepth ?? obj.grease_depth, GREASE_DEPTHS, DEPTH_SYNONYMS),
+    severity: matchSynonym(obj.severity, SEVERITIES, SEVERITY_SYNONYMS),
+    confidence: normalizeConfidence(obj.confidence),
+    codeViolation,
+    notes: normalizeNotes(obj.notes),
+  };
+}
+
+/** @returns {string[]} Validation errors (empty when valid) */
+export function validateFindings(f) {
+  if (!f || typeof f !== "object") return ["Response is not a JSON object"];
+  const errors = [];
+  if (!COMPONENTS.includes(f.component)) {
+    errors.push(`component must be one of ${COMPONENTS.join(", ")}`);
+  }
+  if (!GREASE_DEPTHS.includes(f.greaseDepth)) {
+    errors.push(`greaseDepth must be one of ${GREASE_DEPTHS.join(", ")}`);
+  }
+  if (!SEVERITIES.includes(f.severity)) {
+    errors.push(`severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  if (typeof f.confidence !== "number" || !(f.confidence >= 0 && f.confidence <= 1)) {
+    errors.push("confidence must be a number from 0 to 1");
+  }
+  if (typeof f.codeViolation !== "boolean") errors.push("codeViolation must be true or false");
+  if (typeof f.notes !== "string") errors.push("notes must be a string");
+  return errors;
+}
+
+/**
+ * Parse + repair + validate model output.
+ * @returns {{ findings: object|null, errors: string[] }}
+ */
+export function parseFindings(text) {
+  const obj = extractJsonObject(text);
+  if (!obj) return { findings: null, errors: ["Response did not contain a JSON object"] };
+  const normalized = normalizeFindings(obj);
+  const errors = validateFindings(normalized);
+  return { findings: errors.length ? null : normalized, errors };
+}
+
+/** Follow-up message asking the model to fix an invalid findings response. */
+export function findingsRepairInstruction(errors) {
+  return (
+    "Your previous response was not a valid findings object:\n" +
+    errors.map((e) => `- ${e}`).join("\n") +
+    "\nReturn ONLY the corrected JSON object with fields component, greaseDepth, severity, confidence, codeViolation and notes."
+  );
+}
+
+/** Human-readable text for a findings object (used when notes are empty). */
+export function describeFindings(f) {
+  if (!f) return "";
+  const component = f.component.charAt(0).toUpperCase() + f.component.slice(1);
+  return `- ${component}: ${f.greaseDepth} grease, ${f.severity} severity${f.codeViolation ? " (possible NFPA 96 violation)" : ""}`;
+}
+
+// ----- Cleaning completeness ("after" photos of a service report) -----
+
+export const CLEANING_TEXT_FORMAT = {
+  type: "json_schema",
+  name: "cleaning_assessment",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["component", "residualGrease", "completeness", "confidence", "notes"],
+    properties: {
+      component: { type: "string", enum: COMPONENTS },
+      residualGrease: { type: "string", enum: GREASE_DEPTHS },
+      completeness: { type: "string", enum: COMPLETENESS },
+      confidence: { type: "number" },
+      notes: { type: "string" },
+    },
+  },
+};
+
+const COMPLETENESS_SYNONYMS = [
+  [/incomplete|not\s*clean|uncleaned|dirty|fail/, "incomplete"],
+  [/partial|residue|streak|mostly|missed/, "partial"],
+  [/complete|clean|bare|pass|done/, "complete"],
+];
+
+/** Coerce a near-miss object into the cleaning assessment shape (does not validate). */
+export function normalizeCleaning(obj) {
+  if (!obj || typeof obj !== "object") return obj;
+  return {
+    component: matchSynonym(obj.component, COMPONENTS, COMPONENT_SYNONYMS),
+    residualGrease: matchSynonym(
+      obj.residualGrease ?? obj.residual_grease ?? obj.greaseDepth,
+      GREASE_DEPTHS,
+      DEPTH_SYNONYMS
+    ),
+    completeness: matchSynonym(obj.completeness, COMPLETENESS, COMPLETENESS_SYNONYMS),
+    confidence: normalizeConfidence(obj.confidence),
+    notes: normalizeNotes(obj.notes),
+  };
+}
+
+/** @returns {string[]} Validation errors (empty when valid) */
+export function validateCleaning(c) {
+  if (!c || typeof c !== "object") return ["Response is not a JSON object"];
+  const errors = [];
+  if (!COMPONENTS.includes(c.component)) {
+    errors.push(`component must be one of ${COMPONENTS.join(", ")}`);
+  }
+  if (!GREASE_DEPTHS.includes(c.residualGrease)) {
+    errors.push(`residualGrease must be one of ${GREASE_DEPTHS.join(", ")}`);
+  }
+  if (!COMPLETENESS.includes(c.completeness)) {
+    errors.push(`completeness must be one of ${COMPLETENESS.join(", ")}`);
+  }
+  if (typeof c.confidence !== "number" || !(c.confidence >= 0 && c.confidence <= 1)) {
+    errors.push("confidence must be a number from 0 to 1");
+  }
+  if (typeof c.notes !== "string") errors.push("notes must be a string");
+  return errors;
+}
+
+/**
+ * Parse + repair + validate model output for an "after" photo.
+ * @returns {{ cleaning: object|null, errors: string[] }}
+ */
+export function parseCleaning(text) {
+  const obj = extractJsonObject(text);
+  if (!obj) return { cleaning: null, errors: ["Response did not contain a JSON object"] };
+  const normalized = normalizeCleaning(obj);
+  const errors = validateCleaning(normalized);
+  return { cleaning: errors.length ? null : normalized, errors };
+}
+
+/** Follow-up message asking the model to fix an invalid cleaning assessment. */
+export function cleaningRepairInstruction(errors) {
+  return (
+    "Your previous response was not a valid cleaning assessment:\n" +
+    errors.map((e) => `- ${e}`).join("\n") +
+    "\nReturn ONLY the corrected JSON object with fields component, residualGrease, completeness, confidence and notes."
+  );
+}
+
+/** Human-readable text for a cleaning assessment (used when notes are empty). */
+export function describeCleaning(c) {
+  if (!c) return "";
+  const component = c.component.charAt(0).toUpperCase() + c.component.slice(1);
+  return `- ${component}: cleaning ${c.completeness}, ${c.residualGrease} residual grease`;
+}
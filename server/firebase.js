@@ -1,6 +1,7 @@
 /**
- * Firebase Admin SDK for Storage uploads.
- * Uploads inspection photos and returns signed public URLs.
+ * Firebase Admin SDK: Firestore records and Storage photos.
+ * Photos are stored under inspection-photos/ by photo id (see storage.js) and
+ * only ever served through the server's photo route, never by Storage URL.
  *
  * Required env vars (when using Storage):
  *   FIREBASE_SERVICE_ACCOUNT_PATH - path to service account JSON key
@@ -42,41 +43,66 @@ export function initFirebase() {
   }
 }
 
-/**
- * Upload a file buffer to Firebase Storage and return a signed URL.
- * Do not log signed URLs (security).
- *
- * @param {Buffer} buffer - File buffer
- * @param {string} filename - Original filename
- * @param {string} mimeType - MIME type
- * @param {number} index - Photo index for unique path
- * @returns {Promise<string|null>} Signed URL or null
- */
-export async function uploadPhotoAndGetUrl(buffer, filename, mimeType, index = 0) {
+// ----- Storage: photos by id (inspection-photos/<id>) -----
+const PHOTOS_FOLDER = "inspection-photos/";
+
+function photoFile(photoId) {
   initFirebase();
   if (!firebaseReady) return null;
+  return admin.storage().bucket().file(`${PHOTOS_FOLDER}${photoId}`);
+}
 
-  const bucket = admin.storage().bucket();
-  const uniquePath = `inspection-photos/${Date.now()}-${index}-${filename}`;
-  const file = bucket.file(uniquePath);
+export async function writePhoto(photoId, buffer, contentType) {
+  const file = photoFile(photoId);
+  if (!file) throw new Error("Firebase Storage is not configured");
+  await file.save(buffer, { metadata: { contentType }, resumable: false });
+}
 
-  await file.save(buffer, {
-    metadata: { contentType: mimeType || "image/jpeg" },
-    resumable: false,
-  });
+/** { size, contentType, updatedAt } of a stored photo, or null when there is none. */
+export async function photoInfo(photoId) {
+  const file = photoFile(photoId);
+  if (!file) return null;
+  try {
+    const [metadata] = await file.getMetadata();
+    return {
+      size: Number(metadata.size),
+      contentType: metadata.contentType,
+      updatedAt: metadata.updated,
+    };
+  } catch (err) {
+    if (err.code === 404) return null;
+    throw err;
+  }
+}
 
-  const [url] = await file.getSignedUrl({
-    action: "read",
-    expires: Date.now() + 1000 * 60 * 60 * 24 * 30, // 30 days
-  });
+/** Readable stream of a stored photo, or of bytes `range.start`–`range.end` (inclusive). */
+export function openPhoto(photoId, range) {
+  return photoFile(photoId).createReadStream(range ? { start: range.start, end: range.end } : {});
+}
 
-  return url;
+export async function deletePhotos(photoIds) {
+  await Promise.all(photoIds.map((id) => photoFile(id)?.delete({ ignoreNotFound: true })));
 }
 
 // ----- Firestore: Report history (30-day retention) -----
 const REPORTS_COLLECTION = "inspection_reports";
+const REVISIONS_SUBCOLLECTION = "revisions";
 const RETENTION_DAYS = 30;
 
+// What updateReport() may change (status has its own transaction, updateReportStatus)
+export const REPORT_UPDATE_FIELDS = [
+  "reportText",
+  "summary",
+  "photoAnalysis",
+  "photos",
+  "restaurantName",
+  "address",
+  "notes",
+  "condition",
+  "shareToken",
+  "locked",
+];
+
 export async function saveReport(reportData) {
   initFirebase();
   if (!firebaseReady) return null;
@@ -113,9 +139,11 @@ export async function getReportById(id) {
 
 /**
  * Update an existing report (e.g. after user edits and saves).
- * Only provided fields are updated; createdAt is preserved.
+ * Only provided fields are updated; createdAt is preserved. When `revision` is
+ * given it is appended to the report's revisions in the same batch, so an edit
+ * is never saved without its history entry.
  */
-export async function updateReport(id, updates) {
+export async function updateReport(id, updates, revision = null) {
   initFirebase();
   if (!firebaseReady) return null;
 
@@ -124,45 +152,123 @@ export async function updateReport(id, updates) {
   const snap = await ref.get();
   if (!snap.exists) return null;
 
-  const allowed = [
-    "reportText",
-    "summary",
-    "photoAnalysis",
-    "photos",
-    "restaurantName",
-    "address",
-    "notes",
-  ];
   const payload = {};
-  for (const key of allowed) {
+  for (const key of REPORT_UPDATE_FIELDS) {
     if (updates[key] !== undefined) payload[key] = updates[key];
   }
   if (Object.keys(payload).length === 0) return id;
 
-  await ref.update({
+  const batch = db.batch();
+  batch.update(ref, {
     ...payload,
     updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   });
+  if (revision) batch.create(ref.collection(REVISIONS_SUBCOLLECTION).doc(), revision);
+  await batch.commit();
   return id;
 }
 
-export async function listReports(limit = 50) {
+/** A report's revisions (see index.js), oldest first; [] when Firebase is not configured. */
+export async function listReportRevisions(reportId) {
   initFirebase();
   if (!firebaseReady) return [];
 
   const db = admin.firestore();
   const snap = await db
     .collection(REPORTS_COLLECTION)
-    .orderBy("createdAt", "desc")
-    .limit(limit)
+    .doc(reportId)
+    .collection(REVISIONS_SUBCOLLECTION)
+    .orderBy("createdAt", "asc")
     .get();
+  return snap.docs.map((d) => ({ ...d.data(), id: d.id }));
+}
+
+/**
+ * Move a report through the approval workflow: sets `status` and appends
+ * `entry` to statusHistory, in a transaction that fails with err.status 409
+ * if someone else changed the status since it was read (`from`).
+ * Returns the id, or null when Firebase is not configured or the report is gone.
+ */
+export async function updateReportStatus(id, from, status, entry) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(REPORTS_COLLECTION).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    if ((snap.get("status") ?? null) !== from) {
+      const err = new Error("The report's status changed — reload and try again");
+      err.status = 409;
+      throw err;
+    }
+    tx.update(ref, {
+      status,
+      statusHistory: admin.firestore.FieldValue.arrayUnion(entry),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return id;
+  });
+}
+
+/**
+ * A company's reports, newest first. Needs the companyId + createdAt desc index,
+ * and companyId + customerId / locationId + createdAt desc ones for a customer's
+ * or location's reports (ordered before the limit, so the newest are the ones kept).
+ */
+export async function listReports({ companyId, customerId, locationId, limit = 50 }) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
+  const db = admin.firestore();
+  let query = db.collection(REPORTS_COLLECTION).where("companyId", "==", companyId);
+  if (customerId) query = query.where("customerId", "==", customerId);
+  if (locationId) query = query.where("locationId", "==", locationId);
+  const snap = await query.orderBy("createdAt", "desc").limit(limit).get();
   return snap.docs.map((d) => normalizeReportDoc(d));
 }
 
-export async function deleteReportsOlderThan(days = RETENTION_DAYS) {
+/** Report behind a public share link (report.html?t=). */
+export async function getReportByShareToken(token) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db
+    .collection(REPORTS_COLLECTION)
+    .where("shareToken", "==", token)
+    .limit(1)
+    .get();
+  return snap.empty ? null : normalizeReportDoc(snap.docs[0]);
+}
+
+/**
+ * Gives reports saved before company accounts (no companyId) to companyId; resolves
+ * with how many. Firestore can't query for a missing field, so this reads every
+ * report's companyId (only RETENTION_DAYS' worth are kept).
+ */
+export async function assignLegacyReports(companyId) {
   initFirebase();
   if (!firebaseReady) return 0;
 
+  const db = admin.firestore();
+  const snap = await db.collection(REPORTS_COLLECTION).select("companyId").get();
+  const legacy = snap.docs.filter((d) => !d.get("companyId"));
+  // A batch holds at most 500 writes
+  for (let i = 0; i < legacy.length; i += 500) {
+    const batch = db.batch();
+    legacy.slice(i, i + 500).forEach((d) => batch.update(d.ref, { companyId }));
+    await batch.commit();
+  }
+  return legacy.length;
+}
+
+/** Delete reports created more than `days` ago; resolves with the deleted reports (their photos stay, see storage.js). */
+export async function deleteReportsOlderThan(days = RETENTION_DAYS) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
   const db = admin.firestore();
   const cutoff = new Date();
   cutoff.setDate(cutoff.getDate() - days);
@@ -173,8 +279,412 @@ export async function deleteReportsOlderThan(days = RETENTION_DAYS) {
     .limit(500)
     .get();
 
-  const batch = db.batch();
-  snap.docs.forEach((d) => batch.delete(d.ref));
-  await batch.commit();
-  return snap.size;
+  // recursiveDelete also removes each report's revisions subcollection
+  await Promise.all(snap.docs.map((d) => db.recursiveDelete(d.ref)));
+  return snap.docs.map(normalizeReportDoc);
+}
+
+// ----- Firestore: Report generation jobs (resumable /api/jobs/:id) -----
+const JOBS_COLLECTION = "generation_jobs";
+
+/**
+ * Create or update a generation job document (merge). Returns the job id,
+ * or null when Firebase is not configured so callers can use their local store.
+ */
+export async function saveJob(job) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const { id, ...data } = job;
+  await db
+    .collection(JOBS_COLLECTION)
+    .doc(id)
+    .set(
+      { ...data, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+  return id;
+}
+
+export async function getJobById(id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(JOBS_COLLECTION).doc(id).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  const updated = data.updatedAt;
+  return {
+    ...data,
+    id: snap.id,
+    updatedAt: updated?.toDate?.()?.toISOString?.() ?? updated ?? null,
+  };
+}
+
+// ----- Firestore: Service proposals (priced from inspectai/src/proposalMath.js) -----
+// Each proposal links to the inspection it was priced from via `reportId`.
+// Once the customer signs (`acceptance`), the proposal can no longer change.
+const PROPOSALS_COLLECTION = "proposals";
+
+/** Thrown when changing a signed proposal (err.status 409 for the route). */
+export function lockedProposalError() {
+  const err = new Error("This proposal has been signed and can no longer be changed");
+  err.status = 409;
+  return err;
+}
+
+function normalizeProposalDoc(snap) {
+  const data = snap.data();
+  const toIso = (v) => v?.toDate?.()?.toISOString?.() ?? v ?? null;
+  return {
+    ...data,
+    id: snap.id,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+  };
+}
+
+/** Create a proposal. Returns the new id, or null when Firebase is not configured. */
+export async function saveProposal(proposal) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const ref = await db
+    .collection(PROPOSALS_COLLECTION)
+    .add({ ...proposal, createdAt: now, updatedAt: now });
+  return ref.id;
+}
+
+/**
+ * Replace a proposal's contents (createdAt is preserved). Returns the id,
+ * or null if Firebase is not configured or the proposal does not exist.
+ */
+export async function updateProposal(id, proposal) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(PROPOSALS_COLLECTION).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    if (snap.data().acceptance) throw lockedProposalError();
+    tx.set(ref, {
+      ...proposal,
+      createdAt: snap.data().createdAt ?? admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return id;
+  });
+}
+
+/**
+ * Record the customer's acceptance ({ name, signature, signedAt, ip, userAgent }).
+ * Returns the id, or null if Firebase is not configured or the proposal does
+ * not exist; throws lockedProposalError() if it was already signed.
+ */
+export async function acceptProposal(id, acceptance) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(PROPOSALS_COLLECTION).doc(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    if (snap.data().acceptance) throw lockedProposalError();
+    tx.update(ref, { acceptance, status: "accepted" });
+    return id;
+  });
+}
+
+export async function getProposalById(id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(PROPOSALS_COLLECTION).doc(id).get();
+  if (!snap.exists) return null;
+  return normalizeProposalDoc(snap);
+}
+
+/** Proposal behind a public share link (proposal.html?t=). */
+export async function getProposalByShareToken(token) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db
+    .collection(PROPOSALS_COLLECTION)
+    .where("shareToken", "==", token)
+    .limit(1)
+    .get();
+  return snap.empty ? null : normalizeProposalDoc(snap.docs[0]);
+}
+
+/**
+ * A company's proposals, most recently updated first; pass reportId to list
+ * one report's proposals. Needs the companyId + updatedAt desc index.
+ */
+export async function listProposals({ companyId, reportId, limit = 50 }) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
+  const db = admin.firestore();
+  let query = db.collection(PROPOSALS_COLLECTION).where("companyId", "==", companyId);
+  // Equality filters only for one report, so no extra index; sort here instead
+  query = reportId
+    ? query.where("reportId", "==", reportId)
+    : query.orderBy("updatedAt", "desc");
+  const snap = await query.limit(limit).get();
+  return snap.docs
+    .map((d) => normalizeProposalDoc(d))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/** Returns true when deleted, false if it did not exist, null if Firebase is not configured. */
+export async function deleteProposal(id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(PROPOSALS_COLLECTION).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  if (snap.data().acceptance) throw lockedProposalError();
+  await ref.delete();
+  return true;
+}
+
+
+// ----- Firestore: Accounts (companies = tenants, users belong to one company) -----
+const COMPANIES_COLLECTION = "companies";
+const USERS_COLLECTION = "users";
+
+function normalizeAccountDoc(snap) {
+  const data = snap.data();
+  const created = data.createdAt;
+  return {
+    ...data,
+    id: snap.id,
+    createdAt: created?.toDate?.()?.toISOString?.() ?? created ?? null,
+  };
+}
+
+/**
+ * Create a company and its first user together. The email must be unused.
+ * Returns { companyId, userId }, null when Firebase is not configured, or
+ * false when the email is already registered.
+ */
+export async function createCompanyWithUser(company, user) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const companyRef = db.collection(COMPANIES_COLLECTION).doc();
+  const userRef = db.collection(USERS_COLLECTION).doc();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  return db.runTransaction(async (tx) => {
+    const taken = await tx.get(
+      db.collection(USERS_COLLECTION).where("email", "==", user.email).limit(1)
+    );
+    if (!taken.empty) return false;
+    tx.set(companyRef, { ...company, createdAt: now });
+    tx.set(userRef, { ...user, companyId: companyRef.id, createdAt: now });
+    return { companyId: companyRef.id, userId: userRef.id };
+  });
+}
+
+/**
+ * Add a user to an existing company ({ email, name, role, passwordHash, companyId }).
+ * Returns the id, null when Firebase is not configured, or false if the email is taken.
+ */
+export async function createUser(user) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const userRef = db.collection(USERS_COLLECTION).doc();
+  return db.runTransaction(async (tx) => {
+    const taken = await tx.get(
+      db.collection(USERS_COLLECTION).where("email", "==", user.email).limit(1)
+    );
+    if (!taken.empty) return false;
+    tx.set(userRef, { ...user, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return userRef.id;
+  });
+}
+
+export async function getUserById(id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(USERS_COLLECTION).doc(id).get();
+  return snap.exists ? normalizeAccountDoc(snap) : null;
+}
+
+/** A company's users (with passwordHash — callers strip it). */
+export async function listUsers(companyId) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
+  const db = admin.firestore();
+  const snap = await db.collection(USERS_COLLECTION).where("companyId", "==", companyId).get();
+  return snap.docs.map((d) => normalizeAccountDoc(d));
+}
+
+/** Merge fields into a user (e.g. { role }). Returns the id, or null if missing / not configured. */
+export async function updateUser(id, updates) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(USERS_COLLECTION).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  await ref.update(updates);
+  return id;
+}
+
+/** Returns the user (with passwordHash), or null if not found / not configured. */
+export async function getUserByEmail(email) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(USERS_COLLECTION).where("email", "==", email).limit(1).get();
+  return snap.empty ? null : normalizeAccountDoc(snap.docs[0]);
+}
+
+export async function getCompanyById(id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(COMPANIES_COLLECTION).doc(id).get();
+  return snap.exists ? normalizeAccountDoc(snap) : null;
+}
+
+/** Merge fields into a company (e.g. { rates }). Returns the id, or null if missing / not configured. */
+export async function updateCompany(id, updates) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(COMPANIES_COLLECTION).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  await ref.update(updates);
+  return id;
+}
+
+// ----- Firestore: Customers and their locations (company-scoped registry) -----
+const CUSTOMERS_COLLECTION = "customers";
+const LOCATIONS_COLLECTION = "locations";
+
+function normalizeRegistryDoc(snap) {
+  const data = snap.data();
+  const toIso = (v) => v?.toDate?.()?.toISOString?.() ?? v ?? null;
+  return { ...data, id: snap.id, createdAt: toIso(data.createdAt), updatedAt: toIso(data.updatedAt) };
+}
+
+async function addRegistryDoc(collection, data) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const ref = await db.collection(collection).add({ ...data, createdAt: now, updatedAt: now });
+  return ref.id;
+}
+
+async function updateRegistryDoc(collection, id, updates) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const ref = db.collection(collection).doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  await ref.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  return id;
+}
+
+async function getRegistryDoc(collection, id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  const snap = await db.collection(collection).doc(id).get();
+  return snap.exists ? normalizeRegistryDoc(snap) : null;
+}
+
+async function deleteRegistryDoc(collection, id) {
+  initFirebase();
+  if (!firebaseReady) return null;
+
+  const db = admin.firestore();
+  await db.collection(collection).doc(id).delete();
+  return id;
+}
+
+/** Returns the new customer id, or null when Firebase is not configured. */
+export async function saveCustomer(customer) {
+  return addRegistryDoc(CUSTOMERS_COLLECTION, customer);
+}
+
+export async function updateCustomer(id, updates) {
+  return updateRegistryDoc(CUSTOMERS_COLLECTION, id, updates);
+}
+
+export async function getCustomerById(id) {
+  return getRegistryDoc(CUSTOMERS_COLLECTION, id);
+}
+
+export async function deleteCustomer(id) {
+  return deleteRegistryDoc(CUSTOMERS_COLLECTION, id);
+}
+
+/** A company's customers ([] when Firebase is not configured). */
+export async function listCustomers(companyId) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
+  const db = admin.firestore();
+  const snap = await db.collection(CUSTOMERS_COLLECTION).where("companyId", "==", companyId).get();
+  return snap.docs.map((d) => normalizeRegistryDoc(d));
+}
+
+/** Returns the new location id, or null when Firebase is not configured. */
+export async function saveLocation(location) {
+  return addRegistryDoc(LOCATIONS_COLLECTION, location);
+}
+
+export async function updateLocation(id, updates) {
+  return updateRegistryDoc(LOCATIONS_COLLECTION, id, updates);
+}
+
+export async function getLocationById(id) {
+  return getRegistryDoc(LOCATIONS_COLLECTION, id);
+}
+
+export async function deleteLocation(id) {
+  return deleteRegistryDoc(LOCATIONS_COLLECTION, id);
+}
+
+/** A company's locations, optionally one customer's ([] when Firebase is not configured). */
+export async function listLocations({ companyId, customerId }) {
+  initFirebase();
+  if (!firebaseReady) return [];
+
+  const db = admin.firestore();
+  let query = db.collection(LOCATIONS_COLLECTION).where("companyId", "==", companyId);
+  if (customerId) query = query.where("customerId", "==", customerId);
+  const snap = await query.get();
+  return snap.docs.map((d) => normalizeRegistryDoc(d));
 }
@@ -0,0 +1,86 @@
+/**
+ * Cleaning-frequency recommendation (NFPA 96 Table 11.4).
+ *
+ * The table sets the minimum inspection schedule by type/volume of cooking;
+ * we recommend cleaning on that schedule and step one level more frequent when
+ * the photos show grease already at or past the 2000 µm cleaning threshold
+ * (the current interval is not keeping up). Never less frequent than the table.
+ */
+
+// Same labels as FREQUENCY_OPTIONS in the proposal UI, most → least frequent
+export const FREQUENCIES = ["Monthly", "Quarterly", "Semi-annually", "Annually"];
+
+export const COOKING_VOLUMES = {
+  "solid-fuel": {
+    label: "Solid fuel cooking",
+    frequency: "Monthly",
+    rule: "systems serving solid fuel cooking operations — monthly",
+  },
+  "high-volume": {
+    label: "High-volume cooking (24-hour, charbroiling, wok)",
+    frequency: "Quarterly",
+    rule: "systems serving high-volume cooking operations such as 24-hour cooking, charbroiling or wok cooking — quarterly",
+  },
+  "moderate-volume": {
+    label: "Moderate-volume cooking",
+    frequency: "Semi-annually",
+    rule: "systems serving moderate-volume cooking operations — semiannually",
+  },
+  "low-volume": {
+    label: "Low-volume cooking (churches, day camps, seasonal, senior centers)",
+    frequency: "Annually",
+    rule: "systems serving low-volume cooking operations such as churches, day camps, seasonal businesses or senior centers — annually",
+  },
+};
+
+const DEFAULT_VOLUME = "moderate-volume";
+
+/**
+ * @param {object} params
+ * @param {string} params.cookingVolume - key of COOKING_VOLUMES (optional)
+ * @param {Array} params.photoAnalysis - entries with structured `findings`
+ * @returns {{ frequency: string, cookingVolume: string, rationale: string, reasons: string[] }}
+ */
+export function recommendFrequency({ cookingVolume, photoAnalysis = [] } = {}) {
+  const reasons = [];
+  let volumeKey = cookingVolume;
+  if (!COOKING_VOLUMES[volumeKey]) {
+    volumeKey = DEFAULT_VOLUME;
+    reasons.push("Cooking volume not specified — assumed moderate-volume cooking");
+  }
+  const volume = COOKING_VOLUMES[volumeKey];
+  let index = FREQUENCIES.indexOf(volume.frequency);
+  reasons.push(`NFPA 96 Table 11.4: ${volume.rule}`);
+
+  const findings = photoAnalysis.map((p) => p?.findings).filter(Boolean);
+  const overThreshold = findings.filter(
+    (f) => f.greaseDepth === "heavy" || f.greaseDepth === "severe"
+  ).length;
+
+  if (overThreshold > 0 && index > 0) {
+    index -= 1;
+    reasons.push(
+      `Grease at or above the 2000 µm (0.078 in) cleaning threshold in ${overThreshold} photo${overThreshold === 1 ? "" : "s"} — schedule increased to ${FREQUENCIES[index].toLowerCase()}`
+    );
+  } else if (overThreshold > 0) {
+    reasons.push("Grease at or above the cleaning threshold — already on the most frequent schedule");
+  }
+
+  const frequency = FREQUENCIES[index];
+  const operation = `${volumeKey} cooking`;
+  const rationale =
+    frequency === volume.frequency
+      ? `Clean ${frequency.toLowerCase()}, per NFPA 96 Table 11.4 for ${operation}.`
+      : `Clean ${frequency.toLowerCase()}: NFPA 96 Table 11.4 sets ${volume.frequency.toLowerCase()} for ${operation}, increased for the grease buildup observed.`;
+  return { frequency, cookingVolume: volumeKey, rationale, reasons };
+}
+
+/** Plain-text block fed into the summary prompt input. */
+export function frequencySummaryText(rec) {
+  if (!rec) return "";
+  return (
+    `Recommended cleaning frequency: ${rec.frequency}\n` +
+    rec.reasons.map((r) => `- ${r}`).join("\n") +
+    "\n(Include this recommendation in the Recommended Next Steps section.)"
+  );
+}
@@ -0,0 +1,164 @@
+/**
+ * Upload image pipeline: every photo is turned upright (EXIF orientation),
+ * stripped of its metadata and re-encoded in the sizes the app uses:
+ *
+ *   thumb    320px   gallery grid and trend comparisons on small screens
+ *   display  1024px  report pages and the PDF (the photo record's photoId)
+ *   vision   1600px  what the vision model is sent; the largest srcset size
+ *
+ * Sizes are the longest edge, and smaller photos aren't enlarged. Every variant
+ * is a JPEG (transparency is flattened onto white), so pdfkit can embed them.
+ * GPS and the rest of the EXIF data are dropped unless the upload keeps them
+ * (keepGps); then the display variant carries the original EXIF, minus the
+ * orientation it no longer needs. The vision variant never does.
+ *
+ * HEIC/HEIF and DNG uploads (see inspectai/src/photoFormats.js) are decoded here
+ * first: HEIC with libheif (heic-decode), DNG by taking its embedded JPEG preview
+ * — phones write a full-size one, and it is what the photo looked like on the
+ * device; we don't demosaic raw sensor data.
+ */
+
+import sharp from "sharp";
+
+export const PHOTO_VARIANTS = {
+  thumb: { size: 320, quality: 70 },
+  display: { size: 1024, quality: 82 },
+  vision: { size: 1600, quality: 85 },
+};
+
+// ----- DNG: the embedded JPEG preview -----
+
+const TIFF_TAG = {
+  newSubfileType: 0xfe,
+  compression: 0x103,
+  stripOffsets: 0x111,
+  orientation: 0x112,
+  stripByteCounts: 0x117,
+  subIFDs: 0x14a,
+  jpegOffset: 0x201,
+  jpegLength: 0x202,
+};
+const TIFF_VALUE_SIZES = { 1: 1, 3: 2, 4: 4, 13: 4 }; // BYTE, SHORT, LONG, IFD
+const JPEG_COMPRESSION = [6, 7];
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+// Every IFD in a TIFF-based file (IFD0, its chain and SubIFDs) as Map(tag → number[])
+function tiffDirectories(buffer) {
+  const order = buffer.toString("latin1", 0, 2);
+  const le = order === "II";
+  const u16 = (o) => (le ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o));
+  const u32 = (o) => (le ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o));
+  if ((order !== "II" && order !== "MM") || u16(2) !== 42) throw new Error("not a DNG file");
+
+  const directories = [];
+  const queue = [u32(4)];
+  const seen = new Set();
+  while (queue.length && directories.length < 32) {
+    const offset = queue.shift();
+    if (!offset || seen.has(offset)) continue;
+    seen.add(offset);
+    const tags = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const size = TIFF_VALUE_SIZES[u16(entry + 2)];
+      if (!size) continue;
+      const n = u32(entry + 4);
+      const at = size * n <= 4 ? entry + 8 : u32(entry + 8);
+      const read = size === 1 ? (o) => buffer[o] : size === 2 ? u16 : u32;
+      tags.set(u16(entry), Array.from({ length: Math.min(n, 64) }, (_, k) => read(at + k * size)));
+    }
+    directories.push(tags);
+    queue.push(u32(offset + 2 + count * 12), ...(tags.get(TIFF_TAG.subIFDs) || []));
+  }
+  return directories;
+}
+
+// The DNG's JPEG previews, largest first, and its orientation
+function dngPreviews(buffer) {
+  let directories;
+  try {
+    directories = tiffDirectories(buffer);
+  } catch (err) {
+    throw new Error(err instanceof RangeError ? "damaged DNG file" : err.message);
+  }
+  const previews = [];
+  const add = (offset, length) => {
+    if (offset + length <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] === 0xd8) {
+      previews.push(buffer.subarray(offset, offset + length));
+    }
+  };
+  for (const tags of directories) {
+    const first = (tag) => tags.get(tag)?.[0];
+    if (first(TIFF_TAG.jpegOffset) && first(TIFF_TAG.jpegLength)) {
+      add(first(TIFF_TAG.jpegOffset), first(TIFF_TAG.jpegLength));
+    }
+    // Reduced-resolution images (NewSubfileType 1) in one JPEG strip; the raw data is type 0
+    if (
+      first(TIFF_TAG.newSubfileType) === 1 &&
+      JPEG_COMPRESSION.includes(first(TIFF_TAG.compression)) &&
+      tags.get(TIFF_TAG.stripOffsets)?.length === 1
+    ) {
+      add(first(TIFF_TAG.stripOffsets), first(TIFF_TAG.stripByteCounts));
+    }
+  }
+  const orientation = directories[0]?.get(TIFF_TAG.orientation)?.[0] || 1;
+  return { previews: previews.sort((a, b) => b.length - a.length), orientation };
+}
+
+// An upright sharp pipeline for the upload, decoding HEIC and DNG first
+async function decodePhoto(buffer, format) {
+  if (format === "heic") {
+    // Loaded on first use: the libheif WebAssembly module is large
+    const { default: decodeHeic } = await import("heic-decode");
+    // libheif applies the HEIC's rotation and mirroring itself
+    const { width, height, data } = await decodeHeic({ buffer }).catch((err) => {
+      console.warn("HEIC decode failed:", err?.message);
+      throw new Error("not a readable HEIC file");
+    });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    });
+  }
+  if (format === "dng") {
+    const { previews, orientation } = dngPreviews(buffer);
+    for (const preview of previews) {
+      // Some previews are lossless JPEG, which libvips can't read: try the next
+      const readable = await sharp(preview).metadata().then(() => true, () => false);
+      if (readable) return sharp(preview).rotate(ORIENTATION_ANGLES[orientation] || 0);
+    }
+    throw new Error("the DNG has no JPEG preview to convert");
+  }
+  return sharp(buffer, { failOn: "error" }).rotate();
+}
+
+/**
+ * Resize and clean one uploaded photo. `format` is "heic" or "dng" for uploads
+ * that need converting (photoFormats.js). Rejects for files that can't be
+ * decoded; callers keep a JPEG/PNG/GIF/WebP upload as it is then, while a
+ * HEIC or DNG one has nothing usable (the error says why).
+ * @param {Buffer} buffer
+ * @param {{ keepGps?: boolean, format?: "heic"|"dng"|null }} [options]
+ * @returns {Promise<{ [variant: string]: { buffer: Buffer, contentType: string, width: number, height: number } }>}
+ */
+export async function processPhoto(buffer, { keepGps = false, format = null } = {}) {
+  const source = await decodePhoto(buffer, format);
+  const variants = {};
+  // One at a time: a full-size decode per variant at once is a lot of memory for a 10MB photo
+  for (const [name, { size, quality }] of Object.entries(PHOTO_VARIANTS)) {
+    let image = source
+      .clone()
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality, mozjpeg: true });
+    if (keepGps && name === "display") image = image.keepExif();
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    variants[name] = { buffer: data, contentType: "image/jpeg", width: info.width, height: info.height };
+  }
+  return variants;
+}
+
+/** A processed variant as a data: URL (for the vision request). */
+export function variantDataUrl(variant) {
+  return `data:${variant.contentType};base64,${variant.buffer.toString("base64")}`;
+}
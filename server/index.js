@@ -30,12 +30,15 @@ console.log("ENV KEY CHECK:", {
   startsWithSk: rawKey.startsWith("sk-"),
 });
 
-if (!openaiApiKey.length) {
-  console.error("FATAL: OPENAI_API_KEY is missing or empty in server/.env. Set it and restart.");
-  process.exit(1);
-}
-if (!(process.env.PHOTO_VISION_PROMPT_ID && process.env.INSPECTION_SUMMARY_PROMPT_ID)) {
-  console.error("FATAL: PHOTO_VISION_PROMPT_ID and INSPECTION_SUMMARY_PROMPT_ID must be set in server/.env.");
+// The LLM provider (LLM_PROVIDER, see llm.js) must have what it needs (the mock needs nothing),
+// and so must the storage backend (STORAGE_BACKEND, see storage.js)
+const llmErrors = [
+  ...llmConfigErrors(process.env, { apiKey: openaiApiKey }),
+  ...promptConfigErrors(process.env),
+  ...storageConfigErrors(process.env),
+];
+if (llmErrors.length) {
+  console.error(`FATAL: ${llmErrors.join("; ")} (LLM_PROVIDER=${llmProviderName()}). Set them in server/.env and restart.`);
   process.exit(1);
 }
 
@@ -45,37 +48,267 @@ import multer from "multer";
 import path from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
+import { pipeline } from "stream/promises";
 import crypto from "crypto";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-import OpenAI from "openai";
+import { createLlmProvider, llmConfigErrors, llmProviderName } from "./llm.js";
+import { renderPrompt, previewPrompt, listPrompts, promptConfigErrors } from "./prompts.js";
+import { isFirebaseConfigured } from "./firebase.js";
 import {
-  uploadPhotoAndGetUrl,
-  isFirebaseConfigured,
   saveReport,
   getReportById,
+  getReportByShareToken,
+  assignLegacyReports,
   updateReport,
   listReports,
+  listReportRevisions,
+  updateReportStatus,
   deleteReportsOlderThan,
-} from "./firebase.js";
+  savePhoto,
+  deletePhotos,
+  photoInfo,
+  openPhoto,
+  photoIdOf,
+  photoIdsOf,
+  storedPhotos,
+  describeStorage,
+  storageBackendName,
+  storageConfigErrors,
+  PHOTO_URL_PREFIX,
+  saveProposal,
+  updateProposal,
+  getProposalById,
+  getProposalByShareToken,
+  listProposals,
+  deleteProposal,
+  acceptProposal,
+  lockedProposalError,
+} from "./storage.js";
+import {
+  FINDINGS_TEXT_FORMAT,
+  parseFindings,
+  findingsRepairInstruction,
+  describeFindings,
+  CLEANING_TEXT_FORMAT,
+  parseCleaning,
+  cleaningRepairInstruction,
+  describeCleaning,
+} from "./findings.js";
+import { scoreInspection } from "./scoring.js";
+import { processPhoto, variantDataUrl } from "./images.js";
+import { checkPhotoEvidence, evidenceSite, geocodeAddress, readPhotoEvidence } from "./evidence.js";
+import { buildTrend, comparisonText } from "./trend.js";
+import {
+  requireAuth,
+  sessionUser,
+  requirePermission,
+  registerAccount,
+  login,
+  getAccount,
+  createShareToken,
+  issuePhotoToken,
+  verifyPhotoToken,
+  listTeam,
+  addTeamMember,
+  setTeamMemberRole,
+  getCompanyRates,
+  setCompanyRates,
+  getCompanyTemplate,
+  getCompanyTemplates,
+  setCompanyTemplate,
+} from "./auth.js";
+import {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  listLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  recordLocationInspection,
+  recordLocationPricing,
+} from "./customers.js";
+import { can, reportEditBlocker, transitionBlocker } from "../inspectai/src/permissions.js";
+import {
+  REPORT_TRANSITIONS,
+  isEditableStatus,
+  isShareableStatus,
+  reportStatus,
+} from "../inspectai/src/reportStatus.js";
+import { renderReportPdf, renderProposalPdf } from "./pdf.js";
+import {
+  applyDefaults,
+  computeTotals,
+  proposalLineItems,
+  proposalFrequencies,
+} from "../inspectai/src/proposalMath.js";
+import {
+  applyInventoryToDraft,
+  equipmentLabel,
+  inventoryCounts,
+  normalizeInventory,
+} from "../inspectai/src/equipment.js";
+import {
+  COMPLETENESS_LABELS,
+  REPORT_TYPE_LABELS,
+  normalizePhotoPhases,
+  normalizeReportType,
+  photoPhaseLabel,
+  serviceCompletion,
+} from "../inspectai/src/serviceReport.js";
+import {
+  parseReportSections,
+  reportTemplate,
+  templatePromptVariables,
+  withNextStepsSection,
+} from "../inspectai/src/reportTemplates.js";
+import {
+  conversionLabel,
+  convertedPhotoFormat,
+  isAcceptedPhoto,
+} from "../inspectai/src/photoFormats.js";
+import { recommendFrequency, frequencySummaryText, COOKING_VOLUMES } from "./frequency.js";
+import {
+  enqueueJob,
+  getJob,
+  cancelJob,
+  subscribeToJob,
+  isJobFinished,
+  JOB_STATUS,
+} from "./jobs.js";
 
 /**
  * Server (Express)
- * - POST /api/generate  (multipart/form-data: fields + photos[])
+ * Every /api route needs `Authorization: Bearer <token>` (see auth.js) and only
+ * sees the signed-in user's company, except sign-in and the public share links.
+ * Routes marked [permission] also need a role allowed it (inspectai/src/permissions.js).
+ *
+ * - POST   /api/auth/register    ({ companyName, name, email, password }) → { token, user, company }
+ * - POST   /api/auth/login       ({ email, password }) → { token, user, company }
+ * - GET    /api/auth/me          (user incl. role, company incl. default rates)
+ * - GET    /api/users            [users:manage] the company's team
+ * - POST   /api/users            [users:manage] ({ email, name, password, role }) → { user }
+ * - PATCH  /api/users/:id        [users:manage] ({ role })
+ * - PUT    /api/company/rates    [rates:edit] ({ rates }) default rates for new proposals
+ * - GET    /api/company/templates (report templates per report type, see reportTemplates.js)
+ * - PUT    /api/company/templates/:reportType [templates:edit] ({ template }) section names, order,
+ *                                 icons, accent colours and required sections of new reports
+ * - DELETE /api/company/templates/:reportType [templates:edit] back to the built-in template
+ * - GET    /api/admin/prompts    [prompts:view] prompt library: versions, variables, the active
+ *                                 version of each prompt and the LLM provider (see prompts.js)
+ * - GET    /api/admin/prompts/:name/versions/:version [prompts:view] rendered preview; query
+ *                                 parameters fill its variables (example values otherwise)
+ * - POST   /api/generate         [reports:create] (multipart/form-data: fields + photos[]) → { jobId }
+ *                                 optional proposal (JSON) / proposalId fields are saved as the report's proposal
+ *                                 optional locationId links the report to a customer location and
+ *                                 updates its equipment inventory (and last-used pricing);
+ *                                 optional inventory (JSON, see equipment.js) replaces the hoods /
+ *                                 fans / filters counts, photoEquipment (JSON: equipment id per photo) tags photos;
+ *                                 with a location, the summary is compared with its previous inspection;
+ *                                 reportType "service" makes a Service Completion Report: photoPhases
+ *                                 (JSON: { phase: "before" | "after", pair } per photo, see serviceReport.js)
+ *                                 pairs photos and "after" photos are assessed for cleaning completeness;
+ *                                 photos are stored upright in thumb / display / vision sizes (images.js)
+ *                                 without EXIF metadata unless keepGps is "true" (one that can't be read
+ *                                 isn't stored or analyzed); HEIC/HEIF and DNG
+ *                                 photos are converted to JPEG first and the upload kept as `original`
+ *                                 (photoFormats.js), each with its conversion status — one that can't
+ *                                 be converted is reported as failed, the rest of the batch goes on;
+ *                                 each photo's EXIF capture time, device and GPS are kept as `evidence`
+ *                                 and checked against the inspection date and address (evidence.js)
+ * - GET    /api/jobs/:id         (status + partial photoResults)
+ * - GET    /api/jobs/:id/events  (Server-Sent Events progress)
+ * - DELETE /api/jobs/:id         (cancel: no report is saved, photos it uploaded are deleted)
+ * - GET    /api/customers        (?q= search) the company's customers
+ * - POST   /api/customers        ({ name, contactName, email, phone, notes }) → { customer }
+ * - GET    /api/customers/:id    (customer + its locations)
+ * - PATCH  /api/customers/:id
+ * - DELETE /api/customers/:id    [customers:delete] also deletes its locations
+ * - GET    /api/locations        (?customerId= / ?q= autocomplete) locations with customer name
+ * - POST   /api/locations        ({ customerId, name, address, equipment, cookingVolume }) → { location }
+ * - GET    /api/locations/:id
+ * - GET    /api/locations/:id/trend (the location's reports over time: ratings, per-component
+ *                                 findings and before/after photo pairs, see trend.js)
+ * - PATCH  /api/locations/:id
+ * - DELETE /api/locations/:id    [customers:delete]
+ * - GET    /api/reports          (this company's history; ?customerId= for one customer's)
+ * - GET    /api/reports/:id
+ * - PATCH  /api/reports/:id      [reports:edit] technicians only their own; 409 when locked
+ * - POST   /api/reports/:id/status ({ action }) approval workflow: submit / approve / reject /
+ *                                 send / reopen / archive (see reportStatus.js; permissions per action)
+ * - GET    /api/reports/:id/revisions (AI original + every edit: author, time, changed fields)
+ * - POST   /api/reports/:id/revisions/:revisionId/restore [reports:edit] ("original" = AI output)
+ * - POST   /api/reports/:id/lock [reports:lock] makes the report read-only
+ * - DELETE /api/reports/:id/lock [reports:lock]
+ * - GET    /api/reports/:id/pdf  (PDF export, rendered server-side)
+ * - GET    /api/proposals        (?reportId= filters to one inspection)
+ * - POST   /api/proposals        [proposals:edit] ({ proposal }) → { proposalId }
+ * - GET    /api/proposals/:id
+ * - PUT    /api/proposals/:id    [proposals:edit] ({ proposal })
+ * - DELETE /api/proposals/:id    [proposals:edit]
+ * - GET    /api/proposals/:id/pdf
  * - GET  /health
  *
- * Requires env vars:
- *   OPENAI_API_KEY
- *   PHOTO_VISION_PROMPT_ID
- *   INSPECTION_SUMMARY_PROMPT_ID
+ * Public share links (no sign-in; `:token` is the record's unguessable shareToken):
+ * - GET    /api/share/reports/:token       (report.html?t=) — approved reports only, unless
+ *                                           the viewer is signed in to the report's company
+ * - GET    /api/share/reports/:token/pdf
+ * - GET    /api/share/legacy-reports/:id   → { shareToken } for old report.html?id= links, only
+ *                                           for reports saved before company accounts
+ * - GET    /api/share/proposals/:token     (proposal.html?t=)
+ * - GET    /api/share/proposals/:token/pdf
+ * - POST   /api/share/proposals/:token/accept ({ name, signature }) — customer e-signature; locks the proposal
+ * - GET    /api/photos/:id?t=              a report photo; the URL (with its expiring token) comes in the
+ *                                           report responses, so it works wherever the report was visible.
+ *                                           Supports Range requests and If-None-Match.
+ *
+ * Prompts come from the versioned prompt library (server/prompts/, see prompts.js); every
+ * report records the versions that produced it in `promptVersions`, and PROMPT_VERSIONS
+ * (e.g. inspectionSummary@1) pins an older version. Summary prompts are given the variables
+ * restaurantName, address, reportSections and reportTemplate (the company's report template:
+ * section headings in order, with guidance); the service summary also reportType,
+ * serviceDate and cleaningStatus.
+ *
+ * LLM provider (see llm.js): LLM_PROVIDER = openai-responses (default) | openai-chat |
+ * openai-compatible | mock. The OpenAI providers require OPENAI_API_KEY (optional LLM_MODEL),
+ * openai-compatible LLM_BASE_URL and LLM_MODEL (optional LLM_API_KEY); mock needs nothing
+ * and makes no network calls.
+ *
+ * Optional (openai-responses only, legacy): PHOTO_VISION_PROMPT_ID, PHOTO_CLEANING_PROMPT_ID,
+ *   INSPECTION_SUMMARY_PROMPT_ID, SERVICE_SUMMARY_PROMPT_ID - saved dashboard prompts that
+ *   replace the library's photo findings, "after" photo cleaning, inspection summary and
+ *   service summary prompts (recorded as "dashboard:<id>")
  *
- * Optional (for public photo URLs):
+ * Storage (see storage.js): reports, photos, proposals, accounts, customers and locations
+ * go to Firestore + Firebase Storage when these are set, otherwise to a local SQLite
+ * database and photo directory (SQLITE_PATH, PHOTOS_DIR; STORAGE_BACKEND=firebase|sqlite
+ * overrides the choice):
  *   FIREBASE_SERVICE_ACCOUNT_PATH - path to service account JSON key file
  *   FIREBASE_STORAGE_BUCKET - e.g. "your-project.appspot.com"
  *
  * Optional (tuning):
  *   MAX_PHOTOS - max photos to analyze (default 8)
  *   CONCURRENCY_LIMIT - parallel vision calls (default 4)
+ *   JOB_CONCURRENCY - generation jobs processed in parallel (default 2)
+ *
+ * Optional (photo evidence checks, see evidence.js): EVIDENCE_MAX_AGE_HOURS,
+ *   EVIDENCE_MAX_DISTANCE_KM, GEOCODER_URL
+ *
+ * Optional (PDF branding): COMPANY_NAME, COMPANY_CONTACT, COMPANY_LOGO_PATH (see pdf.js)
+ *
+ * Optional (accounts): AUTH_SECRET, AUTH_TOKEN_TTL_HOURS (see auth.js)
+ *   LEGACY_REPORTS_COMPANY_ID - company that reports saved before accounts (without a
+ *                  company) are given to at startup, so its users see them again
+ *   CORS_ORIGINS - comma-separated origins allowed to call the API from another
+ *                  site (the app itself is same-origin, or proxied by Vite in dev)
+ *
+ * Optional (behind a load balancer, e.g. Render):
+ *   TRUST_PROXY - Express "trust proxy" setting so the signer IP recorded on
+ *                 proposal acceptance is the client's, not the proxy's (e.g. 1)
  */
 
 const MAX_PHOTOS = Number(process.env.MAX_PHOTOS || 8);
@@ -83,33 +316,43 @@ const CONCURRENCY_LIMIT = Number(process.env.CONCURRENCY_LIMIT || 4);
 
 const app = express();
 
-// Dev-friendly CORS
-app.use(cors());
-app.use(express.json());
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Cross-origin callers must be listed; the app itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS }));
+app.use(express.json({ limit: "1mb" })); // signature images on proposal acceptance
 
-// For multipart/form-data (photos) — 10MB per file, 20 max, images only
+// For multipart/form-data (photos) — 10MB per file, 20 max, images only (HEIC and DNG are
+// often sent as application/octet-stream, so photoFormats.js also goes by the file name)
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: MAX_FILE_SIZE, files: 20 },
   fileFilter: (req, file, cb) => {
-    const allowed = /^image\/(jpeg|jpg|png|gif|webp)$/i;
-    if (allowed.test(file.mimetype)) return cb(null, true);
-    cb(new Error(`Invalid file type: ${file.mimetype}. Use JPEG, PNG, GIF, or WebP.`));
+    if (isAcceptedPhoto({ name: file.originalname, type: file.mimetype })) return cb(null, true);
+    cb(new Error(`Invalid file type: ${file.mimetype}. Use JPEG, PNG, GIF, WebP, HEIC or DNG.`));
   },
 });
 
-// ----- Helpers -----
-function assertEnv(name) {
-  const val = process.env[name];
-  if (!val) throw new Error(`Missing ${name}`);
-  return val;
-}
+// What a converted upload's original is stored as
+const ORIGINAL_CONTENT_TYPES = { heic: "image/heic", dng: "image/x-adobe-dng" };
 
-function fileToDataUrl(file) {
-  const mime = file.mimetype || "application/octet-stream";
-  const b64 = file.buffer.toString("base64");
-  return `data:${mime};base64,${b64}`;
+// ----- Helpers -----
+/** Save each processed size of a photo; resolves with { [variant]: { photoId, width, height } }. */
+async function savePhotoVariants(variants, filename) {
+  const saved = {};
+  for (const [name, variant] of Object.entries(variants)) {
+    const photoId = await savePhoto(variant.buffer, filename, variant.contentType);
+    saved[name] = { photoId, width: variant.width, height: variant.height };
+  }
+  return saved;
 }
 
 /**
@@ -133,7 +376,9 @@ async function runWithConcurrency(items, limit, worker) {
     () => runner()
   );
 
-  await Promise.all(runners);
+  // Every runner stops before the first error is passed on (a cancelled job cleans up after them)
+  const failed = (await Promise.allSettled(runners)).find((r) => r.status === "rejected");
+  if (failed) throw failed.reason;
   return results;
 }
 
@@ -165,54 +410,10 @@ async function withRetry(fn, { maxAttempts = 3 } = {}) {
   throw lastErr;
 }
 
-// OpenAI client (expects OPENAI_API_KEY in server/.env)
-// Note: we validate env vars before the first request too.
-const openai = new OpenAI({ apiKey: openaiApiKey });
-
-/**
- * Run a saved Prompt by ID using the Responses API.
- *
- * - prompt.id: your saved prompt id
- * - prompt.variables: your variables used inside the prompt (e.g. {{restaurantName}})
- * - input: the actual user input (including images)
- */
-async function runPromptId({ promptId, variables, input, timeoutMs = 60000 }) {
-  if (!promptId) throw new Error("Missing promptId");
-  if (!input) throw new Error("Missing input");
-
-  const body = {
-    prompt: { id: promptId },
-    input,
-  };
-
-  if (variables && Object.keys(variables).length > 0) {
-    body.prompt.variables = variables;
-  }
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    const resp = await openai.responses.create(body, {
-      signal: controller.signal,
-    });
-
-    if (resp.output_text && resp.output_text.trim())
-      return resp.output_text.trim();
-
-    const fallback = JSON.stringify(resp.output ?? resp, null, 2);
-    return fallback.length > 8000
-      ? fallback.slice(0, 8000) + "\n…(truncated)"
-      : fallback;
-  } catch (err) {
-    if (err?.name === "AbortError") {
-      throw new Error(`OpenAI request timed out after ${timeoutMs}ms`);
-    }
-    throw err;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
+// Runs the vision and summary prompts (OpenAI, a local endpoint or the offline mock)
+const llm = createLlmProvider(process.env, { apiKey: openaiApiKey });
+console.log("LLM provider:", llm.name, llm.model || "");
+console.log("Storage:", describeStorage());
 
 // ✅ Health check
 app.get("/health", (req, res) => {
@@ -220,350 +421,1914 @@ app.get("/health", (req, res) => {
     ok: true,
     message: "Server connected ✅",
     firebaseStorage: isFirebaseConfigured(),
+    storage: storageBackendName(),
+    llmProvider: llm.name,
   });
 });
 
-// ✅ List reports (history) - retained for 30 days
-app.get("/api/reports", async (req, res) => {
+// ✅ Sign up: creates the company (tenant) and its first user
+app.post("/api/auth/register", async (req, res) => {
   try {
-    const limit = Math.min(Number(req.query.limit) || 50, 100);
-    const reports = await listReports(limit);
-    res.json({ ok: true, reports });
+    res.status(201).json({ ok: true, ...(await registerAccount(req.body || {})) });
   } catch (err) {
-    console.error("GET /api/reports error:", err);
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("POST /api/auth/register error:", err);
     res.status(500).json({ ok: false, error: err?.message });
   }
 });
 
-// Fallback in-memory store for reports when Firebase is not configured (short share links + images)
-const fallbackReports = new Map();
-function shortId() {
-  return crypto.randomBytes(5).toString("base64url");
-}
-
-// ✅ Get single report by ID (for share page) — same report as 30-day retention; share link stays visible for 30 days
-app.get("/api/reports/:id", async (req, res) => {
+// ✅ Sign in
+app.post("/api/auth/login", async (req, res) => {
   try {
-    let report = await getReportById(req.params.id);
-    if (!report && fallbackReports.has(req.params.id)) {
-      report = fallbackReports.get(req.params.id);
-    }
-    if (!report) {
-      return res.status(404).json({ ok: false, error: "Report not found" });
-    }
-    res.json({ ok: true, report });
+    res.json({ ok: true, ...(await login(req.body || {})) });
   } catch (err) {
-    console.error("GET /api/reports/:id error:", err);
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("POST /api/auth/login error:", err);
     res.status(500).json({ ok: false, error: err?.message });
   }
 });
 
-// ✅ Update report (e.g. after user edits and saves) — shared page will show updated content
-app.patch("/api/reports/:id", async (req, res) => {
+// ✅ Report photos. The ?t= token in the URL is issued with the report (withPhotoUrls) to
+// whoever may see it — the company's users or, for approved reports, share link viewers —
+// and names the report, so the photo stops loading once the report is deleted. While a
+// generate job runs, its progress carries tokens naming the job instead (withJobPhotoUrls).
+app.get(`${PHOTO_URL_PREFIX}:id`, async (req, res) => {
   try {
-    const id = req.params.id;
-    const updates = req.body || {};
-    // Firestore update
-    const updatedId = await updateReport(id, updates);
-    if (updatedId) {
-      return res.json({ ok: true, reportId: updatedId });
-    }
-    // Fallback in-memory store when Firebase not configured
-    if (fallbackReports.has(id)) {
-      const existing = fallbackReports.get(id);
-      const next = {
-        ...existing,
-        ...updates,
-        reportText: updates.reportText ?? existing.reportText,
-        summary: updates.summary ?? existing.summary,
-      };
-      fallbackReports.set(id, next);
-      return res.json({ ok: true, reportId: id });
+    const photoId = req.params.id;
+    const token = verifyPhotoToken(req.query.t);
+    if (!token || token.photoId !== photoId) {
+      return res.status(403).json({ ok: false, error: "This photo link is invalid or has expired — reload the report" });
     }
-    return res.status(404).json({ ok: false, error: "Report not found" });
+    const photos = token.reportId
+      ? (await getReportById(token.reportId))?.photos
+      : (await getJob(token.jobId))?.photoResults;
+    const info = photos?.some((p) => p && photoIdsOf(p).includes(photoId)) ? await photoInfo(photoId) : null;
+    if (!info) return res.status(404).json({ ok: false, error: "Photo not found" });
+
+    // A photo id's bytes never change: cache for as long as the URL works
+    const maxAge = Math.max(0, Math.floor((token.expiresAt - Date.now()) / 1000));
+    res.set({
+      "Cache-Control": `private, max-age=${maxAge}, immutable`,
+      ETag: `"${crypto.createHash("sha1").update(photoId).digest("base64url")}"`,
+      "Accept-Ranges": "bytes",
+      ...(info.updatedAt && { "Last-Modified": new Date(info.updatedAt).toUTCString() }),
+    });
+    res.type(info.contentType);
+    if (req.fresh) return res.status(304).end();
+
+    const ranges = req.range(info.size, { combine: true });
+    if (ranges === -1) {
+      return res.status(416).set("Content-Range", `bytes */${info.size}`).end();
+    }
+    // One range is served as 206; none, malformed or several get the whole photo
+    const range = Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1 ? ranges[0] : null;
+    if (range) {
+      res.status(206).set("Content-Range", `bytes ${range.start}-${range.end}/${info.size}`);
+    }
+    res.set("Content-Length", String(range ? range.end - range.start + 1 : info.size));
+    if (req.method === "HEAD") return res.end();
+    await pipeline(openPhoto(photoId, range), res);
   } catch (err) {
-    console.error("PATCH /api/reports/:id error:", err);
+    if (res.headersSent) {
+      // The viewer navigated away mid-download
+      if (err?.code !== "ERR_STREAM_PREMATURE_CLOSE") console.warn("GET /api/photos/:id stream error:", err?.message);
+      return res.destroy();
+    }
+    console.error("GET /api/photos/:id error:", err);
     res.status(500).json({ ok: false, error: err?.message });
   }
 });
 
-// ✅ This is what your frontend calls: POST /api/generate
-app.post("/api/generate", upload.array("photos", 20), async (req, res) => {
-  console.log("🔥 HIT /api/generate");
-  console.log("files:", req.files?.length);
-  console.log("body keys:", Object.keys(req.body || {}));
+// Everything else under /api needs a session, except the public share links and photos (token in the URL)
+const PUBLIC_API = /^\/(auth\/(login|register)|share\/|photos\/)/;
+app.use("/api", (req, res, next) =>
+  PUBLIC_API.test(req.path) ? next() : requireAuth(req, res, next)
+);
 
-  const t0 = Date.now();
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await getAccount(req.user)) });
+  } catch (err) {
+    console.error("GET /api/auth/me error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
+// ✅ Team: managers add technicians / office staff and change roles
+app.get("/api/users", requirePermission("users:manage"), async (req, res) => {
   try {
-    // Fail fast on env vars
-    assertEnv("OPENAI_API_KEY");
-    const PHOTO_VISION_PROMPT_ID = assertEnv("PHOTO_VISION_PROMPT_ID");
-    const INSPECTION_SUMMARY_PROMPT_ID = assertEnv("INSPECTION_SUMMARY_PROMPT_ID");
+    res.json({ ok: true, users: await listTeam(req.user.companyId) });
+  } catch (err) {
+    console.error("GET /api/users error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const {
-      restaurantName = "",
-      address = "",
-      hoods = "0",
-      fans = "0",
-      filters = "0",
-      notes = "",
-      analyzeAll = "",
-    } = req.body;
+app.post("/api/users", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await addTeamMember(req.user.companyId, req.body || {});
+    res.status(201).json({ ok: true, user });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("POST /api/users error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const analyzeAllPhotos = analyzeAll === "true" || analyzeAll === true;
+app.patch("/api/users/:id", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await setTeamMemberRole(req.user, req.params.id, req.body?.role);
+    res.json({ ok: true, user });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("PATCH /api/users/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    if (!restaurantName.trim()) {
-      return res.status(400).json({ ok: false, error: "restaurantName is required" });
-    }
+// ✅ Company default rates (prefill new proposals)
+app.put("/api/company/rates", requirePermission("rates:edit"), async (req, res) => {
+  try {
+    res.json({ ok: true, rates: await setCompanyRates(req.user.companyId, req.body?.rates) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("PUT /api/company/rates error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const allFiles = Array.isArray(req.files) ? req.files : [];
-    const maxToAnalyze = analyzeAllPhotos ? allFiles.length : MAX_PHOTOS;
-    const firebaseEnabled = isFirebaseConfigured();
+// ✅ Report templates (per report type; reports keep the template they were generated with)
+app.get("/api/company/templates", async (req, res) => {
+  try {
+    res.json({ ok: true, templates: await getCompanyTemplates(req.user.companyId) });
+  } catch (err) {
+    console.error("GET /api/company/templates error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    if (allFiles.length > maxToAnalyze && !analyzeAllPhotos) {
-      console.log(`Fast mode: analyzing first ${maxToAnalyze} of ${allFiles.length} photos (pass analyzeAll=true to analyze all)`);
+app.put("/api/company/templates/:reportType", requirePermission("templates:edit"), async (req, res) => {
+  try {
+    if (!req.body?.template) {
+      return res.status(400).json({ ok: false, error: "template is required" });
     }
+    const template = await setCompanyTemplate(req.user.companyId, req.params.reportType, req.body.template);
+    res.json({ ok: true, template });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("PUT /api/company/templates error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    // 1) PHOTO VISION (concurrent) + FIREBASE UPLOAD (all photos)
-    // Analyze first N; upload ALL to Firebase for gallery
-    const photoResults = await runWithConcurrency(
-      allFiles,
-      CONCURRENCY_LIMIT,
-      async (f, index) => {
-        const shouldAnalyze = index < maxToAnalyze;
-        let analysis = "";
-
-        if (shouldAnalyze) {
-          const dataUrl = fileToDataUrl(f);
-          const input = [
-            {
-              role: "user",
-              content: [
-                {
-                  type: "input_text",
-                  text: "Analyze this kitchen exhaust photo for grease buildup and notable conditions. Return concise bullet findings.",
-                },
-                {
-                  type: "input_image",
-                  image_url: dataUrl,
-                  detail: "low",
-                },
-              ],
-            },
-          ];
-
-          try {
-            analysis = await withRetry(() =>
-              runPromptId({
-                promptId: PHOTO_VISION_PROMPT_ID,
-                variables: {},
-                input,
-              })
-            );
-          } catch (err) {
-            console.warn(`Photo ${index + 1} (${f.originalname}) failed:`, err?.message);
-            analysis = `[Analysis failed: ${err?.message || "Unknown error"}]`;
-          }
-        } else {
-          analysis = "(Not analyzed - fast mode)";
-        }
+app.delete("/api/company/templates/:reportType", requirePermission("templates:edit"), async (req, res) => {
+  try {
+    const template = await setCompanyTemplate(req.user.companyId, req.params.reportType, null);
+    res.json({ ok: true, template });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("DELETE /api/company/templates error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-        let publicUrl = null;
-        if (firebaseEnabled) {
-          try {
-            publicUrl = await uploadPhotoAndGetUrl(
-              f.buffer,
-              f.originalname,
-              f.mimetype,
-              index
-            );
-          } catch (err) {
-            console.warn(`Firebase upload failed for ${f.originalname}:`, err?.message);
-          }
-        }
+// ✅ Prompt library (see prompts.js): which prompt versions exist and which run now
+app.get("/api/admin/prompts", requirePermission("prompts:view"), (req, res) => {
+  try {
+    const prompts = listPrompts().map((prompt) => ({
+      ...prompt,
+      dashboardPromptId: llm.dashboardPromptId(prompt.name),
+    }));
+    res.json({ ok: true, provider: { name: llm.name, model: llm.model || null }, prompts });
+  } catch (err) {
+    console.error("GET /api/admin/prompts error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-        return {
-          filename: f.originalname,
-          analysis,
-          publicUrl: publicUrl || undefined,
-        };
-      }
+// Preview one version: ?restaurantName=…&address=… fill its variables (example values otherwise)
+app.get("/api/admin/prompts/:name/versions/:version", requirePermission("prompts:view"), (req, res) => {
+  try {
+    const variables = Object.fromEntries(
+      Object.entries(req.query).filter(([, value]) => typeof value === "string")
     );
+    res.json({ ok: true, prompt: previewPrompt(req.params.name, req.params.version, variables) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("GET /api/admin/prompts/:name/versions/:version error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const tPhotos = Date.now();
-    const photoAnalysisTimeMs = tPhotos - t0;
-
-    // 2) INSPECTION SUMMARY (after all photo analyses)
-    const analyzedForSummary = photoResults.filter(
-      (p) =>
-        p.analysis &&
-        !p.analysis.startsWith("(Not analyzed") &&
-        !p.analysis.startsWith("[Analysis failed")
-    );
+// ✅ Customers and their locations (equipment inventory, last-used pricing)
+app.get("/api/customers", async (req, res) => {
+  try {
+    const q = req.query.q ? String(req.query.q) : undefined;
+    res.json({ ok: true, customers: await listCustomers(req.user.companyId, { q }) });
+  } catch (err) {
+    console.error("GET /api/customers error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const analyzedForSummaryLean = analyzedForSummary.map((p) => ({
-      filename: p.filename,
-      analysis: p.analysis,
-    }));
+app.post("/api/customers", async (req, res) => {
+  try {
+    const customer = await createCustomer(req.user.companyId, req.body || {});
+    res.status(201).json({ ok: true, customer });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("POST /api/customers error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const inspectionSummary = await runPromptId({
-      promptId: INSPECTION_SUMMARY_PROMPT_ID,
-      variables: { restaurantName, address },
-      input: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text:
-                `Restaurant: ${restaurantName}\n` +
-                `Address: ${address}\n\n` +
-                `Hoods: ${String(hoods)}\n` +
-                `Fans: ${String(fans)}\n` +
-                `Filters: ${String(filters)}\n\n` +
-                `Notes:\n${notes}\n\n` +
-                `Photo Analysis (JSON):\n${JSON.stringify(analyzedForSummaryLean, null, 2)}`,
-            },
-          ],
-        },
-      ],
-    });
+app.get("/api/customers/:id", async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const customer = await getCustomer(companyId, req.params.id);
+    if (!customer) {
+      return res.status(404).json({ ok: false, error: "Customer not found" });
+    }
+    const locations = await listLocations(companyId, { customerId: customer.id });
+    res.json({ ok: true, customer, locations });
+  } catch (err) {
+    console.error("GET /api/customers/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const tSummary = Date.now();
-    const summaryTimeMs = tSummary - tPhotos;
-    const totalTimeMs = tSummary - t0;
+app.patch("/api/customers/:id", async (req, res) => {
+  try {
+    const customer = await updateCustomer(req.user.companyId, req.params.id, req.body || {});
+    res.json({ ok: true, customer });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("PATCH /api/customers/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    console.log("photos ms:", photoAnalysisTimeMs);
-    console.log("summary ms:", summaryTimeMs);
-    console.log("total ms:", totalTimeMs);
+app.delete("/api/customers/:id", requirePermission("customers:delete"), async (req, res) => {
+  try {
+    await deleteCustomer(req.user.companyId, req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("DELETE /api/customers/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    function toCaption(analysis) {
-      if (!analysis) return "";
-      if (analysis.startsWith("(Not analyzed")) return "Not analyzed (fast mode)";
-      if (analysis.startsWith("[Analysis failed")) return "Analysis failed";
-      return String(analysis).split("\n").find(Boolean)?.slice(0, 80) || "Photo analysis";
-    }
+app.get("/api/locations", async (req, res) => {
+  try {
+    const customerId = req.query.customerId ? String(req.query.customerId) : undefined;
+    const q = req.query.q ? String(req.query.q) : undefined;
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const locations = await listLocations(req.user.companyId, { customerId, q });
+    res.json({ ok: true, locations: locations.slice(0, limit) });
+  } catch (err) {
+    console.error("GET /api/locations error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const photoAnalysis = photoResults.map((p) => ({
-      filename: p.filename,
-      analysis: p.analysis,
-      caption: toCaption(p.analysis),
-      publicUrl: p.publicUrl ?? null,
-    }));
+app.post("/api/locations", async (req, res) => {
+  try {
+    const location = await createLocation(req.user.companyId, req.body || {});
+    res.status(201).json({ ok: true, location });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("POST /api/locations error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    const reportPayload = {
-      ok: true,
-      reportText: inspectionSummary,
-      summary: inspectionSummary,
-      photoAnalysis,
-      inspectionSummary,
-      _timing: { photoAnalysisTimeMs, summaryTimeMs, totalTimeMs },
-    };
+app.get("/api/locations/:id", async (req, res) => {
+  try {
+    const location = await getLocation(req.user.companyId, req.params.id);
+    if (!location) {
+      return res.status(404).json({ ok: false, error: "Location not found" });
+    }
+    res.json({ ok: true, location });
+  } catch (err) {
+    console.error("GET /api/locations/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    // Persist report for 30-day history and shareable links (includes uploaded photos via publicUrl or dataUrl)
-    try {
-      const photosForStorage = photoAnalysis.map((p) => ({
-        filename: p.filename || "",
-        analysis: p.analysis || "",
-        caption: p.caption || "",
-        publicUrl: p.publicUrl || null,
-      }));
-      let reportId = await saveReport({
-        restaurantName: (restaurantName || "").trim(),
-        address: (address || "").trim(),
-        hoods: String(hoods || "0"),
-        fans: String(fans || "0"),
-        filters: String(filters || "0"),
-        notes: (notes || "").trim(),
-        reportText: inspectionSummary,
-        summary: inspectionSummary,
-        photoAnalysis: photosForStorage,
-        photos: photosForStorage,
-      });
-      if (reportId) reportPayload.reportId = reportId;
-    } catch (saveErr) {
-      console.warn("Report save (Firestore) failed:", saveErr?.message);
-    }
-    // When no reportId (Firebase not configured or save failed), use in-memory fallback for short links + images
-    if (!reportPayload.reportId) {
-      const photosWithDataUrl = photoResults.map((p, i) => ({
-        filename: p.filename || "",
-        analysis: p.analysis || "",
-        caption: toCaption(p.analysis),
-        publicUrl: p.publicUrl || null,
-        dataUrl: allFiles[i] ? fileToDataUrl(allFiles[i]) : null,
-      }));
-      const reportId = shortId();
-      fallbackReports.set(reportId, {
-        id: reportId,
-        reportText: inspectionSummary,
-        summary: inspectionSummary,
-        restaurantName: (restaurantName || "").trim(),
-        address: (address || "").trim(),
-        hoods: String(hoods || "0"),
-        fans: String(fans || "0"),
-        filters: String(filters || "0"),
-        notes: (notes || "").trim(),
-        photos: photosWithDataUrl,
-        photoAnalysis: photosWithDataUrl,
-        createdAt: new Date().toISOString(),
-      });
-      reportPayload.reportId = reportId;
+app.get("/api/locations/:id/trend", async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const location = await getLocation(companyId, req.params.id);
+    if (!location) {
+      return res.status(404).json({ ok: false, error: "Location not found" });
     }
+    const reports = await listLocationReports(companyId, location.id);
+    res.json({ ok: true, location, trend: buildTrend(reports.map((r) => withPhotoUrls(r))) });
+  } catch (err) {
+    console.error("GET /api/locations/:id/trend error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
 
-    res.json(reportPayload);
+app.patch("/api/locations/:id", async (req, res) => {
+  try {
+    const location = await updateLocation(req.user.companyId, req.params.id, req.body || {});
+    res.json({ ok: true, location });
   } catch (err) {
-    console.error("/api/generate error:", err);
-    let msg = err?.message || "Server error in /api/generate";
-    if (
-      err?.status === 401 ||
-      String(msg).toLowerCase().includes("incorrect api key")
-    ) {
-      msg += " Check OPENAI_API_KEY in server/.env (no quotes, no extra spaces) and that the key is valid at https://platform.openai.com/account/api-keys.";
-    }
-    res.status(500).json({
-      ok: false,
-      error: msg,
-    });
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("PATCH /api/locations/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
   }
 });
 
-// Multer/file upload errors (fileFilter, limits) — return 400 with message
-app.use((err, req, res, next) => {
-  if (err && (err.code === "LIMIT_FILE_SIZE" || err.code === "LIMIT_FILE_COUNT" || err.message?.includes("Invalid file type"))) {
-    return res.status(400).json({ ok: false, error: err.message || "Upload error" });
+app.delete("/api/locations/:id", requirePermission("customers:delete"), async (req, res) => {
+  try {
+    await deleteLocation(req.user.companyId, req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error("DELETE /api/locations/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
   }
-  next(err);
 });
 
-// Serve built frontend when inspectai/dist exists (production or after build)
-const distPath = path.join(__dirname, "..", "inspectai", "dist");
-if (existsSync(distPath)) {
-  app.use(express.static(distPath));
-  // SPA fallback: serve index.html for non-API routes (runs after static when file not found)
-  app.use((req, res, next) => {
-    if (req.path.startsWith("/api")) return next();
-    res.sendFile(path.join(distPath, "index.html"));
-  });
-  console.log("Serving frontend from", distPath);
+// ✅ List reports (history) - retained for 30 days, this company's only (?customerId= for one customer's)
+app.get("/api/reports", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const customerId = req.query.customerId ? String(req.query.customerId) : undefined;
+    const { companyId } = req.user;
+    const reports = await listReports({ companyId, customerId, limit });
+    res.json({ ok: true, reports: reports.map((r) => withPhotoUrls(withCondition(r))) });
+  } catch (err) {
+    console.error("GET /api/reports error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// Reports saved before condition scoring existed get a computed rating on read
+function withCondition(report) {
+  if (report.condition?.rating) return report;
+  return { ...report, condition: scoreInspection(report) };
 }
 
-const PORT = process.env.PORT || 5050;
-const RETENTION_DAYS = 30;
+// Another company's records are reported as not found
+function ownedBy(record, companyId) {
+  return record && record.companyId === companyId ? record : null;
+}
 
-app.listen(PORT, async () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  // Cleanup reports older than 30 days so share links stay visible for exactly 30 days, then are removed
-  async function cleanupOldReports() {
-    try {
-      const deleted = await deleteReportsOlderThan(RETENTION_DAYS);
-      if (deleted > 0) console.log(`Deleted ${deleted} reports older than ${RETENTION_DAYS} days`);
-    } catch (e) {
-      console.warn("Report cleanup failed:", e?.message);
+// A location's reports (any order), for the trend view and the summary comparison
+async function listLocationReports(companyId, locationId) {
+  return listReports({ companyId, locationId, limit: 100 });
+}
+
+async function findReport(id, companyId) {
+  return ownedBy(await getReportById(id), companyId);
+}
+
+// Reports saved before share tokens existed get one the first time they're opened
+async function withShareToken(report) {
+  if (report.shareToken) return report;
+  const shareToken = createShareToken();
+  await updateReport(report.id, { shareToken });
+  return { ...report, shareToken };
+}
+
+// Reports saved with photo URLs (30-day signed Storage URLs) are switched to photo ids
+// the first time they're opened; until then photoIdOf() reads the id from the URL
+async function withPhotoIds(report) {
+  const photos = report.photos || [];
+  if (!photos.some((p) => p && !p.photoId && photoIdOf(p))) return report;
+  const migrated = storedPhotos(photos);
+  await updateReport(report.id, { photoAnalysis: migrated, photos: migrated });
+  return { ...report, photoAnalysis: migrated, photos: migrated };
+}
+
+// owner: { reportId } or, for a running job's photos, { jobId } (see issuePhotoToken)
+function photoUrl(photoId, owner) {
+  return `${PHOTO_URL_PREFIX}${encodeURIComponent(photoId)}?t=${issuePhotoToken(photoId, owner)}`;
+}
+
+// Photos (report photos or a job's photoResults) with fresh URLs for their owner
+function photosWithUrls(photos, owner) {
+  return photos.map((p) => {
+    if (!p) return p;
+    const photoId = photoIdOf(p);
+    // HEIC / DNG uploads: the file as uploaded (also when it couldn't be converted)
+    const original = p.original?.photoId ? { originalUrl: photoUrl(p.original.photoId, owner) } : {};
+    if (!photoId) return { ...p, ...original };
+    const urls = { photoId, publicUrl: photoUrl(photoId, owner), ...original };
+    // Small photos come out the same size in several variants: one srcset entry per width
+    const variants = Object.values(p.variants || {})
+      .filter((v) => v?.photoId && v.width)
+      .sort((a, b) => a.width - b.width)
+      .filter((v, i, all) => i === 0 || v.width !== all[i - 1].width);
+    if (p.variants?.thumb?.photoId) urls.thumbUrl = photoUrl(p.variants.thumb.photoId, owner);
+    if (variants.length) {
+      urls.srcset = variants
+        .map((v) => `${photoUrl(v.photoId, owner)} ${v.width}w`)
+        .join(", ");
     }
-  }
-  await cleanupOldReports();
+    return { ...p, ...urls };
+  });
+}
+
+/**
+ * The report (or generate result) with fresh URLs on each stored photo, for a
+ * response to someone allowed to see it (GET /api/photos/:id checks the URL's token):
+ * publicUrl (display size), for photos with variants thumbUrl and an <img> srcset,
+ * and originalUrl for converted HEIC / DNG uploads.
+ */
+function withPhotoUrls(report, reportId = report.id) {
+  const withUrls = (photos) => (reportId ? photosWithUrls(photos, { reportId }) : photos);
+  return {
+    ...report,
+    ...(report.photoAnalysis && { photoAnalysis: withUrls(report.photoAnalysis) }),
+    ...(report.photos && { photos: withUrls(report.photos) }),
+  };
+}
+
+// ✅ Get single report by ID — same report as 30-day retention
+app.get("/api/reports/:id", async (req, res) => {
+  try {
+    const report = await findReport(req.params.id, req.user.companyId);
+    if (!report) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    const migrated = await withPhotoIds(await withShareToken(report));
+    res.json({ ok: true, report: withPhotoUrls(withCondition(migrated)) });
+  } catch (err) {
+    console.error("GET /api/reports/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// Only these fields of a record that are set
+function pickFields(record, fields) {
+  return Object.fromEntries(fields.filter((key) => record?.[key] !== undefined).map((key) => [key, record[key]]));
+}
+
+// What share link viewers (the customer) get, listed so new report fields stay internal:
+// no tenant, author, customer / location ids, report chain, inventory, notes or audit trail
+const SHARED_REPORT_FIELDS = [
+  "restaurantName",
+  "address",
+  "createdAt",
+  "reportType",
+  "reportText",
+  "summary",
+  "condition",
+  "frequencyRecommendation",
+  "serviceCompletion",
+  "photoAnalysis",
+  "photos",
+];
+// Per photo: what it shows and how it was checked, not the stored ids, raw model output
+// or the original upload (a converted photo's original still carries its metadata)
+const SHARED_PHOTO_FIELDS = [
+  "filename",
+  "caption",
+  "analysis",
+  "findings",
+  "cleaning",
+  "evidence",
+  "equipment",
+  "phase",
+  "pair",
+  "publicUrl",
+  "thumbUrl",
+  "srcset",
+];
+
+// Public copy for share links. report.html renders `sections` as split by the report's template.
+function sharedReport(report) {
+  const template = reportTemplate(report);
+  const sections = withNextStepsSection(
+    parseReportSections(report.reportText || report.summary || "", template),
+    template,
+    report.frequencyRecommendation
+  );
+  const shared = pickFields(withPhotoUrls(withCondition(report)), SHARED_REPORT_FIELDS);
+  // The evidence GPS is read from the upload, so like the stored photo it's only shared when kept
+  const sharedEvidence = (evidence) => {
+    if (!evidence || report.keepGps) return evidence;
+    const { gps, ...rest } = evidence;
+    return rest;
+  };
+  const sharedPhotos = (photos) =>
+    photos.map((p) => {
+      const photo = pickFields(p, SHARED_PHOTO_FIELDS);
+      return "evidence" in photo ? { ...photo, evidence: sharedEvidence(photo.evidence) } : photo;
+    });
+  return {
+    ...shared,
+    ...(shared.photoAnalysis && { photoAnalysis: sharedPhotos(shared.photoAnalysis) }),
+    ...(shared.photos && { photos: sharedPhotos(shared.photos) }),
+    template,
+    sections,
+    status: reportStatus(report),
+  };
+}
+
+// Anonymous viewers only see approved reports; the report's own company can preview any state
+async function canViewShared(req, report) {
+  if (isShareableStatus(report)) return true;
+  const user = await sessionUser(req);
+  return Boolean(user && user.companyId === report.companyId);
+}
+
+const NOT_APPROVED_ERROR = "This report hasn't been approved for sharing yet.";
+
+async function findSharedReport(token) {
+  return getReportByShareToken(token);
+}
+
+// ✅ Old report.html?id= links: reports saved before accounts (no author) were public
+// by id, so their links keep working — swapped for the report's share link
+app.get("/api/share/legacy-reports/:id", async (req, res) => {
+  try {
+    const report = await getReportById(req.params.id);
+    if (!report || report.createdBy) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    const { shareToken } = await withShareToken(report);
+    res.json({ ok: true, shareToken });
+  } catch (err) {
+    console.error("GET /api/share/legacy-reports/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Shared report (report.html?t=) — visible for the 30-day retention
+app.get("/api/share/reports/:token", async (req, res) => {
+  try {
+    const report = await findSharedReport(req.params.token);
+    if (!report) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    if (!(await canViewShared(req, report))) {
+      return res.status(403).json({ ok: false, error: NOT_APPROVED_ERROR });
+    }
+    res.json({ ok: true, report: sharedReport(report) });
+  } catch (err) {
+    console.error("GET /api/share/reports/:token error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+function slugify(value, fallback) {
+  const slug = String(value || "")
+    .replace(/[^a-z0-9]+/gi, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+  return slug || fallback;
+}
+
+// ?download=0 shows the PDF in the browser instead of downloading it
+function sendPdf(req, res, pdf, filename) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `${req.query.download === "0" ? "inline" : "attachment"}; filename="${filename}"`
+  );
+  res.setHeader("Content-Length", pdf.length);
+  res.send(pdf);
+}
+
+async function sendReportPdf(req, res, report) {
+  if (!report) {
+    return res.status(404).json({ ok: false, error: "Report not found" });
+  }
+  const pdf = await renderReportPdf(withCondition(report));
+  sendPdf(req, res, pdf, `${slugify(report.restaurantName, "inspection")}-report.pdf`);
+}
+
+// ✅ Download report as PDF (for customers / insurers)
+app.get("/api/reports/:id/pdf", async (req, res) => {
+  try {
+    await sendReportPdf(req, res, await findReport(req.params.id, req.user.companyId));
+  } catch (err) {
+    console.error("GET /api/reports/:id/pdf error:", err);
+    res.status(500).json({ ok: false, error: err?.message || "PDF export failed" });
+  }
+});
+
+// ✅ Same PDF from a share link (also what the app's download links use)
+app.get("/api/share/reports/:token/pdf", async (req, res) => {
+  try {
+    const report = await findSharedReport(req.params.token);
+    if (report && !(await canViewShared(req, report))) {
+      return res.status(403).json({ ok: false, error: NOT_APPROVED_ERROR });
+    }
+    await sendReportPdf(req, res, report);
+  } catch (err) {
+    console.error("GET /api/share/reports/:token/pdf error:", err);
+    res.status(500).json({ ok: false, error: err?.message || "PDF export failed" });
+  }
+});
+
+// Fields a PATCH may change; everything else (condition, lock, tenant, share link) is server-managed
+const EDITABLE_REPORT_FIELDS = [
+  "reportText",
+  "summary",
+  "photoAnalysis",
+  "photos",
+  "restaurantName",
+  "address",
+  "notes",
+];
+// Each revision keeps these fields' before/after text (for the diff view and restore);
+// other changed fields (photo findings) are listed by name only
+const REVISION_TEXT_FIELDS = ["reportText", "summary", "restaurantName", "address", "notes"];
+
+/** Immutable history entry for an edit: who, when, which fields, and the text before/after. */
+function reportRevision(existing, updates, user, restoredFrom) {
+  const changed = Object.keys(updates).filter(
+    (key) => JSON.stringify(updates[key]) !== JSON.stringify(existing[key])
+  );
+  if (changed.length === 0) return null;
+  const textFields = changed.filter((key) => REVISION_TEXT_FIELDS.includes(key));
+  return {
+    createdAt: new Date().toISOString(),
+    author: { id: user.id, name: user.name || user.email },
+    changed,
+    before: Object.fromEntries(textFields.map((key) => [key, existing[key] ?? ""])),
+    after: Object.fromEntries(textFields.map((key) => [key, updates[key] ?? ""])),
+    restoredFrom: restoredFrom || null,
+  };
+}
+
+/** The report's text as generated: each field's value before its first revision. */
+function originalVersion(report, revisions) {
+  const original = Object.fromEntries(REVISION_TEXT_FIELDS.map((key) => [key, report[key] ?? ""]));
+  [...revisions].reverse().forEach((revision) => Object.assign(original, revision.before));
+  return original;
+}
+
+/** Text fields as of `revisionId` ("original" = the AI output), or null if there is no such revision. */
+function versionAt(report, revisions, revisionId) {
+  const version = originalVersion(report, revisions);
+  if (revisionId === "original") return version;
+  const index = revisions.findIndex((revision) => revision.id === revisionId);
+  if (index < 0) return null;
+  revisions.slice(0, index + 1).forEach((revision) => Object.assign(version, revision.after));
+  return version;
+}
+
+// Photo evidence is what the server read from the upload (evidence.js): edits keep the stored one
+function withStoredEvidence(existing, photos) {
+  const stored = new Map();
+  for (const p of existing.photos || existing.photoAnalysis || []) {
+    const photoId = photoIdOf(p);
+    if (photoId && p.evidence) stored.set(photoId, p.evidence);
+  }
+  return photos.map((p) => {
+    if (!p) return p;
+    const { evidence, ...photo } = p;
+    const kept = stored.get(photoIdOf(photo));
+    return kept ? { ...photo, evidence: kept } : photo;
+  });
+}
+
+/**
+ * Apply a user's edit to a report and record it as a revision. Resolves with
+ * the report id, or null when the report is gone.
+ */
+async function saveReportEdit(existing, updates, user, { restoredFrom } = {}) {
+  const id = existing.id;
+  // Photos come back with the URLs they were served with; store their ids
+  for (const key of ["photoAnalysis", "photos"]) {
+    if (Array.isArray(updates[key])) {
+      updates = { ...updates, [key]: withStoredEvidence(existing, storedPhotos(updates[key])) };
+    }
+  }
+  const revision = reportRevision(existing, updates, user, restoredFrom);
+  if (!revision) return id;
+  // Findings edits change the rating: re-score against the stored report
+  if (updates.photoAnalysis || updates.photos) {
+    updates = {
+      ...updates,
+      condition: {
+        ...scoreInspection({ ...existing, ...updates }),
+        scoredAt: new Date().toISOString(),
+      },
+    };
+  }
+  return updateReport(id, updates, revision);
+}
+
+// Shared checks for edits and restores: 404 other tenants, 403 role / owner, 409 locked or approved
+async function findEditableReport(req, res) {
+  const existing = await findReport(req.params.id, req.user.companyId);
+  if (!existing) {
+    res.status(404).json({ ok: false, error: "Report not found" });
+    return null;
+  }
+  const blocker = reportEditBlocker(req.user, existing);
+  if (blocker) {
+    const conflict = existing.locked || !isEditableStatus(existing);
+    res.status(conflict ? 409 : 403).json({ ok: false, error: blocker });
+    return null;
+  }
+  return existing;
+}
+
+// ✅ Update report (e.g. after user edits and saves) — shared page will show updated content.
+// Every change is kept as a revision (GET /api/reports/:id/revisions).
+app.patch("/api/reports/:id", requirePermission("reports:edit"), async (req, res) => {
+  try {
+    const existing = await findEditableReport(req, res);
+    if (!existing) return;
+    const updates = {};
+    for (const key of EDITABLE_REPORT_FIELDS) {
+      if (req.body?.[key] !== undefined) updates[key] = req.body[key];
+    }
+    const reportId = await saveReportEdit(existing, updates, req.user);
+    if (!reportId) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    res.json({ ok: true, reportId });
+  } catch (err) {
+    console.error("PATCH /api/reports/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Edit history: the AI original plus every revision since, oldest first
+app.get("/api/reports/:id/revisions", async (req, res) => {
+  try {
+    const report = await findReport(req.params.id, req.user.companyId);
+    if (!report) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    const revisions = await listReportRevisions(report.id);
+    res.json({ ok: true, original: originalVersion(report, revisions), revisions });
+  } catch (err) {
+    console.error("GET /api/reports/:id/revisions error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Restore the text of an earlier revision ("original" = the AI output) as a new revision
+app.post(
+  "/api/reports/:id/revisions/:revisionId/restore",
+  requirePermission("reports:edit"),
+  async (req, res) => {
+    try {
+      const existing = await findEditableReport(req, res);
+      if (!existing) return;
+      const { revisionId } = req.params;
+      const version = versionAt(existing, await listReportRevisions(existing.id), revisionId);
+      if (!version) {
+        return res.status(404).json({ ok: false, error: "Revision not found" });
+      }
+      const reportId = await saveReportEdit(existing, version, req.user, { restoredFrom: revisionId });
+      if (!reportId) {
+        return res.status(404).json({ ok: false, error: "Report not found" });
+      }
+      res.json({ ok: true, reportId, report: version });
+    } catch (err) {
+      console.error("POST /api/reports/:id/revisions/:revisionId/restore error:", err);
+      res.status(500).json({ ok: false, error: err?.message });
+    }
+  }
+);
+
+/** Audit entry for a workflow step (create, submit, approve, …). */
+function statusEntry(action, from, to, user) {
+  return {
+    action,
+    from,
+    to,
+    at: new Date().toISOString(),
+    by: { id: user.id, name: user.name || user.email },
+  };
+}
+
+// ✅ Approval workflow: draft → in review → approved → sent → archived
+app.post("/api/reports/:id/status", async (req, res) => {
+  try {
+    const id = req.params.id;
+    const existing = await findReport(id, req.user.companyId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    const action = String(req.body?.action || "");
+    const transition = REPORT_TRANSITIONS.find((t) => t.action === action);
+    if (!transition) {
+      return res.status(400).json({ ok: false, error: "Unknown action" });
+    }
+    const blocker = transitionBlocker(req.user, existing, action);
+    if (blocker) {
+      const allowedFrom = transition.from.includes(reportStatus(existing));
+      return res.status(allowedFrom ? 403 : 409).json({ ok: false, error: blocker });
+    }
+    const entry = statusEntry(action, reportStatus(existing), transition.to, req.user);
+    const statusHistory = [...(existing.statusHistory || []), entry];
+    if (!(await updateReportStatus(id, existing.status ?? null, transition.to, entry))) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    res.json({ ok: true, reportId: id, status: transition.to, statusHistory });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ ok: false, error: err.message });
+    console.error("POST /api/reports/:id/status error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+async function setReportLock(req, res, locked) {
+  try {
+    const id = req.params.id;
+    const existing = await findReport(id, req.user.companyId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    if (!(await updateReport(id, { locked }))) {
+      return res.status(404).json({ ok: false, error: "Report not found" });
+    }
+    res.json({ ok: true, reportId: id, locked });
+  } catch (err) {
+    console.error(`${req.method} /api/reports/:id/lock error:`, err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+}
+
+// ✅ Lock / unlock a report — locked reports are read-only until a manager unlocks them
+app.post("/api/reports/:id/lock", requirePermission("reports:lock"), (req, res) =>
+  setReportLock(req, res, { at: new Date().toISOString(), by: req.user.name || req.user.email })
+);
+
+app.delete("/api/reports/:id/lock", requirePermission("reports:lock"), (req, res) =>
+  setReportLock(req, res, null)
+);
+
+// Store the draft with defaults (the company's rates) applied so totals don't depend on who reads it
+function toProposal(raw, rates) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  // acceptance / status are only ever set by the accept route; tenant and share link by the server
+  const {
+    id, proposalId, createdAt, updatedAt, acceptance, status, companyId, shareToken, ...fields
+  } = raw;
+  const proposal = applyDefaults(fields, rates);
+  proposal.reportId = fields.reportId ? String(fields.reportId) : null;
+  proposal.locationId = fields.locationId ? String(fields.locationId) : null;
+  return proposal;
+}
+
+// The location's pricing pre-fills its next proposal; a bad or foreign locationId is ignored
+async function rememberLocationPricing(proposal, companyId) {
+  if (!proposal.locationId) return;
+  try {
+    await recordLocationPricing(companyId, proposal.locationId, proposal);
+  } catch (err) {
+    console.warn("Location pricing not saved:", err?.message);
+  }
+}
+
+// Acceptance audit fields (signer IP / browser) stay server-side
+function withoutAudit(proposal) {
+  if (!proposal?.acceptance) return proposal;
+  const { ip, userAgent, ...acceptance } = proposal.acceptance;
+  return { ...proposal, acceptance };
+}
+
+// Lists only need who signed and when, not the signature image
+function withoutSignature(proposal) {
+  if (!proposal.acceptance) return proposal;
+  const { ip, userAgent, signature, ...acceptance } = proposal.acceptance;
+  return { ...proposal, acceptance };
+}
+
+// Read-only view for the acceptance page: totals come from proposalMath.js
+function withPricing(proposal) {
+  if (!proposal) return proposal;
+  const draft = applyDefaults(proposal);
+  const totals = computeTotals(draft);
+  return {
+    ...withoutAudit(proposal),
+    pricing: {
+      lineItems: proposalLineItems(draft, totals),
+      totals,
+      frequencies: proposalFrequencies(draft),
+    },
+  };
+}
+
+async function findProposal(id, companyId) {
+  return ownedBy(await getProposalById(id), companyId);
+}
+
+async function findSharedProposal(token) {
+  return (await getProposalByShareToken(token)) || null;
+}
+
+async function createProposal(proposal, companyId) {
+  return saveProposal({ ...proposal, companyId, shareToken: createShareToken() });
+}
+
+/** Replace an existing proposal; keeps its reportId / locationId links unless new ones are given. */
+async function replaceProposal(existing, proposal) {
+  if (existing.acceptance) throw lockedProposalError();
+  const next = {
+    ...proposal,
+    reportId: proposal.reportId || existing.reportId || null,
+    locationId: proposal.locationId || existing.locationId || null,
+    companyId: existing.companyId,
+    shareToken: existing.shareToken || createShareToken(),
+  };
+  return updateProposal(existing.id, next);
+}
+
+// ✅ List proposals (?reportId= for the proposals priced from one inspection)
+app.get("/api/proposals", async (req, res) => {
+  try {
+    const reportId = req.query.reportId ? String(req.query.reportId) : undefined;
+    const limit = Math.min(Number(req.query.limit) || 50, 100);
+    const { companyId } = req.user;
+    const proposals = (await listProposals({ companyId, reportId, limit })).map(withoutSignature);
+    res.json({ ok: true, proposals });
+  } catch (err) {
+    console.error("GET /api/proposals error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Create a proposal ({ proposal }, optionally linked via proposal.reportId / proposal.locationId)
+app.post("/api/proposals", requirePermission("proposals:edit"), async (req, res) => {
+  try {
+    const proposal = toProposal(req.body?.proposal, await getCompanyRates(req.user.companyId));
+    if (!proposal) {
+      return res.status(400).json({ ok: false, error: "proposal is required" });
+    }
+    const proposalId = await createProposal(proposal, req.user.companyId);
+    await rememberLocationPricing(proposal, req.user.companyId);
+    res.status(201).json({ ok: true, proposalId });
+  } catch (err) {
+    console.error("POST /api/proposals error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+app.get("/api/proposals/:id", async (req, res) => {
+  try {
+    const proposal = await findProposal(req.params.id, req.user.companyId);
+    if (!proposal) {
+      return res.status(404).json({ ok: false, error: "Proposal not found" });
+    }
+    res.json({ ok: true, proposal: withPricing(proposal) });
+  } catch (err) {
+    console.error("GET /api/proposals/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+app.put("/api/proposals/:id", requirePermission("proposals:edit"), async (req, res) => {
+  try {
+    const proposal = toProposal(req.body?.proposal, await getCompanyRates(req.user.companyId));
+    if (!proposal) {
+      return res.status(400).json({ ok: false, error: "proposal is required" });
+    }
+    const existing = await findProposal(req.params.id, req.user.companyId);
+    const proposalId = existing ? await replaceProposal(existing, proposal) : null;
+    if (!proposalId) {
+      return res.status(404).json({ ok: false, error: "Proposal not found" });
+    }
+    await rememberLocationPricing(
+      { ...proposal, locationId: proposal.locationId || existing.locationId },
+      req.user.companyId
+    );
+    res.json({ ok: true, proposalId });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ ok: false, error: err.message });
+    console.error("PUT /api/proposals/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+app.delete("/api/proposals/:id", requirePermission("proposals:edit"), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const existing = await findProposal(id, req.user.companyId);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "Proposal not found" });
+    }
+    if (existing.acceptance) throw lockedProposalError();
+    await deleteProposal(id);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ ok: false, error: err.message });
+    console.error("DELETE /api/proposals/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+const MAX_SIGNATURE_LENGTH = 300 * 1024;
+
+// What proposal.html shows; no tenant, location, share token or signer audit fields
+const SHARED_PROPOSAL_FIELDS = [
+  "restaurantName",
+  "address",
+  "proposalDate",
+  "frequencyRecommendation",
+  "status",
+  "pricing",
+  "acceptance",
+];
+
+// Public copy for the acceptance page
+function sharedProposal(proposal) {
+  const shared = pickFields(withPricing(proposal), SHARED_PROPOSAL_FIELDS);
+  return {
+    ...shared,
+    ...(shared.acceptance && { acceptance: pickFields(shared.acceptance, ["name", "signature", "signedAt"]) }),
+  };
+}
+
+// ✅ Shared proposal (proposal.html?t=) with its pricing breakdown
+app.get("/api/share/proposals/:token", async (req, res) => {
+  try {
+    const proposal = await findSharedProposal(req.params.token);
+    if (!proposal) {
+      return res.status(404).json({ ok: false, error: "Proposal not found" });
+    }
+    res.json({ ok: true, proposal: sharedProposal(proposal) });
+  } catch (err) {
+    console.error("GET /api/share/proposals/:token error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Customer accepts the proposal: typed name + drawn signature (PNG data URL).
+// Records when, from where and by whom; the proposal is immutable afterwards.
+app.post("/api/share/proposals/:token/accept", async (req, res) => {
+  try {
+    const name = String(req.body?.name || "").trim();
+    const signature = String(req.body?.signature || "");
+    if (!name || name.length > 200) {
+      return res.status(400).json({ ok: false, error: "Type your full name to accept" });
+    }
+    if (!signature.startsWith("data:image/png;base64,") || signature.length > MAX_SIGNATURE_LENGTH) {
+      return res.status(400).json({ ok: false, error: "A drawn signature is required" });
+    }
+    const existing = await findSharedProposal(req.params.token);
+    if (!existing) {
+      return res.status(404).json({ ok: false, error: "Proposal not found" });
+    }
+    if (existing.acceptance) throw lockedProposalError();
+    const id = existing.id;
+
+    const acceptance = {
+      name,
+      signature,
+      signedAt: new Date().toISOString(),
+      ip: req.ip || null,
+      userAgent: String(req.get("user-agent") || "").slice(0, 300),
+    };
+    await acceptProposal(id, acceptance);
+    res.json({ ok: true, proposalId: id, signedAt: acceptance.signedAt });
+  } catch (err) {
+    if (err.status === 409) return res.status(409).json({ ok: false, error: err.message });
+    console.error("POST /api/share/proposals/:token/accept error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+async function sendProposalPdf(req, res, proposal) {
+  if (!proposal) {
+    return res.status(404).json({ ok: false, error: "Proposal not found" });
+  }
+  const pdf = await renderProposalPdf(proposal);
+  sendPdf(req, res, pdf, `${slugify(proposal.restaurantName, "service")}-proposal.pdf`);
+}
+
+// ✅ Download proposal as PDF (line items + totals from proposalMath.js, same as the preview)
+app.get("/api/proposals/:id/pdf", async (req, res) => {
+  try {
+    await sendProposalPdf(req, res, await findProposal(req.params.id, req.user.companyId));
+  } catch (err) {
+    console.error("GET /api/proposals/:id/pdf error:", err);
+    res.status(500).json({ ok: false, error: err?.message || "PDF export failed" });
+  }
+});
+
+// ✅ Same PDF from a share link (also what the app's download links use)
+app.get("/api/share/proposals/:token/pdf", async (req, res) => {
+  try {
+    await sendProposalPdf(req, res, await findSharedProposal(req.params.token));
+  } catch (err) {
+    console.error("GET /api/share/proposals/:token/pdf error:", err);
+    res.status(500).json({ ok: false, error: err?.message || "PDF export failed" });
+  }
+});
+
+// What the vision step asks for: grease findings, or cleaning completeness for "after" photos
+// (`prompt` is the prompt library entry, see prompts.js)
+const VISION_ASSESSMENTS = {
+  findings: {
+    prompt: "photoFindings",
+    textFormat: FINDINGS_TEXT_FORMAT,
+    parse: (text) => {
+      const { findings, errors } = parseFindings(text);
+      return { result: findings, errors };
+    },
+    repairInstruction: findingsRepairInstruction,
+    describe: describeFindings,
+  },
+  cleaning: {
+    prompt: "photoCleaning",
+    textFormat: CLEANING_TEXT_FORMAT,
+    parse: (text) => {
+      const { cleaning, errors } = parseCleaning(text);
+      return { result: cleaning, errors };
+    },
+    repairInstruction: cleaningRepairInstruction,
+    describe: describeCleaning,
+  },
+};
+
+/**
+ * Vision step for one photo: ask for structured findings (or, with
+ * assessment "cleaning", a cleaning completeness assessment), validate them and
+ * re-prompt once with the validation errors when the output is invalid.
+ * `prompt` is the job's rendered VISION_ASSESSMENTS[assessment].prompt.
+ * Resolves with { analysis (readable bullets), findings (object|null),
+ * cleaning (object|null), rawAnalysis }.
+ */
+async function analyzePhoto(dataUrl, { prompt, signal, assessment = "findings" }) {
+  const spec = VISION_ASSESSMENTS[assessment];
+  const input = [
+    {
+      role: "user",
+      content: [
+        {
+          type: "input_text",
+          text: prompt.user,
+        },
+        {
+          type: "input_image",
+          image_url: dataUrl,
+          detail: "low",
+        },
+      ],
+    },
+  ];
+  const ask = (messages) =>
+    withRetry(() =>
+      llm.runPrompt({
+        prompt,
+        variables: {},
+        input: messages,
+        textFormat: spec.textFormat,
+        signal,
+      })
+    );
+
+  let rawAnalysis = await ask(input);
+  let { result, errors } = spec.parse(rawAnalysis);
+
+  if (!result) {
+    console.warn(`Invalid ${assessment}, re-prompting:`, errors.join("; "));
+    rawAnalysis = await ask([
+      ...input,
+      { role: "assistant", content: rawAnalysis },
+      {
+        role: "user",
+        content: [{ type: "input_text", text: spec.repairInstruction(errors) }],
+      },
+    ]);
+    ({ result, errors } = spec.parse(rawAnalysis));
+    if (!result) console.warn(`${assessment} still invalid after re-prompt:`, errors.join("; "));
+  }
+
+  const analysis = result ? result.notes || spec.describe(result) : rawAnalysis;
+  return {
+    analysis,
+    findings: assessment === "findings" ? result : null,
+    cleaning: assessment === "cleaning" ? result : null,
+    rawAnalysis,
+  };
+}
+
+function toCaption(analysis) {
+  if (!analysis) return "";
+  // "(Not analyzed - fast mode)" → "Not analyzed (fast mode)"; also for failed HEIC / DNG conversions
+  const notAnalyzed = analysis.match(/^\(Not analyzed - (.*)\)$/s);
+  if (notAnalyzed) return `Not analyzed (${notAnalyzed[1]})`.slice(0, 80);
+  if (analysis.startsWith("(Not analyzed")) return "Not analyzed (fast mode)";
+  if (analysis.startsWith("[Analysis failed")) return "Analysis failed";
+  // The first line of text, without its Markdown bullet / heading / quote markers
+  const line = String(analysis)
+    .split("\n")
+    .map((l) => l.replace(/^[-*#>\s]+/, ""))
+    .find(Boolean);
+  return line?.slice(0, 80) || "Photo analysis";
+}
+
+/**
+ * Run the full inspection pipeline: photo vision (concurrent) + Firebase upload,
+ * then the inspection summary, then persist the report.
+ *
+ * onEvent(event, data) is called as work completes so callers can stream progress:
+ *   "start"   { totalPhotos, photosToAnalyze }
+ *   "photo"   { index, filename, analysis, findings, cleaning, caption, photoId, variants, original,
+ *               conversion, equipment, phase, pair }, once the photo is stored
+ *             (GET /api/jobs/:id/events adds its publicUrl / thumbUrl / srcset)
+ *   "summary" { reportText }
+ * signal (AbortSignal) stops remaining work when the job is cancelled.
+ * user ({ id, companyId, role }) is who ran it: the report (and its proposal) are
+ * saved under their company, and the proposal is only saved if their role prices proposals.
+ * Resolves with the finished report payload (including reportId).
+ */
+async function generateInspection(fields, files, { onEvent = () => {}, signal, user } = {}) {
+  const { companyId } = user;
+  const t0 = Date.now();
+
+  const {
+    restaurantName = "",
+    address = "",
+    hoods = "0",
+    fans = "0",
+    filters = "0",
+    notes = "",
+    cookingVolume = "",
+    analyzeAll = "",
+    keepGps = "",
+    customerId = null,
+    locationId = null,
+    inventory = null,
+    photoEquipment = [],
+    reportType = "inspection",
+    photoPhases = [],
+  } = fields;
+  const isService = reportType === "service";
+
+  const analyzeAllPhotos = analyzeAll === "true" || analyzeAll === true;
+  const keepPhotoGps = keepGps === "true" || keepGps === true;
+  const allFiles = Array.isArray(files) ? files : [];
+  const maxToAnalyze = analyzeAllPhotos ? allFiles.length : MAX_PHOTOS;
+
+  if (allFiles.length > maxToAnalyze && !analyzeAllPhotos) {
+    console.log(`Fast mode: analyzing first ${maxToAnalyze} of ${allFiles.length} photos (pass analyzeAll=true to analyze all)`);
+  }
+
+  // Every photo in the job uses the same prompt versions; the report records them
+  const visionPrompts = Object.fromEntries(
+    Object.entries(VISION_ASSESSMENTS).map(([assessment, spec]) => [assessment, renderPrompt(spec.prompt)])
+  );
+  const promptVersions = {};
+
+  // A cancelled job stores nothing more, and deletes the photos it already stored
+  const storedPhotoIds = [];
+  async function stopIfCancelled() {
+    if (!signal?.aborted) return;
+    await deletePhotos(storedPhotoIds).catch((err) =>
+      console.warn("Deleting a cancelled job's photos failed:", err?.message)
+    );
+    throw new Error("Cancelled");
+  }
+  const cleanUpIfCancelled = async (err) => {
+    await stopIfCancelled();
+    throw err;
+  };
+
+  onEvent("start", {
+    totalPhotos: allFiles.length,
+    photosToAnalyze: Math.min(maxToAnalyze, allFiles.length),
+  });
+
+  // 1) PHOTO VISION (concurrent) + FIREBASE UPLOAD (all photos)
+  // Analyze first N; upload ALL to Firebase for gallery
+  const photoResults = await runWithConcurrency(
+    allFiles,
+    CONCURRENCY_LIMIT,
+    async (f, index) => {
+      if (signal?.aborted) throw new Error("Cancelled");
+      const shouldAnalyze = index < maxToAnalyze;
+      // Photo tagged to a hood / fan in the inventory ("Hood 2")
+      const equipment = equipmentLabel(inventory, photoEquipment[index]) || null;
+      // Service reports: before / after tag and pair number
+      const { phase, pair } = (isService && photoPhases[index]) || { phase: null, pair: null };
+      let analysis = "";
+      let findings = null;
+      let cleaning = null;
+      let rawAnalysis = "";
+
+      // Capture time, device and GPS, before processing drops the EXIF data
+      const evidence = await readPhotoEvidence(f.buffer);
+
+      // Upright, metadata-free sizes (images.js). A file sharp can't read is marked failed and
+      // not stored: as uploaded it would still carry its EXIF data (GPS included)
+      const format = convertedPhotoFormat({ name: f.originalname, type: f.mimetype });
+      const conversion = format ? { from: format, status: "converted", error: null } : null;
+      let variants = null;
+      let unreadable = null;
+      try {
+        variants = await processPhoto(f.buffer, { keepGps: keepPhotoGps, format });
+      } catch (err) {
+        console.warn(`Photo ${index + 1} (${f.originalname}) could not be processed:`, err?.message);
+        unreadable = err?.message || "Unknown error";
+        if (conversion) Object.assign(conversion, { status: "failed", error: unreadable });
+      }
+
+      if (unreadable) {
+        analysis = `(Not analyzed - ${conversion ? conversionLabel(conversion) : `unreadable photo: ${unreadable}`})`;
+      } else if (shouldAnalyze) {
+        const assessment = phase === "after" ? "cleaning" : "findings";
+        const prompt = visionPrompts[assessment];
+        promptVersions[prompt.name] = llm.promptSource(prompt);
+        try {
+          ({ analysis, findings, cleaning, rawAnalysis } = await analyzePhoto(
+            variantDataUrl(variants.vision),
+            { prompt, signal, assessment }
+          ));
+        } catch (err) {
+          console.warn(`Photo ${index + 1} (${f.originalname}) failed:`, err?.message);
+          analysis = `[Analysis failed: ${err?.message || "Unknown error"}]`;
+        }
+      } else {
+        analysis = "(Not analyzed - fast mode)";
+      }
+
+      // Cancelled during the analysis: don't upload
+      if (signal?.aborted) throw new Error("Cancelled");
+
+      let photoId = null;
+      let savedVariants = null;
+      try {
+        if (variants) {
+          savedVariants = await savePhotoVariants(variants, f.originalname);
+          storedPhotoIds.push(...Object.values(savedVariants).map((v) => v.photoId));
+          photoId = savedVariants.display.photoId;
+        }
+      } catch (err) {
+        console.warn(`Photo upload failed for ${f.originalname}:`, err?.message);
+      }
+
+      // The upload as it was, for audit: with a HEIC or DNG photo that's not what we show
+      let original = null;
+      if (conversion) {
+        try {
+          const contentType = ORIGINAL_CONTENT_TYPES[format];
+          const originalId = await savePhoto(f.buffer, f.originalname, contentType);
+          storedPhotoIds.push(originalId);
+          original = { photoId: originalId, filename: f.originalname, contentType, size: f.size ?? f.buffer.length };
+        } catch (err) {
+          console.warn(`Original upload failed for ${f.originalname}:`, err?.message);
+        }
+      }
+
+      onEvent("photo", {
+        index,
+        filename: f.originalname,
+        analysis,
+        findings,
+        cleaning,
+        caption: toCaption(analysis),
+        photoId,
+        variants: savedVariants,
+        original,
+        conversion,
+        equipment,
+        phase,
+        pair,
+      });
+
+      return {
+        filename: f.originalname,
+        analysis,
+        findings,
+        cleaning,
+        rawAnalysis,
+        photoId,
+        variants: savedVariants,
+        conversion,
+        original,
+        evidence,
+        equipmentId: equipment ? photoEquipment[index] : null,
+        equipment,
+        phase,
+        pair,
+      };
+    }
+  ).catch(cleanUpIfCancelled);
+
+  await stopIfCancelled();
+
+  // Evidence checks: taken around the time of this inspection, at its address
+  const site = evidenceSite(
+    photoResults.map((p) => p.evidence),
+    await geocodeAddress(address, { signal })
+  );
+  checkPhotoEvidence(
+    photoResults.map((p) => p.evidence),
+    { inspectedAt: new Date(t0), site }
+  ).forEach((evidence, i) => {
+    photoResults[i].evidence = evidence;
+  });
+
+  const tPhotos = Date.now();
+  const photoAnalysisTimeMs = tPhotos - t0;
+
+  // 2) INSPECTION SUMMARY (after all photo analyses)
+  const analyzedForSummary = photoResults.filter(
+    (p) =>
+      p.analysis &&
+      !p.analysis.startsWith("(Not analyzed") &&
+      !p.analysis.startsWith("[Analysis failed")
+  );
+
+  const frequencyRecommendation = recommendFrequency({
+    cookingVolume,
+    photoAnalysis: photoResults,
+  });
+
+  // Same location inspected before: tell the summary what changed since then
+  let previousReportId = null;
+  let comparison = "";
+  if (locationId) {
+    try {
+      const previous = (await listLocationReports(companyId, locationId))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+      if (previous) {
+        previousReportId = previous.id;
+        comparison = comparisonText(previous, { photoAnalysis: photoResults, hoods, fans, filters });
+      }
+    } catch (err) {
+      console.warn("Previous inspection comparison failed:", err?.message);
+    }
+  }
+
+  const analyzedForSummaryLean = analyzedForSummary.map((p) => ({
+    filename: p.filename,
+    equipment: p.equipment || undefined,
+    phase: p.phase ? photoPhaseLabel(p) : undefined,
+    findings: p.findings || undefined,
+    cleaning: p.cleaning || undefined,
+    analysis: p.analysis,
+  }));
+
+  // Service Completion Reports: the cleaning result goes to the summary with the before/after photos
+  const completion = isService ? serviceCompletion(photoResults) : null;
+  const cleaningStatus = completion?.status
+    ? COMPLETENESS_LABELS[completion.status]
+    : "Not assessed";
+  // The company's sections for this report type; the report keeps a copy
+  const template = await getCompanyTemplate(companyId, reportType);
+  const templateVariables = templatePromptVariables(template);
+  const summaryVariables = isService
+    ? {
+        restaurantName,
+        address,
+        ...templateVariables,
+        reportType: REPORT_TYPE_LABELS.service,
+        serviceDate: new Date().toISOString().slice(0, 10),
+        cleaningStatus,
+      }
+    : { restaurantName, address, ...templateVariables };
+  const summaryPrompt = renderPrompt(isService ? "serviceSummary" : "inspectionSummary", summaryVariables);
+  promptVersions[summaryPrompt.name] = llm.promptSource(summaryPrompt);
+  const serviceText = completion
+    ? `Report type: ${REPORT_TYPE_LABELS.service} (photos taken before and after cleaning)\n` +
+      `Cleaning result: ${cleaningStatus} — ${completion.complete} clean, ${completion.partial} partially cleaned, ` +
+      `${completion.incomplete} not cleaned of ${completion.assessed} "after" photos assessed; ` +
+      `${completion.pairs} before/after pairs\n\n`
+    : "";
+
+  // Every photo is analyzed and stored by now: a transient provider error shouldn't lose that
+  const inspectionSummary = await withRetry(() =>
+    llm.runPrompt({
+      prompt: summaryPrompt,
+      variables: summaryVariables,
+      input: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "input_text",
+              text:
+                `Restaurant: ${restaurantName}\n` +
+                `Address: ${address}\n\n` +
+                serviceText +
+                `Hoods: ${String(hoods)}\n` +
+                `Fans: ${String(fans)}\n` +
+                `Filters: ${String(filters)}\n` +
+                (inventory ? `Equipment inventory (JSON):\n${JSON.stringify(inventory)}\n` : "") +
+                `Cooking operation: ${COOKING_VOLUMES[frequencyRecommendation.cookingVolume].label}\n\n` +
+                `Notes:\n${notes}\n\n` +
+                `${frequencySummaryText(frequencyRecommendation)}\n\n` +
+                (comparison ? `${comparison}\n\n` : "") +
+                `Photo Analysis (JSON):\n${JSON.stringify(analyzedForSummaryLean, null, 2)}`,
+            },
+          ],
+        },
+      ],
+      signal,
+    })
+  ).catch(cleanUpIfCancelled);
+
+  onEvent("summary", { reportText: inspectionSummary });
+
+  const tSummary = Date.now();
+  const summaryTimeMs = tSummary - tPhotos;
+  const totalTimeMs = tSummary - t0;
+
+  console.log("photos ms:", photoAnalysisTimeMs);
+  console.log("summary ms:", summaryTimeMs);
+  console.log("total ms:", totalTimeMs);
+
+  const photoAnalysis = photoResults.map((p) => ({
+    filename: p.filename,
+    analysis: p.analysis,
+    findings: p.findings ?? null,
+    cleaning: p.cleaning ?? null,
+    rawAnalysis: p.rawAnalysis || "",
+    caption: toCaption(p.analysis),
+    photoId: p.photoId ?? null,
+    variants: p.variants ?? null,
+    conversion: p.conversion ?? null,
+    original: p.original ?? null,
+    evidence: p.evidence ?? null,
+    equipmentId: p.equipmentId,
+    equipment: p.equipment,
+    phase: p.phase,
+    pair: p.pair,
+  }));
+
+  const condition = {
+    ...scoreInspection({ photoAnalysis, hoods, fans, filters }),
+    scoredAt: new Date().toISOString(),
+  };
+
+  const reportPayload = {
+    ok: true,
+    reportText: inspectionSummary,
+    summary: inspectionSummary,
+    photoAnalysis,
+    condition,
+    frequencyRecommendation,
+    inspectionSummary,
+    evidenceSite: site,
+    reportType,
+    serviceCompletion: completion,
+    template,
+    promptVersions,
+    llm: { provider: llm.name, model: llm.model || null },
+    customerId,
+    locationId,
+    previousReportId,
+    createdBy: user.id,
+    status: "draft",
+    _timing: { photoAnalysisTimeMs, summaryTimeMs, totalTimeMs },
+  };
+
+  // Persist report for 30-day history and shareable links (photos by photoId, see storage.js)
+  const shareToken = createShareToken();
+  reportPayload.shareToken = shareToken;
+  // New reports start as drafts; the share link works once a manager approves it
+  const statusHistory = [statusEntry("create", null, "draft", user)];
+  reportPayload.statusHistory = statusHistory;
+  const photosForStorage = photoAnalysis.map((p) => ({
+    filename: p.filename || "",
+    analysis: p.analysis || "",
+    findings: p.findings || null,
+    cleaning: p.cleaning || null,
+    rawAnalysis: p.rawAnalysis || "",
+    caption: p.caption || "",
+    photoId: p.photoId || null,
+    variants: p.variants || null,
+    conversion: p.conversion || null,
+    original: p.original || null,
+    evidence: p.evidence || null,
+    equipmentId: p.equipmentId,
+    equipment: p.equipment,
+    phase: p.phase,
+    pair: p.pair,
+  }));
+  // Last point to stop: once saved, the report stays
+  await stopIfCancelled();
+  const reportId = await saveReport({
+    restaurantName: (restaurantName || "").trim(),
+    address: (address || "").trim(),
+    hoods: String(hoods || "0"),
+    fans: String(fans || "0"),
+    filters: String(filters || "0"),
+    inventory,
+    notes: (notes || "").trim(),
+    cookingVolume: frequencyRecommendation.cookingVolume,
+    reportText: inspectionSummary,
+    summary: inspectionSummary,
+    photoAnalysis: photosForStorage,
+    photos: photosForStorage,
+    condition,
+    frequencyRecommendation,
+    evidenceSite: site,
+    keepGps: keepPhotoGps,
+    reportType,
+    serviceCompletion: completion,
+    template,
+    promptVersions,
+    llm: { provider: llm.name, model: llm.model || null },
+    companyId,
+    customerId,
+    locationId,
+    previousReportId,
+    createdBy: user.id,
+    status: "draft",
+    statusHistory,
+    shareToken,
+  });
+  if (!reportId) throw new Error("The report could not be saved");
+  reportPayload.reportId = reportId;
+
+  try {
+    if (can(user.role, "proposals:edit")) {
+      reportPayload.proposalId = await linkProposalToReport(
+        fields,
+        reportPayload.reportId,
+        frequencyRecommendation,
+        companyId
+      );
+    }
+  } catch (err) {
+    console.warn("Proposal link failed:", err?.message);
+  }
+
+  // The location's inventory is what the technician found on site this time
+  if (locationId) {
+    try {
+      await recordLocationInspection(companyId, locationId, {
+        equipment: { hoods, fans, filters },
+        inventory,
+        cookingVolume: frequencyRecommendation.cookingVolume,
+        reportId: reportPayload.reportId,
+      });
+    } catch (err) {
+      console.warn("Location update failed:", err?.message);
+    }
+  }
+
+  return withPhotoUrls(reportPayload, reportId);
+}
+
+/**
+ * Save the proposal priced alongside this inspection, linked to its report:
+ * updates fields.proposalId when the client already has one, otherwise
+ * creates it from the fields.proposal JSON. Applies the recommended cleaning
+ * frequency the same way the app does. Resolves with the proposal id (or null).
+ */
+async function linkProposalToReport(fields, reportId, frequencyRecommendation, companyId) {
+  let draft = null;
+  try {
+    draft = fields.proposal ? JSON.parse(fields.proposal) : null;
+  } catch {
+    console.warn("Ignoring invalid proposal JSON on /api/generate");
+  }
+  let existing = fields.proposalId
+    ? await findProposal(String(fields.proposalId), companyId)
+    : null;
+  // A signed proposal stays as the customer accepted it; price this run separately
+  if (existing?.acceptance) existing = null;
+  if (!draft && !existing) return null;
+
+  let proposal = toProposal(draft || existing, await getCompanyRates(companyId));
+  // Quantities follow the inspected inventory, whatever the draft said
+  if (fields.inventory) proposal = applyInventoryToDraft(proposal, fields.inventory);
+  proposal.reportId = reportId;
+  if (fields.locationId) proposal.locationId = fields.locationId;
+  if (frequencyRecommendation?.frequency) {
+    proposal.cleaningFrequency = frequencyRecommendation.frequency;
+    proposal.frequencyRecommendation = frequencyRecommendation;
+  }
+  const proposalId = existing
+    ? await replaceProposal(existing, proposal)
+    : await createProposal(proposal, companyId);
+  await rememberLocationPricing(proposal, companyId);
+  return proposalId;
+}
+
+function generateErrorMessage(err) {
+  let msg = err?.message || "Server error in /api/generate";
+  if (
+    err?.status === 401 ||
+    String(msg).toLowerCase().includes("incorrect api key")
+  ) {
+    msg += " Check OPENAI_API_KEY in server/.env (no quotes, no extra spaces) and that the key is valid at https://platform.openai.com/account/api-keys.";
+  }
+  return msg;
+}
+
+// ✅ This is what your frontend calls: POST /api/generate
+// Enqueues a background job and returns its jobId immediately (202); follow it
+// with GET /api/jobs/:id or the /api/jobs/:id/events stream.
+app.post(
+  "/api/generate",
+  requirePermission("reports:create"),
+  upload.array("photos", 20),
+  async (req, res) => {
+    console.log("🔥 HIT /api/generate");
+    console.log("files:", req.files?.length);
+    console.log("body keys:", Object.keys(req.body || {}));
+
+    try {
+      const fields = { ...(req.body || {}) };
+      const restaurantName = String(fields.restaurantName || "").trim();
+      if (!restaurantName) {
+        return res.status(400).json({ ok: false, error: "restaurantName is required" });
+      }
+
+      const files = Array.isArray(req.files) ? req.files : [];
+      const { companyId } = req.user;
+      // Per-hood / per-fan inventory: the counts are derived from it
+      try {
+        if (fields.inventory) {
+          fields.inventory = normalizeInventory(JSON.parse(fields.inventory));
+          const { hoods, fans, filters } = inventoryCounts(fields.inventory);
+          Object.assign(fields, { hoods, fans, filters });
+        }
+        fields.photoEquipment = fields.photoEquipment ? JSON.parse(fields.photoEquipment) : [];
+        if (!Array.isArray(fields.photoEquipment)) throw new Error("not an array");
+        fields.photoPhases = fields.photoPhases ? JSON.parse(fields.photoPhases) : [];
+      } catch {
+        return res.status(400).json({
+          ok: false,
+          error: "inventory, photoEquipment and photoPhases must be valid JSON",
+        });
+      }
+      fields.reportType = normalizeReportType(fields.reportType);
+      fields.photoPhases = normalizePhotoPhases(fields.photoPhases, files.length);
+
+      // The report is filed under the picked location's customer
+      delete fields.customerId;
+      if (fields.locationId) {
+        const location = await getLocation(companyId, String(fields.locationId));
+        if (!location) {
+          return res.status(400).json({ ok: false, error: "locationId must be one of your locations" });
+        }
+        fields.locationId = location.id;
+        fields.customerId = location.customerId;
+      }
+      const job = await enqueueJob({
+        meta: { restaurantName, address: String(fields.address || "").trim(), companyId },
+        files,
+        run: (jobFiles, opts) => generateInspection(fields, jobFiles, { ...opts, user: req.user }),
+        formatError: generateErrorMessage,
+      });
+      res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+    } catch (err) {
+      console.error("/api/generate error:", err);
+      res.status(500).json({
+        ok: false,
+        error: generateErrorMessage(err),
+      });
+    }
+  }
+);
+
+// A job with photo URLs that work now: its photoResults so far (by job) and,
+// once finished, its result (by report)
+function withJobPhotoUrls(job) {
+  if (!job) return job;
+  return {
+    ...job,
+    ...(job.photoResults && { photoResults: photosWithUrls(job.photoResults, { jobId: job.id }) }),
+    ...(job.result?.reportId && { result: withPhotoUrls(job.result, job.result.reportId) }),
+  };
+}
+
+// ✅ Job status + partial photoResults (result holds the full report once completed)
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = withJobPhotoUrls(ownedBy(await getJob(req.params.id), req.user.companyId));
+    if (!job) {
+      return res.status(404).json({ ok: false, error: "Job not found" });
+    }
+    res.json({ ok: true, job });
+  } catch (err) {
+    console.error("GET /api/jobs/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// ✅ Live job progress as Server-Sent Events: "snapshot" (current job) first, then
+// start → photo × N → summary → done | error | cancelled. Safe to reconnect.
+app.get("/api/jobs/:id/events", async (req, res) => {
+  let job;
+  try {
+    job = withJobPhotoUrls(ownedBy(await getJob(req.params.id), req.user.companyId));
+  } catch (err) {
+    console.error("GET /api/jobs/:id/events error:", err);
+    return res.status(500).json({ ok: false, error: err?.message });
+  }
+  if (!job) {
+    return res.status(404).json({ ok: false, error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send("snapshot", job);
+  if (isJobFinished(job)) {
+    if (job.status === JOB_STATUS.completed) send("done", job.result);
+    else if (job.status === JOB_STATUS.cancelled) send("cancelled", { status: job.status });
+    else send("error", { ok: false, error: job.error || "Job failed" });
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle stream while the summary prompt runs
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const unsubscribe = subscribeToJob(job.id, (event, data) => {
+    send(event, event === "photo" ? photosWithUrls([data], { jobId: job.id })[0] : data);
+    if (event === "done" || event === "error" || event === "cancelled") {
+      cleanup();
+      res.end();
+    }
+  });
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  }
+  if (!unsubscribe) {
+    cleanup();
+    return res.end();
+  }
+  res.on("close", cleanup);
+});
+
+// ✅ Cancel a queued/running job
+app.delete("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = ownedBy(await getJob(req.params.id), req.user.companyId);
+    const outcome = job ? await cancelJob(job.id) : null;
+    if (!outcome) {
+      return res.status(404).json({ ok: false, error: "Job not found" });
+    }
+    if (!outcome.cancelled) {
+      return res.status(409).json({
+        ok: false,
+        error: `Job already ${outcome.job.status}`,
+        job: outcome.job,
+      });
+    }
+    res.json({ ok: true, job: outcome.job });
+  } catch (err) {
+    console.error("DELETE /api/jobs/:id error:", err);
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+// Multer/file upload errors (fileFilter, limits) — return 400 with message
+app.use((err, req, res, next) => {
+  if (err && (err.code === "LIMIT_FILE_SIZE" || err.code === "LIMIT_FILE_COUNT" || err.message?.includes("Invalid file type"))) {
+    return res.status(400).json({ ok: false, error: err.message || "Upload error" });
+  }
+  next(err);
+});
+
+// Serve built frontend when inspectai/dist exists (production or after build)
+const distPath = path.join(__dirname, "..", "inspectai", "dist");
+if (existsSync(distPath)) {
+  app.use(express.static(distPath));
+  // SPA fallback: serve index.html for non-API routes (runs after static when file not found)
+  app.use((req, res, next) => {
+    if (req.path.startsWith("/api")) return next();
+    res.sendFile(path.join(distPath, "index.html"));
+  });
+  console.log("Serving frontend from", distPath);
+}
+
+const PORT = process.env.PORT || 5050;
+const RETENTION_DAYS = 30;
+
+app.listen(PORT, async () => {
+  console.log(`Server running on http://localhost:${PORT}`);
+  // Cleanup reports older than 30 days so share links stay visible for exactly 30 days, then are removed
+  async function cleanupOldReports() {
+    try {
+      const deleted = await deleteReportsOlderThan(RETENTION_DAYS);
+      if (deleted > 0) console.log(`Deleted ${deleted} reports older than ${RETENTION_DAYS} days`);
+    } catch (e) {
+      console.warn("Report cleanup failed:", e?.message);
+    }
+  }
+  await cleanupOldReports();
+  // One-off: reports from before company accounts go to LEGACY_REPORTS_COMPANY_ID
+  if (process.env.LEGACY_REPORTS_COMPANY_ID) {
+    try {
+      const assigned = await assignLegacyReports(process.env.LEGACY_REPORTS_COMPANY_ID);
+      if (assigned > 0) console.log(`Assigned ${assigned} reports from before accounts to company ${process.env.LEGACY_REPORTS_COMPANY_ID}`);
+    } catch (e) {
+      console.warn("Assigning reports from before accounts failed:", e?.message);
+    }
+  }
   // Run cleanup daily so 30-day retention is enforced even without server restart
   setInterval(cleanupOldReports, 24 * 60 * 60 * 1000);
 });
@@ -0,0 +1,288 @@
+/**
+ * Background report-generation jobs.
+ *
+ * POST /api/generate enqueues a job and returns its id right away; the work runs
+ * here, outside the request, so a dropped phone connection doesn't throw away
+ * the paid vision calls. Job state (status + partial photoResults) is persisted
+ * to Firestore when configured, otherwise to a local JSON file stand-in.
+ *
+ * Uploaded photo buffers only live in memory, so a job that was queued/running
+ * when the server restarted is reported as failed (the client can re-submit).
+ *
+ * Optional env vars:
+ *   JOB_CONCURRENCY - jobs processed in parallel (default 2)
+ *   JOBS_FILE - local job store when Firebase is not configured (default server/data/jobs.json)
+ */
+
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { saveJob, getJobById } from "./firebase.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_LOCAL_JOBS = 200;
+
+// Env is read when used, not at import: index.js loads server/.env after its imports
+function jobConcurrency() {
+  return Number(process.env.JOB_CONCURRENCY || 2);
+}
+
+function jobsFile() {
+  return path.resolve(process.env.JOBS_FILE || path.join(__dirname, "data", "jobs.json"));
+}
+
+export const JOB_STATUS = {
+  queued: "queued",
+  running: "running",
+  completed: "completed",
+  failed: "failed",
+  cancelled: "cancelled",
+};
+
+const FINISHED = new Set([
+  JOB_STATUS.completed,
+  JOB_STATUS.failed,
+  JOB_STATUS.cancelled,
+]);
+
+export function isJobFinished(job) {
+  return FINISHED.has(job?.status);
+}
+
+// ----- Local file stand-in (when Firebase is not configured) -----
+function readLocalJobs() {
+  try {
+    const file = jobsFile();
+    if (!existsSync(file)) return {};
+    return JSON.parse(readFileSync(file, "utf8")) || {};
+  } catch (err) {
+    console.warn("Job store read failed:", err?.message);
+    return {};
+  }
+}
+
+function writeLocalJob(job) {
+  try {
+    const all = readLocalJobs();
+    all[job.id] = { ...all[job.id], ...job, updatedAt: new Date().toISOString() };
+    // Keep the file small: drop the oldest entries
+    const ids = Object.keys(all).sort((a, b) =>
+      String(all[b].createdAt).localeCompare(String(all[a].createdAt))
+    );
+    ids.slice(MAX_LOCAL_JOBS).forEach((id) => delete all[id]);
+    const file = jobsFile();
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(all));
+  } catch (err) {
+    console.warn("Job store write failed:", err?.message);
+  }
+}
+
+async function persist(job) {
+  try {
+    const saved = await saveJob(job);
+    if (saved) return;
+  } catch (err) {
+    console.warn("Job save (Firestore) failed:", err?.message);
+  }
+  writeLocalJob(job);
+}
+
+// ----- In-process queue -----
+// id -> { job, files, run, controller, listeners, saving }
+const activeJobs = new Map();
+const queue = [];
+let running = 0;
+
+function emit(entry, event, data) {
+  for (const listener of entry.listeners) {
+    try {
+      listener(event, data);
+    } catch (err) {
+      console.warn("Job listener failed:", err?.message);
+    }
+  }
+}
+
+// Writes go one after another per job, so a slow "photo" write can't land after "completed"
+function update(entry, patch, event) {
+  Object.assign(entry.job, patch);
+  if (event) emit(entry, event.name, event.data);
+  const snapshot = { ...entry.job };
+  entry.saving = entry.saving
+    .then(() => persist(snapshot))
+    .catch((err) => console.warn(`Job ${snapshot.id} save failed:`, err?.message));
+  return entry.saving;
+}
+
+async function runEntry(entry) {
+  const { job } = entry;
+  await update(entry, { status: JOB_STATUS.running, startedAt: new Date().toISOString() }, {
+    name: "status",
+    data: { status: JOB_STATUS.running },
+  });
+
+  const onEvent = (event, data) => {
+    if (entry.controller.signal.aborted) return;
+    if (event === "start") {
+      Object.assign(job, {
+        totalPhotos: data.totalPhotos,
+        photosToAnalyze: data.photosToAnalyze,
+      });
+      emit(entry, event, data);
+    } else if (event === "photo") {
+      const photoResults = [...(job.photoResults || [])];
+      photoResults[data.index] = data;
+      // Not awaited: the job goes on while it saves (update() keeps the writes in order)
+      update(entry, { photoResults }, { name: event, data });
+    } else {
+      emit(entry, event, data);
+    }
+  };
+
+  try {
+    const result = await entry.run(entry.files, {
+      onEvent,
+      signal: entry.controller.signal,
+    });
+    if (entry.controller.signal.aborted) return;
+    await update(
+      entry,
+      {
+        status: JOB_STATUS.completed,
+        reportId: result?.reportId || null,
+        result,
+        finishedAt: new Date().toISOString(),
+      },
+      { name: "done", data: result }
+    );
+  } catch (err) {
+    if (entry.controller.signal.aborted) return;
+    console.error(`Job ${job.id} failed:`, err);
+    const error = entry.formatError
+      ? entry.formatError(err)
+      : err?.message || "Job failed";
+    await update(
+      entry,
+      { status: JOB_STATUS.failed, error, finishedAt: new Date().toISOString() },
+      { name: "error", data: { ok: false, error } }
+    );
+  } finally {
+    entry.files = null;
+    activeJobs.delete(job.id);
+  }
+}
+
+function pump() {
+  while (running < jobConcurrency() && queue.length > 0) {
+    const entry = queue.shift();
+    if (entry.controller.signal.aborted) continue;
+    running++;
+    runEntry(entry).finally(() => {
+      running--;
+      pump();
+    });
+  }
+}
+
+/**
+ * Enqueue a generation job.
+ *
+ * @param {object} params
+ * @param {object} params.meta - Fields stored on the job (e.g. restaurantName)
+ * @param {Array} params.files - Multer files (kept in memory until the job finishes)
+ * @param {Function} params.run - async (files, { onEvent, signal }) => reportPayload
+ * @param {Function} [params.formatError] - err => message stored on failed jobs
+ * @returns {Promise<object>} The persisted job
+ */
+export async function enqueueJob({ meta = {}, files = [], run, formatError }) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.queued,
+    ...meta,
+    totalPhotos: files.length,
+    photosToAnalyze: files.length,
+    photoResults: [],
+    reportId: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+  const entry = {
+    job,
+    files,
+    run,
+    formatError,
+    controller: new AbortController(),
+    listeners: new Set(),
+    saving: Promise.resolve(),
+  };
+  activeJobs.set(job.id, entry);
+  await persist(job);
+  queue.push(entry);
+  pump();
+  return { ...job };
+}
+
+/**
+ * Look up a job: live state for in-flight jobs, else the persisted record.
+ * Jobs persisted as queued/running that this process doesn't own were interrupted.
+ */
+export async function getJob(id) {
+  const entry = activeJobs.get(id);
+  if (entry) return { ...entry.job };
+
+  let job = null;
+  try {
+    job = await getJobById(id);
+  } catch (err) {
+    console.warn("Job read (Firestore) failed:", err?.message);
+  }
+  if (!job) job = readLocalJobs()[id] || null;
+  if (!job) return null;
+
+  if (!isJobFinished(job)) {
+    job = {
+      ...job,
+      status: JOB_STATUS.failed,
+      error: "Job was interrupted by a server restart. Please generate again.",
+    };
+    await persist(job);
+  }
+  return job;
+}
+
+/**
+ * Cancel a queued or running job. In-flight vision calls are aborted; results
+ * already paid for stay on the job's photoResults.
+ */
+export async function cancelJob(id) {
+  const entry = activeJobs.get(id);
+  if (!entry) {
+    const job = await getJob(id);
+    return job ? { job, cancelled: false } : null;
+  }
+  entry.controller.abort();
+  const idx = queue.indexOf(entry);
+  if (idx >= 0) queue.splice(idx, 1);
+  await update(
+    entry,
+    { status: JOB_STATUS.cancelled, finishedAt: new Date().toISOString() },
+    { name: "cancelled", data: { status: JOB_STATUS.cancelled } }
+  );
+  entry.files = null;
+  activeJobs.delete(id);
+  return { job: { ...entry.job }, cancelled: true };
+}
+
+/**
+ * Listen to live events for an in-flight job. Returns an unsubscribe function,
+ * or null when the job isn't running in this process.
+ */
+export function subscribeToJob(id, listener) {
+  const entry = activeJobs.get(id);
+  if (!entry) return null;
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+}
@@ -0,0 +1,280 @@
+/**
+ * LLM providers: where the photo vision and report summary prompts run.
+ *
+ * index.js passes a prompt rendered from the prompt library (see prompts.js)
+ * with Responses-style input (input_text / input_image parts) and an optional
+ * JSON schema `textFormat`; the provider picked by LLM_PROVIDER decides how that
+ * becomes a request:
+ *
+ *   openai-responses  (default) the Responses API with the prompt as `instructions`
+ *                     (OPENAI_API_KEY, LLM_MODEL), or a saved dashboard prompt where
+ *                     its ID is still set (PHOTO_VISION_PROMPT_ID, PHOTO_CLEANING_PROMPT_ID,
+ *                     INSPECTION_SUMMARY_PROMPT_ID, SERVICE_SUMMARY_PROMPT_ID)
+ *   openai-chat       Chat Completions with the prompt as the system message (OPENAI_API_KEY, LLM_MODEL)
+ *   openai-compatible the same against any OpenAI-compatible endpoint, e.g. a local
+ *                     Ollama or LM Studio server (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+ *   mock              no network: canned answers from fixtures/llm-mock.json (or
+ *                     LLM_MOCK_FIXTURES), picked deterministically per photo, so
+ *                     /api/generate works offline, in demos and in tests; LLM_MOCK_DELAY_MS
+ *                     makes each answer take that long, like a real model (cancellable)
+ *
+ * Env is read when the provider is created (after dotenv has loaded server/.env),
+ * not at import.
+ */
+
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readFileSync } from "fs";
+import OpenAI from "openai";
+import { PROMPT_LIBRARY } from "./prompts.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LLM_PROVIDERS = ["openai-responses", "openai-chat", "openai-compatible", "mock"];
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_MOCK_FIXTURES = path.join(__dirname, "fixtures", "llm-mock.json");
+
+/** LLM_PROVIDER, defaulting to openai-responses. */
+export function llmProviderName(env = process.env) {
+  return (env.LLM_PROVIDER || "").trim().toLowerCase() || LLM_PROVIDERS[0];
+}
+
+/**
+ * What's missing for the configured provider to start.
+ * @returns {string[]} (empty when the provider can run)
+ */
+export function llmConfigErrors(env = process.env, { apiKey = env.OPENAI_API_KEY } = {}) {
+  const name = llmProviderName(env);
+  const errors = [];
+  if (!LLM_PROVIDERS.includes(name)) {
+    errors.push(`LLM_PROVIDER must be one of ${LLM_PROVIDERS.join(", ")}`);
+    return errors;
+  }
+  if ((name === "openai-responses" || name === "openai-chat") && !apiKey) {
+    errors.push("OPENAI_API_KEY is missing or empty");
+  }
+  if (name === "openai-compatible") {
+    if (!env.LLM_BASE_URL) errors.push("LLM_BASE_URL must be set");
+    if (!env.LLM_MODEL) errors.push("LLM_MODEL must be set");
+  }
+  return errors;
+}
+
+// Abort on the caller's signal or after timeoutMs; run(signal) makes the request
+async function withTimeout(run, { timeoutMs, signal }) {
+  if (signal?.aborted) throw new Error("Cancelled");
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+  try {
+    return await run(controller.signal);
+  } catch (err) {
+    if (signal?.aborted) throw new Error("Cancelled");
+    if (err?.name === "AbortError") {
+      throw new Error(`LLM request timed out after ${timeoutMs}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function truncatedJson(value) {
+  const text = JSON.stringify(value, null, 2);
+  return text.length > 8000 ? text.slice(0, 8000) + "\n…(truncated)" : text;
+}
+
+// ----- openai-responses -----
+
+function responsesProvider(env, { apiKey, model }) {
+  const openai = new OpenAI({ apiKey });
+  const dashboardPromptId = (name) => env[PROMPT_LIBRARY[name]?.dashboardEnv] || null;
+
+  return {
+    name: "openai-responses",
+    model,
+    dashboardPromptId,
+    async runPrompt({ prompt, variables, input, textFormat, timeoutMs, signal }) {
+      const id = dashboardPromptId(prompt.name);
+      const body = id ? { prompt: { id }, input } : { model, instructions: prompt.system, input };
+      if (id && variables && Object.keys(variables).length > 0) body.prompt.variables = variables;
+      if (textFormat) body.text = { format: textFormat };
+
+      const resp = await withTimeout(
+        (abortSignal) => openai.responses.create(body, { signal: abortSignal }),
+        { timeoutMs, signal }
+      );
+      if (resp.output_text && resp.output_text.trim()) return resp.output_text.trim();
+      return truncatedJson(resp.output ?? resp);
+    },
+  };
+}
+
+// ----- openai-chat / openai-compatible -----
+
+// Responses-style input → Chat Completions messages
+function toChatMessages(input) {
+  return input.map((message) => {
+    if (typeof message.content === "string") return { role: message.role, content: message.content };
+    return {
+      role: message.role,
+      content: message.content.map((part) =>
+        part.type === "input_image"
+          ? { type: "image_url", image_url: { url: part.image_url, detail: part.detail || "auto" } }
+          : { type: "text", text: part.text }
+      ),
+    };
+  });
+}
+
+function chatProvider(name, { apiKey, baseURL, model, structuredOutput }) {
+  const openai = new OpenAI({ apiKey, ...(baseURL && { baseURL }) });
+
+  return {
+    name,
+    model,
+    async runPrompt({ prompt, input, textFormat, timeoutMs, signal }) {
+      const body = {
+        model,
+        messages: [
+          { role: "system", content: prompt.system },
+          ...toChatMessages(input),
+        ],
+      };
+      if (textFormat && structuredOutput) {
+        body.response_format = {
+          type: "json_schema",
+          json_schema: { name: textFormat.name, strict: textFormat.strict, schema: textFormat.schema },
+        };
+      }
+
+      const resp = await withTimeout(
+        (abortSignal) => openai.chat.completions.create(body, { signal: abortSignal }),
+        { timeoutMs, signal }
+      );
+      const text = resp.choices?.[0]?.message?.content;
+      if (text && text.trim()) return text.trim();
+      return truncatedJson(resp.choices ?? resp);
+    },
+  };
+}
+
+// ----- mock -----
+
+function inputText(input) {
+  return input
+    .flatMap((m) => (typeof m.content === "string" ? [m.content] : m.content))
+    .map((part) => (typeof part === "string" ? part : part.text || part.image_url || ""))
+    .join("\n");
+}
+
+// Same photo (or summary input) → same fixture
+function pick(list, seed) {
+  const hash = crypto.createHash("sha256").update(seed).digest();
+  return list[hash.readUInt32BE(0) % list.length];
+}
+
+function mockSummary(fixtures, variables = {}) {
+  const headings = String(variables.reportSections || "")
+    .split(",")
+    .map((h) => h.trim())
+    .filter(Boolean);
+  const body = (heading) => {
+    const key = heading.toLowerCase();
+    const match = Object.keys(fixtures.sections).find((k) => key.includes(k));
+    return (fixtures.sections[match] ?? fixtures.sections.default).replace(
+      /\{\{\s*(\w+)\s*\}\}/g,
+      (_, name) => String(variables[name] ?? "")
+    );
+  };
+  return (headings.length ? headings : fixtures.defaultHeadings)
+    .map((heading) => `## ${heading}\n${body(heading)}`)
+    .join("\n\n");
+}
+
+// Resolves after `ms`, or rejects ("Cancelled") when the signal aborts first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Cancelled"));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function mockProvider(env) {
+  const file = path.resolve(env.LLM_MOCK_FIXTURES || DEFAULT_MOCK_FIXTURES);
+  const fixtures = JSON.parse(readFileSync(file, "utf8"));
+  const delayMs = Number(env.LLM_MOCK_DELAY_MS || 0);
+
+  return {
+    name: "mock",
+    async runPrompt({ variables, input, textFormat, signal }) {
+      if (signal?.aborted) throw new Error("Cancelled");
+      if (delayMs > 0) await delay(delayMs, signal);
+      if (textFormat) {
+        const answers = fixtures.structured[textFormat.name];
+        if (!answers?.length) throw new Error(`No mock fixture for "${textFormat.name}"`);
+        return JSON.stringify(pick(answers, inputText(input)));
+      }
+      return mockSummary(fixtures.summary, variables);
+    },
+  };
+}
+
+/**
+ * The provider LLM_PROVIDER selects: { name, model?, runPrompt(options), promptSource(prompt) }.
+ *
+ * runPrompt({ prompt, variables, input, textFormat, timeoutMs = 60000, signal })
+ * resolves with the model's text; `prompt` is renderPrompt()'s result and
+ * `variables` what it was rendered with. signal (AbortSignal) cancels it ("Cancelled").
+ * promptSource(prompt) is what a report records as the prompt that produced it:
+ * "inspectionSummary@2", or "dashboard:<id>" for a saved dashboard prompt.
+ * Throws (with every problem listed) when the configuration is incomplete.
+ */
+export function createLlmProvider(env = process.env, { apiKey = env.OPENAI_API_KEY } = {}) {
+  const errors = llmConfigErrors(env, { apiKey });
+  if (errors.length) throw new Error(`LLM configuration: ${errors.join("; ")}`);
+
+  const name = llmProviderName(env);
+  const structuredOutput = env.LLM_STRUCTURED_OUTPUT !== "false";
+  const provider =
+    name === "mock"
+      ? mockProvider(env)
+      : name === "openai-chat"
+        ? chatProvider(name, { apiKey, model: env.LLM_MODEL || DEFAULT_MODEL, structuredOutput })
+        : name === "openai-compatible"
+          ? chatProvider(name, {
+              // Local servers usually ignore the key, but the client requires one
+              apiKey: env.LLM_API_KEY || "not-needed",
+              baseURL: env.LLM_BASE_URL,
+              model: env.LLM_MODEL,
+              structuredOutput,
+            })
+          : responsesProvider(env, { apiKey, model: env.LLM_MODEL || DEFAULT_MODEL });
+
+  const dashboardPromptId = provider.dashboardPromptId || (() => null);
+  return {
+    ...provider,
+    dashboardPromptId,
+    promptSource: (prompt) => {
+      const id = dashboardPromptId(prompt.name);
+      return id ? `dashboard:${id}` : prompt.id;
+    },
+    runPrompt: async ({ timeoutMs = 60000, ...options }) => {
+      if (!options.prompt) throw new Error("Missing prompt");
+      if (!options.input) throw new Error("Missing input");
+      return provider.runPrompt({ ...options, timeoutMs });
+    },
+  };
+}
@@ -0,0 +1,563 @@
+/**
+ * Server-side PDF export of inspection reports and service proposals (pdfkit —
+ * no browser needed).
+ *
+ * Report layout: company branding header, restaurant details and equipment
+ * inventory, condition rating with its reasons (plus the cleaning result for a
+ * Service Completion Report), the report sections (split and styled by the
+ * report's template, like the app and share page — see reportTemplates.js), then
+ * a captioned photo grid with before/after tags. Proposal layout: branding header, restaurant /
+ * date / frequency, the priced line items and the total per service — both
+ * from proposalMath.js, the same code the app's preview uses. Every page gets
+ * a footer with page numbers.
+ *
+ * Optional env (branding):
+ *   COMPANY_NAME      - shown in the header and footer (default "InspectAI")
+ *   COMPANY_CONTACT   - phone / email / website line under the name
+ *   COMPANY_LOGO_PATH - PNG or JPEG logo (default: the app icon)
+ */
+
+import PDFDocument from "pdfkit";
+import path from "path";
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import {
+  applyDefaults,
+  computeTotals,
+  proposalLineItems,
+  proposalFrequencies,
+} from "../inspectai/src/proposalMath.js";
+import { describeInventory } from "../inspectai/src/equipment.js";
+import { photoIdOf, readPhoto } from "./storage.js";
+import {
+  parseReportSections,
+  reportTemplate,
+  withNextStepsSection,
+} from "../inspectai/src/reportTemplates.js";
+import {
+  COMPLETENESS_LABELS,
+  REPORT_TYPE_LABELS,
+  photoPhaseLabel,
+} from "../inspectai/src/serviceReport.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOGO_PATH = path.join(__dirname, "../inspectai/public/favicon.png");
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const PHOTO_COLUMNS = 3;
+const PHOTO_GAP = 12;
+const PHOTO_FETCH_TIMEOUT_MS = 15000;
+
+// Same palette as the app's condition badges / report.html
+const CONDITION_COLORS = {
+  Compliant: "#059669",
+  Monitor: "#0284c7",
+  Attention: "#d97706",
+  Critical: "#dc2626",
+};
+const CONDITION_LABELS = {
+  Attention: "Attention Recommended",
+  Critical: "Critical — Action Required",
+};
+const COMPLETENESS_COLORS = {
+  complete: "#059669",
+  partial: "#d97706",
+  incomplete: "#dc2626",
+};
+
+export function getBranding() {
+  return {
+    companyName: (process.env.COMPANY_NAME || "InspectAI").trim(),
+    contact: (process.env.COMPANY_CONTACT || "").trim(),
+    logoPath: (process.env.COMPANY_LOGO_PATH || "").trim() || DEFAULT_LOGO_PATH,
+  };
+}
+
+/** The built-in PDF fonts only cover WinAnsi: swap common symbols, drop the rest (emoji etc.). */
+function pdfText(value) {
+  return String(value ?? "")
+    .replace(/≥/g, ">=")
+    .replace(/≤/g, "<=")
+    .replace(/[→➜]/g, "->")
+    .replace(/[✓✔✅]/g, "")
+    .replace(/[^\t\n\r\x20-\x7E\u00A0-\u00FF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026\u20AC\u2122]/g, "");
+}
+
+/** pdfkit embeds JPEG and PNG only */
+function isSupportedImage(buf) {
+  if (!buf || buf.length < 8) return false;
+  const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+  const png = buf[0] === 0x89 && buf.toString("ascii", 1, 4) === "PNG";
+  return jpeg || png;
+}
+
+async function loadPhoto(photo) {
+  const photoId = photoIdOf(photo);
+  const src = photo?.dataUrl || photo?.publicUrl || photoId;
+  if (!src) return null;
+  try {
+    let buf;
+    const stored = photoId ? await readPhoto(photoId) : null;
+    if (stored) {
+      buf = stored.buffer;
+    } else if (src.startsWith("data:")) {
+      buf = Buffer.from(src.slice(src.indexOf(",") + 1), "base64");
+    } else if (photoId) {
+      throw new Error("not in storage");
+    } else {
+      const res = await fetch(src, { signal: AbortSignal.timeout(PHOTO_FETCH_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      buf = Buffer.from(await res.arrayBuffer());
+    }
+    return isSupportedImage(buf) ? buf : null;
+  } catch (err) {
+    console.warn("PDF photo load failed:", photo?.filename || src.slice(0, 60), err?.message);
+    return null;
+  }
+}
+
+async function loadLogo(logoPath) {
+  try {
+    const buf = await readFile(logoPath);
+    return isSupportedImage(buf) ? buf : null;
+  } catch {
+    return null;
+  }
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function bottomLimit(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+}
+
+/** Write one line of markdown inline text, switching to bold for **runs**. */
+function writeInline(doc, text, { x, width, size = 10, color = "#1f2937" }) {
+  const runs = pdfText(text)
+    .replace(/`/g, "")
+    .split("**")
+    .map((t, i) => ({ text: t, bold: i % 2 === 1 }))
+    .filter((r) => r.text);
+  if (runs.length === 0) return;
+  doc.fontSize(size).fillColor(color);
+  runs.forEach((run, i) => {
+    const continued = i < runs.length - 1;
+    doc.font(run.bold ? "Helvetica-Bold" : "Helvetica");
+    if (i === 0) doc.text(run.text, x, doc.y, { width, continued });
+    else doc.text(run.text, { continued });
+  });
+}
+
+/** Minimal markdown: headings, bullet/numbered lists, paragraphs and **bold**. */
+function writeMarkdown(doc, markdown) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  for (const rawLine of String(markdown || "").split("\n")) {
+    const line = rawLine.trimEnd();
+    if (!line.trim()) {
+      doc.moveDown(0.4);
+      continue;
+    }
+    const heading = line.match(/^\s*#{1,6}\s+(.+)$/);
+    const bullet = line.match(/^(\s*)[-*•]\s+(.+)$/);
+    const numbered = line.match(/^(\s*)(\d+[.)])\s+(.+)$/);
+    if (heading) {
+      doc.moveDown(0.2);
+      writeInline(doc, `**${heading[1].replace(/\*\*/g, "")}**`, { x: left, width, size: 11 });
+    } else if (bullet || numbered) {
+      const depth = Math.min(Math.floor((bullet || numbered)[1].length / 2), 3);
+      const indent = 12 + depth * 12;
+      const marker = bullet ? "•" : numbered[2];
+      const y = doc.y;
+      doc.font("Helvetica").fontSize(10).fillColor("#6b7280").text(marker, left + indent - 12, y);
+      doc.y = y;
+      writeInline(doc, bullet ? bullet[2] : numbered[3], {
+        x: left + indent + 4,
+        width: width - indent - 4,
+      });
+    } else {
+      writeInline(doc, line.trim(), { x: left, width });
+    }
+    doc.moveDown(0.15);
+  }
+}
+
+function money(v) {
+  const x = Number(v);
+  if (!Number.isFinite(x)) return "$";
+  return x.toLocaleString("en-US", { style: "currency", currency: "USD" });
+}
+
+function drawBranding(doc, branding, logo) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.page.margins.top;
+
+  let textX = left;
+  if (logo) {
+    doc.image(logo, left, top, { fit: [40, 40] });
+    textX = left + 50;
+  }
+  doc.font("Helvetica-Bold").fontSize(16).fillColor("#111827")
+    .text(pdfText(branding.companyName), textX, top + 2, { width: width - (textX - left) });
+  if (branding.contact) {
+    doc.font("Helvetica").fontSize(9).fillColor("#6b7280")
+      .text(pdfText(branding.contact), textX, doc.y, { width: width - (textX - left) });
+  }
+
+  doc.y = Math.max(doc.y, top + 44) + 10;
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1).strokeColor("#e5e7eb").stroke();
+  doc.moveDown(0.8);
+}
+
+function reportTitle(report) {
+  return REPORT_TYPE_LABELS[report.reportType] || REPORT_TYPE_LABELS.inspection;
+}
+
+function drawHeader(doc, report, branding, logo) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  drawBranding(doc, branding, logo);
+
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#111827")
+    .text(`Kitchen Exhaust ${reportTitle(report)}`, left, doc.y, { width });
+  doc.moveDown(0.3);
+  const details = [
+    report.restaurantName,
+    report.address,
+    report.createdAt ? new Date(report.createdAt).toLocaleDateString("en-US", { dateStyle: "long" }) : "",
+  ].filter((v) => v && String(v).trim() && v !== "Invalid Date");
+  if (details.length) {
+    doc.font("Helvetica").fontSize(10).fillColor("#4b5563")
+      .text(pdfText(details.join("  ·  ")), left, doc.y, { width });
+  }
+  const equipment = [
+    ["Hoods", report.hoods],
+    ["Fans", report.fans],
+    ["Filters", report.filters],
+  ].filter(([, v]) => v != null && v !== "");
+  if (equipment.length) {
+    doc.font("Helvetica").fontSize(9).fillColor("#6b7280")
+      .text(equipment.map(([k, v]) => `${k}: ${v}`).join("   "), left, doc.y, { width });
+  }
+  for (const line of describeInventory(report.inventory)) {
+    doc.font("Helvetica").fontSize(8.5).fillColor("#6b7280")
+      .text(pdfText(line), left, doc.y, { width });
+  }
+  doc.moveDown(1);
+}
+
+function drawCondition(doc, condition) {
+  if (!condition?.rating) return;
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const color = CONDITION_COLORS[condition.rating] || "#6b7280";
+  const label = pdfText(CONDITION_LABELS[condition.rating] || condition.rating);
+
+  ensureSpace(doc, 60);
+  doc.font("Helvetica-Bold").fontSize(10);
+  const badgeWidth = doc.widthOfString(label) + 20;
+  const y = doc.y;
+  doc.roundedRect(left, y, badgeWidth, 20, 10).fill(color);
+  doc.fillColor("#ffffff").text(label, left + 10, y + 6, { width: badgeWidth - 20, lineBreak: false });
+  doc.font("Helvetica").fontSize(9).fillColor("#6b7280")
+    .text("Condition rating", left + badgeWidth + 8, y + 6, { lineBreak: false });
+  doc.y = y + 28;
+
+  for (const reason of condition.reasons || []) {
+    const ry = doc.y;
+    doc.fillColor(color).circle(left + 4, ry + 4.5, 2).fill();
+    doc.font("Helvetica").fontSize(9).fillColor("#374151")
+      .text(pdfText(reason), left + 12, ry, { width: width - 12 });
+    doc.moveDown(0.1);
+  }
+  doc.moveDown(1);
+}
+
+// Service Completion Report: overall cleaning result from the "after" photos
+function drawServiceCompletion(doc, completion) {
+  if (!completion) return;
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  ensureSpace(doc, 40);
+  const status = completion.status ? COMPLETENESS_LABELS[completion.status] : "Not assessed";
+  doc.font("Helvetica-Bold").fontSize(11)
+    .fillColor(COMPLETENESS_COLORS[completion.status] || "#6b7280")
+    .text(`Cleaning result: ${status}`, left, doc.y, { width });
+  doc.font("Helvetica").fontSize(9).fillColor("#374151").text(
+    `${completion.complete} clean, ${completion.partial} partially cleaned, ${completion.incomplete} not cleaned ` +
+      `of ${completion.assessed} after-cleaning photos assessed · ${completion.pairs} before/after pairs`,
+    left,
+    doc.y,
+    { width }
+  );
+  doc.moveDown(1);
+}
+
+function drawSection(doc, section) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  ensureSpace(doc, 60);
+  const y = doc.y;
+  doc.rect(left, y, 3, 14).fill(section.accent);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor("#111827")
+    .text(pdfText(section.heading), left + 10, y + 1, { width: width - 10 });
+  doc.moveDown(0.5);
+  writeMarkdown(doc, section.content || "_No content._");
+  doc.moveDown(0.8);
+}
+
+function findingsLine(f) {
+  if (!f) return "";
+  const component = f.component ? f.component.charAt(0).toUpperCase() + f.component.slice(1) : "";
+  return [component, f.greaseDepth && `${f.greaseDepth} grease`, f.severity && `${f.severity} severity`]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function cleaningLine(c) {
+  if (!c) return "";
+  return [COMPLETENESS_LABELS[c.completeness], c.residualGrease && `${c.residualGrease} residual grease`]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function drawPhotos(doc, photos, images) {
+  if (photos.length === 0) return;
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const cell = (width - PHOTO_GAP * (PHOTO_COLUMNS - 1)) / PHOTO_COLUMNS;
+  const captionHeight = 42;
+  const rowHeight = cell + captionHeight + PHOTO_GAP;
+
+  ensureSpace(doc, 24 + rowHeight);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor("#111827").text("Visual Documentation", left, doc.y);
+  doc.moveDown(0.6);
+
+  let rowTop = doc.y;
+  photos.forEach((photo, i) => {
+    const col = i % PHOTO_COLUMNS;
+    if (col === 0 && i > 0) rowTop += rowHeight;
+    if (col === 0 && rowTop + rowHeight > bottomLimit(doc)) {
+      doc.addPage();
+      rowTop = doc.page.margins.top;
+    }
+    const x = left + col * (cell + PHOTO_GAP);
+
+    doc.rect(x, rowTop, cell, cell).fill("#f3f4f6");
+    if (images[i]) {
+      try {
+        doc.image(images[i], x, rowTop, { fit: [cell, cell], align: "center", valign: "center" });
+      } catch (err) {
+        console.warn("PDF photo embed failed:", photo.filename, err?.message);
+      }
+    } else {
+      doc.font("Helvetica").fontSize(8).fillColor("#9ca3af")
+        .text("Image unavailable", x, rowTop + cell / 2 - 4, { width: cell, align: "center" });
+    }
+
+    const caption = pdfText(
+      [photoPhaseLabel(photo), photo.equipment, photo.caption || photo.filename || `Photo ${i + 1}`]
+        .filter(Boolean)
+        .join(" · ")
+    ).replace(/^\s*[-•]\s*/, "");
+    doc.font("Helvetica-Bold").fontSize(8).fillColor("#374151")
+      .text(caption, x, rowTop + cell + 4, { width: cell, height: 20, ellipsis: true });
+    const line = photo.cleaning ? cleaningLine(photo.cleaning) : findingsLine(photo.findings);
+    if (line) {
+      const alert = photo.findings?.codeViolation || photo.cleaning?.completeness === "incomplete";
+      doc.font("Helvetica").fontSize(7.5).fillColor(alert ? "#dc2626" : "#6b7280")
+        .text(pdfText(line), x, rowTop + cell + 26, { width: cell, height: 12, ellipsis: true });
+    }
+  });
+  doc.x = left;
+  doc.y = rowTop + rowHeight;
+}
+
+function drawFooters(doc, restaurantName, branding) {
+  const range = doc.bufferedPageRange();
+  const label = pdfText(
+    [branding.companyName, restaurantName].filter((v) => v && String(v).trim()).join(" · ")
+  );
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise trigger a new page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - bottom + (bottom - FOOTER_HEIGHT) / 2 + 8;
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    doc.font("Helvetica").fontSize(8).fillColor("#9ca3af");
+    doc.text(label, left, y, { width: width / 2, lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, left + width / 2, y, {
+      width: width / 2,
+      align: "right",
+      lineBreak: false,
+    });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/** Letter-size document with room for the footer; done resolves with the PDF bytes. */
+function createDocument(title, branding) {
+  const doc = new PDFDocument({
+    size: "LETTER",
+    margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT },
+    bufferPages: true,
+    info: { Title: pdfText(title), Author: pdfText(branding.companyName) },
+  });
+  const done = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  return { doc, done };
+}
+
+/**
+ * Render a stored report (as returned by getReportById / the fallback store).
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export async function renderReportPdf(report, { branding = getBranding() } = {}) {
+  const photos = (report.photoAnalysis || report.photos || []).filter(Boolean);
+  const [logo, images] = await Promise.all([
+    loadLogo(branding.logoPath),
+    Promise.all(photos.map(loadPhoto)),
+  ]);
+
+  const { doc, done } = createDocument(
+    `${reportTitle(report)} — ${report.restaurantName || "Restaurant"}`,
+    branding
+  );
+
+  drawHeader(doc, report, branding, logo);
+  drawCondition(doc, report.condition);
+  drawServiceCompletion(doc, report.serviceCompletion);
+  const template = reportTemplate(report);
+  const rec = report.frequencyRecommendation;
+  const sections = withNextStepsSection(
+    parseReportSections(report.reportText || report.summary || "", template),
+    template,
+    rec
+  );
+  for (const section of sections) {
+    drawSection(doc, section);
+    if (section.type === "next-steps" && rec?.frequency) {
+      writeMarkdown(
+        doc,
+        [`**Recommended cleaning frequency: ${rec.frequency}**`, ...(rec.reasons || []).map((r) => `- ${r}`)].join("\n")
+      );
+      doc.moveDown(0.8);
+    }
+  }
+  drawPhotos(doc, photos, images);
+  drawFooters(doc, report.restaurantName, branding);
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Render a stored proposal (the same draft shape the app's preview reads).
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+// Customer signature captured on the acceptance page (proposal.html)
+function drawAcceptance(doc, acceptance) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const signature = acceptance.signature?.startsWith("data:")
+    ? Buffer.from(acceptance.signature.slice(acceptance.signature.indexOf(",") + 1), "base64")
+    : null;
+  doc.moveDown(1.5);
+  ensureSpace(doc, 140);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text("Accepted", left, doc.y, { width });
+  doc.moveDown(0.4);
+  if (signature && isSupportedImage(signature)) {
+    const y = doc.y;
+    doc.image(signature, left, y, { fit: [240, 80] });
+    doc.y = y + 84;
+  }
+  doc.moveTo(left, doc.y).lineTo(left + 240, doc.y).lineWidth(0.5).strokeColor("#9ca3af").stroke();
+  doc.moveDown(0.3);
+  const signedAt = acceptance.signedAt ? new Date(acceptance.signedAt) : null;
+  doc.font("Helvetica").fontSize(9).fillColor("#374151").text(
+    pdfText(
+      `${acceptance.name || "Customer"}` +
+        (signedAt && !Number.isNaN(signedAt.getTime()) ? ` — signed ${signedAt.toUTCString()}` : "")
+    ),
+    left,
+    doc.y,
+    { width }
+  );
+}
+
+export async function renderProposalPdf(proposal, { branding = getBranding() } = {}) {
+  const draft = applyDefaults(proposal || {});
+  const totals = computeTotals(draft);
+  const lineItems = proposalLineItems(draft, totals);
+  const logo = await loadLogo(branding.logoPath);
+  const { doc, done } = createDocument(
+    `Service Proposal — ${draft.restaurantName || "Restaurant"}`,
+    branding
+  );
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const amountWidth = 100;
+  const descWidth = width - amountWidth - 24;
+
+  drawBranding(doc, branding, logo);
+  doc.font("Helvetica-Bold").fontSize(20).fillColor("#111827")
+    .text("Service Proposal", left, doc.y, { width });
+  doc.moveDown(0.8);
+
+  const meta = [
+    ["Restaurant", draft.restaurantName || "—"],
+    ["Address", draft.address || ""],
+    ["Proposal Date", draft.proposalDate || "—"],
+    ["Cleaning Frequency", proposalFrequencies(draft)],
+  ].filter(([, v]) => v);
+  for (const [label, value] of meta) {
+    doc.font("Helvetica").fontSize(9).fillColor("#6b7280").text(label, left, doc.y, { width });
+    doc.font("Helvetica-Bold").fontSize(12).fillColor("#111827").text(pdfText(value), left, doc.y, { width });
+    doc.moveDown(0.5);
+  }
+  if (draft.frequencyRecommendation?.rationale) {
+    doc.font("Helvetica").fontSize(8.5).fillColor("#6b7280")
+      .text(pdfText(draft.frequencyRecommendation.rationale), left, doc.y, { width });
+  }
+  doc.moveDown(1);
+
+  const row = (description, amount, { bold = false, fill = null } = {}) => {
+    const font = bold ? "Helvetica-Bold" : "Helvetica";
+    doc.font(font).fontSize(10);
+    const text = pdfText(description);
+    const height = Math.max(doc.heightOfString(text, { width: descWidth }), 12) + 16;
+    ensureSpace(doc, height);
+    const y = doc.y;
+    if (fill) doc.rect(left, y, width, height).fill(fill);
+    doc.rect(left, y, width, height).lineWidth(0.5).strokeColor("#e5e7eb").stroke();
+    doc.font(font).fontSize(10).fillColor("#111827").text(text, left + 12, y + 8, { width: descWidth });
+    doc.font(font).fontSize(10).fillColor("#111827")
+      .text(amount, left + width - amountWidth - 12, y + 8, { width: amountWidth, align: "right" });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  row("Description", "Amount", { bold: true, fill: "#f9fafb" });
+  lineItems.forEach((line) => row(line.description, money(line.amount)));
+  row("Total Per Service", money(totals.totalPerService), { bold: true, fill: "#f3f4f6" });
+
+  if (proposal?.acceptance) drawAcceptance(doc, proposal.acceptance);
+
+  drawFooters(doc, draft.restaurantName, branding);
+  doc.end();
+  return done;
+}
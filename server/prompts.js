@@ -0,0 +1,169 @@
+/**
+ * Prompt library: the prompts the app runs, versioned in the repo.
+ *
+ * Each version is a file in server/prompts/ (`<name>.v<N>.md`) with a
+ * `<!-- system -->` part and an optional `<!-- user -->` part (the instruction
+ * sent with a photo). {{variable}} placeholders are filled when the prompt is
+ * rendered. A version is never edited once reports have used it — add
+ * `.v<N+1>.md` and list it below instead, so every saved report's
+ * `promptVersions` ({ inspectionSummary: "inspectionSummary@2", … }) still
+ * points at the exact text that produced it.
+ *
+ * The newest version of each prompt runs unless PROMPT_VERSIONS pins another,
+ * e.g. PROMPT_VERSIONS=inspectionSummary@1,photoFindings@2 (to roll back a
+ * wording regression without a deploy).
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readFileSync } from "fs";
+import { defaultTemplate, templatePromptVariables } from "../inspectai/src/reportTemplates.js";
+import { REPORT_TYPE_LABELS } from "../inspectai/src/serviceReport.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROMPTS_DIR = path.join(__dirname, "prompts");
+
+/**
+ * name → { description, dashboardEnv, versions: [{ version, createdAt, notes }] }.
+ * dashboardEnv names the legacy saved-prompt ID that replaces the library prompt
+ * on the openai-responses provider when it is set (see llm.js).
+ */
+export const PROMPT_LIBRARY = {
+  photoFindings: {
+    description: "Vision step: grease findings for one inspection photo (JSON, see findings.js)",
+    dashboardEnv: "PHOTO_VISION_PROMPT_ID",
+    versions: [{ version: 1, createdAt: "2026-10-19", notes: "Instruction moved from findings.js" }],
+  },
+  photoCleaning: {
+    description: "Vision step: cleaning completeness of an \"after\" photo (JSON, see findings.js)",
+    dashboardEnv: "PHOTO_CLEANING_PROMPT_ID",
+    versions: [{ version: 1, createdAt: "2026-10-19", notes: "Instruction moved from findings.js" }],
+  },
+  inspectionSummary: {
+    description: "Inspection report text from the site details and photo findings",
+    dashboardEnv: "INSPECTION_SUMMARY_PROMPT_ID",
+    versions: [{ version: 1, createdAt: "2026-10-19", notes: "First library version" }],
+  },
+  serviceSummary: {
+    description: "Service Completion Report text from the before/after photo assessments",
+    dashboardEnv: "SERVICE_SUMMARY_PROMPT_ID",
+    versions: [{ version: 1, createdAt: "2026-10-19", notes: "First library version" }],
+  },
+};
+
+// Filled in for variables a preview doesn't supply
+const EXAMPLE_VARIABLES = {
+  restaurantName: "Joe's Diner",
+  address: "12 Main St, Springfield",
+  ...templatePromptVariables(defaultTemplate("inspection")),
+  reportType: REPORT_TYPE_LABELS.service,
+  serviceDate: "2026-01-15",
+  cleaningStatus: "Clean",
+};
+
+function fileName(name, version) {
+  return `${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}.v${version}.md`;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function libraryEntry(name) {
+  if (!Object.hasOwn(PROMPT_LIBRARY, name)) throw notFound(`Unknown prompt "${name}"`);
+  return PROMPT_LIBRARY[name];
+}
+
+const loaded = new Map();
+
+function loadVersion(name, version) {
+  const key = `${name}@${version}`;
+  if (!loaded.has(key)) {
+    const text = readFileSync(path.join(PROMPTS_DIR, fileName(name, version)), "utf8");
+    const part = (label) =>
+      text.match(new RegExp(`<!--\\s*${label}\\s*-->([\\s\\S]*?)(?=<!--\\s*\\w+\\s*-->|$)`))?.[1].trim() || "";
+    loaded.set(key, { system: part("system"), user: part("user") });
+  }
+  return loaded.get(key);
+}
+
+function variableNames(...texts) {
+  return [...new Set(texts.join("\n").match(/\{\{\s*\w+\s*\}\}/g) || [])].map((v) =>
+    v.replace(/[{}\s]/g, "")
+  );
+}
+
+function fill(text, variables) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(variables[name] ?? ""));
+}
+
+// PROMPT_VERSIONS=name@N,… → { name: N }
+function pinnedVersions(env) {
+  return Object.fromEntries(
+    String(env.PROMPT_VERSIONS || "")
+      .split(",")
+      .map((pin) => pin.trim().split("@"))
+      .filter(([name, version]) => name && version)
+      .map(([name, version]) => [name, Number(version)])
+  );
+}
+
+/** Problems with PROMPT_VERSIONS (unknown prompts or versions). */
+export function promptConfigErrors(env = process.env) {
+  return Object.entries(pinnedVersions(env))
+    .filter(
+      ([name, version]) =>
+        !Object.hasOwn(PROMPT_LIBRARY, name) || !PROMPT_LIBRARY[name].versions.some((v) => v.version === version)
+    )
+    .map(([name, version]) => `PROMPT_VERSIONS: ${name}@${version} is not in the prompt library`);
+}
+
+/** The version of `name` that runs now: the PROMPT_VERSIONS pin, else the newest. */
+export function activeVersion(name, env = process.env) {
+  const entry = libraryEntry(name);
+  return pinnedVersions(env)[name] ?? Math.max(...entry.versions.map((v) => v.version));
+}
+
+/**
+ * Render a prompt version (the active one by default) with `variables`.
+ * @returns {{ name, version, id: "name@N", system, user, variables: string[], missing: string[] }}
+ */
+export function renderPrompt(name, variables = {}, { version, env = process.env } = {}) {
+  const entry = libraryEntry(name);
+  const v = Number(version ?? activeVersion(name, env));
+  if (!entry.versions.some((listed) => listed.version === v)) {
+    throw notFound(`Prompt "${name}" has no version ${version}`);
+  }
+  const { system, user } = loadVersion(name, v);
+  const names = variableNames(system, user);
+  return {
+    name,
+    version: v,
+    id: `${name}@${v}`,
+    system: fill(system, variables),
+    user: fill(user, variables),
+    variables: names,
+    missing: names.filter((n) => variables[n] == null || variables[n] === ""),
+  };
+}
+
+/** A version filled with example values for whatever `variables` leaves out (admin preview). */
+export function previewPrompt(name, version, variables = {}) {
+  const given = Object.fromEntries(Object.entries(variables).filter(([, value]) => value !== ""));
+  return renderPrompt(name, { ...EXAMPLE_VARIABLES, ...given }, { version });
+}
+
+/** Every prompt with its versions and which one is active. */
+export function listPrompts(env = process.env) {
+  return Object.entries(PROMPT_LIBRARY).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    activeVersion: activeVersion(name, env),
+    versions: entry.versions.map((v) => {
+      const { system, user } = loadVersion(name, v.version);
+      return { ...v, id: `${name}@${v.version}`, variables: variableNames(system, user) };
+    }),
+  }));
+}
@@ -0,0 +1,100 @@
+/**
+ * Deterministic condition rating for an inspection.
+ *
+ * Derived only from the structured per-photo findings (see findings.js) and the
+ * equipment counts, so the same inputs always produce the same badge:
+ *   Critical  - any critical finding or severe (≥ 3175 µm) grease
+ *   Attention - any high-severity finding, heavy (≥ 2000 µm) grease or code violation
+ *   Monitor   - moderate findings, or gaps in what was documented
+ *   Compliant - everything documented and low severity
+ */
+
+export const RATINGS = ["Compliant", "Monitor", "Attention", "Critical"];
+
+const rank = (rating) => RATINGS.indexOf(rating);
+
+function pluralize(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function toCount(v) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * @param {object} report - { photoAnalysis|photos, hoods, fans, filters }
+ * @returns {{ rating: string, reasons: string[], stats: object }}
+ */
+export function scoreInspection(report = {}) {
+  const photos = report.photoAnalysis || report.photos || [];
+  const findings = photos.map((p) => p?.findings).filter(Boolean);
+  const hoods = toCount(report.hoods);
+  const fans = toCount(report.fans);
+  const filters = toCount(report.filters);
+
+  let rating = "Compliant";
+  const reasons = [];
+  const raise = (to, reason) => {
+    if (rank(to) > rank(rating)) rating = to;
+    reasons.push({ level: to, text: reason });
+  };
+
+  const count = (pred) => findings.filter(pred).length;
+  const critical = count((f) => f.severity === "critical");
+  const severeGrease = count((f) => f.greaseDepth === "severe");
+  const high = count((f) => f.severity === "high");
+  const heavyGrease = count((f) => f.greaseDepth === "heavy");
+  const violations = count((f) => f.codeViolation);
+  const moderate = count((f) => f.severity === "moderate" || f.greaseDepth === "moderate");
+
+  if (critical > 0) raise("Critical", `${pluralize(critical, "photo")} rated critical severity`);
+  if (severeGrease > 0) {
+    raise("Critical", `Severe grease accumulation (≥ 0.125 in) in ${pluralize(severeGrease, "photo")}`);
+  }
+  if (violations > 0) raise("Attention", `Possible NFPA 96 violation in ${pluralize(violations, "photo")}`);
+  if (heavyGrease > 0) {
+    raise("Attention", `Grease at or above the NFPA 96 cleaning threshold (0.078 in) in ${pluralize(heavyGrease, "photo")}`);
+  }
+  if (high > 0) raise("Attention", `${pluralize(high, "photo")} rated high severity`);
+  if (moderate > 0) raise("Monitor", `Moderate buildup in ${pluralize(moderate, "photo")}`);
+
+  // Coverage: every piece of equipment should be documented
+  if (findings.length === 0) {
+    raise("Monitor", "No photo findings to rate — manual review recommended");
+  } else {
+    const hoodPhotos = count((f) => f.component === "hood" || f.component === "filter");
+    const fanPhotos = count((f) => f.component === "fan");
+    if (hoods > 0 && hoodPhotos === 0) raise("Monitor", `No photos of the ${pluralize(hoods, "hood")} on site`);
+    if (fans > 0 && fanPhotos === 0) raise("Monitor", `No photos of the ${pluralize(fans, "fan")} on site`);
+    if (fans > fanPhotos && fanPhotos > 0) {
+      raise("Monitor", `Only ${fanPhotos} of ${pluralize(fans, "fan")} documented`);
+    }
+  }
+  if (hoods > 0 && filters === 0) raise("Monitor", "No filters recorded for the hood system");
+
+  if (reasons.length === 0) {
+    reasons.push({
+      level: "Compliant",
+      text: `${pluralize(findings.length, "photo")} reviewed with low-severity findings only`,
+    });
+  }
+
+  // Most serious reasons first
+  reasons.sort((a, b) => rank(b.level) - rank(a.level));
+
+  return {
+    rating,
+    reasons: reasons.map((r) => r.text),
+    stats: {
+      photosRated: findings.length,
+      critical,
+      high,
+      moderate,
+      codeViolations: violations,
+      hoods,
+      fans,
+      filters,
+    },
+  };
+}
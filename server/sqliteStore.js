@@ -0,0 +1,501 @@
+/**
+ * Local storage backend: reports, proposals, accounts and the customer registry
+ * in SQLite, photos in a directory on disk.
+ *
+ * For self-hosted and offline deployments without Firebase (see storage.js).
+ * Same contract as the Firestore functions in firebase.js: records are JSON
+ * documents (with the columns we filter on pulled out), report revisions live
+ * in their own table and go when their report does.
+ *
+ * Photos are files in the photos directory named by their photo id (see
+ * storage.js), served through index.js's photo route like Firebase ones.
+ *
+ * Optional env vars:
+ *   SQLITE_PATH - database file (default server/data/inspectai.db)
+ *   PHOTOS_DIR - photo directory (default server/data/photos)
+ */
+
+import crypto from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createReadStream, mkdirSync } from "fs";
+import { stat, unlink, writeFile } from "fs/promises";
+import Database from "better-sqlite3";
+import { REPORT_UPDATE_FIELDS, lockedProposalError } from "./firebase.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS reports (
+    id TEXT PRIMARY KEY,
+    company_id TEXT,
+    customer_id TEXT,
+    location_id TEXT,
+    share_token TEXT,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reports_company_created ON reports (company_id, created_at);
+  CREATE INDEX IF NOT EXISTS reports_share_token ON reports (share_token);
+  CREATE TABLE IF NOT EXISTS report_revisions (
+    id TEXT PRIMARY KEY,
+    report_id TEXT NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS report_revisions_report ON report_revisions (report_id, created_at);
+  CREATE TABLE IF NOT EXISTS proposals (
+    id TEXT PRIMARY KEY,
+    company_id TEXT,
+    report_id TEXT,
+    share_token TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS proposals_company_updated ON proposals (company_id, updated_at);
+  CREATE INDEX IF NOT EXISTS proposals_share_token ON proposals (share_token);
+  CREATE TABLE IF NOT EXISTS companies (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    company_id TEXT NOT NULL,
+    email TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS users_company ON users (company_id);
+  CREATE TABLE IF NOT EXISTS customers (
+    id TEXT PRIMARY KEY,
+    company_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS customers_company ON customers (company_id);
+  CREATE TABLE IF NOT EXISTS locations (
+    id TEXT PRIMARY KEY,
+    company_id TEXT NOT NULL,
+    customer_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS locations_company ON locations (company_id, customer_id);
+`;
+
+let db = null;
+
+// Opened on first use, after dotenv has loaded server/.env
+function database() {
+  if (db) return db;
+  const file = path.resolve(process.env.SQLITE_PATH || path.join(__dirname, "data", "inspectai.db"));
+  mkdirSync(path.dirname(file), { recursive: true });
+  db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+  return db;
+}
+
+function photosDir() {
+  return path.resolve(process.env.PHOTOS_DIR || path.join(__dirname, "data", "photos"));
+}
+
+function newId() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+function toReport(row) {
+  if (!row) return null;
+  const data = JSON.parse(row.data);
+  const photos = data.photos || data.photoAnalysis || [];
+  return { ...data, id: row.id, createdAt: row.created_at, photoAnalysis: photos, photos };
+}
+
+function writeReport(id, report) {
+  database()
+    .prepare(`UPDATE reports SET share_token = ?, data = ? WHERE id = ?`)
+    .run(report.shareToken || null, JSON.stringify(report), id);
+}
+
+/** Where the SQLite database and photos are (for the startup log). */
+export function describeLocalStore() {
+  return `${database().name}, photos in ${photosDir()}`;
+}
+
+export async function saveReport(data) {
+  const id = newId();
+  const createdAt = new Date().toISOString();
+  database()
+    .prepare(
+      `INSERT INTO reports (id, company_id, customer_id, location_id, share_token, created_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      id,
+      data.companyId || null,
+      data.customerId || null,
+      data.locationId || null,
+      data.shareToken || null,
+      createdAt,
+      JSON.stringify({ ...data, createdAt })
+    );
+  return id;
+}
+
+export async function getReportById(id) {
+  return toReport(database().prepare(`SELECT * FROM reports WHERE id = ?`).get(id));
+}
+
+/** Same as firebase.js updateReport: only REPORT_UPDATE_FIELDS, revision saved with the edit. */
+export async function updateReport(id, updates, revision = null) {
+  const existing = await getReportById(id);
+  if (!existing) return null;
+
+  const payload = {};
+  for (const key of REPORT_UPDATE_FIELDS) {
+    if (updates[key] !== undefined) payload[key] = updates[key];
+  }
+  if (Object.keys(payload).length === 0) return id;
+
+  const now = new Date().toISOString();
+  database().transaction(() => {
+    writeReport(id, { ...existing, ...payload, updatedAt: now });
+    if (revision) {
+      database()
+        .prepare(`INSERT INTO report_revisions (id, report_id, created_at, data) VALUES (?, ?, ?, ?)`)
+        .run(newId(), id, revision.createdAt || now, JSON.stringify(revision));
+    }
+  })();
+  return id;
+}
+
+/** A report's revisions, oldest first. */
+export async function listReportRevisions(reportId) {
+  return database()
+    .prepare(`SELECT id, data FROM report_revisions WHERE report_id = ? ORDER BY created_at, rowid`)
+    .all(reportId)
+    .map((row) => ({ ...JSON.parse(row.data), id: row.id }));
+}
+
+/** Same as firebase.js updateReportStatus (409 when the status changed since `from`). */
+export async function updateReportStatus(id, from, status, entry) {
+  return database().transaction(() => {
+    const existing = toReport(database().prepare(`SELECT * FROM reports WHERE id = ?`).get(id));
+    if (!existing) return null;
+    if ((existing.status ?? null) !== from) {
+      const err = new Error("The report's status changed — reload and try again");
+      err.status = 409;
+      throw err;
+    }
+    writeReport(id, {
+      ...existing,
+      status,
+      statusHistory: [...(existing.statusHistory || []), entry],
+      updatedAt: new Date().toISOString(),
+    });
+    return id;
+  })();
+}
+
+/** A company's reports, newest first. */
+export async function listReports({ companyId, customerId, locationId, limit = 50 }) {
+  const where = ["company_id = ?"];
+  const params = [companyId];
+  if (customerId) {
+    where.push("customer_id = ?");
+    params.push(customerId);
+  }
+  if (locationId) {
+    where.push("location_id = ?");
+    params.push(locationId);
+  }
+  return database()
+    .prepare(`SELECT * FROM reports WHERE ${where.join(" AND ")} ORDER BY created_at DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(toReport);
+}
+
+export async function getReportByShareToken(token) {
+  return toReport(database().prepare(`SELECT * FROM reports WHERE share_token = ?`).get(token));
+}
+
+/** Same as firebase.js assignLegacyReports: reports without a company go to companyId. */
+export async function assignLegacyReports(companyId) {
+  const rows = database().prepare(`SELECT * FROM reports WHERE company_id IS NULL`).all();
+  const assign = database().prepare(`UPDATE reports SET company_id = ?, data = ? WHERE id = ?`);
+  database().transaction(() =>
+    rows.forEach((row) => assign.run(companyId, JSON.stringify({ ...JSON.parse(row.data), companyId }), row.id))
+  )();
+  return rows.length;
+}
+
+/** Delete reports (and their revisions) created more than `days` ago; resolves with the deleted reports. */
+export async function deleteReportsOlderThan(days) {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - days);
+  const rows = database()
+    .prepare(`SELECT * FROM reports WHERE created_at < ? LIMIT 500`)
+    .all(cutoff.toISOString());
+  const remove = database().prepare(`DELETE FROM reports WHERE id = ?`);
+  database().transaction(() => rows.forEach((row) => remove.run(row.id)))();
+  return rows.map(toReport);
+}
+
+// ----- Proposals, accounts, customers and locations -----
+
+// Each table's filter columns and the record field each one holds
+const RECORD_COLUMNS = {
+  proposals: { company_id: "companyId", report_id: "reportId", share_token: "shareToken" },
+  companies: {},
+  users: { company_id: "companyId", email: "email" },
+  customers: { company_id: "companyId" },
+  locations: { company_id: "companyId", customer_id: "customerId" },
+};
+
+function toRecord(row) {
+  if (!row) return null;
+  return { ...JSON.parse(row.data), id: row.id, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+function columnValues(table, data) {
+  return Object.values(RECORD_COLUMNS[table]).map((key) => data[key] ?? null);
+}
+
+function insertRecord(table, data) {
+  const id = newId();
+  const now = new Date().toISOString();
+  const names = ["id", ...Object.keys(RECORD_COLUMNS[table]), "created_at", "updated_at", "data"];
+  database()
+    .prepare(`INSERT INTO ${table} (${names.join(", ")}) VALUES (${names.map(() => "?").join(", ")})`)
+    .run(id, ...columnValues(table, data), now, now, JSON.stringify(data));
+  return id;
+}
+
+function writeRecord(table, id, data, updatedAt = new Date().toISOString()) {
+  const names = [...Object.keys(RECORD_COLUMNS[table]), "updated_at", "data"];
+  database()
+    .prepare(`UPDATE ${table} SET ${names.map((name) => `${name} = ?`).join(", ")} WHERE id = ?`)
+    .run(...columnValues(table, data), updatedAt, JSON.stringify(data), id);
+}
+
+function recordRow(table, id) {
+  return database().prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+}
+
+function getRecord(table, id) {
+  return toRecord(recordRow(table, id));
+}
+
+// Merge fields into a record; the id, or null when there is none (as firebase.js)
+function updateRecord(table, id, updates) {
+  return database().transaction(() => {
+    const row = recordRow(table, id);
+    if (!row) return null;
+    writeRecord(table, id, { ...JSON.parse(row.data), ...updates });
+    return id;
+  })();
+}
+
+// limit -1: all of them
+function listRecords(table, where, params, { orderBy = "created_at", limit = -1 } = {}) {
+  return database()
+    .prepare(`SELECT * FROM ${table} WHERE ${where.join(" AND ")} ORDER BY ${orderBy} LIMIT ?`)
+    .all(...params, limit)
+    .map(toRecord);
+}
+
+/** Same as firebase.js saveProposal: resolves with the new id. */
+export async function saveProposal(proposal) {
+  return insertRecord("proposals", proposal);
+}
+
+/** Same as firebase.js updateProposal: replaces the contents; throws lockedProposalError() once signed. */
+export async function updateProposal(id, proposal) {
+  return database().transaction(() => {
+    const row = recordRow("proposals", id);
+    if (!row) return null;
+    if (JSON.parse(row.data).acceptance) throw lockedProposalError();
+    writeRecord("proposals", id, proposal);
+    return id;
+  })();
+}
+
+/** Same as firebase.js acceptProposal. */
+export async function acceptProposal(id, acceptance) {
+  return database().transaction(() => {
+    const row = recordRow("proposals", id);
+    if (!row) return null;
+    const existing = JSON.parse(row.data);
+    if (existing.acceptance) throw lockedProposalError();
+    writeRecord("proposals", id, { ...existing, acceptance, status: "accepted" }, row.updated_at);
+    return id;
+  })();
+}
+
+export async function getProposalById(id) {
+  return getRecord("proposals", id);
+}
+
+export async function getProposalByShareToken(token) {
+  return toRecord(database().prepare(`SELECT * FROM proposals WHERE share_token = ?`).get(token));
+}
+
+/** A company's proposals (optionally one report's), most recently updated first. */
+export async function listProposals({ companyId, reportId, limit = 50 }) {
+  const where = ["company_id = ?"];
+  const params = [companyId];
+  if (reportId) {
+    where.push("report_id = ?");
+    params.push(reportId);
+  }
+  return listRecords("proposals", where, params, { orderBy: "updated_at DESC", limit });
+}
+
+/** Same as firebase.js deleteProposal: true when deleted, false if there is none. */
+export async function deleteProposal(id) {
+  return database().transaction(() => {
+    const row = recordRow("proposals", id);
+    if (!row) return false;
+    if (JSON.parse(row.data).acceptance) throw lockedProposalError();
+    database().prepare(`DELETE FROM proposals WHERE id = ?`).run(id);
+    return true;
+  })();
+}
+
+function emailTaken(email) {
+  return Boolean(database().prepare(`SELECT 1 FROM users WHERE email = ?`).get(email));
+}
+
+/** Same as firebase.js createCompanyWithUser: { companyId, userId }, or false when the email is taken. */
+export async function createCompanyWithUser(company, user) {
+  return database().transaction(() => {
+    if (emailTaken(user.email)) return false;
+    const companyId = insertRecord("companies", company);
+    const userId = insertRecord("users", { ...user, companyId });
+    return { companyId, userId };
+  })();
+}
+
+/** Same as firebase.js createUser: the new id, or false when the email is taken. */
+export async function createUser(user) {
+  return database().transaction(() => (emailTaken(user.email) ? false : insertRecord("users", user)))();
+}
+
+export async function getUserById(id) {
+  return getRecord("users", id);
+}
+
+export async function listUsers(companyId) {
+  return listRecords("users", ["company_id = ?"], [companyId]);
+}
+
+export async function updateUser(id, updates) {
+  return updateRecord("users", id, updates);
+}
+
+export async function getUserByEmail(email) {
+  return toRecord(database().prepare(`SELECT * FROM users WHERE email = ?`).get(email));
+}
+
+export async function getCompanyById(id) {
+  return getRecord("companies", id);
+}
+
+export async function updateCompany(id, updates) {
+  return updateRecord("companies", id, updates);
+}
+
+export async function saveCustomer(customer) {
+  return insertRecord("customers", customer);
+}
+
+export async function updateCustomer(id, updates) {
+  return updateRecord("customers", id, updates);
+}
+
+export async function getCustomerById(id) {
+  return getRecord("customers", id);
+}
+
+export async function deleteCustomer(id) {
+  database().prepare(`DELETE FROM customers WHERE id = ?`).run(id);
+  return id;
+}
+
+export async function listCustomers(companyId) {
+  return listRecords("customers", ["company_id = ?"], [companyId]);
+}
+
+export async function saveLocation(location) {
+  return insertRecord("locations", location);
+}
+
+export async function updateLocation(id, updates) {
+  return updateRecord("locations", id, updates);
+}
+
+export async function getLocationById(id) {
+  return getRecord("locations", id);
+}
+
+export async function deleteLocation(id) {
+  database().prepare(`DELETE FROM locations WHERE id = ?`).run(id);
+  return id;
+}
+
+/** A company's locations, optionally one customer's. */
+export async function listLocations({ companyId, customerId }) {
+  const where = ["company_id = ?"];
+  const params = [companyId];
+  if (customerId) {
+    where.push("customer_id = ?");
+    params.push(customerId);
+  }
+  return listRecords("locations", where, params);
+}
+
+// ----- Photos -----
+
+// Only ids storage.js makes: no path separators or dot segments
+function photoPath(photoId) {
+  if (!/^[A-Za-z0-9_-]+\.[a-z0-9]+$/.test(String(photoId))) return null;
+  return path.join(photosDir(), photoId);
+}
+
+export async function writePhoto(photoId, buffer) {
+  const file = photoPath(photoId);
+  if (!file) throw new Error(`Invalid photo id "${photoId}"`);
+  mkdirSync(photosDir(), { recursive: true });
+  await writeFile(file, buffer);
+}
+
+/** { size, updatedAt } of a saved photo, or null when there is none. */
+export async function photoInfo(photoId) {
+  const file = photoPath(photoId);
+  if (!file) return null;
+  try {
+    const info = await stat(file);
+    return { size: info.size, updatedAt: info.mtime.toISOString() };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/** Readable stream of a saved photo, or of bytes `range.start`–`range.end` (inclusive). */
+export function openPhoto(photoId, range) {
+  return createReadStream(photoPath(photoId), range ? { start: range.start, end: range.end } : {});
+}
+
+export async function deletePhotos(photoIds) {
+  await Promise.all(
+    photoIds.map(photoPath).filter(Boolean).map((file) => unlink(file).catch(() => {}))
+  );
+}
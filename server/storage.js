@@ -0,0 +1,231 @@
+/**
+ * Report, photo, proposal, account and customer registry storage: one
+ * interface, two backends.
+ *
+ *   firebase  Firestore + Firebase Storage (firebase.js); the default when
+ *             FIREBASE_SERVICE_ACCOUNT_PATH and FIREBASE_STORAGE_BUCKET are set
+ *   sqlite    local SQLite database + photo directory (sqliteStore.js); the
+ *             default otherwise, so self-hosted and offline servers keep their
+ *             history and share links across restarts
+ *
+ * Both implement saveReport, getReportById, updateReport, listReportRevisions,
+ * updateReportStatus, listReports, getReportByShareToken, assignLegacyReports,
+ * deleteReportsOlderThan, the photo functions writePhoto, photoInfo, openPhoto
+ * and deletePhotos, and the proposal, account (companies, users) and customer /
+ * location functions re-exported below as they are.
+ *
+ * Reports keep each photo's `photoId` (the object name in the bucket or photos
+ * directory), those of its sizes in `variants` (see images.js) and, for HEIC
+ * and DNG uploads, that of the unconverted file in `original`, never a URL:
+ * index.js serves photos at PHOTO_URL_PREFIX + id to whoever may see the owning report. Reports from before this stored a URL in
+ * `publicUrl` (a 30-day signed Storage URL, or PHOTO_URL_PREFIX + id);
+ * photoIdOf() reads the id back out of those.
+ *
+ * Optional env vars:
+ *   STORAGE_BACKEND - "firebase" or "sqlite" (see above)
+ *   SQLITE_PATH, PHOTOS_DIR - see sqliteStore.js
+ */
+
+import crypto from "crypto";
+import path from "path";
+import { buffer as readAll } from "stream/consumers";
+import * as firebaseStore from "./firebase.js";
+import * as sqliteStore from "./sqliteStore.js";
+
+export const STORAGE_BACKENDS = ["firebase", "sqlite"];
+
+export const PHOTO_URL_PREFIX = "/api/photos/";
+
+const PHOTO_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  // Originals of converted uploads (see images.js), kept for audit
+  "image/heic": ".heic",
+  "image/heif": ".heif",
+  "image/x-adobe-dng": ".dng",
+};
+
+const BACKENDS = {
+  firebase: {
+    ...firebaseStore,
+    describe: () => `Firestore + Firebase Storage (${process.env.FIREBASE_STORAGE_BUCKET})`,
+  },
+  sqlite: {
+    ...sqliteStore,
+    describe: sqliteStore.describeLocalStore,
+  },
+};
+
+/** STORAGE_BACKEND, else firebase when it is configured, else sqlite. */
+export function storageBackendName(env = process.env) {
+  const name = (env.STORAGE_BACKEND || "").trim().toLowerCase();
+  return name || (firebaseStore.isFirebaseConfigured() ? "firebase" : "sqlite");
+}
+
+/** What's wrong with the storage settings (empty when the backend can run). */
+export function storageConfigErrors(env = process.env) {
+  const name = storageBackendName(env);
+  if (!STORAGE_BACKENDS.includes(name)) {
+    return [`STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(", ")}`];
+  }
+  if (name === "firebase" && !firebaseStore.isFirebaseConfigured()) {
+    return ["STORAGE_BACKEND=firebase needs FIREBASE_SERVICE_ACCOUNT_PATH and FIREBASE_STORAGE_BUCKET"];
+  }
+  return [];
+}
+
+function backend() {
+  return BACKENDS[storageBackendName()];
+}
+
+/** "<backend>: <where>" for the startup log. */
+export function describeStorage() {
+  return `${storageBackendName()}: ${backend().describe()}`;
+}
+
+export const saveReport = (report) => backend().saveReport(report);
+export const getReportById = (id) => backend().getReportById(id);
+export const updateReport = (id, updates, revision) => backend().updateReport(id, updates, revision);
+export const listReportRevisions = (reportId) => backend().listReportRevisions(reportId);
+export const updateReportStatus = (id, from, status, entry) =>
+  backend().updateReportStatus(id, from, status, entry);
+export const listReports = (options) => backend().listReports(options);
+export const getReportByShareToken = (token) => backend().getReportByShareToken(token);
+export const assignLegacyReports = (companyId) => backend().assignLegacyReports(companyId);
+
+/** Delete reports created more than `days` ago, with their revisions and photos; resolves with how many. */
+export async function deleteReportsOlderThan(days) {
+  const deleted = await backend().deleteReportsOlderThan(days);
+  const photoIds = deleted.flatMap((report) => (report.photos || []).flatMap(photoIdsOf));
+  await backend().deletePhotos(photoIds);
+  return deleted.length;
+}
+
+// ----- Proposals (signed ones throw lockedProposalError() on change) -----
+export { lockedProposalError } from "./firebase.js";
+export const saveProposal = (proposal) => backend().saveProposal(proposal);
+export const updateProposal = (id, proposal) => backend().updateProposal(id, proposal);
+export const acceptProposal = (id, acceptance) => backend().acceptProposal(id, acceptance);
+export const getProposalById = (id) => backend().getProposalById(id);
+export const getProposalByShareToken = (token) => backend().getProposalByShareToken(token);
+export const listProposals = (options) => backend().listProposals(options);
+export const deleteProposal = (id) => backend().deleteProposal(id);
+
+// ----- Accounts (see auth.js) -----
+export const createCompanyWithUser = (company, user) => backend().createCompanyWithUser(company, user);
+export const createUser = (user) => backend().createUser(user);
+export const getUserById = (id) => backend().getUserById(id);
+export const listUsers = (companyId) => backend().listUsers(companyId);
+export const updateUser = (id, updates) => backend().updateUser(id, updates);
+export const getUserByEmail = (email) => backend().getUserByEmail(email);
+export const getCompanyById = (id) => backend().getCompanyById(id);
+export const updateCompany = (id, updates) => backend().updateCompany(id, updates);
+
+// ----- Customers and locations (see customers.js) -----
+export const saveCustomer = (customer) => backend().saveCustomer(customer);
+export const updateCustomer = (id, updates) => backend().updateCustomer(id, updates);
+export const getCustomerById = (id) => backend().getCustomerById(id);
+export const deleteCustomer = (id) => backend().deleteCustomer(id);
+export const listCustomers = (companyId) => backend().listCustomers(companyId);
+export const saveLocation = (location) => backend().saveLocation(location);
+export const updateLocation = (id, updates) => backend().updateLocation(id, updates);
+export const getLocationById = (id) => backend().getLocationById(id);
+export const deleteLocation = (id) => backend().deleteLocation(id);
+export const listLocations = (options) => backend().listLocations(options);
+
+// ----- Photos -----
+
+// Object names only: no path separators or dot segments
+function isPhotoId(id) {
+  return typeof id === "string" && id.length <= 300 && !/[/\\]/.test(id) && id !== "." && id !== "..";
+}
+
+/**
+ * The id of the stored file behind a report photo, also for reports saved with
+ * a URL (see above), or null (inline dataUrl photos, failed uploads).
+ */
+export function photoIdOf(photo) {
+  if (isPhotoId(photo?.photoId)) return photo.photoId;
+  const url = photo?.publicUrl;
+  if (typeof url !== "string") return null;
+  try {
+    const { pathname } = new URL(url, "http://localhost");
+    const name = url.startsWith(PHOTO_URL_PREFIX)
+      ? pathname.slice(PHOTO_URL_PREFIX.length)
+      : pathname.match(/\/inspection-photos\/([^/]+)$/)?.[1];
+    const id = name && decodeURIComponent(name);
+    return isPhotoId(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Every stored file of a report photo: photoIdOf(), its variants' and its original's. */
+export function photoIdsOf(photo) {
+  const ids = [
+    photoIdOf(photo),
+    ...Object.values(photo?.variants || {}).map((v) => v?.photoId),
+    photo?.original?.photoId,
+  ];
+  return [...new Set(ids.filter(isPhotoId))];
+}
+
+/** Photos as reports store them: by photoId, without the URLs they were served with. */
+export function storedPhotos(photos) {
+  return (photos || []).map((photo) => {
+    const { publicUrl, thumbUrl, srcset, originalUrl, ...rest } = photo || {};
+    const photoId = photoIdOf(photo);
+    if (!photoId) return originalUrl ? rest : photo;
+    return { ...rest, photoId };
+  });
+}
+
+/** Save an uploaded photo under a new random id; resolves with the id. */
+export async function savePhoto(buffer, filename, mimeType) {
+  const type = String(mimeType || "").toLowerCase();
+  const fromName = path.extname(filename || "").toLowerCase();
+  const ext = PHOTO_EXTENSIONS[type] || (/^\.[a-z0-9]{1,5}$/.test(fromName) ? fromName : ".bin");
+  const photoId = `${crypto.randomBytes(18).toString("base64url")}${ext}`;
+  await backend().writePhoto(photoId, buffer, type || "application/octet-stream");
+  return photoId;
+}
+
+// Photos saved without a content type (local files) go by their extension
+function typeOf(photoId) {
+  const ext = path.extname(photoId).toLowerCase();
+  return (
+    Object.keys(PHOTO_EXTENSIONS).find((type) => PHOTO_EXTENSIONS[type] === ext) ||
+    "application/octet-stream"
+  );
+}
+
+/**
+ * A stored photo's size, type and modification time, or null when there is none.
+ * @returns {Promise<{ size: number, contentType: string, updatedAt: string }|null>}
+ */
+export async function photoInfo(photoId) {
+  if (!isPhotoId(photoId)) return null;
+  const info = await backend().photoInfo(photoId);
+  return info && { ...info, contentType: info.contentType || typeOf(photoId) };
+}
+
+/** Delete stored photos by id (missing ones are skipped). */
+export async function deletePhotos(photoIds) {
+  await backend().deletePhotos(photoIds.filter(isPhotoId));
+}
+
+/** Readable stream of a stored photo (check photoInfo first), optionally of `{ start, end }` only. */
+export const openPhoto = (photoId, range) => backend().openPhoto(photoId, range);
+
+/**
+ * A stored photo's bytes and type, or null when there is none.
+ * @returns {Promise<{ buffer: Buffer, contentType: string }|null>}
+ */
+export async function readPhoto(photoId) {
+  const info = await photoInfo(photoId);
+  if (!info) return null;
+  return { buffer: await readAll(openPhoto(photoId)), contentType: info.contentType };
+}
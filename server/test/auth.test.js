@@ -0,0 +1,85 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { issuePhotoToken, issueToken, verifyPhotoToken, verifyToken } from "../auth.js";
+
+// index.js loads server/.env after its imports have run: auth.js must read env when used
+const saved = { AUTH_SECRET: process.env.AUTH_SECRET, AUTH_TOKEN_TTL_HOURS: process.env.AUTH_TOKEN_TTL_HOURS };
+afterEach(() => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+const user = { id: "u1", companyId: "c1", email: "mia@acme.test", name: "Mia" };
+
+function claims(token) {
+  return JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString("utf8"));
+}
+
+test("AUTH_SECRET set after import signs and verifies tokens", () => {
+  process.env.AUTH_SECRET = "first-secret";
+  const token = issueToken(user);
+  assert.deepEqual(verifyToken(token), { id: "u1", companyId: "c1", email: "mia@acme.test", name: "Mia" });
+
+  process.env.AUTH_SECRET = "second-secret";
+  assert.equal(verifyToken(token), null);
+
+  process.env.AUTH_SECRET = "first-secret";
+  assert.ok(verifyToken(token));
+});
+
+test("AUTH_TOKEN_TTL_HOURS set after import sets the session lifetime", () => {
+  process.env.AUTH_SECRET = "secret";
+  process.env.AUTH_TOKEN_TTL_HOURS = "2";
+  const before = Date.now();
+  const { exp } = claims(issueToken(user));
+  assert.ok(exp >= before + 2 * 3600 * 1000 && exp <= Date.now() + 2 * 3600 * 1000);
+});
+
+test("expired and tampered tokens are rejected", () => {
+  process.env.AUTH_SECRET = "secret";
+  process.env.AUTH_TOKEN_TTL_HOURS = "-1";
+  assert.equal(verifyToken(issueToken(user)), null);
+
+  process.env.AUTH_TOKEN_TTL_HOURS = "1";
+  const [payload, signature] = issueToken(user).split(".");
+  const forged = Buffer.from(JSON.stringify({ ...claims(`${payload}.x`), cid: "c2" })).toString("base64url");
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+});
+
+test("PHOTO_URL_TTL_HOURS set after import sets how long photo URLs work", () => {
+  process.env.AUTH_SECRET = "secret";
+  const saveTtl = process.env.PHOTO_URL_TTL_HOURS;
+  try {
+    process.env.PHOTO_URL_TTL_HOURS = "1";
+    const hourly = verifyPhotoToken(issuePhotoToken("p1.jpg", { reportId: "r1" }));
+    process.env.PHOTO_URL_TTL_HOURS = "48";
+    const longer = verifyPhotoToken(issuePhotoToken("p1.jpg", { reportId: "r1" }));
+
+    assert.equal(hourly.photoId, "p1.jpg");
+    assert.equal(hourly.reportId, "r1");
+    // Valid for one to two windows
+    assert.ok(hourly.expiresAt - Date.now() <= 2 * 3600 * 1000);
+    assert.ok(longer.expiresAt - Date.now() > 48 * 3600 * 1000);
+  } finally {
+    if (saveTtl === undefined) delete process.env.PHOTO_URL_TTL_HOURS;
+    else process.env.PHOTO_URL_TTL_HOURS = saveTtl;
+  }
+});
+
+test("photo tokens name the report or the running job the photo belongs to", () => {
+  process.env.AUTH_SECRET = "secret";
+  const forJob = verifyPhotoToken(issuePhotoToken("p1.jpg", { jobId: "j1" }));
+  assert.equal(forJob.reportId, null);
+  assert.equal(forJob.jobId, "j1");
+  const forReport = verifyPhotoToken(issuePhotoToken("p1.jpg", { reportId: "r1" }));
+  assert.equal(forReport.reportId, "r1");
+  assert.equal(forReport.jobId, null);
+});
+
+test("photo tokens aren't session tokens and vice versa", () => {
+  process.env.AUTH_SECRET = "secret";
+  assert.equal(verifyToken(issuePhotoToken("p1.jpg", { reportId: "r1" })), null);
+  assert.equal(verifyPhotoToken(issueToken(user)), null);
+});
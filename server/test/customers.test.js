@@ -0,0 +1,125 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The registry as the server runs it offline: the SQLite backend in a temporary directory
+const dataDir = mkdtempSync(path.join(tmpdir(), "inspectai-customers-"));
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = path.join(dataDir, "test.db");
+const registry = await import("../customers.js");
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+const rejects = (promise, status, message) => assert.rejects(promise, { status, message });
+
+test("customers need a name and are listed by name, filtered by q", async () => {
+  await rejects(registry.createCustomer("c1", { name: "  " }), 400, "Customer name is required");
+  const zeta = await registry.createCustomer("c1", { name: " Zeta Grill ", contactName: "Ann", email: "ann@zeta.test" });
+  await registry.createCustomer("c1", { name: "Alpha Diner", contactName: "Bo" });
+  await registry.createCustomer("c2", { name: "Other Company's Cafe" });
+
+  assert.equal(zeta.name, "Zeta Grill");
+  assert.equal(zeta.companyId, "c1");
+  assert.deepEqual((await registry.listCustomers("c1")).map((c) => c.name), ["Alpha Diner", "Zeta Grill"]);
+  assert.deepEqual((await registry.listCustomers("c1", { q: "ZETA.test" })).map((c) => c.name), ["Zeta Grill"]);
+});
+
+test("updates keep the fields that weren't sent, and another company's customer isn't found", async () => {
+  const customer = await registry.createCustomer("c1", { name: "Patch Cafe", phone: "555-0100", notes: "Back door" });
+  const updated = await registry.updateCustomer("c1", customer.id, { phone: "555-0199" });
+  assert.equal(updated.phone, "555-0199");
+  assert.equal(updated.notes, "Back door");
+  await rejects(registry.updateCustomer("c1", customer.id, { name: "" }), 400, "Customer name is required");
+
+  assert.equal(await registry.getCustomer("c2", customer.id), null);
+  await rejects(registry.updateCustomer("c2", customer.id, { phone: "x" }), 404, "Customer not found");
+  await rejects(registry.deleteCustomer("c2", customer.id), 404, "Customer not found");
+});
+
+// [name, equipment sent, stored equipment]
+const equipmentCases = [
+  ["nothing", undefined, { hoods: 1, fans: 1, filters: 0 }],
+  ["counts as text", { hoods: "3", fans: "2", filters: "12" }, { hoods: 3, fans: 2, filters: 12 }],
+  ["zero hoods and fans (base service covers one of each)", { hoods: 0, fans: -1, filters: -4 }, { hoods: 1, fans: 1, filters: 0 }],
+  ["fractions and junk", { hoods: 2.7, fans: "many", filters: "6.9" }, { hoods: 2, fans: 1, filters: 6 }],
+];
+
+for (const [name, equipment, stored] of equipmentCases) {
+  test(`location equipment: ${name}`, async () => {
+    const { id: customerId } = await registry.createCustomer("c1", { name: "Equipment Cafe" });
+    const location = await registry.createLocation("c1", { customerId, address: "1 Main St", equipment });
+    assert.deepEqual(location.equipment, stored);
+  });
+}
+
+test("locations belong to one of the company's customers and need an address", async () => {
+  const { id: customerId } = await registry.createCustomer("c1", { name: "Harbor Grill" });
+  const { id: otherCustomerId } = await registry.createCustomer("c2", { name: "Elsewhere" });
+  await rejects(registry.createLocation("c1", { address: "1 Pier" }), 400, "customerId must be one of your customers");
+  await rejects(
+    registry.createLocation("c1", { customerId: otherCustomerId, address: "1 Pier" }),
+    400,
+    "customerId must be one of your customers"
+  );
+  await rejects(registry.createLocation("c1", { customerId, address: " " }), 400, "Location address is required");
+
+  const pier = await registry.createLocation("c1", { customerId, name: "Pier", address: "1 Pier" });
+  await registry.createLocation("c1", { customerId, name: "Airport", address: "9 Terminal Rd" });
+  const found = await registry.listLocations("c1", { q: "harbor" });
+  assert.deepEqual(found.map((l) => l.address), ["1 Pier", "9 Terminal Rd"]);
+  assert.deepEqual(found[0].customer, { id: customerId, name: "Harbor Grill" });
+  assert.deepEqual((await registry.listLocations("c1", { q: "terminal" })).map((l) => l.name), ["Airport"]);
+
+  await rejects(
+    registry.updateLocation("c1", pier.id, { customerId: otherCustomerId }),
+    400,
+    "customerId must be one of your customers"
+  );
+  await rejects(registry.updateLocation("c2", pier.id, { name: "Mine now" }), 404, "Location not found");
+  assert.equal((await registry.updateLocation("c1", pier.id, { name: "North Pier" })).address, "1 Pier");
+});
+
+test("deleting a customer deletes its locations", async () => {
+  const { id: customerId } = await registry.createCustomer("c1", { name: "Closing Cafe" });
+  const { id: keptCustomerId } = await registry.createCustomer("c1", { name: "Staying Cafe" });
+  const closing = await registry.createLocation("c1", { customerId, address: "2 Main St" });
+  await registry.createLocation("c1", { customerId, address: "3 Main St" });
+  const kept = await registry.createLocation("c1", { customerId: keptCustomerId, address: "4 Main St" });
+
+  await registry.deleteCustomer("c1", customerId);
+  assert.equal(await registry.getCustomer("c1", customerId), null);
+  assert.equal(await registry.getLocation("c1", closing.id), null);
+  assert.deepEqual((await registry.listLocations("c1", { customerId })).map((l) => l.id), []);
+  assert.equal((await registry.getLocation("c1", kept.id)).address, "4 Main St");
+});
+
+test("an inspection records what was found on site; a proposal its pricing, without repairs", async () => {
+  const { id: customerId } = await registry.createCustomer("c1", { name: "Pricing Cafe" });
+  const location = await registry.createLocation("c1", { customerId, address: "5 Main St", cookingVolume: "low-volume" });
+
+  const inspected = await registry.recordLocationInspection("c1", location.id, {
+    equipment: { hoods: "2", fans: "1", filters: "8" },
+    cookingVolume: "high-volume",
+    reportId: "r1",
+  });
+  assert.deepEqual(inspected.equipment, { hoods: 2, fans: 1, filters: 8 });
+  assert.equal(inspected.cookingVolume, "high-volume");
+  assert.equal(inspected.lastReportId, "r1");
+  assert.ok(inspected.lastInspectedAt);
+
+  const priced = await registry.recordLocationPricing("c1", location.id, {
+    cleaningFrequency: "Quarterly",
+    baseRate: 650,
+    additionalItems: [{ description: "Additional Hood", qty: 1, rate: 203, frequency: "Quarterly" }],
+    repairs: [{ description: "Hinge kit", amount: 85 }],
+    restaurantName: "Pricing Cafe",
+  });
+  assert.deepEqual(priced.lastPricing, {
+    cleaningFrequency: "Quarterly",
+    baseRate: 650,
+    additionalItems: [{ description: "Additional Hood", qty: 1, rate: 203, frequency: "Quarterly" }],
+  });
+  await rejects(registry.recordLocationPricing("c2", location.id, { baseRate: 1 }), 404, "Location not found");
+});
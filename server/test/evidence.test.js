@@ -0,0 +1,185 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import sharp from "sharp";
+import { checkPhotoEvidence, distanceKm, evidenceSite, geocodeAddress, readPhotoEvidence } from "../evidence.js";
+
+// index.js loads server/.env after its imports have run: evidence.js must read env when used
+const saved = {
+  EVIDENCE_MAX_AGE_HOURS: process.env.EVIDENCE_MAX_AGE_HOURS,
+  EVIDENCE_MAX_DISTANCE_KM: process.env.EVIDENCE_MAX_DISTANCE_KM,
+  GEOCODER_URL: process.env.GEOCODER_URL,
+};
+afterEach(() => {
+  for (const [key, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+// A JPEG with the given EXIF IFDs (IFD0 camera, IFD2 Exif, IFD3 GPS)
+function photo(exif) {
+  const image = sharp({ create: { width: 8, height: 8, channels: 3, background: "#888" } }).jpeg();
+  return (exif ? image.withExif(exif) : image).toBuffer();
+}
+
+const IPHONE = { Make: "Apple", Model: "iPhone 15 Pro", Software: "17.1" };
+const CHICAGO_GPS = {
+  GPSLatitudeRef: "N",
+  GPSLatitude: "41/1 52/1 3000/100",
+  GPSLongitudeRef: "W",
+  GPSLongitude: "87/1 37/1 4000/100",
+  GPSHPositioningError: "5/1",
+};
+
+const readCases = [
+  [
+    "camera, zoned time and GPS",
+    { IFD0: IPHONE, IFD2: { DateTimeOriginal: "2026:10:18 14:03:11", OffsetTimeOriginal: "-05:00" }, IFD3: CHICAGO_GPS },
+    {
+      capturedAt: "2026-10-18T14:03:11-05:00",
+      device: "Apple iPhone 15 Pro",
+      software: "17.1",
+      gps: { latitude: 41.875, longitude: -87.62777777777777, accuracyM: 5 },
+    },
+  ],
+  [
+    "a time without an offset and a model that repeats the make",
+    { IFD0: { Make: "Canon", Model: "Canon EOS R5" }, IFD2: { DateTimeOriginal: "2026:10:18 14:03:11" } },
+    { capturedAt: "2026-10-18T14:03:11", device: "Canon EOS R5", software: null, gps: null },
+  ],
+  [
+    "only the digitized time",
+    { IFD2: { DateTimeDigitized: "2026:10:18 09:30:00", OffsetTimeDigitized: "+02:00" } },
+    { capturedAt: "2026-10-18T09:30:00+02:00", device: null, software: null, gps: null },
+  ],
+  [
+    "a zeroed clock and GPS at 0, 0",
+    {
+      IFD2: { DateTimeOriginal: "0000:00:00 00:00:00" },
+      IFD3: { GPSLatitudeRef: "N", GPSLatitude: "0/1 0/1 0/1", GPSLongitudeRef: "E", GPSLongitude: "0/1 0/1 0/1" },
+    },
+    { capturedAt: null, device: null, software: null, gps: null },
+  ],
+  ["no EXIF at all", null, { capturedAt: null, device: null, software: null, gps: null }],
+];
+
+for (const [name, exif, evidence] of readCases) {
+  test(`reads ${name}`, async () => {
+    assert.deepEqual(await readPhotoEvidence(await photo(exif)), evidence);
+  });
+}
+
+test("an upload that isn't an image has no evidence", async () => {
+  assert.deepEqual(await readPhotoEvidence(Buffer.from("not an image")), {
+    capturedAt: null,
+    device: null,
+    software: null,
+    gps: null,
+  });
+});
+
+// 15:00 in Chicago
+const inspectedAt = "2026-10-18T20:00:00Z";
+
+const timeCases = [
+  ["57 minutes before", "2026-10-18T14:03:11-05:00", "ok", "Taken at the time of the inspection"],
+  ["within the phone clock slack after", "2026-10-18T15:10:00-05:00", "ok", "Taken at the time of the inspection"],
+  ["an hour after", "2026-10-18T16:00:00-05:00", "flagged", "Timestamp is 1 hour after the inspection"],
+  ["47 hours before", "2026-10-16T16:00:00-05:00", "ok", "Taken at the time of the inspection"],
+  ["3 days before", "2026-10-15T15:00:00-05:00", "flagged", "Taken 3 days before the inspection"],
+  ["unzoned, 3 hours after read as UTC", "2026-10-18T23:00:00", "ok", "Taken at the time of the inspection"],
+  ["unzoned, 16 hours after read as UTC", "2026-10-19T12:00:00", "flagged", "Timestamp is 16 hours after the inspection"],
+  ["unzoned, 60 hours before read as UTC", "2026-10-16T08:00:00", "ok", "Taken at the time of the inspection"],
+  ["missing", null, "unknown", "No capture time in the photo"],
+  ["unreadable", "2026-13-45T99:00:00", "unknown", "Unreadable capture time"],
+];
+
+for (const [name, capturedAt, status, message] of timeCases) {
+  test(`time check: ${name} → ${status}`, () => {
+    const [{ checks }] = checkPhotoEvidence([{ capturedAt }], { inspectedAt });
+    assert.deepEqual(checks.time, { status, message });
+  });
+}
+
+test("EVIDENCE_MAX_AGE_HOURS set after import sets how old a photo may be", () => {
+  const evidence = [{ capturedAt: "2026-10-16T16:00:00-05:00" }];
+  process.env.EVIDENCE_MAX_AGE_HOURS = "24";
+  assert.deepEqual(checkPhotoEvidence(evidence, { inspectedAt })[0].checks.time, {
+    status: "flagged",
+    message: "Taken 47 hours before the inspection",
+  });
+  process.env.EVIDENCE_MAX_AGE_HOURS = "72";
+  assert.equal(checkPhotoEvidence(evidence, { inspectedAt })[0].checks.time.status, "ok");
+});
+
+const site = { latitude: 41.875, longitude: -87.6278, source: "address" };
+const at = (dLat) => ({ latitude: site.latitude + dLat, longitude: site.longitude });
+
+const locationCases = [
+  ["on site", at(0), site, "ok", "Within 1 km of the inspection address", 0],
+  ["half a kilometre away", at(0.0045), site, "ok", "Within 1 km of the inspection address", 0.5],
+  ["5 km away", at(0.045), site, "flagged", "5 km from the inspection address", 5],
+  ["5 km from the other photos", at(0.045), { ...site, source: "photos" }, "flagged", "5 km from where the other photos were taken", 5],
+  ["without GPS", null, site, "unknown", "No GPS location in the photo", null],
+  ["without a site", at(0), null, "unknown", "No inspection site location to compare with", null],
+];
+
+for (const [name, gps, checkSite, status, message, km] of locationCases) {
+  test(`location check: ${name} → ${status}`, () => {
+    const [{ checks }] = checkPhotoEvidence([{ gps }], { inspectedAt, site: checkSite });
+    assert.deepEqual(checks.location, { status, message, distanceKm: km });
+  });
+}
+
+test("EVIDENCE_MAX_DISTANCE_KM set after import sets how far from the site a photo may be", () => {
+  process.env.EVIDENCE_MAX_DISTANCE_KM = "10";
+  assert.deepEqual(checkPhotoEvidence([{ gps: at(0.045) }], { inspectedAt, site })[0].checks.location, {
+    status: "ok",
+    message: "Within 10 km of the inspection address",
+    distanceKm: 5,
+  });
+});
+
+test("missing evidence entries are checked as empty", () => {
+  const [checked] = checkPhotoEvidence([null], { inspectedAt, site });
+  assert.equal(checked.capturedAt, null);
+  assert.equal(checked.checks.time.status, "unknown");
+  assert.equal(checked.checks.location.status, "unknown");
+});
+
+test("distances are great-circle kilometres", () => {
+  assert.equal(distanceKm(site, site), 0);
+  assert.equal(Math.round(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }) * 100) / 100, 111.19);
+});
+
+test("the site is the geocoded address, else where most of three or more photos were taken", () => {
+  const gps = (latitude, longitude) => ({ gps: { latitude, longitude } });
+  const photos = [gps(41.875, -87.628), gps(41.876, -87.627), gps(40.7, -74), { gps: null }];
+  assert.deepEqual(evidenceSite(photos, { latitude: 1, longitude: 2 }), { latitude: 1, longitude: 2, source: "address" });
+  assert.deepEqual(evidenceSite(photos, null), { latitude: 41.875, longitude: -87.627, source: "photos" });
+  assert.equal(evidenceSite(photos.slice(0, 2), null), null);
+});
+
+test("geocoding needs GEOCODER_URL and never throws", async (t) => {
+  delete process.env.GEOCODER_URL;
+  assert.equal(await geocodeAddress("1 Main St"), null);
+
+  const queries = [];
+  const geocoder = http.createServer((req, res) => {
+    const query = new URL(req.url, "http://localhost").searchParams.get("q");
+    queries.push(query);
+    if (query === "broken") return res.writeHead(500).end();
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(query === "nowhere" ? [] : [{ lat: "41.875", lon: "-87.6278" }]));
+  });
+  await new Promise((resolve) => geocoder.listen(0, resolve));
+  t.after(() => geocoder.close());
+  process.env.GEOCODER_URL = `http://localhost:${geocoder.address().port}/search`;
+
+  assert.deepEqual(await geocodeAddress(" 1 Main St "), { latitude: 41.875, longitude: -87.6278 });
+  assert.equal(await geocodeAddress("nowhere"), null);
+  assert.equal(await geocodeAddress("broken"), null);
+  assert.equal(await geocodeAddress("  "), null);
+  assert.deepEqual(queries, ["1 Main St", "nowhere", "broken"]);
+});
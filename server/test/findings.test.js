@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cleaningRepairInstruction,
+  describeCleaning,
+  normalizeCleaning,
+  normalizeFindings,
+  parseCleaning,
+  parseFindings,
+} from "../findings.js";
+
+const valid = { component: "hood", greaseDepth: "light", severity: "low", confidence: 0.8, codeViolation: false, notes: "" };
+
+// [field, model output, normalized]
+const findingCases = [
+  ["component", "HOOD", "hood"],
+  ["component", "Canopy", "hood"],
+  ["component", "Baffle filter", "filter"],
+  ["component", "Exhaust fan motor", "fan"],
+  ["component", "Duct riser", "duct"],
+  ["component", "Access door", "access panel"],
+  ["component", "ceiling", "ceiling"],
+  ["greaseDepth", "Bare metal", "none"],
+  ["greaseDepth", "trace", "light"],
+  ["greaseDepth", "medium", "moderate"],
+  ["greaseDepth", "thick", "heavy"],
+  ["greaseDepth", "dripping", "severe"],
+  ["severity", "minor", "low"],
+  ["severity", "Medium", "moderate"],
+  ["severity", "major", "high"],
+  ["severity", "urgent", "critical"],
+  ["confidence", "0.8", 0.8],
+  ["confidence", 85, 0.85],
+  ["confidence", "90", 0.9],
+  ["confidence", 0.5, 0.5],
+  ["codeViolation", "yes", true],
+  ["codeViolation", "No", false],
+  ["codeViolation", true, true],
+  ["notes", ["Grease on the filters", "- Panel coated", ""], "- Grease on the filters\n- Panel coated"],
+  ["notes", "  Light film  ", "Light film"],
+  ["notes", undefined, ""],
+];
+
+for (const [field, input, expected] of findingCases) {
+  test(`findings ${field}: ${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+    assert.deepEqual(normalizeFindings({ ...valid, [field]: input })[field], expected);
+  });
+}
+
+test("snake_case fields from the model are read too", () => {
+  const { greaseDepth, codeViolation } = normalizeFindings({
+    ...valid,
+    greaseDepth: undefined,
+    grease_depth: "heavy",
+    codeViolation: undefined,
+    code_violation: "1",
+  });
+  assert.equal(greaseDepth, "heavy");
+  assert.equal(codeViolation, true);
+});
+
+// [model output, errors] — null errors: parsed
+const parseCases = [
+  ["plain JSON", JSON.stringify(valid), null],
+  ["a ```json fence with prose around it", `Here you go:\n\`\`\`json\n${JSON.stringify({ ...valid, severity: "minor" })}\n\`\`\`\nThanks`, null],
+  ["no JSON", "The hood looks clean.", ["Response did not contain a JSON object"]],
+  ["truncated JSON", JSON.stringify(valid).slice(0, -5), ["Response did not contain a JSON object"]],
+  ["an unknown component", JSON.stringify({ ...valid, component: "ceiling" }), ["component must be one of hood, duct, fan, filter, access panel, other"]],
+  ["confidence out of range", JSON.stringify({ ...valid, confidence: 150 }), ["confidence must be a number from 0 to 1"]],
+  ["codeViolation missing", JSON.stringify({ ...valid, codeViolation: undefined }), ["codeViolation must be true or false"]],
+];
+
+for (const [name, text, errors] of parseCases) {
+  test(`parseFindings: ${name}`, () => {
+    const result = parseFindings(text);
+    assert.deepEqual(result.errors, errors || []);
+    assert.equal(result.findings === null, Boolean(errors));
+  });
+}
+
+const afterPhoto = { component: "duct", residualGrease: "none", completeness: "complete", confidence: 0.9, notes: "" };
+
+const cleaningCases = [
+  ["completeness", "Done", "complete"],
+  ["completeness", "mostly clean", "partial"],
+  ["completeness", "residue left", "partial"],
+  ["completeness", "Not clean", "incomplete"],
+  ["completeness", "failed", "incomplete"],
+  ["residualGrease", "trace", "light"],
+];
+
+for (const [field, input, expected] of cleaningCases) {
+  test(`cleaning ${field}: ${JSON.stringify(input)} → ${JSON.stringify(expected)}`, () => {
+    assert.equal(normalizeCleaning({ ...afterPhoto, [field]: input })[field], expected);
+  });
+}
+
+test("cleaning falls back to greaseDepth for the residual grease", () => {
+  const { residualGrease } = normalizeCleaning({ ...afterPhoto, residualGrease: undefined, greaseDepth: "heavy" });
+  assert.equal(residualGrease, "heavy");
+});
+
+// [model output, errors] — null errors: parsed
+const parseCleaningCases = [
+  ["plain JSON", JSON.stringify(afterPhoto), null],
+  ["near misses repaired", `\`\`\`json\n${JSON.stringify({ ...afterPhoto, component: "Exhaust duct", completeness: "mostly clean", confidence: "80%", notes: ["Elbow missed"] })}\n\`\`\``, null],
+  ["no JSON", "Looks clean to me.", ["Response did not contain a JSON object"]],
+  ["an unknown completeness", JSON.stringify({ ...afterPhoto, completeness: "?" }), ["completeness must be one of complete, partial, incomplete"]],
+  ["an unknown residual grease", JSON.stringify({ ...afterPhoto, residualGrease: "some" }), ["residualGrease must be one of none, light, moderate, heavy, severe"]],
+  ["confidence missing", JSON.stringify({ ...afterPhoto, confidence: undefined }), ["confidence must be a number from 0 to 1"]],
+];
+
+for (const [name, text, errors] of parseCleaningCases) {
+  test(`parseCleaning: ${name}`, () => {
+    const result = parseCleaning(text);
+    assert.deepEqual(result.errors, errors || []);
+    assert.equal(result.cleaning === null, Boolean(errors));
+  });
+}
+
+test("near misses in a cleaning assessment are repaired to its shape", () => {
+  const { cleaning } = parseCleaning(
+    JSON.stringify({ component: "Exhaust duct", residual_grease: "film", completeness: "mostly clean", confidence: "80", notes: ["Elbow missed"] })
+  );
+  assert.deepEqual(cleaning, {
+    component: "duct",
+    residualGrease: "light",
+    completeness: "partial",
+    confidence: 0.8,
+    notes: "- Elbow missed",
+  });
+});
+
+test("the cleaning re-prompt lists each error and the fields to return", () => {
+  assert.equal(
+    cleaningRepairInstruction(["completeness must be one of complete, partial, incomplete"]),
+    "Your previous response was not a valid cleaning assessment:\n" +
+      "- completeness must be one of complete, partial, incomplete\n" +
+      "Return ONLY the corrected JSON object with fields component, residualGrease, completeness, confidence and notes."
+  );
+});
+
+test("a cleaning assessment without notes is described in one bullet", () => {
+  assert.equal(describeCleaning({ ...afterPhoto, completeness: "partial", residualGrease: "light" }), "- Duct: cleaning partial, light residual grease");
+  assert.equal(describeCleaning(null), "");
+});
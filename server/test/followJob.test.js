@@ -0,0 +1,45 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+// The app's job follower (inspectai/src/jobs.js), against a stubbed fetch
+import { followJob } from "../../inspectai/src/jobs.js";
+
+const realFetch = globalThis.fetch;
+let responses;
+let requests;
+beforeEach(() => {
+  requests = 0;
+  globalThis.fetch = async () => {
+    const next = responses[Math.min(requests++, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next();
+  };
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const json = (status, body) => () => Response.json(body, { status });
+const stream = (...events) => () =>
+  new Response(events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join(""), {
+    headers: { "Content-Type": "text/event-stream" },
+  });
+
+// [name, responses, outcome, requests made]
+const cases = [
+  ["a finished job", [stream(["snapshot", {}], ["done", { reportId: "r1" }])], { status: "completed", result: { reportId: "r1" } }, 1],
+  ["a failed job", [stream(["error", { error: "No photos" }])], { status: "failed", error: "No photos" }, 1],
+  ["a cancelled job", [stream(["cancelled", {}])], { status: "cancelled" }, 1],
+  ["an expired job (404)", [json(404, { ok: false })], { status: "failed", error: "Report job not found (it may have expired)." }, 1],
+  ["a rejected request (401)", [json(401, { ok: false, error: "Sign in required" })], { status: "failed", error: "Sign in required" }, 1],
+  ["a forbidden job (403)", [json(403, {})], { status: "failed", error: "Couldn't follow the report job (403)." }, 1],
+  ["a server error, then the stream", [json(502, {}), stream(["done", {}])], { status: "completed", result: {} }, 2],
+  ["a network drop, then the stream", [new TypeError("fetch failed"), stream(["done", {}])], { status: "completed", result: {} }, 2],
+];
+
+for (const [name, list, outcome, count] of cases) {
+  test(`following ${name}`, async () => {
+    responses = list;
+    assert.deepEqual(await followJob("j1"), outcome);
+    assert.equal(requests, count);
+  });
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recommendFrequency } from "../frequency.js";
+
+const grease = (greaseDepth) => ({ findings: { component: "hood", greaseDepth, severity: "low" } });
+
+// NFPA 96 Table 11.4, then one level more frequent for grease at or past the cleaning threshold
+const cases = [
+  ["solid-fuel", [], "Monthly"],
+  ["high-volume", [], "Quarterly"],
+  ["moderate-volume", [], "Semi-annually"],
+  ["low-volume", [], "Annually"],
+  [undefined, [], "Semi-annually"],
+  ["food-truck", [], "Semi-annually"],
+  ["low-volume", [grease("moderate")], "Annually"],
+  ["low-volume", [grease("heavy")], "Semi-annually"],
+  ["moderate-volume", [grease("severe")], "Quarterly"],
+  ["high-volume", [grease("heavy"), grease("severe")], "Monthly"],
+  ["solid-fuel", [grease("severe")], "Monthly"],
+  ["high-volume", [{ findings: null }, null], "Quarterly"],
+];
+
+for (const [cookingVolume, photoAnalysis, frequency] of cases) {
+  const greases = photoAnalysis.map((p) => p?.findings?.greaseDepth ?? "none").join(", ") || "no photos";
+  test(`${cookingVolume ?? "no cooking volume"} with ${greases} → ${frequency}`, () => {
+    assert.equal(recommendFrequency({ cookingVolume, photoAnalysis }).frequency, frequency);
+  });
+}
+
+test("an unknown cooking volume is assumed moderate and says so", () => {
+  const rec = recommendFrequency({ cookingVolume: "food-truck" });
+  assert.equal(rec.cookingVolume, "moderate-volume");
+  assert.equal(rec.reasons[0], "Cooking volume not specified — assumed moderate-volume cooking");
+  assert.match(rec.reasons[1], /^NFPA 96 Table 11\.4: .* — semiannually$/);
+});
+
+test("a grease step-up names the photos and the new schedule", () => {
+  const rec = recommendFrequency({ cookingVolume: "high-volume", photoAnalysis: [grease("heavy"), grease("severe")] });
+  assert.deepEqual(rec.reasons.slice(1), [
+    "Grease at or above the 2000 µm (0.078 in) cleaning threshold in 2 photos — schedule increased to monthly",
+  ]);
+  assert.equal(
+    rec.rationale,
+    "Clean monthly: NFPA 96 Table 11.4 sets quarterly for high-volume cooking, increased for the grease buildup observed."
+  );
+});
+
+test("solid fuel can't go more frequent than monthly", () => {
+  const rec = recommendFrequency({ cookingVolume: "solid-fuel", photoAnalysis: [grease("severe")] });
+  assert.equal(rec.reasons.at(-1), "Grease at or above the cleaning threshold — already on the most frequent schedule");
+  assert.equal(rec.rationale, "Clean monthly, per NFPA 96 Table 11.4 for solid-fuel cooking.");
+});
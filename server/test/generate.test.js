@@ -0,0 +1,263 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { mkdtempSync, readdirSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+// The whole server, run as it is deployed: mock LLM (slow enough to cancel mid-run),
+// SQLite storage in a temporary directory
+const serverDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dataDir = mkdtempSync(path.join(tmpdir(), "inspectai-test-"));
+const photosDir = path.join(dataDir, "photos");
+const port = 5600 + Math.floor(Math.random() * 300);
+const base = `http://localhost:${port}`;
+
+// 1x1 PNG
+const PHOTO = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC",
+  "base64"
+);
+
+let server;
+let token;
+
+before(async () => {
+  const env = { ...process.env };
+  for (const key of Object.keys(env)) {
+    if (/^(OPENAI_|FIREBASE_|LLM_|STORAGE_BACKEND|GEOCODER_URL)/.test(key)) delete env[key];
+  }
+  server = spawn(process.execPath, [path.join(serverDir, "index.js")], {
+    // No server/.env in the working directory: only the env below applies
+    cwd: dataDir,
+    env: {
+      ...env,
+      PORT: String(port),
+      LLM_PROVIDER: "mock",
+      LLM_MOCK_DELAY_MS: "600",
+      STORAGE_BACKEND: "sqlite",
+      SQLITE_PATH: path.join(dataDir, "test.db"),
+      PHOTOS_DIR: photosDir,
+      JOBS_FILE: path.join(dataDir, "jobs.json"),
+      AUTH_SECRET: "test-secret",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 15000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", onData);
+    server.stderr.on("data", onData);
+    server.on("exit", (code) => reject(new Error(`Server exited (${code}):\n${output}`)));
+  });
+
+  const res = await api("/api/auth/register", {
+    method: "POST",
+    body: { companyName: "Acme Hoods", name: "Mia", email: "mia@acme.test", password: "password1" },
+  });
+  token = res.token;
+});
+
+after(() => {
+  server?.kill();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function api(pathname, { method = "GET", body, form } = {}) {
+  const res = await fetch(`${base}${pathname}`, {
+    method,
+    headers: {
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(body && { "Content-Type": "application/json" }),
+    },
+    body: form || (body && JSON.stringify(body)),
+  });
+  return res.json();
+}
+
+function generate(restaurantName, { photo = PHOTO, type = "image/png", filename = "hood.png", fields = {} } = {}) {
+  const form = new FormData();
+  form.append("restaurantName", restaurantName);
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append("photos", new Blob([photo], { type }), filename);
+  return api("/api/generate", { method: "POST", form });
+}
+
+async function finished(jobId) {
+  for (let i = 0; i < 50; i++) {
+    const { job } = await api(`/api/jobs/${jobId}`);
+    if (["completed", "failed", "cancelled"].includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} didn't finish`);
+}
+
+const storedPhotos = () => {
+  try {
+    return readdirSync(photosDir);
+  } catch {
+    return [];
+  }
+};
+
+test("a job cancelled mid-run saves no report and no photos", async () => {
+  const { jobId } = await generate("Cancelled Diner");
+  // The vision call is in flight (600ms)
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  const cancelled = await api(`/api/jobs/${jobId}`, { method: "DELETE" });
+  assert.equal(cancelled.ok, true);
+
+  // Past when the photo, summary and save would have finished
+  await new Promise((resolve) => setTimeout(resolve, 2000));
+  const { job } = await api(`/api/jobs/${jobId}`);
+  assert.equal(job.status, "cancelled");
+  assert.equal(job.reportId, null);
+  const { reports } = await api("/api/reports");
+  assert.deepEqual(
+    reports.map((r) => r.restaurantName),
+    []
+  );
+  assert.deepEqual(storedPhotos(), []);
+});
+
+test("a job that isn't cancelled saves its report and photos", async () => {
+  const { jobId } = await generate("Finished Diner");
+  const job = await finished(jobId);
+  assert.equal(job.status, "completed");
+  const { reports } = await api("/api/reports");
+  assert.deepEqual(
+    reports.map((r) => r.restaurantName),
+    ["Finished Diner"]
+  );
+  assert.ok(storedPhotos().length > 0);
+  // The mock's notes are a "- " bullet list: the caption is the first bullet's text
+  const [photo] = job.result.photoAnalysis;
+  assert.match(photo.analysis, /^- /);
+  assert.equal(photo.caption, photo.analysis.split("\n")[0].slice(2, 82));
+});
+
+test("a running job's photos come with URLs as soon as they are stored", async () => {
+  const { jobId } = await generate("Progress Diner");
+  let photo;
+  for (let i = 0; i < 50 && !photo; i++) {
+    const { job } = await api(`/api/jobs/${jobId}`);
+    photo = job.photoResults?.find(Boolean);
+    if (!photo) await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.ok(photo.photoId);
+  const res = await fetch(`${base}${photo.publicUrl}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "image/jpeg");
+  await finished(jobId);
+});
+
+test("report share links give the customer only the fields report.html reads", async () => {
+  const { jobId } = await generate("Shared Diner");
+  const { result } = await finished(jobId);
+
+  // The company's own session may preview the unapproved report
+  const { report } = await api(`/api/share/reports/${result.shareToken}`);
+  assert.deepEqual(Object.keys(report).sort(), [
+    "address",
+    "condition",
+    "createdAt",
+    "frequencyRecommendation",
+    "photoAnalysis",
+    "photos",
+    "reportText",
+    "reportType",
+    "restaurantName",
+    "sections",
+    "serviceCompletion",
+    "status",
+    "summary",
+    "template",
+  ]);
+  for (const photo of report.photos) {
+    for (const key of ["photoId", "variants", "rawAnalysis", "original", "equipmentId"]) {
+      assert.equal(photo[key], undefined, key);
+    }
+    assert.ok(photo.publicUrl);
+  }
+
+});
+
+test("proposal share links leave out the location, tenant and share token", async () => {
+  const { proposalId } = await api("/api/proposals", {
+    method: "POST",
+    body: { proposal: { restaurantName: "Shared Diner", address: "1 Main St", locationId: "loc-1" } },
+  });
+  const { proposal: stored } = await api(`/api/proposals/${proposalId}`);
+  assert.equal(stored.locationId, "loc-1");
+
+  const { proposal } = await api(`/api/share/proposals/${stored.shareToken}`);
+  for (const key of ["id", "companyId", "locationId", "shareToken"]) {
+    assert.equal(proposal[key], undefined, key);
+  }
+  assert.equal(proposal.restaurantName, "Shared Diner");
+  assert.ok(proposal.pricing.lineItems.length > 0);
+});
+
+test("old report.html?id= links open reports saved before accounts, and only those", async () => {
+  // Written straight to the server's database, as reports were before accounts
+  process.env.SQLITE_PATH = path.join(dataDir, "test.db");
+  const { saveReport } = await import("../sqliteStore.js");
+  const legacyId = await saveReport({ restaurantName: "Old Diner", reportText: "## Summary\nAll clean" });
+
+  const legacy = await (await fetch(`${base}/api/share/legacy-reports/${legacyId}`)).json();
+  const shared = await (await fetch(`${base}/api/share/reports/${legacy.shareToken}`)).json();
+  assert.equal(shared.report.restaurantName, "Old Diner");
+  // Same link every time
+  const again = await (await fetch(`${base}/api/share/legacy-reports/${legacyId}`)).json();
+  assert.equal(again.shareToken, legacy.shareToken);
+
+  const { jobId } = await generate("Current Diner");
+  const { result } = await finished(jobId);
+  const res = await fetch(`${base}/api/share/legacy-reports/${result.reportId}`);
+  assert.equal(res.status, 404);
+});
+
+test("share links leave out photo GPS unless the report kept it", async () => {
+  const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: "#888" } })
+    .jpeg()
+    .withExif({
+      IFD3: { GPSLatitudeRef: "N", GPSLatitude: "41/1 52/1 3000/100", GPSLongitudeRef: "W", GPSLongitude: "87/1 37/1 4000/100" },
+    })
+    .toBuffer();
+  const shared = async (keepGps) => {
+    const { jobId } = await generate("Located Diner", { photo, type: "image/jpeg", filename: "hood.jpg", fields: { keepGps } });
+    const { result } = await finished(jobId);
+    assert.equal(result.photoAnalysis[0].evidence.gps.latitude, 41.875);
+    const { report } = await api(`/api/share/reports/${result.shareToken}`);
+    return report.photos[0].evidence;
+  };
+
+  const stripped = await shared("false");
+  assert.equal(stripped.gps, undefined);
+  assert.equal(stripped.checks.location.status, "unknown");
+  assert.deepEqual((await shared("true")).gps, { latitude: 41.875, longitude: -87.62777777777777, accuracyM: null });
+});
+
+test("a photo that can't be read isn't stored as uploaded", async () => {
+  const before = storedPhotos().length;
+  const { jobId } = await generate("Unreadable Diner", {
+    photo: Buffer.from("not really a JPEG"),
+    type: "image/jpeg",
+    filename: "hood.jpg",
+  });
+  const { status, result } = await finished(jobId);
+  assert.equal(status, "completed");
+  const [photo] = result.photoAnalysis;
+  assert.equal(photo.photoId, null);
+  assert.match(photo.analysis, /^\(Not analyzed - unreadable photo: /);
+  assert.equal(storedPhotos().length, before);
+});
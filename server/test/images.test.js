@@ -0,0 +1,123 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { processPhoto } from "../images.js";
+
+const NEW_SUBFILE_TYPE = 0xfe;
+const COMPRESSION = 0x103;
+const STRIP_OFFSETS = 0x111;
+const ORIENTATION = 0x112;
+const STRIP_BYTE_COUNTS = 0x117;
+const SUB_IFDS = 0x14a;
+const JPEG_OFFSET = 0x201;
+const JPEG_LENGTH = 0x202;
+
+// Tag values that depend on where things end up in the file
+const previewAt = (layout) => layout.preview;
+const previewLength = (layout) => layout.previewLength;
+const directoryAt = (index) => (layout) => layout.directories[index];
+
+/**
+ * A TIFF/DNG file: the header, each directory ({ tags, next?, preview? }) in
+ * order with every tag a single LONG, then each directory's preview bytes.
+ */
+function dng(directories, { bigEndian = false } = {}) {
+  const starts = [];
+  let size = 8;
+  for (const d of directories) {
+    starts.push(size);
+    size += 2 + Object.keys(d.tags).length * 12 + 4;
+  }
+  const previews = directories.map((d) => {
+    const at = size;
+    size += d.preview?.length ?? 0;
+    return at;
+  });
+
+  const buffer = Buffer.alloc(size);
+  const u16 = (value, o) => (bigEndian ? buffer.writeUInt16BE(value, o) : buffer.writeUInt16LE(value, o));
+  const u32 = (value, o) => (bigEndian ? buffer.writeUInt32BE(value, o) : buffer.writeUInt32LE(value, o));
+  buffer.write(bigEndian ? "MM" : "II", 0, "latin1");
+  u16(42, 2);
+  u32(starts[0], 4);
+  directories.forEach((d, i) => {
+    const layout = { directories: starts, preview: previews[i], previewLength: d.preview?.length ?? 0 };
+    const tags = Object.entries(d.tags);
+    u16(tags.length, starts[i]);
+    tags.forEach(([tag, value], k) => {
+      const entry = starts[i] + 2 + k * 12;
+      u16(Number(tag), entry);
+      u16(4, entry + 2);
+      u32(1, entry + 4);
+      u32(typeof value === "function" ? value(layout) : value, entry + 8);
+    });
+    u32(d.next == null ? 0 : starts[d.next], starts[i] + 2 + tags.length * 12);
+    d.preview?.copy(buffer, previews[i]);
+  });
+  return buffer;
+}
+
+let large;
+let small;
+before(async () => {
+  const jpeg = (width, height) =>
+    sharp({ create: { width, height, channels: 3, background: "#c08040" } }).jpeg().toBuffer();
+  large = await jpeg(40, 20);
+  small = await jpeg(20, 10);
+});
+
+const strip = (preview, extra = {}) => ({
+  tags: { [NEW_SUBFILE_TYPE]: 1, [COMPRESSION]: 7, [STRIP_OFFSETS]: previewAt, [STRIP_BYTE_COUNTS]: previewLength, ...extra },
+  preview,
+});
+const interchange = (preview) => ({ tags: { [JPEG_OFFSET]: previewAt, [JPEG_LENGTH]: previewLength }, preview });
+const raw = (preview) => ({
+  tags: { [NEW_SUBFILE_TYPE]: 0, [COMPRESSION]: 7, [STRIP_OFFSETS]: previewAt, [STRIP_BYTE_COUNTS]: previewLength },
+  preview,
+});
+// Starts like a JPEG, but libvips can't read it (as with lossless JPEG)
+const unreadable = () => Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.alloc(4000, 1)]);
+
+const patched = (file, patch) => {
+  patch(file);
+  return file;
+};
+
+const NO_PREVIEW = "the DNG has no JPEG preview to convert";
+const DAMAGED = "damaged DNG file";
+const NOT_DNG = "not a DNG file";
+
+// Each case: [name, () => file, [display width, height] or error message]
+const cases = [
+  ["a preview in one JPEG strip", () => dng([strip(large)]), [40, 20]],
+  ["a big-endian (MM) file", () => dng([strip(large)], { bigEndian: true }), [40, 20]],
+  ["a JPEGInterchangeFormat preview in the next IFD", () => dng([{ tags: {}, next: 1 }, interchange(large)]), [40, 20]],
+  ["a preview in a SubIFD", () => dng([{ tags: { [SUB_IFDS]: directoryAt(1) } }, strip(large)]), [40, 20]],
+  ["the largest of several previews", () => dng([strip(small, { [SUB_IFDS]: directoryAt(1) }), strip(large)]), [40, 20]],
+  ["an orientation of 6 (turned upright)", () => dng([strip(large, { [ORIENTATION]: 6 })]), [20, 40]],
+  ["an unreadable preview next to a readable one", () => dng([{ ...interchange(unreadable()), next: 1 }, strip(small)]), [20, 10]],
+  ["directories that point back at each other", () => dng([{ tags: {}, next: 1 }, { ...interchange(large), next: 0 }]), [40, 20]],
+  ["only raw sensor data (NewSubfileType 0)", () => dng([raw(large)]), NO_PREVIEW],
+  ["only an unreadable preview", () => dng([interchange(unreadable())]), NO_PREVIEW],
+  ["preview bytes that aren't a JPEG", () => dng([interchange(Buffer.alloc(64, 7))]), NO_PREVIEW],
+  ["a preview cut off by the end of the file", () => dng([interchange(large)]).subarray(0, -10), NO_PREVIEW],
+  ["no directories with tags", () => dng([{ tags: {} }]), NO_PREVIEW],
+  ["a file cut off inside its first directory", () => dng([strip(large)]).subarray(0, 20), DAMAGED],
+  ["a file cut off after the header", () => dng([strip(large)]).subarray(0, 6), DAMAGED],
+  ["a first directory past the end of the file", () => patched(dng([strip(large)]), (file) => file.writeUInt32LE(1e6, 4)), DAMAGED],
+  ["a SubIFD past the end of the file", () => dng([{ tags: { [SUB_IFDS]: 1e6 } }]), DAMAGED],
+  ["a JPEG", () => large, NOT_DNG],
+  ["a TIFF header with the wrong magic number", () => patched(dng([strip(large)]), (file) => file.writeUInt16LE(43, 2)), NOT_DNG],
+  ["an empty file", () => Buffer.alloc(0), NOT_DNG],
+];
+
+for (const [name, file, expected] of cases) {
+  test(`DNG: ${name} → ${Array.isArray(expected) ? expected.join("×") : expected}`, async () => {
+    if (Array.isArray(expected)) {
+      const { display } = await processPhoto(file(), { format: "dng" });
+      assert.deepEqual([display.width, display.height], expected);
+    } else {
+      await assert.rejects(processPhoto(file(), { format: "dng" }), { message: expected });
+    }
+  });
+}
@@ -0,0 +1,9 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PROMPT_LIBRARY } from "../prompts.js";
+
+test("each library prompt has its own legacy dashboard prompt env var", () => {
+  const envs = Object.values(PROMPT_LIBRARY).map((p) => p.dashboardEnv);
+  assert.equal(new Set(envs).size, envs.length);
+  assert.equal(PROMPT_LIBRARY.photoCleaning.dashboardEnv, "PHOTO_CLEANING_PROMPT_ID");
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+// Shared with the app: server/pdf.js prices proposals with the same file
+import {
+  DEFAULT_RATES,
+  applyDefaults,
+  computeTotals,
+  proposalFrequencies,
+  proposalLineItems,
+} from "../../inspectai/src/proposalMath.js";
+
+const hood = (qty, rate, frequency = "") => ({ description: "Additional Hood", qty, rate, frequency });
+const fan = (qty, rate, frequency = "") => ({ description: "Additional Fan", qty, rate, frequency });
+
+// Base 723 + fuel 46 = 769 before anything else is added
+const cases = [
+  ["an empty draft", {}, 769],
+  ["default rates applied", applyDefaults({}), 769],
+  ["a custom base rate", { baseRate: 500 }, 546],
+  ["additional hoods and fans", { additionalItems: [hood(2, 203), fan(1, 150)] }, 769 + 406 + 150],
+  ["an add-on without a rate priced at the hood rate", { additionalItems: [{ description: "Duct access panel", qty: 1 }] }, 769 + 203],
+  ["standard and non-standard filters", { stdFilterQty: 4, nonStdFilterQty: 2 }, 769 + 32 + 27],
+  ["filter quantities that aren't numbers", { stdFilterQty: "four", nonStdFilterQty: null }, 769],
+  ["several repairs", { repairs: [{ description: "Hinge kit", amount: 85 }, { description: "Belt", amount: "40" }] }, 769 + 125],
+  ["a legacy single repair", { repairDescription: "Access panel", repairRate: 120 }, 769 + 120],
+  ["no fuel surcharge", { fuelSurcharge: 0 }, 723],
+  ["rates given as strings", { baseRate: "800", fuelSurcharge: "50" }, 850],
+];
+
+for (const [name, draft, total] of cases) {
+  test(`${name} → $${total} per service`, () => {
+    assert.equal(computeTotals(draft).totalPerService, total);
+  });
+}
+
+test("company rates fill in what the draft leaves blank", () => {
+  const rates = { ...DEFAULT_RATES, baseRate: 900, additionalHoodRate: 250 };
+  const draft = applyDefaults({ baseRate: "", fuelSurcharge: 30 }, rates);
+  assert.equal(draft.baseRate, 900);
+  assert.equal(draft.fuelSurcharge, 30);
+  assert.deepEqual(draft.additionalItems, [hood(0, 250), fan(0, 203)]);
+  draft.additionalItems[0].qty = 2;
+  assert.equal(computeTotals(draft).totalPerService, 900 + 500 + 30);
+});
+
+test("line items add up to the total and skip zero amounts", () => {
+  const draft = applyDefaults({
+    cleaningFrequency: "Quarterly",
+    stdFilterQty: 4,
+    filterExchangeFrequency: "Monthly",
+    additionalItems: [hood(1, 203, "Quarterly")],
+    repairs: [{ description: "Hinge kit", amount: 85 }],
+  });
+  const items = proposalLineItems(draft);
+  assert.deepEqual(
+    items.map((i) => i.description),
+    [
+      "Base rate — Initial hood: 1, Initial fan: 1 (Quarterly)",
+      "Additional Hood — 1 × $203.00 (Quarterly)",
+      "Standard Filters — 4 × $8.00 (Monthly)",
+      "Hinge kit",
+      "Fuel surcharge (Quarterly)",
+    ]
+  );
+  const sum = items.reduce((s, i) => s + i.amount, 0);
+  assert.equal(sum, computeTotals(draft).totalPerService);
+});
+
+const frequencyCases = [
+  [{}, "—"],
+  [{ cleaningFrequency: "Quarterly" }, "Quarterly"],
+  [{ cleaningFrequency: "Quarterly", filterExchangeFrequency: "Monthly" }, "Quarterly & Monthly"],
+  [{ cleaningFrequency: "Quarterly", additionalItems: [fan(1, 203, " Semi-annually ")] }, "Quarterly & Semi-annually"],
+  [{ filterExchangeFrequency: "Monthly", fuelFrequency: "Monthly" }, "Monthly"],
+];
+
+for (const [draft, frequencies] of frequencyCases) {
+  test(`proposal frequencies of ${JSON.stringify(draft)} → ${frequencies}`, () => {
+    assert.equal(proposalFrequencies(draft), frequencies);
+  });
+}
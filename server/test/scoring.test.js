@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreInspection } from "../scoring.js";
+
+const finding = (overrides = {}) => ({
+  findings: { component: "hood", greaseDepth: "light", severity: "low", codeViolation: false, ...overrides },
+});
+const fan = (overrides = {}) => finding({ component: "fan", ...overrides });
+
+// One hood and one fan on site, both photographed, filters recorded: Compliant unless a case changes it
+const site = { hoods: "1", fans: "1", filters: "4" };
+
+const cases = [
+  ["low-severity findings with everything documented", {}, [finding(), fan()], "Compliant"],
+  ["a critical-severity finding", {}, [finding({ severity: "critical" }), fan()], "Critical"],
+  ["severe grease (≥ 0.125 in)", {}, [finding({ greaseDepth: "severe" }), fan()], "Critical"],
+  ["a high-severity finding", {}, [finding({ severity: "high" }), fan()], "Attention"],
+  ["heavy grease (≥ 0.078 in)", {}, [finding({ greaseDepth: "heavy" }), fan()], "Attention"],
+  ["a possible code violation", {}, [finding({ codeViolation: true }), fan()], "Attention"],
+  ["a moderate-severity finding", {}, [finding({ severity: "moderate" }), fan()], "Monitor"],
+  ["moderate grease", {}, [finding(), fan({ greaseDepth: "moderate" })], "Monitor"],
+  ["no findings at all", {}, [{ findings: null }], "Monitor"],
+  ["no photo of the fan", {}, [finding()], "Monitor"],
+  ["no photo of the hood (a filter photo counts)", {}, [finding({ component: "filter" }), fan()], "Compliant"],
+  ["fewer fan photos than fans", { fans: "2" }, [finding(), fan()], "Monitor"],
+  ["no filters recorded for the hoods", { filters: "0" }, [finding(), fan()], "Monitor"],
+  ["critical outranks everything else", { filters: "0" }, [finding({ severity: "critical", codeViolation: true })], "Critical"],
+];
+
+for (const [name, counts, photos, rating] of cases) {
+  test(`${name} → ${rating}`, () => {
+    assert.equal(scoreInspection({ ...site, ...counts, photoAnalysis: photos }).rating, rating);
+  });
+}
+
+test("reasons are listed most serious first", () => {
+  const { reasons } = scoreInspection({
+    ...site,
+    filters: "0",
+    photoAnalysis: [finding({ severity: "moderate" }), fan({ severity: "critical" })],
+  });
+  assert.deepEqual(reasons, [
+    "1 photo rated critical severity",
+    "Moderate buildup in 1 photo",
+    "No filters recorded for the hood system",
+  ]);
+});
+
+test("counts that aren't positive numbers count as none", () => {
+  const { stats } = scoreInspection({ hoods: "abc", fans: -2, filters: undefined, photos: [finding()] });
+  assert.deepEqual([stats.hoods, stats.fans, stats.filters], [0, 0, 0]);
+  assert.equal(stats.photosRated, 1);
+});
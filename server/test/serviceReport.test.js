@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+// Shared with the app: upload tags, gallery sliders and the report's cleaning result
+import {
+  normalizePhotoPhases,
+  photoPairs,
+  photoPhaseLabel,
+  serviceCompletion,
+} from "../../inspectai/src/serviceReport.js";
+
+const before = (pair) => ({ phase: "before", pair });
+const after = (pair, completeness) => ({ phase: "after", pair, ...(completeness && { cleaning: { completeness } }) });
+
+// [name, photo tags, { pair: [beforeIndex, afterIndex] }]
+const pairCases = [
+  ["matching pair numbers", [before(1), after(1)], { 1: [0, 1] }],
+  ["pairs sorted by number", [before(2), before(1), after(1), after(2)], { 1: [1, 2], 2: [0, 3] }],
+  ["a before without its after", [before(1), before(2), after(1)], { 1: [0, 2] }],
+  ["the first photo of a phase wins a reused number", [before(1), before(1), after(1)], { 1: [0, 2] }],
+  ["untagged and unnumbered photos", [{}, null, before(null), after(null)], {}],
+];
+
+for (const [name, photos, expected] of pairCases) {
+  test(`before/after pairs: ${name}`, () => {
+    const pairs = photoPairs(photos);
+    assert.deepEqual(
+      Object.fromEntries(pairs.map((p) => [p.pair, [p.beforeIndex, p.afterIndex]])),
+      expected
+    );
+    for (const p of pairs) {
+      assert.equal(p.before, photos[p.beforeIndex]);
+      assert.equal(p.after, photos[p.afterIndex]);
+    }
+  });
+}
+
+// [name, photos, status, tally]
+const completionCases = [
+  ["every after photo clean", [before(1), after(1, "complete"), after(2, "complete")], "complete", [2, 0, 0]],
+  ["one partial", [after(1, "complete"), after(2, "partial")], "partial", [1, 1, 0]],
+  ["the worst assessment wins", [after(1, "partial"), after(2, "incomplete"), after(3, "complete")], "incomplete", [1, 1, 1]],
+  ["nothing assessed", [before(1), after(1)], null, [0, 0, 0]],
+  ["before photos' assessments don't count", [{ ...before(1), cleaning: { completeness: "incomplete" } }, after(1, "complete")], "complete", [1, 0, 0]],
+];
+
+for (const [name, photos, status, [complete, partial, incomplete]] of completionCases) {
+  test(`cleaning result: ${name} → ${status}`, () => {
+    const result = serviceCompletion(photos);
+    assert.equal(result.status, status);
+    assert.deepEqual([result.complete, result.partial, result.incomplete], [complete, partial, incomplete]);
+    assert.equal(result.assessed, complete + partial + incomplete);
+  });
+}
+
+test("the cleaning result counts pairs and before photos without an after", () => {
+  const { pairs, unpairedBefore } = serviceCompletion([before(1), after(1, "complete"), before(2), before(3), null]);
+  assert.equal(pairs, 1);
+  assert.equal(unpairedBefore, 2);
+});
+
+test("photo tags are read one per photo, dropping what isn't a phase and pair", () => {
+  assert.deepEqual(
+    normalizePhotoPhases([before(1), { phase: "during", pair: 2 }, after("3"), after(0), after(51), "before"], 7),
+    [
+      { phase: "before", pair: 1 },
+      { phase: null, pair: null },
+      { phase: "after", pair: 3 },
+      { phase: "after", pair: null },
+      { phase: "after", pair: null },
+      { phase: null, pair: null },
+      { phase: null, pair: null },
+    ]
+  );
+  assert.deepEqual(normalizePhotoPhases("not a list", 1), [{ phase: null, pair: null }]);
+});
+
+test("photo tags read as Before #2 / After", () => {
+  assert.deepEqual([before(2), after(null), {}].map(photoPhaseLabel), ["Before #2", "After", ""]);
+});
@@ -0,0 +1,101 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+
+// The database opens on first use, so SQLITE_PATH set here applies
+const dataDir = mkdtempSync(path.join(tmpdir(), "inspectai-sqlite-"));
+process.env.SQLITE_PATH = path.join(dataDir, "test.db");
+const store = await import("../sqliteStore.js");
+const { assignLegacyReports, getReportById, listReports, saveReport } = store;
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+test("reports saved before accounts are given to the legacy company, once", async () => {
+  const legacyId = await saveReport({ restaurantName: "Old Diner" });
+  const ownedId = await saveReport({ restaurantName: "New Diner", companyId: "c2" });
+
+  assert.equal(await assignLegacyReports("c1"), 1);
+  assert.equal((await getReportById(legacyId)).companyId, "c1");
+  assert.equal((await getReportById(ownedId)).companyId, "c2");
+  assert.deepEqual(
+    (await listReports({ companyId: "c1" })).map((r) => r.restaurantName),
+    ["Old Diner"]
+  );
+
+  assert.equal(await assignLegacyReports("c3"), 0);
+  assert.equal((await getReportById(legacyId)).companyId, "c1");
+});
+
+test("accounts: one user per email, companies and users merge updates", async () => {
+  const ids = await store.createCompanyWithUser(
+    { name: "Acme Hoods" },
+    { email: "mia@acme.test", name: "Mia", role: "manager", passwordHash: "x" }
+  );
+  assert.equal(await store.createCompanyWithUser({ name: "Other" }, { email: "mia@acme.test" }), false);
+  assert.equal(await store.createUser({ email: "mia@acme.test", companyId: ids.companyId }), false);
+  const teammate = await store.createUser({ email: "sam@acme.test", role: "technician", companyId: ids.companyId });
+
+  assert.equal((await store.getUserByEmail("mia@acme.test")).id, ids.userId);
+  assert.equal(await store.updateUser(teammate, { role: "office" }), teammate);
+  assert.deepEqual(
+    (await store.listUsers(ids.companyId)).map((u) => [u.email, u.role, u.companyId]),
+    [
+      ["mia@acme.test", "manager", ids.companyId],
+      ["sam@acme.test", "office", ids.companyId],
+    ]
+  );
+
+  await store.updateCompany(ids.companyId, { rates: { baseRate: 300 } });
+  const company = await store.getCompanyById(ids.companyId);
+  assert.equal(company.name, "Acme Hoods");
+  assert.deepEqual(company.rates, { baseRate: 300 });
+  assert.equal(await store.updateCompany("missing", { name: "x" }), null);
+});
+
+test("customers and locations are listed per company and customer", async () => {
+  const diner = await store.saveCustomer({ name: "Diner", companyId: "c1" });
+  const cafe = await store.saveCustomer({ name: "Cafe", companyId: "c1" });
+  await store.saveCustomer({ name: "Elsewhere", companyId: "c2" });
+  await store.saveLocation({ address: "1 Main St", customerId: diner, companyId: "c1" });
+  const cafeLocation = await store.saveLocation({ address: "2 Side St", customerId: cafe, companyId: "c1" });
+
+  assert.deepEqual((await store.listCustomers("c1")).map((c) => c.name).sort(), ["Cafe", "Diner"]);
+  assert.deepEqual(
+    (await store.listLocations({ companyId: "c1", customerId: cafe })).map((l) => l.address),
+    ["2 Side St"]
+  );
+  assert.equal((await store.listLocations({ companyId: "c1" })).length, 2);
+
+  await store.updateLocation(cafeLocation, { customerId: diner, cookingVolume: "high" });
+  const moved = await store.getLocationById(cafeLocation);
+  assert.equal(moved.cookingVolume, "high");
+  assert.equal((await store.listLocations({ companyId: "c1", customerId: diner })).length, 2);
+
+  await store.deleteCustomer(cafe);
+  assert.equal(await store.getCustomerById(cafe), null);
+});
+
+test("proposals: replaced until signed, then locked", async () => {
+  const id = await store.saveProposal({ companyId: "c1", reportId: "r1", shareToken: "tok", baseRate: 250 });
+  assert.equal(await store.updateProposal(id, { companyId: "c1", reportId: "r1", shareToken: "tok", baseRate: 275 }), id);
+  assert.equal((await store.getProposalByShareToken("tok")).baseRate, 275);
+  assert.deepEqual(
+    (await store.listProposals({ companyId: "c1", reportId: "r1" })).map((p) => p.id),
+    [id]
+  );
+
+  await store.acceptProposal(id, { name: "Pat", signedAt: "2026-10-19T12:00:00Z" });
+  const signed = await store.getProposalById(id);
+  assert.equal(signed.status, "accepted");
+  assert.equal(signed.acceptance.name, "Pat");
+  await assert.rejects(store.updateProposal(id, { baseRate: 1 }), { status: 409 });
+  await assert.rejects(store.acceptProposal(id, { name: "Again" }), { status: 409 });
+  await assert.rejects(store.deleteProposal(id), { status: 409 });
+
+  const draft = await store.saveProposal({ companyId: "c1" });
+  assert.equal(await store.deleteProposal(draft), true);
+  assert.equal(await store.deleteProposal(draft), false);
+});
+
@@ -0,0 +1,163 @@
+/**
+ * Inspection-over-time comparison for one location.
+ *
+ * Lines up a location's reports oldest → newest and, between each inspection
+ * and the one before it, compares the condition rating, the worst finding per
+ * component (findings.js) and pairs up before/after photos of the same piece of
+ * equipment (by inventory tag, otherwise by component). comparisonText() is the
+ * "compared with the previous inspection" paragraph fed to the summary prompt.
+ */
+
+import { COMPONENTS, GREASE_DEPTHS, SEVERITIES } from "./findings.js";
+import { RATINGS, scoreInspection } from "./scoring.js";
+
+// Grease depth outranks severity when deciding which finding is worse
+function findingRank(f) {
+  return GREASE_DEPTHS.indexOf(f.greaseDepth) * SEVERITIES.length + SEVERITIES.indexOf(f.severity);
+}
+
+function direction(before, after) {
+  if (after > before) return "worse";
+  if (after < before) return "better";
+  return "same";
+}
+
+// "After" photos of a service report show the system cleaned, not its condition
+function photosOf(report) {
+  return (report.photoAnalysis || report.photos || []).filter((p) => p && p.phase !== "after");
+}
+
+/** Worst finding per component: { hood: { greaseDepth, severity, codeViolation, photos }, ... } */
+export function componentFindings(photos) {
+  const components = {};
+  photos.forEach((p) => {
+    const f = p.findings;
+    if (!f?.component) return;
+    const current = components[f.component];
+    if (!current || findingRank(f) > findingRank(current)) {
+      components[f.component] = {
+        greaseDepth: f.greaseDepth,
+        severity: f.severity,
+        codeViolation: Boolean(f.codeViolation || current?.codeViolation),
+        photos: (current?.photos || 0) + 1,
+      };
+    } else {
+      current.codeViolation ||= Boolean(f.codeViolation);
+      current.photos += 1;
+    }
+  });
+  return components;
+}
+
+/** One report as a point on the trend line. */
+export function inspectionPoint(report) {
+  const photos = photosOf(report);
+  const condition = report.condition?.rating ? report.condition : scoreInspection(report);
+  return {
+    reportId: report.id,
+    createdAt: report.createdAt || null,
+    status: report.status || null,
+    rating: condition.rating,
+    reasons: condition.reasons || [],
+    components: componentFindings(photos),
+    photos: photos.map((p, index) => ({
+      index,
+      url: p.publicUrl || p.dataUrl || null,
+      srcset: p.srcset || null,
+      caption: p.caption || p.filename || "",
+      equipmentId: p.equipmentId || null,
+      equipment: p.equipment || null,
+      component: p.findings?.component || null,
+      greaseDepth: p.findings?.greaseDepth || null,
+      severity: p.findings?.severity || null,
+    })),
+  };
+}
+
+// The worst photo of each piece of equipment (tag) or, untagged, of each component
+function photosByKey(point) {
+  const byKey = new Map();
+  point.photos.forEach((photo) => {
+    const key = photo.equipmentId
+      ? `equipment:${photo.equipmentId}`
+      : photo.component && `component:${photo.component}`;
+    if (!key || !photo.url) return;
+    const current = byKey.get(key);
+    if (!current || findingRank(photo) > findingRank(current)) byKey.set(key, photo);
+  });
+  return byKey;
+}
+
+/** What changed from `previous` to `current` (both inspection points). */
+export function compareInspections(previous, current) {
+  const components = COMPONENTS.filter(
+    (c) => previous.components[c] || current.components[c]
+  ).map((component) => {
+    const before = previous.components[component] || null;
+    const after = current.components[component] || null;
+    let change = after ? "new" : "not documented";
+    if (before && after) change = direction(findingRank(before), findingRank(after));
+    return { component, before, after, change };
+  });
+
+  const beforePhotos = photosByKey(previous);
+  const photoPairs = [...photosByKey(current)]
+    .filter(([key]) => beforePhotos.has(key))
+    .map(([key, after]) => ({
+      key,
+      label: after.equipment || after.component,
+      before: beforePhotos.get(key),
+      after,
+    }));
+
+  return {
+    fromReportId: previous.reportId,
+    toReportId: current.reportId,
+    from: previous.createdAt,
+    to: current.createdAt,
+    rating: {
+      before: previous.rating,
+      after: current.rating,
+      change: direction(RATINGS.indexOf(previous.rating), RATINGS.indexOf(current.rating)),
+    },
+    components,
+    photoPairs,
+  };
+}
+
+/**
+ * Trend for a location's reports (any order): inspections oldest → newest and
+ * the comparison of each with the one before it.
+ */
+export function buildTrend(reports) {
+  const inspections = [...reports]
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .map(inspectionPoint);
+  const comparisons = inspections
+    .slice(1)
+    .map((point, i) => compareInspections(inspections[i], point));
+  return { inspections, comparisons };
+}
+
+function describeFinding(f) {
+  if (!f) return "not documented";
+  const violation = f.codeViolation ? ", possible code violation" : "";
+  return `${f.greaseDepth} grease, ${f.severity} severity${violation}`;
+}
+
+/** "Compared with the previous inspection…" paragraph for the summary prompt input. */
+export function comparisonText(previousReport, currentReport) {
+  const comparison = compareInspections(
+    inspectionPoint(previousReport),
+    inspectionPoint(currentReport)
+  );
+  const date = comparison.from ? String(comparison.from).slice(0, 10) : "an earlier date";
+  const lines = [
+    `Compared with the previous inspection (${date}):`,
+    `- Condition rating: ${comparison.rating.before} → ${comparison.rating.after} (${comparison.rating.change})`,
+    ...comparison.components.map(
+      (c) => `- ${c.component}: ${describeFinding(c.before)} → ${describeFinding(c.after)} (${c.change})`
+    ),
+  ];
+  return lines.join("\n");
+}